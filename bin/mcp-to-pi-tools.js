@@ -5,35 +5,29 @@
  *
  * Usage: mcp2cli <mcp-package> [options]
  *
- * Powered by mcporter. Optimized for Pi agent.
+ * Built-in MCP client (mcporter optional for discovery). Optimized for Pi agent.
  */
 
-import { checkMcporter, discoverTools, deriveDirName } from "../lib/discovery.js";
-import { groupTools, fallbackGrouping } from "../lib/grouping.js";
+import { checkMcporter, deriveServerNameFromUrl, DISCOVERY_BACKENDS } from "../lib/discovery.js";
+import { parseHeaderArgs } from "../lib/http-client.js";
+import { parseEnvArgs, loadEnvFile, resolveEnvValues } from "../lib/env.js";
+import { parseGlobList } from "../lib/filter.js";
+import { GROUPING_MODES } from "../lib/grouping.js";
+import { GENERATOR_MODES } from "../lib/generator.js";
 import {
-  generateWrapper,
-  generatePackageJson,
-  generateReadme,
-  generateAgentsEntry,
-  generateBasicReadme,
-  validateParameterCoverage,
-} from "../lib/generator.js";
-import { writeOutput, outputExists, printSuccess } from "../lib/output.js";
-import { loadConfig, mergeWithCli, getConfigPath } from "../lib/config.js";
-import { registerToAll, resolveAllPaths, getSuccessfulPaths } from "../lib/registration.js";
-import { createSymlinks, getDefaultSymlinkDir } from "../lib/symlink.js";
-import { ensurePathConfigured } from "../lib/shell-config.js";
+  convertServer,
+  EXIT_SUCCESS,
+  EXIT_ERROR,
+  EXIT_INVALID_ARGS,
+} from "../lib/pipeline.js";
+import { printSuccess } from "../lib/output.js";
+import { getConfigPath, loadConfig } from "../lib/config.js";
+import { getRunners, getRunnerNames } from "../lib/runner.js";
+import { getDefaultSymlinkDir } from "../lib/symlink.js";
 import { execSync } from "child_process";
+import { existsSync } from "fs";
 import { createInterface } from "readline";
 
-// Exit codes per spec
-const EXIT_SUCCESS = 0;
-const EXIT_ERROR = 1;
-const EXIT_INVALID_ARGS = 2;
-const EXIT_DISCOVERY_FAILED = 3;
-const EXIT_GENERATION_FAILED = 4;
-const EXIT_OUTPUT_FAILED = 5;
-
 /**
  * Parse command line arguments
  * @param {string[]} args - process.argv.slice(2)
@@ -55,14 +49,37 @@ function parseArgs(args) {
     local: false,
     uvx: false,
     pip: false,
+    runner: null,
     command: null,
+    url: null,
+    headers: [],
+    env: [],
+    envFile: null,
+    backend: "builtin",
+    session: false,
+    refreshDiscovery: false,
+    debugDiscovery: false,
+    select: [],
+    prune: false,
+    only: null,
+    exclude: null,
+    clearFilter: false,
     symlink: true,
     symlinkDir: null,
     forceSymlink: false,
     agent: null,
+    grouping: "agent",
+    groupingRetries: null,
+    generator: "agent",
+    generationRetries: null,
+    verbose: false,
+    plan: null,
+    planOut: null,
+    regroup: false,
     shellConfig: true,
     subcommand: null,
     subcommandArg: null,
+    sessionTool: null,
     yes: false,
     fix: false,
   };
@@ -87,6 +104,41 @@ function parseArgs(args) {
       } else {
         args = args.slice(1);
       }
+    } else if (args[0] === "import") {
+      options.subcommand = "import";
+      if (args[1] && !args[1].startsWith("-")) {
+        options.subcommandArg = args[1];
+        args = args.slice(2);
+      } else {
+        args = args.slice(1);
+      }
+    } else if (args[0] === "apply") {
+      options.subcommand = "apply";
+      if (args[1] && !args[1].startsWith("-")) {
+        options.subcommandArg = args[1];
+        args = args.slice(2);
+      } else {
+        args = args.slice(1);
+      }
+    } else if (args[0] === "cache") {
+      options.subcommand = "cache";
+      if (args[1] && !args[1].startsWith("-")) {
+        options.subcommandArg = args[1];
+        args = args.slice(2);
+      } else {
+        args = args.slice(1);
+      }
+    } else if (args[0] === "session") {
+      options.subcommand = "session";
+      args = args.slice(1);
+      if (args[0] && !args[0].startsWith("-")) {
+        options.subcommandArg = args[0];
+        args = args.slice(1);
+      }
+      if (args[0] && !args[0].startsWith("-")) {
+        options.sessionTool = args[0];
+        args = args.slice(1);
+      }
     }
   }
 
@@ -107,6 +159,8 @@ function parseArgs(args) {
       }
     } else if (arg === "--dry-run") {
       options.dryRun = true;
+    } else if (arg === "--verbose" || arg === "-v") {
+      options.verbose = true;
     } else if (arg === "--quiet" || arg === "-q") {
       options.quiet = true;
     } else if (arg === "--force" || arg === "-f") {
@@ -133,11 +187,64 @@ function parseArgs(args) {
       options.uvx = true;
     } else if (arg === "--pip") {
       options.pip = true;
+    } else if (arg === "--runner") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.runner = val;
+      }
     } else if (arg === "--command") {
       const val = args[++i];
       if (val && !val.startsWith("-")) {
         options.command = val;
       }
+    } else if (arg === "--url") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.url = val;
+      }
+    } else if (arg === "--header") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.headers.push(val);
+      }
+    } else if (arg === "--env") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.env.push(val);
+      }
+    } else if (arg === "--env-file") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.envFile = val;
+      }
+    } else if (arg === "--backend") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.backend = val;
+      }
+    } else if (arg === "--session") {
+      options.session = true;
+    } else if (arg === "--select") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.select.push(...val.split(",").map((n) => n.trim()).filter(Boolean));
+      }
+    } else if (arg === "--only" || arg === "--exclude") {
+      // A following flag is left to be parsed, so "--only --force" keeps --force
+      const val = args[i + 1];
+      if (val && !val.startsWith("-")) {
+        i++;
+        const key = arg.slice(2);
+        options[key] = [...(options[key] || []), ...parseGlobList([val])];
+      }
+    } else if (arg === "--clear-filter") {
+      options.clearFilter = true;
+    } else if (arg === "--prune") {
+      options.prune = true;
+    } else if (arg === "--refresh-discovery") {
+      options.refreshDiscovery = true;
+    } else if (arg === "--debug-discovery") {
+      options.debugDiscovery = true;
     } else if (arg === "--symlink") {
       options.symlink = true;
     } else if (arg === "--no-symlink") {
@@ -154,6 +261,38 @@ function parseArgs(args) {
       if (val && !val.startsWith("-")) {
         options.agent = val;
       }
+    } else if (arg === "--grouping") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.grouping = val;
+      }
+    } else if (arg === "--generator") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.generator = val;
+      }
+    } else if (arg === "--generation-retries") {
+      const val = args[++i];
+      if (val !== undefined) {
+        options.generationRetries = /^\d+$/.test(val) ? Number(val) : NaN;
+      }
+    } else if (arg === "--grouping-retries") {
+      const val = args[++i];
+      if (val !== undefined) {
+        options.groupingRetries = /^\d+$/.test(val) ? Number(val) : NaN;
+      }
+    } else if (arg === "--regroup") {
+      options.regroup = true;
+    } else if (arg === "--plan") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.plan = val;
+      }
+    } else if (arg === "--plan-out") {
+      const val = args[++i];
+      if (val && !val.startsWith("-")) {
+        options.planOut = val;
+      }
     } else if (arg === "--shell-config") {
       options.shellConfig = true;
     } else if (arg === "--no-shell-config") {
@@ -178,16 +317,33 @@ function showHelp() {
        mcp2cli list [--fix]
        mcp2cli remove <name> [options]
        mcp2cli refresh [name] [options]
+       mcp2cli import <config-file> [--select a,b] [options]
+       mcp2cli apply <servers-file> [--prune] [options]
+       mcp2cli cache clear
+       mcp2cli session start|stop|status [name]
 
 Convert an MCP server into standalone CLI tools for AI agents.
-Powered by mcporter. Optimized for Pi agent.
+Built-in MCP client (mcporter optional for discovery). Optimized for Pi agent.
 
 Commands:
   list                 List all installed tools
   list --fix           List and fix missing symlinks/registrations
   remove <name>        Remove an installed tool (prompts for confirmation)
-  refresh              Refresh symlinks and registrations for all tools
-  refresh <name>       Refresh symlinks and registration for a specific tool
+  refresh              Refresh symlinks, registrations and wrapper runtimes for all tools
+  refresh <name>       Refresh symlinks, registration and runtime for a specific tool
+  import <file>        Convert every server in an MCP client config
+                       (claude_desktop_config.json, .mcp.json, Cursor mcp.json)
+  import <file> --select a,b
+                       Only convert the named servers
+  apply <file>         Install/update every server listed in a servers file
+  apply <file> --prune Also remove tools previously applied from that file
+                       but no longer listed
+  cache clear          Delete cached discovery results (~/.mcp2cli/cache)
+  session start <name> Start a background session: wrappers share one server
+                       process (state is kept between calls, no cold starts)
+  session stop <name>  Stop a tool's session
+  session status [name]
+                       Show the running session(s)
 
 Arguments:
   mcp-package          Package name (npm or Python)
@@ -197,6 +353,7 @@ Options:
   --output <path>      Output directory path (default: ~/agent-tools/<name>)
   --dry-run            Preview generated files without writing
   --quiet, -q          Suppress progress output
+  --verbose, -v        Show extra detail (e.g. rejected grouping attempts)
   --force, -f          Overwrite existing directory
   --yes, -y            Skip confirmation prompts (for remove)
   --help, -h           Show this help message
@@ -204,12 +361,64 @@ Options:
 Python/Runner:
   --uvx                Use uvx runner (Python packages, no install needed)
   --pip                Use pip runner (requires: pip install <package>)
+  --runner <name>      Use a named runner: npx, uvx, pip, bunx, pnpm, deno,
+                       docker (image name as package), or one from config
   --command <cmd>      Use explicit command (docker, custom paths, etc.)
 
+MCP Client:
+  --backend <name>     Discovery backend: builtin (default) or mcporter
+  --session            Wrappers start a session on the first call and reuse it
+                       (for stateful servers; exits after MCP2CLI_SESSION_IDLE
+                       seconds without calls, default 600)
+  --refresh-discovery  Ignore cached discovery results and re-discover
+  --debug-discovery    Save the full discovery log (server stderr, exit codes)
+                       to ~/.mcp2cli/logs
+
+Tool Filter:
+  --only <glob>        Only wrap tools matching the glob (can repeat, comma-separated)
+  --exclude <glob>     Skip tools matching the glob (can repeat, comma-separated)
+                       Recorded in the manifest and reused by later --force runs
+  --clear-filter       Wrap all tools, ignoring the recorded filter and the
+                       server's "servers" entry in the config file
+
+Remote Servers:
+  --url <endpoint>     Use a remote MCP server (Streamable HTTP, or legacy SSE
+                       when the server rejects the POST)
+  --header <K:V>       Request header for the remote server (can repeat)
+                       Use '\${VAR}' in values to read tokens from the tool's .env;
+                       literal values are moved to the .env as well
+
+Environment:
+  --env <KEY=VALUE>    Env var for the MCP server (can repeat; bare KEY copies
+                       the current value). Saved to ~/agent-tools/<name>/.env
+  --env-file <path>    Load env vars from a dotenv file
+
 AI Agent:
   --agent <name>       Force AI agent for code generation (pi, claude, codex)
                        Default: auto-detect (pi -> claude -> codex)
                        Note: --preset codex implies --agent codex
+  --generator <mode>   How wrapper code is written:
+                       agent (default; schema templates without an agent)
+                       template (from the tools' JSON schema, no AI even when
+                       an agent is installed)
+  --generation-retries <n>
+                       Times the agent may fix a wrapper that fails node --check
+                       or --help before a schema template is used (default: 2,
+                       or "generationRetries" in the config file)
+
+Grouping:
+  --grouping <mode>    How tools are grouped into wrappers:
+                       agent (default; one wrapper per tool without an agent)
+                       heuristic (deterministic, by name noun/verb and params)
+                       hierarchical (one wrapper per category, a subcommand per
+                       tool; for servers with hundreds of tools)
+  --grouping-retries <n>
+                       Times the agent may correct a rejected grouping (default: 2,
+                       or "groupingRetries" in the config file)
+  --plan-out <file>    Write the grouping plan (JSON) to a file (also with --dry-run)
+  --plan <file>        Use an edited grouping plan instead of grouping again
+  --regroup            With --force, group all tools again instead of keeping
+                       the wrappers recorded in the manifest
 
 Registration (default: first existing preset in pi -> claude -> codex -> gemini):
   --register           Auto-register in config files (default: on)
@@ -231,11 +440,22 @@ Examples:
   mcp2cli chrome-devtools-mcp                      # npm package
   mcp2cli mcp-server-fetch --uvx                   # Python via uvx
   mcp2cli mcp-server-fetch --pip                   # Python via pip
+  mcp2cli chrome-devtools-mcp --runner bunx        # npm via bunx
+  mcp2cli mcp/fetch --runner docker                # docker run -i --rm mcp/fetch
+  mcp2cli chrome-devtools-mcp --session            # keep the browser between calls
+  mcp2cli chrome-devtools-mcp --dry-run --plan-out plan.json
+  mcp2cli chrome-devtools-mcp --plan plan.json     # after editing plan.json
+  mcp2cli chrome-devtools-mcp --grouping heuristic --generator template   # no AI
   mcp2cli --command "docker run -i --rm mcp/fetch" fetch
+  mcp2cli --url https://mcp.example.com/mcp --header 'Authorization:Bearer \${TOKEN}' --env TOKEN
+  mcp2cli @modelcontextprotocol/server-github --env GITHUB_TOKEN
   mcp2cli chrome-devtools-mcp --preset claude --local
+  mcp2cli import ~/.cursor/mcp.json --select github,linear --dry-run
+  mcp2cli apply tools.json --prune
   mcp2cli @org/mcp@latest --output ./tools --no-register
 
-Note: Without --uvx or --pip, tries npm first then auto-falls back to uvx.
+Note: Without --uvx, --pip or --runner, tries npm first then auto-falls back to uvx
+(change the order with "runnerFallback" in the config file).
 
 Config: ${getConfigPath()}
 
@@ -347,6 +567,12 @@ async function handleRemove(options) {
     }
   }
 
+  // A running session would keep the server alive after its files are gone
+  if (!options.dryRun) {
+    const { stopSession } = await import("../lib/session.js");
+    await stopSession(toolPath);
+  }
+
   const result = removeTool(name, { dryRun: options.dryRun, quiet: options.quiet });
   if (!result.success) {
     console.error(`Error: ${result.error}`);
@@ -375,6 +601,7 @@ async function handleRefresh(options) {
       console.log(`Refreshing ${name}...\n`);
     }
     const result = refreshTool(name, { dryRun, quiet: options.quiet });
+    await restartSessionIfStale(result, dryRun);
     printRefreshResult(name, result, dryRun);
   } else {
     if (dryRun) {
@@ -386,17 +613,21 @@ async function handleRefresh(options) {
     let totalCreated = 0;
     let totalUpdated = 0;
     let totalAdded = 0;
+    let totalRuntimes = 0;
 
     for (const r of results) {
       if (r.success) {
+        await restartSessionIfStale(r, dryRun);
         printRefreshResult(r.name, r, dryRun);
         totalCreated += r.symlinks.created;
         if (r.registrationAction === "updated") totalUpdated++;
         if (r.registrationAction === "added") totalAdded++;
+        if (r.runtime === "updated") totalRuntimes++;
       }
     }
 
     const parts = [];
+    if (totalRuntimes > 0) parts.push(`${totalRuntimes} runtimes ${dryRun ? "to update" : "updated"}`);
     if (totalCreated > 0) parts.push(`${totalCreated} symlinks ${dryRun ? "to create" : "created"}`);
     if (totalUpdated > 0) parts.push(`${totalUpdated} registrations ${dryRun ? "to update" : "updated"}`);
     if (totalAdded > 0) parts.push(`${totalAdded} registrations ${dryRun ? "to add" : "added"}`);
@@ -409,6 +640,252 @@ async function handleRefresh(options) {
   }
 }
 
+/**
+ * Stop a session still running the previous runtime after a refresh
+ * The next wrapper call (or `mcp2cli session start`) starts it on the new runtime
+ * @param {object} result - refreshTool() result
+ * @param {boolean} dryRun - Whether this is a dry run
+ */
+async function restartSessionIfStale(result, dryRun) {
+  if (!result.success || result.runtime !== "updated" || dryRun) return;
+  const { stopSession } = await import("../lib/session.js");
+  result.sessionStopped = await stopSession(result.path);
+}
+
+async function handleImport(options) {
+  const { readMcpConfig, selectServers, toConversionSpec } = await import("../lib/import.js");
+  const configPath = options.subcommandArg;
+
+  if (!configPath) {
+    console.error("Error: Missing config file. Usage: mcp2cli import <config-file> [--select a,b]");
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  let servers;
+  try {
+    servers = selectServers(readMcpConfig(configPath), options.select);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  if (servers.length === 0) {
+    console.log(`No servers to import from ${configPath}`);
+    return;
+  }
+
+  const entries = servers.map((server) => {
+    try {
+      return { name: server.name, spec: toConversionSpec(server) };
+    } catch (error) {
+      return { name: server.name, error };
+    }
+  });
+
+  const agentType = checkDependencies(options);
+
+  const imported = [];
+  const failed = [];
+  for (let i = 0; i < entries.length; i++) {
+    const { name, spec, error } = entries[i];
+    console.log(`\n=== ${name} (${i + 1}/${entries.length}) ===`);
+
+    if (error) {
+      console.error(`Error: ${error.message}`);
+      failed.push(name);
+      continue;
+    }
+    if (spec.missingEnv.length > 0) {
+      console.warn(`      Warning: ${spec.missingEnv.join(", ")} not set in this shell; edit the tool's .env after import`);
+    }
+
+    try {
+      // With --dry-run each server is still discovered and grouped, nothing is written
+      const result = await convertServer(
+        { ...options, package: spec.package, name: null, output: null, plan: null, planOut: null, command: spec.command, url: spec.url },
+        { agentType, headers: spec.headers, env: spec.env }
+      );
+      imported.push(
+        options.dryRun
+          ? `${name} -> ${result.outputDir}: ${result.wrappers.map((w) => w.filename).join(", ")}`
+          : `${name}: ${result.wrappers.length} wrapper scripts in ${result.outputDir}`
+      );
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      failed.push(name);
+    }
+  }
+
+  console.log(`\n${options.dryRun ? "DRY RUN: Would import" : "Imported"} ${imported.length} of ${entries.length} server(s) from ${configPath}`);
+  for (const line of imported) {
+    console.log(`  ✓ ${line}`);
+  }
+  if (failed.length > 0) {
+    console.error(`  ✗ Failed: ${failed.join(", ")}`);
+    process.exit(EXIT_ERROR);
+  }
+}
+
+async function handleApply(options) {
+  const { readServersFile, planApply, formatApplySummary } = await import("../lib/apply.js");
+  const { removeTool } = await import("../lib/management.js");
+  const { resolve } = await import("path");
+  const filePath = options.subcommandArg;
+
+  if (!filePath) {
+    console.error("Error: Missing servers file. Usage: mcp2cli apply <servers-file> [--prune]");
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  let plan;
+  try {
+    plan = planApply(readServersFile(filePath), filePath, { prune: options.prune, force: options.force });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  const describe = (step) =>
+    step.entry ? step.entry.url || step.entry.command || step.entry.package : "no longer listed";
+
+  if (options.dryRun) {
+    console.log(`DRY RUN: Would apply ${filePath}:\n`);
+    console.log(formatApplySummary(plan.map((step) => ({ name: step.name, action: step.action, status: "-", detail: describe(step) }))));
+    return;
+  }
+
+  const pending = plan.filter((step) => step.action === "install" || step.action === "update");
+  const agentType = pending.length > 0 ? checkDependencies(options) : null;
+
+  const rows = [];
+  for (const step of plan) {
+    const row = { name: step.name, action: step.action, status: "ok", detail: "" };
+    rows.push(row);
+
+    if (step.action === "unchanged") {
+      row.detail = "up to date";
+      continue;
+    }
+
+    if (step.action === "prune") {
+      console.log(`\n=== ${step.name} (prune) ===`);
+      const result = removeTool(step.name, { quiet: options.quiet });
+      row.status = result.success ? "ok" : "failed";
+      row.detail = result.success ? "removed" : result.error;
+      continue;
+    }
+
+    console.log(`\n=== ${step.name} (${step.action}) ===`);
+    const { entry } = step;
+    const { env, missing } = resolveEnvValues(entry.env);
+    if (missing.length > 0) {
+      console.warn(`      Warning: ${missing.join(", ")} not set in this shell; edit the tool's .env after apply`);
+    }
+
+    try {
+      const result = await convertServer(
+        {
+          ...options,
+          package: entry.package || entry.name,
+          name: entry.name,
+          output: null,
+          plan: null,
+          planOut: null,
+          command: entry.command,
+          url: entry.url,
+          uvx: false,
+          pip: false,
+          runner: entry.runner,
+          presets: entry.presets ?? options.presets,
+          session: entry.session ?? options.session,
+          only: entry.only,
+          exclude: entry.exclude,
+          force: step.action === "update",
+        },
+        { agentType, headers: entry.headers, env, metadata: { apply: { file: resolve(filePath), hash: step.hash } } }
+      );
+      row.detail = `${result.wrappers.length} wrapper scripts`;
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      row.status = "failed";
+      row.detail = error.message.split("\n")[0];
+    }
+  }
+
+  console.log(`\n${formatApplySummary(rows)}`);
+  if (rows.some((row) => row.status === "failed")) {
+    process.exit(EXIT_ERROR);
+  }
+}
+
+async function handleCache(options) {
+  const { clearDiscoveryCache, CACHE_DIR } = await import("../lib/cache.js");
+
+  if (options.subcommandArg !== "clear") {
+    console.error("Error: Unknown cache command. Usage: mcp2cli cache clear");
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  const removed = clearDiscoveryCache();
+  console.log(`Removed ${removed} cached discover${removed === 1 ? "y" : "ies"} from ${CACHE_DIR}`);
+}
+
+async function handleSession(options) {
+  const { startSession, stopSession, getSessionStatus } = await import("../lib/session.js");
+  const { listInstalledTools } = await import("../lib/management.js");
+  const { existsSync, statSync } = await import("fs");
+  const { join } = await import("path");
+  const { homedir } = await import("os");
+  const action = options.subcommandArg;
+  const name = options.sessionTool;
+
+  if (!["start", "stop", "status"].includes(action)) {
+    console.error("Error: Unknown session command. Usage: mcp2cli session start|stop|status [name]");
+    process.exit(EXIT_INVALID_ARGS);
+  }
+  if (!name && action !== "status") {
+    console.error(`Error: Missing tool name. Usage: mcp2cli session ${action} <name>`);
+    process.exit(EXIT_INVALID_ARGS);
+  }
+
+  const formatStatus = (toolName, status) =>
+    `${toolName}: running (pid ${status.pid}, since ${status.startedAt}, ${status.calls} call${status.calls === 1 ? "" : "s"}, idle timeout ${status.idleTimeout}s)`;
+
+  if (!name) {
+    let running = 0;
+    for (const tool of listInstalledTools()) {
+      const status = await getSessionStatus(tool.path).catch(() => null);
+      if (status) {
+        console.log(formatStatus(tool.name, status));
+        running++;
+      }
+    }
+    if (running === 0) console.log("No sessions running.");
+    return;
+  }
+
+  const toolPath = join(homedir(), "agent-tools", name);
+  if (name === "bin" || !existsSync(toolPath) || !statSync(toolPath).isDirectory()) {
+    console.error(`Error: Tool "${name}" not found`);
+    process.exit(EXIT_ERROR);
+  }
+
+  try {
+    if (action === "start") {
+      const { status, started } = await startSession(toolPath);
+      console.log(started ? formatStatus(name, status).replace(": running", ": started") : formatStatus(name, status));
+    } else if (action === "stop") {
+      console.log(await stopSession(toolPath) ? `${name}: session stopped` : `${name}: no session running`);
+    } else {
+      const status = await getSessionStatus(toolPath);
+      console.log(status ? formatStatus(name, status) : `${name}: no session running`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_ERROR);
+  }
+}
+
 function printRefreshResult(name, result, dryRun) {
   const symPart = result.symlinks.created > 0
     ? `${result.symlinks.created} symlink${result.symlinks.created > 1 ? "s" : ""} ${dryRun ? "to create" : "created"}`
@@ -427,7 +904,65 @@ function printRefreshResult(name, result, dryRun) {
     regPart = "registration unchanged";
   }
 
-  console.log(`${name}: ${symPart}, ${regPart}`);
+  const runtimePart = result.runtime === "updated"
+    ? `, runtime ${dryRun ? "would be updated" : "updated"}${result.sessionStopped ? " (session stopped)" : ""}`
+    : "";
+  console.log(`${name}: ${symPart}, ${regPart}${runtimePart}`);
+}
+
+/**
+ * Check mcporter and pick the AI agent used for grouping and generation
+ * Exits the process when a required dependency is missing
+ * @param {object} options - Parsed CLI options
+ * @returns {string|null} - Agent type, or null for fallback mode
+ */
+function checkDependencies(options) {
+  const { quiet } = options;
+
+  if (!quiet) console.log("\n[1/6] Checking dependencies...");
+
+  // mcporter is only required for the mcporter discovery backend; wrappers talk to the server themselves
+  if (options.backend === "mcporter" && !options.url) {
+    if (!checkMcporter()) {
+      console.error("Error: mcporter is not available.");
+      console.error("Install with: npm install -g mcporter");
+      process.exit(EXIT_ERROR);
+    }
+    if (!quiet) console.log("      mcporter: ✓");
+  }
+
+  let agentType;
+  const validAgents = ["pi", "claude", "codex"];
+  const agentCheckers = { pi: checkPi, claude: checkClaude, codex: checkCodex };
+
+  // Determine requested agent: explicit --agent flag, or infer from --preset
+  let requestedAgent = options.agent;
+  if (!requestedAgent && options.presets.includes("codex")) {
+    requestedAgent = "codex";
+  }
+
+  if (requestedAgent) {
+    if (!validAgents.includes(requestedAgent)) {
+      console.error(`Error: Unknown agent '${requestedAgent}'. Valid: ${validAgents.join(", ")}`);
+      process.exit(EXIT_INVALID_ARGS);
+    }
+    if (!agentCheckers[requestedAgent]()) {
+      console.error(`Error: Requested agent '${requestedAgent}' is not available`);
+      process.exit(EXIT_ERROR);
+    }
+    agentType = requestedAgent;
+    const source = options.agent ? "forced" : "from --preset codex";
+    if (!quiet) console.log(`      ${agentType}: ✓ (${source})`);
+  } else {
+    agentType = checkPi() ? "pi" : checkClaude() ? "claude" : checkCodex() ? "codex" : null;
+    if (!agentType) {
+      console.warn("      Warning: No AI agent (pi/claude/codex) available, using fallback");
+    } else if (!quiet) {
+      console.log(`      ${agentType}: ✓`);
+    }
+  }
+
+  return agentType;
 }
 
 /**
@@ -484,9 +1019,29 @@ async function main() {
     process.exit(EXIT_SUCCESS);
   }
 
+  if (options.subcommand === "import") {
+    await handleImport(options);
+    process.exit(EXIT_SUCCESS);
+  }
+
+  if (options.subcommand === "apply") {
+    await handleApply(options);
+    process.exit(EXIT_SUCCESS);
+  }
+
+  if (options.subcommand === "cache") {
+    await handleCache(options);
+    process.exit(EXIT_SUCCESS);
+  }
+
+  if (options.subcommand === "session") {
+    await handleSession(options);
+    process.exit(EXIT_SUCCESS);
+  }
+
   // Validate required arguments
-  // With --command, package can be omitted (derive name from command)
-  if (!options.package && !options.command) {
+  // With --command or --url, package can be omitted (derive name from it)
+  if (!options.package && !options.command && !options.url) {
     console.error("Error: Missing required argument: mcp-package");
     console.error("Run 'mcp2cli --help' for usage information.");
     process.exit(EXIT_INVALID_ARGS);
@@ -502,314 +1057,95 @@ async function main() {
     options.package = lastPart.includes("/") ? lastPart.split("/").pop() : lastPart;
   }
 
-  const { quiet } = options;
-
-  // Check dependencies
-  if (!quiet) console.log("\n[1/6] Checking dependencies...");
-
-  if (!checkMcporter()) {
-    console.error("Error: mcporter is not available.");
-    console.error("Install with: npm install -g mcporter");
-    process.exit(EXIT_ERROR);
-  }
-  if (!quiet) console.log("      mcporter: ✓");
-
-  let agentType;
-  const validAgents = ["pi", "claude", "codex"];
-  const agentCheckers = { pi: checkPi, claude: checkClaude, codex: checkCodex };
-
-  // Determine requested agent: explicit --agent flag, or infer from --preset
-  let requestedAgent = options.agent;
-  if (!requestedAgent && options.presets.includes("codex")) {
-    requestedAgent = "codex";
-  }
-
-  if (requestedAgent) {
-    if (!validAgents.includes(requestedAgent)) {
-      console.error(`Error: Unknown agent '${requestedAgent}'. Valid: ${validAgents.join(", ")}`);
+  let headers = {};
+  if (options.url) {
+    try {
+      new URL(options.url);
+      headers = parseHeaderArgs(options.headers);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
       process.exit(EXIT_INVALID_ARGS);
     }
-    if (!agentCheckers[requestedAgent]()) {
-      console.error(`Error: Requested agent '${requestedAgent}' is not available`);
-      process.exit(EXIT_ERROR);
-    }
-    agentType = requestedAgent;
-    const source = options.agent ? "forced" : "from --preset codex";
-    if (!quiet) console.log(`      ${agentType}: ✓ (${source})`);
-  } else {
-    agentType = checkPi() ? "pi" : checkClaude() ? "claude" : checkCodex() ? "codex" : null;
-    if (!agentType) {
-      console.warn("      Warning: No AI agent (pi/claude/codex) available, using fallback");
-    } else if (!quiet) {
-      console.log(`      ${agentType}: ✓`);
+    if (!options.package) {
+      options.package = options.name || deriveServerNameFromUrl(options.url);
     }
   }
 
-  // Derive names
-  const dirName = options.name || deriveDirName(options.package);
-  const outputDir = options.output || `~/agent-tools/${dirName}`;
-
-  if (!quiet) {
-    console.log(`      Output: ${outputDir}`);
+  if (!DISCOVERY_BACKENDS.includes(options.backend)) {
+    console.error(`Error: Unknown backend '${options.backend}'. Valid: ${DISCOVERY_BACKENDS.join(", ")}`);
+    process.exit(EXIT_INVALID_ARGS);
   }
 
-  // Check if output exists
-  if (outputExists(outputDir) && !options.force && !options.dryRun) {
-    console.error(`Error: Output directory exists: ${outputDir}`);
-    console.error("Use --force to overwrite or --dry-run to preview.");
-    process.exit(EXIT_OUTPUT_FAILED);
+  if (!GROUPING_MODES.includes(options.grouping)) {
+    console.error(`Error: Unknown grouping mode '${options.grouping}'. Valid: ${GROUPING_MODES.join(", ")}`);
+    process.exit(EXIT_INVALID_ARGS);
   }
 
-  // Phase 1: Discovery
-  if (!quiet) console.log("\n[2/6] Discovering MCP tools...");
-
-  let discovery;
-  try {
-    discovery = await discoverTools(options.package, {
-      quiet,
-      uvx: options.uvx,
-      pip: options.pip,
-      command: options.command,
-    });
-    if (!quiet) {
-      console.log(`      Found ${discovery.tools.length} tools (via ${discovery.runner})`);
-    }
-  } catch (error) {
-    console.error(`Error: Discovery failed - ${error.message}`);
-    process.exit(EXIT_DISCOVERY_FAILED);
+  if (!GENERATOR_MODES.includes(options.generator)) {
+    console.error(`Error: Unknown generator '${options.generator}'. Valid: ${GENERATOR_MODES.join(", ")}`);
+    process.exit(EXIT_INVALID_ARGS);
   }
 
-  // Phase 2: Grouping
-  if (!quiet) console.log("\n[3/6] Analyzing tool groupings...");
-
-  let groups;
-  try {
-    if (agentType) {
-      groups = await groupTools(discovery.serverName, discovery.tools, { quiet, agentType });
-    } else {
-      groups = fallbackGrouping(discovery.serverName, discovery.tools);
-      if (!quiet) {
-        console.log(`      Created ${groups.length} groups (fallback mode)`);
-      }
-    }
-  } catch (error) {
-    console.error(`Error: Grouping failed - ${error.message}`);
-    // Try fallback
-    console.error("      Falling back to 1:1 mapping...");
-    groups = fallbackGrouping(discovery.serverName, discovery.tools);
+  if (Number.isNaN(options.groupingRetries)) {
+    console.error("Error: --grouping-retries expects a non-negative integer");
+    process.exit(EXIT_INVALID_ARGS);
   }
 
-  // Phase 3: Generate wrappers
-  if (!quiet) console.log("\n[4/6] Generating wrapper scripts...");
-
-  const files = {};
+  if (Number.isNaN(options.generationRetries)) {
+    console.error("Error: --generation-retries expects a non-negative integer");
+    process.exit(EXIT_INVALID_ARGS);
+  }
 
-  try {
-    // Generate each wrapper
-    for (let i = 0; i < groups.length; i++) {
-      const group = groups[i];
-      if (!quiet) {
-        console.log(`      [${i + 1}/${groups.length}] ${group.filename}`);
-      }
-
-      if (agentType) {
-        const code = await generateWrapper(
-          group,
-          discovery.tools,
-          discovery.serverName,
-          discovery.mcpCommand,
-          { quiet, agentType }
-        );
-        files[group.filename] = code;
-      } else {
-        // Fallback: generate basic wrapper without AI agent
-        files[group.filename] = generateFallbackWrapper(
-          group,
-          discovery.tools,
-          discovery.serverName,
-          discovery.mcpCommand
-        );
-      }
+  if (options.plan) {
+    if (options.grouping !== "agent") {
+      console.error("Error: --plan cannot be combined with --grouping");
+      process.exit(EXIT_INVALID_ARGS);
     }
-
-    // Generate supporting files
-    if (!quiet) console.log("      Generating supporting files...");
-
-    files["package.json"] = generatePackageJson(
-      dirName,
-      `${discovery.serverName} automation`
-    );
-
-    // Generate README (uses AI agent if available)
-    if (agentType) {
-      files["README.md"] = await generateReadme(dirName, groups, discovery.tools, { quiet, agentType });
-    } else {
-      files["README.md"] = generateBasicReadme(dirName, groups);
+    if (!existsSync(options.plan)) {
+      console.error(`Error: Plan file not found: ${options.plan}`);
+      process.exit(EXIT_INVALID_ARGS);
     }
+  }
 
-    // Validate parameter coverage
-    if (!quiet) console.log("      Validating parameter coverage...");
-    const allWarnings = [];
-    for (const group of groups) {
-      const groupTools = discovery.tools.filter((t) => group.mcp_tools.includes(t.name));
-      const { warnings } = validateParameterCoverage(files[group.filename], groupTools, group.filename);
-      allWarnings.push(...warnings);
+  if (options.runner) {
+    if (options.command || options.url) {
+      console.error("Error: --runner cannot be combined with --command or --url");
+      process.exit(EXIT_INVALID_ARGS);
     }
-
-    if (allWarnings.length > 0) {
-      console.warn("\n      Parameter coverage warnings:");
-      for (const warning of allWarnings) {
-        console.warn(`        - ${warning}`);
-      }
-      if (process.env.MCP2CLI_STRICT_PARAMS === "true") {
-        throw new Error("Parameter coverage check failed. Set MCP2CLI_STRICT_PARAMS=false to allow.");
-      }
+    const runnerNames = getRunnerNames(getRunners(loadConfig()));
+    if (!runnerNames.includes(options.runner)) {
+      console.error(`Error: Unknown runner '${options.runner}'. Valid: ${runnerNames.join(", ")}`);
+      process.exit(EXIT_INVALID_ARGS);
     }
-  } catch (error) {
-    console.error(`Error: Generation failed - ${error.message}`);
-    process.exit(EXIT_GENERATION_FAILED);
   }
 
-  // Phase 4: Write output
-  if (!quiet) console.log("\n[5/6] Writing output files...");
-
+  let env = {};
   try {
-    writeOutput(outputDir, files, {
-      dryRun: options.dryRun,
-      force: options.force,
-      quiet,
-      packageName: dirName,
-    });
-  } catch (error) {
-    console.error(`Error: Failed to write output - ${error.message}`);
-    process.exit(EXIT_OUTPUT_FAILED);
-  }
-
-  // Load config for remaining phases
-  let registeredPaths = [];
-  let symlinkDir = null;
-  let shellConfigResult = null;
-
-  if (!options.dryRun) {
-    const config = loadConfig();
-    const effectiveConfig = mergeWithCli(config, options);
-
-    // Phase 5.5: Create symlinks
-    if (effectiveConfig.symlink) {
-      if (!quiet) console.log("\n[5.5/6] Creating symlinks...");
-      symlinkDir = effectiveConfig.symlinkDir || getDefaultSymlinkDir();
-      createSymlinks(outputDir, files, symlinkDir, {
-        force: effectiveConfig.forceSymlink,
-        quiet,
-      });
-
-      // Auto-configure shell PATH if symlinks were created
-      if (options.shellConfig) {
-        shellConfigResult = ensurePathConfigured();
-        if (shellConfigResult.success && shellConfigResult.action === "added" && !quiet) {
-          console.log(`      Added PATH to ${shellConfigResult.configPath}`);
-        }
-      }
-    }
-
-    // Phase 6: Register
-    if (effectiveConfig.register) {
-      const paths = resolveAllPaths(effectiveConfig);
-      if (paths.length > 0) {
-        if (!quiet) console.log("\n[6/6] Registering tools...");
-        const agentsEntry = generateAgentsEntry(dirName, groups, discovery.description);
-        const results = registerToAll(paths, agentsEntry, dirName, { quiet });
-        registeredPaths = getSuccessfulPaths(results);
+    if (options.envFile) {
+      if (!existsSync(options.envFile)) {
+        throw new Error(`Env file not found: ${options.envFile}`);
       }
+      env = loadEnvFile(options.envFile);
     }
+    env = { ...env, ...parseEnvArgs(options.env) };
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_INVALID_ARGS);
   }
 
-  // Success
-  if (!options.dryRun) {
-    printSuccess(outputDir, groups.length, registeredPaths, symlinkDir, shellConfigResult);
-  }
-
-  process.exit(EXIT_SUCCESS);
-}
-
-/**
- * Generate a basic wrapper without Pi (fallback)
- * @param {object} group - Group object
- * @param {Array} tools - Full tool definitions
- * @param {string} serverName - Server name
- * @param {string} mcpCommand - MCP command
- * @returns {string} - Generated code
- */
-function generateFallbackWrapper(group, tools, serverName, mcpCommand) {
-  const tool = tools.find((t) => t.name === group.mcp_tools[0]);
-  const params = tool?.inputSchema?.properties || {};
-  const required = tool?.inputSchema?.required || [];
-
-  const paramDocs = Object.entries(params)
-    .map(([name, schema]) => {
-      const req = required.includes(name) ? " (required)" : "";
-      return `  --${name}${req}: ${schema.description || schema.type || "value"}`;
-    })
-    .join("\n");
-
-  return `#!/usr/bin/env node
-
-import { execSync } from "child_process";
-
-const args = process.argv.slice(2);
-
-if (args.length === 0 || args[0] === "--help") {
-  console.log("Usage: ${group.filename} [options]");
-  console.log("");
-  console.log("${group.description}");
-  console.log("");
-  console.log("Options:");
-  console.log("  --help: Show this help message");
-${paramDocs ? `  console.log(\`${paramDocs}\`);` : ""}
-  process.exit(0);
-}
-
-const MCP_CMD = "${mcpCommand}";
-const SERVER = "${serverName}";
-
-function callMcp(tool, params = {}) {
-  const paramStr = Object.entries(params)
-    .map(([k, v]) => \`\${k}:\${JSON.stringify(v)}\`)
-    .join(" ");
-
-  const cmd = \`npx mcporter call --stdio "\${MCP_CMD}" \${SERVER}.\${tool} \${paramStr}\`;
+  const agentType = checkDependencies(options);
 
   try {
-    return execSync(cmd, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"] });
-  } catch (error) {
-    throw new Error(error.stderr || error.message);
-  }
-}
-
-// Parse arguments
-const params = {};
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
-  if (arg.startsWith("--") && i + 1 < args.length) {
-    const key = arg.slice(2);
-    const value = args[++i];
-    // Try to parse as JSON, otherwise use as string
-    try {
-      params[key] = JSON.parse(value);
-    } catch {
-      params[key] = value;
+    const result = await convertServer(options, { agentType, headers, env });
+    if (!options.dryRun) {
+      printSuccess(result.outputDir, result.wrappers.length, result.registeredPaths, result.symlinkDir, result.shellConfigResult);
     }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(error.exitCode ?? EXIT_ERROR);
   }
-}
 
-try {
-  const result = callMcp("${tool?.name || group.mcp_tools[0]}", params);
-  console.log(result);
-} catch (error) {
-  console.error("Error:", error.message);
-  process.exit(1);
-}
-`;
+  process.exit(EXIT_SUCCESS);
 }
 
 // Run main
@@ -0,0 +1,65 @@
+/**
+ * Tool Annotations
+ * Reads MCP tool annotations (readOnlyHint, destructiveHint, idempotentHint)
+ * Only explicit hints count: unannotated tools are neither read-only nor destructive
+ */
+
+/**
+ * Classify a tool from its annotations
+ * @param {object} tool - MCP tool definition
+ * @returns {"read-only"|"destructive"|null}
+ */
+export function getToolSafety(tool) {
+  const annotations = tool?.annotations || {};
+  if (annotations.readOnlyHint === true) return "read-only";
+  if (annotations.destructiveHint === true) return "destructive";
+  return null;
+}
+
+/**
+ * Short annotation tags for prompts
+ * @param {object} tool - MCP tool definition
+ * @returns {string} - e.g. " [destructive, idempotent]" or ""
+ */
+export function annotationTags(tool) {
+  const safety = getToolSafety(tool);
+  const tags = [safety, tool?.annotations?.idempotentHint === true && safety !== "read-only" ? "idempotent" : null].filter(Boolean);
+  return tags.length > 0 ? ` [${tags.join(", ")}]` : "";
+}
+
+/**
+ * Names of the destructive tools wrapped by a group
+ * @param {object} group - Group object with mcp_tools
+ * @param {Array} tools - Full tool definitions
+ * @returns {string[]}
+ */
+export function getDestructiveTools(group, tools) {
+  return (group.mcp_tools || []).filter((name) => getToolSafety(tools.find((t) => t.name === name)) === "destructive");
+}
+
+/**
+ * Classify a wrapper: destructive if any wrapped tool is, read-only if all are
+ * @param {object} group - Group object with mcp_tools
+ * @param {Array} tools - Full tool definitions
+ * @returns {"read-only"|"destructive"|null}
+ */
+export function getGroupSafety(group, tools) {
+  const safeties = (group.mcp_tools || []).map((name) => getToolSafety(tools.find((t) => t.name === name)));
+  if (safeties.includes("destructive")) return "destructive";
+  if (safeties.length > 0 && safeties.every((s) => s === "read-only")) return "read-only";
+  return null;
+}
+
+/**
+ * Marker appended to a wrapper name in READMEs and AGENTS entries
+ * @param {string|null} safety - Group safety
+ * @param {object} options - Options
+ * @param {boolean} options.readOnly - Also mark read-only wrappers (default: true)
+ * @returns {string}
+ */
+export function safetyMarker(safety, options = {}) {
+  const { readOnly = true } = options;
+  if (safety === "destructive") return " (destructive, needs --confirm)";
+  if (safety === "read-only" && readOnly) return " (read-only)";
+  return "";
+}
@@ -0,0 +1,188 @@
+/**
+ * Declarative Batch Install
+ * Reads a servers file (e.g. tools.json) and plans which tools to install,
+ * update, keep or prune so a toolbox can be reproduced on any machine
+ */
+
+import { existsSync, readFileSync, readdirSync, statSync } from "fs";
+import { join, resolve } from "path";
+import { homedir } from "os";
+import { createHash } from "crypto";
+import { deriveDirName, deriveServerNameFromUrl } from "./discovery.js";
+import { getRunners, getRunnerNames } from "./runner.js";
+import { loadConfig } from "./config.js";
+import { readManifest } from "./output.js";
+
+const AGENT_TOOLS_DIR = join(homedir(), "agent-tools");
+
+const ENTRY_KEYS = ["package", "name", "runner", "command", "url", "headers", "env", "presets", "only", "exclude", "session"];
+
+/**
+ * Normalize and validate one servers-file entry
+ * @param {object} entry - Raw entry
+ * @param {string} label - Entry label for error messages
+ * @param {string[]} runnerNames - Valid runner names (bundled + config)
+ * @returns {object} - Normalized entry
+ */
+function normalizeEntry(entry, label, runnerNames) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`${label}: expected an object`);
+  }
+
+  const unknown = Object.keys(entry).filter((k) => !ENTRY_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`${label}: unknown key(s) ${unknown.join(", ")}`);
+  }
+
+  const sources = ["package", "command", "url"].filter((k) => entry[k]);
+  if (sources.length !== 1) {
+    throw new Error(`${label}: set exactly one of "package", "command" or "url"`);
+  }
+  if (entry.command && !entry.name) {
+    throw new Error(`${label}: "command" entries need a "name"`);
+  }
+  if (entry.runner && !entry.package) {
+    throw new Error(`${label}: "runner" only applies to "package" entries`);
+  }
+  if (entry.runner && !runnerNames.includes(entry.runner)) {
+    throw new Error(`${label}: unknown runner "${entry.runner}". Valid: ${runnerNames.join(", ")}`);
+  }
+  if (entry.url) {
+    new URL(entry.url);
+  }
+
+  const name = entry.name || (entry.url ? deriveServerNameFromUrl(entry.url) : deriveDirName(entry.package));
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name) || name === "bin") {
+    throw new Error(`${label}: invalid tool name "${name}"`);
+  }
+
+  return {
+    name,
+    package: entry.package || null,
+    runner: entry.runner || null,
+    command: entry.command || null,
+    url: entry.url || null,
+    headers: entry.headers || {},
+    env: entry.env || {},
+    presets: entry.presets || null,
+    only: entry.only || [],
+    exclude: entry.exclude || [],
+    // Only when set, so hashes of entries written before sessions existed stay the same
+    ...(entry.session !== undefined ? { session: entry.session } : {}),
+  };
+}
+
+/**
+ * Read a servers file
+ * Accepts { "servers": [ {...}, ... ] } or { "servers": { "<name>": {...} } }
+ * @param {string} filePath - Path to the servers file
+ * @returns {Array<object>} - Normalized entries
+ */
+export function readServersFile(filePath) {
+  if (!existsSync(filePath)) {
+    throw new Error(`Servers file not found: ${filePath}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+
+  const servers = data?.servers;
+  const runnerNames = getRunnerNames(getRunners(loadConfig()));
+  let entries;
+  if (Array.isArray(servers)) {
+    entries = servers.map((entry, i) => normalizeEntry(entry, `servers[${i}]`, runnerNames));
+  } else if (servers && typeof servers === "object") {
+    entries = Object.entries(servers).map(([name, entry]) => normalizeEntry({ name, ...entry }, `servers.${name}`, runnerNames));
+  } else {
+    throw new Error(`No "servers" list in ${filePath}`);
+  }
+
+  const seen = new Set();
+  for (const { name } of entries) {
+    if (seen.has(name)) {
+      throw new Error(`Duplicate tool name "${name}" in ${filePath}`);
+    }
+    seen.add(name);
+  }
+
+  return entries;
+}
+
+/**
+ * Hash an entry so later runs can tell whether it changed
+ * Env values are part of the hash but never stored
+ * @param {object} entry - Normalized entry
+ * @returns {string} - Hex digest
+ */
+export function hashEntry(entry) {
+  const stable = JSON.stringify(entry, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value
+  );
+  return createHash("sha256").update(stable).digest("hex").slice(0, 16);
+}
+
+/**
+ * Plan what apply will do
+ * Only tools previously installed from the same servers file are pruned
+ * @param {Array<object>} entries - Normalized entries
+ * @param {string} filePath - Servers file path (recorded in manifests)
+ * @param {object} options - Options
+ * @param {boolean} options.prune - Plan removal of tools no longer listed
+ * @param {boolean} options.force - Update every listed tool
+ * @param {string} options.toolsDir - Tools directory (default: ~/agent-tools)
+ * @returns {Array<{name: string, action: string, entry?: object, hash?: string}>}
+ */
+export function planApply(entries, filePath, options = {}) {
+  const { prune = false, force = false, toolsDir = AGENT_TOOLS_DIR } = options;
+  const file = resolve(filePath);
+
+  const plan = entries.map((entry) => {
+    const hash = hashEntry(entry);
+    const toolPath = join(toolsDir, entry.name);
+    if (!existsSync(toolPath)) {
+      return { name: entry.name, action: "install", entry, hash };
+    }
+    const manifest = readManifest(toolPath);
+    const unchanged = manifest?.apply?.file === file && manifest.apply.hash === hash;
+    return { name: entry.name, action: unchanged && !force ? "unchanged" : "update", entry, hash };
+  });
+
+  if (prune && existsSync(toolsDir)) {
+    const listed = new Set(entries.map((e) => e.name));
+    for (const name of readdirSync(toolsDir).sort()) {
+      if (name === "bin" || listed.has(name)) continue;
+      const toolPath = join(toolsDir, name);
+      try {
+        if (!statSync(toolPath).isDirectory()) continue;
+      } catch {
+        continue;
+      }
+      if (readManifest(toolPath)?.apply?.file === file) {
+        plan.push({ name, action: "prune" });
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Format the apply summary table
+ * @param {Array<{name: string, action: string, status: string, detail: string}>} rows - Result rows
+ * @returns {string}
+ */
+export function formatApplySummary(rows) {
+  const header = { name: "Server", action: "Action", status: "Status", detail: "Detail" };
+  const all = [header, ...rows];
+  const width = (key) => Math.max(...all.map((r) => r[key].length));
+  const [nameWidth, actionWidth, statusWidth] = [width("name"), width("action"), width("status")];
+  return all
+    .map((r) => `${r.name.padEnd(nameWidth)}  ${r.action.padEnd(actionWidth)}  ${r.status.padEnd(statusWidth)}  ${r.detail}`.trimEnd())
+    .join("\n");
+}
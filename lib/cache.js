@@ -0,0 +1,97 @@
+/**
+ * Discovery Cache
+ * Caches discovered tool schemas under ~/.mcp2cli/cache, keyed on the resolved
+ * MCP command plus the package version, so re-runs skip server startup
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+import { createHash } from "crypto";
+
+export const CACHE_DIR = join(homedir(), ".mcp2cli", "cache");
+
+const CACHE_VERSION = 1;
+
+/**
+ * Compute the cache key for a discovery
+ * @param {string} mcpCommand - Resolved MCP command (from buildMcpCommand)
+ * @param {string} version - Resolved package version
+ * @returns {string} - Hex digest
+ */
+export function getCacheKey(mcpCommand, version) {
+  return createHash("sha256").update(`${mcpCommand}\n${version}`).digest("hex").slice(0, 32);
+}
+
+/**
+ * Read a cached discovery result
+ * @param {string} mcpCommand - Resolved MCP command
+ * @param {string} version - Resolved package version
+ * @param {string} cacheDir - Cache directory (default: ~/.mcp2cli/cache)
+ * @returns {object|null} - Cached entry or null on miss
+ */
+export function readDiscoveryCache(mcpCommand, version, cacheDir = CACHE_DIR) {
+  const file = join(cacheDir, `${getCacheKey(mcpCommand, version)}.json`);
+  if (!existsSync(file)) {
+    return null;
+  }
+  try {
+    const entry = JSON.parse(readFileSync(file, "utf-8"));
+    if (entry.cacheVersion !== CACHE_VERSION || entry.command !== mcpCommand || entry.version !== version) {
+      return null;
+    }
+    return Array.isArray(entry.tools) ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a discovery result to the cache
+ * Failures are ignored (the cache is an optimization)
+ * @param {string} mcpCommand - Resolved MCP command
+ * @param {string} version - Resolved package version
+ * @param {object} data - { tools, resources, resourceTemplates, prompts, description }
+ * @param {string} cacheDir - Cache directory (default: ~/.mcp2cli/cache)
+ * @returns {boolean} - Whether the entry was written
+ */
+export function writeDiscoveryCache(mcpCommand, version, data, cacheDir = CACHE_DIR) {
+  const { tools, resources = [], resourceTemplates = [], prompts = [], description } = data;
+  try {
+    mkdirSync(cacheDir, { recursive: true });
+    const entry = {
+      cacheVersion: CACHE_VERSION,
+      command: mcpCommand,
+      version,
+      cachedAt: new Date().toISOString(),
+      description,
+      tools,
+      resources,
+      resourceTemplates,
+      prompts,
+    };
+    writeFileSync(join(cacheDir, `${getCacheKey(mcpCommand, version)}.json`), JSON.stringify(entry, null, 2), "utf-8");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove all cached discovery results
+ * @param {string} cacheDir - Cache directory (default: ~/.mcp2cli/cache)
+ * @returns {number} - Number of entries removed
+ */
+export function clearDiscoveryCache(cacheDir = CACHE_DIR) {
+  if (!existsSync(cacheDir)) {
+    return 0;
+  }
+  let removed = 0;
+  for (const file of readdirSync(cacheDir)) {
+    if (file.endsWith(".json")) {
+      unlinkSync(join(cacheDir, file));
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,180 @@
+/**
+ * Discovery Diagnostics
+ * Classifies failed discovery attempts (server/mcporter stderr + exit status)
+ * into actionable causes and writes the full log for --debug-discovery
+ */
+
+import { mkdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+
+export const LOG_DIR = join(homedir(), ".mcp2cli", "logs");
+
+/**
+ * Failure kinds with the label shown to users
+ */
+export const FAILURE_KINDS = {
+  "not-found": "package not found",
+  auth: "authentication or environment variable missing",
+  protocol: "MCP protocol error",
+  timeout: "timed out",
+  crashed: "server crashed on startup",
+};
+
+const NOT_FOUND_PATTERNS = [
+  /npm (?:ERR!|error) (?:code E404|404)/i,
+  /is not in (?:this|the npm) registry/i,
+  /No solution found when resolving/i,
+  /not found in the package registry/i,
+  /No matching distribution found/i,
+  /No module named/i,
+  /Unable to find image/i,
+  /pull access denied/i,
+  /repository does not exist/i,
+  /command not found/i,
+];
+
+const AUTH_PATTERNS = [
+  /\b(?:api[ _-]?key|access[ _-]?token|auth(?:entication|orization)? token|credentials?)\b/i,
+  /\bunauthori[sz]ed\b/i,
+  /\b(?:HTTP|status)\D{0,10}(?:401|403)\b/i,
+  /\bforbidden\b/i,
+  /environment variable/i,
+  /\benv(?:ironment)? var/i,
+  /KeyError: '[A-Z][A-Z0-9_]+'/,
+];
+
+const ENV_NAME_PATTERN = /\b([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*_(?:KEY|TOKEN|SECRET|PASSWORD|URL|ID))\b/g;
+
+/**
+ * Classify a failed discovery attempt
+ * @param {object} failure - Failure details
+ * @param {string} failure.message - Error message
+ * @param {string} failure.stderr - Captured stderr of the server (or mcporter)
+ * @param {string} failure.code - Error code (ETIMEDOUT, ENOENT, ...)
+ * @param {number|null} failure.exitCode - Exit status of the server (or mcporter)
+ * @param {boolean} failure.rpcError - Whether the server answered with a JSON-RPC error
+ * @returns {string} - One of the FAILURE_KINDS keys
+ */
+export function classifyFailure(failure) {
+  const { message = "", stderr = "", code = null, exitCode = null, rpcError = false } = failure;
+  const text = `${stderr}\n${message}`;
+
+  if (code === "ETIMEDOUT" || /timed out/i.test(message)) {
+    return "timeout";
+  }
+  if (code === "ENOENT" || NOT_FOUND_PATTERNS.some((p) => p.test(text))) {
+    return "not-found";
+  }
+  if (AUTH_PATTERNS.some((p) => p.test(text))) {
+    return "auth";
+  }
+  // Exiting cleanly before answering initialize means the server isn't speaking MCP on stdio
+  if (rpcError || code === "EPROTO" || exitCode === 0) {
+    return "protocol";
+  }
+  return "crashed";
+}
+
+/**
+ * Find environment variable names mentioned in stderr
+ * "Error: GITHUB_TOKEN is required" -> ["GITHUB_TOKEN"]
+ * @param {string} stderr - Captured stderr
+ * @returns {string[]}
+ */
+export function findEnvNames(stderr = "") {
+  const names = [...stderr.matchAll(ENV_NAME_PATTERN)].map((m) => m[1]);
+  const keyErrors = [...stderr.matchAll(/KeyError: '([A-Z][A-Z0-9_]+)'/g)].map((m) => m[1]);
+  return [...new Set([...keyErrors, ...names])];
+}
+
+/**
+ * Get the last non-empty lines of stderr
+ * @param {string} stderr - Captured stderr
+ * @param {number} count - Number of lines
+ * @returns {string[]}
+ */
+export function tailLines(stderr = "", count = 10) {
+  return stderr.split("\n").map((l) => l.trimEnd()).filter(Boolean).slice(-count);
+}
+
+/**
+ * Suggest a next step for a failure
+ * @param {object} attempt - Discovery attempt (see describeAttempt)
+ * @returns {string}
+ */
+function hintFor(attempt) {
+  switch (attempt.kind) {
+    case "not-found":
+      return attempt.code === "ENOENT"
+        ? `"${attempt.command.split(/\s+/)[0]}" is not installed or not on PATH`
+        : "Check the package name, or pick another runner with --runner";
+    case "auth": {
+      const names = findEnvNames(attempt.stderr);
+      return names.length > 0
+        ? `Pass ${names.join(", ")} with --env (or --env-file)`
+        : "Pass the required credentials with --env KEY=VALUE or --env-file";
+    }
+    case "protocol":
+      return "The server did not answer as an MCP stdio server; check its docs for a stdio transport flag";
+    case "timeout":
+      return "The first start can be slow while packages download; retry, or use --debug-discovery";
+    default:
+      return "Run the command yourself to see the full output, or use --debug-discovery";
+  }
+}
+
+/**
+ * Describe a failed discovery attempt for the user
+ * @param {object} attempt - { runner, command, kind, message, stderr, exitCode, code }
+ * @param {object} options - Options
+ * @param {number} options.lines - stderr lines to show (default: 10)
+ * @returns {string} - Multi-line description
+ */
+export function describeAttempt(attempt, options = {}) {
+  const { lines = 10 } = options;
+  const status = attempt.exitCode != null ? ` (exit code ${attempt.exitCode})` : "";
+  const out = [`${attempt.runner}: ${FAILURE_KINDS[attempt.kind]}${status}`, `  Command: ${attempt.command}`];
+
+  const tail = tailLines(attempt.stderr, lines);
+  if (tail.length > 0) {
+    out.push("  Last stderr lines:", ...tail.map((l) => `    ${l}`));
+  } else if (attempt.message) {
+    out.push(`  ${attempt.message}`);
+  }
+
+  out.push(`  Hint: ${hintFor(attempt)}`);
+  return out.join("\n");
+}
+
+/**
+ * Write the full discovery log
+ * @param {string} serverName - Server name (used in the file name)
+ * @param {Array<object>} attempts - Discovery attempts (failed and successful)
+ * @param {string} logDir - Log directory (default: ~/.mcp2cli/logs)
+ * @returns {string|null} - Log file path, or null if it couldn't be written
+ */
+export function writeDiscoveryLog(serverName, attempts, logDir = LOG_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = join(logDir, `discovery-${serverName.replace(/[^a-zA-Z0-9._-]/g, "_")}-${stamp}.log`);
+
+  const sections = attempts.map((a) =>
+    [
+      `=== ${a.runner}: ${a.kind ? FAILURE_KINDS[a.kind] : "ok"} ===`,
+      `Command: ${a.command}`,
+      `Backend: ${a.backend}`,
+      `Exit code: ${a.exitCode ?? "-"}`,
+      ...(a.message ? [`Error: ${a.message}`] : []),
+      "--- stderr ---",
+      a.stderr || "(empty)",
+    ].join("\n")
+  );
+
+  try {
+    mkdirSync(logDir, { recursive: true });
+    writeFileSync(file, `${sections.join("\n\n")}\n`, "utf-8");
+    return file;
+  } catch {
+    return null;
+  }
+}
@@ -1,13 +1,31 @@
 /**
- * MCP Server Discovery via mcporter
+ * MCP Server Discovery
  * Discovers available tools and their schemas from an MCP server
+ * using the built-in stdio client (or mcporter with backend "mcporter")
  */
 
-import { exec, execSync } from "child_process";
+import { execFile, execSync } from "child_process";
 import { promisify } from "util";
-import { buildMcpCommand as buildCommand, fetchPackageDescription } from "./runner.js";
+import { buildMcpCommand as buildCommand, detectRunner, fetchPackageInfo, RUNNERS, DEFAULT_RUNNER_FALLBACK } from "./runner.js";
+import { listRemoteFeatures } from "./http-client.js";
+import { listStdioFeatures } from "./mcp-client.js";
+import { expandEnvRefs } from "./env.js";
+import { readDiscoveryCache, writeDiscoveryCache } from "./cache.js";
+import { classifyFailure, describeAttempt, writeDiscoveryLog, FAILURE_KINDS } from "./diagnostics.js";
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * Supported discovery backends
+ */
+export const DISCOVERY_BACKENDS = ["builtin", "mcporter"];
+
+// Extra hints when an explicitly selected runner fails
+const RUNNER_HINTS = {
+  uvx: "Is the package available on PyPI?",
+  pip: "Is the package installed via pip?",
+  docker: "Is the image available and the Docker daemon running?",
+};
 
 /**
  * Derive server name from package name
@@ -18,15 +36,34 @@ export function deriveServerName(packageName) {
   // Remove scope, version, and normalize
   // @anthropic-ai/chrome-devtools-mcp@latest -> chrome-devtools
   // chrome-devtools-mcp -> chrome-devtools
+  // ghcr.io/acme/mcp-fetch:1.2 -> fetch (docker images)
   let name = packageName
     .replace(/^@[^/]+\//, "") // Remove scope
     .replace(/@.*$/, "") // Remove version
+    .replace(/^.*\//, "") // Remove image registry/namespace
+    .replace(/:.*$/, "") // Remove image tag
     .replace(/-mcp$/, "") // Remove -mcp suffix
     .replace(/^mcp-/, ""); // Remove mcp- prefix
 
   return name;
 }
 
+/**
+ * Derive server name from a remote MCP endpoint URL
+ * https://mcp.linear.app/sse -> linear
+ * http://localhost:3000/mcp -> localhost
+ * @param {string} url - MCP endpoint URL
+ * @returns {string} - server name for wrappers
+ */
+export function deriveServerNameFromUrl(url) {
+  const { hostname } = new URL(url);
+  if (/^[\d.:[\]]+$/.test(hostname)) {
+    return "remote";
+  }
+  const labels = hostname.split(".").filter((l) => !["mcp", "www", "api"].includes(l));
+  return (labels[0] || hostname).toLowerCase().replace(/[^a-z0-9-]/g, "-");
+}
+
 /**
  * Derive output directory name from package name
  * @param {string} packageName - npm package name
@@ -45,6 +82,7 @@ export function deriveDirName(packageName) {
  * @param {boolean} options.uvx - Use uvx runner
  * @param {boolean} options.pip - Use pip runner
  * @param {string} options.runner - Runner name override
+ * @param {object} options.runners - Runner table (default: bundled RUNNERS)
  * @returns {string} - Command string
  */
 export function buildMcpCommand(packageName, options = {}) {
@@ -69,148 +107,329 @@ export function checkMcporter() {
 }
 
 /**
- * Try to discover tools with a specific runner
- * @param {string} packageName - Package name
+ * Pick the discovered server features from a runner result
+ * @param {object} result - Result from tryDiscoverWithRunner
+ * @returns {{tools: Array, resources: Array, resourceTemplates: Array, prompts: Array}}
+ */
+function pickFeatures(result) {
+  const { tools, resources = [], resourceTemplates = [], prompts = [] } = result;
+  return { tools, resources, resourceTemplates, prompts };
+}
+
+/**
+ * List server features through `npx mcporter list`
+ * Errors carry mcporter's stderr and exit status for diagnostics
+ * @param {string} mcpCommand - MCP server command
  * @param {string} serverName - Server name
- * @param {object} runnerOptions - Runner options
- * @param {boolean} quiet - Suppress output
- * @returns {Promise<{mcpCommand: string, tools: Array} | null>}
+ * @param {object} env - Extra environment variables for the MCP server
+ * @returns {Promise<{tools: Array, resources: Array, resourceTemplates: Array, prompts: Array, stderr: string}>}
  */
-async function tryDiscoverWithRunner(packageName, serverName, runnerOptions, quiet) {
-  const mcpCommand = buildMcpCommand(packageName, runnerOptions);
-  const cmd = `npx mcporter list --stdio "${mcpCommand}" --name ${serverName} --schema --json`;
+async function listWithMcporter(mcpCommand, serverName, env) {
+  // argv array, no shell: the server command reaches mcporter verbatim, quotes included
+  const argv = ["mcporter", "list", "--stdio", mcpCommand, "--name", serverName, "--schema", "--json"];
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 60000);
 
+  let stdout;
+  let stderr;
   try {
-    const { stdout } = await execAsync(cmd, {
+    ({ stdout, stderr } = await execFileAsync("npx", argv, {
       encoding: "utf-8",
       signal: controller.signal,
       maxBuffer: 10 * 1024 * 1024,
+      env: { ...process.env, ...env },
+    }));
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw Object.assign(new Error("mcporter list timed out after 60 seconds"), { code: "ETIMEDOUT", stderr: error.stderr || "" });
+    }
+    throw Object.assign(new Error(error.message.split("\n")[0]), {
+      exitCode: typeof error.code === "number" ? error.code : null,
+      stderr: error.stderr || "",
     });
+  } finally {
+    clearTimeout(timeoutId);
+  }
 
-    const data = JSON.parse(stdout);
+  let data;
+  try {
+    data = JSON.parse(stdout);
+  } catch {
+    throw Object.assign(new Error("mcporter returned invalid JSON"), { code: "EPROTO", stderr });
+  }
+  if (!data.tools || !Array.isArray(data.tools)) {
+    throw Object.assign(new Error("mcporter returned no tools list"), { code: "EPROTO", stderr });
+  }
 
-    if (!data.tools || !Array.isArray(data.tools)) {
-      return null;
-    }
+  return {
+    tools: data.tools,
+    resources: Array.isArray(data.resources) ? data.resources : [],
+    resourceTemplates: Array.isArray(data.resourceTemplates) ? data.resourceTemplates : [],
+    prompts: Array.isArray(data.prompts) ? data.prompts : [],
+    stderr,
+  };
+}
 
-    return { mcpCommand, tools: data.tools };
+/**
+ * Try to discover tools with a specific runner
+ * Every attempt (with stderr, exit status and failure kind) is recorded in
+ * context.attempts; a timeout stops discovery, other failures return null
+ * @param {string} packageName - Package name
+ * @param {string} serverName - Server name
+ * @param {object} runnerOptions - Runner options
+ * @param {object} context - { env, backend ("builtin" or "mcporter"), attempts }
+ * @returns {Promise<{mcpCommand: string, tools: Array, resources: Array, resourceTemplates: Array, prompts: Array} | null>}
+ */
+async function tryDiscoverWithRunner(packageName, serverName, runnerOptions, context) {
+  const { env = {}, backend = "builtin", attempts = [] } = context;
+  const mcpCommand = buildMcpCommand(packageName, runnerOptions);
+  const attempt = { runner: runnerOptions.command ? "custom" : detectRunner(runnerOptions), command: mcpCommand, backend };
+  attempts.push(attempt);
+
+  try {
+    const result = backend === "mcporter"
+      ? await listWithMcporter(mcpCommand, serverName, env)
+      : await listStdioFeatures(mcpCommand, { env, timeout: 60000 });
+    attempt.stderr = result.stderr || "";
+    return { mcpCommand, ...pickFeatures(result) };
   } catch (error) {
-    if (error.name === "AbortError") {
-      throw new Error("Discovery timed out after 60 seconds");
+    Object.assign(attempt, {
+      message: error.message,
+      stderr: error.stderr || "",
+      exitCode: error.exitCode ?? null,
+      code: error.code ?? null,
+    });
+    attempt.kind = classifyFailure({ ...attempt, rpcError: Boolean(error.rpcError) });
+    if (attempt.kind === "timeout") {
+      throw new Error(`Discovery timed out after 60 seconds\n${describeAttempt(attempt)}`);
     }
     return null;
-  } finally {
-    clearTimeout(timeoutId);
   }
 }
 
+/**
+ * Discover a package with a runner, using the discovery cache when possible
+ * The registry lookup (description + version) runs in parallel with discovery
+ * unless the version is needed first for a cache lookup
+ * @param {string} packageName - Package name
+ * @param {string} serverName - Server name
+ * @param {string} runner - Runner name ("npx", "uvx", "pip", ...)
+ * @param {object} runnerOptions - Runner options for buildMcpCommand
+ * @param {object} context - { quiet, env, backend, refresh, runners, attempts }
+ * @returns {Promise<{mcpCommand: string, tools: Array, resources: Array, resourceTemplates: Array, prompts: Array, description: string|undefined, version: string|undefined, fromCache: boolean} | null>}
+ */
+async function discoverPackage(packageName, serverName, runner, runnerOptions, context) {
+  const { quiet, refresh, runners } = context;
+  const mcpCommand = buildMcpCommand(packageName, runnerOptions);
+  // pip, docker and custom commands run whatever is local, so their version can't be checked
+  const cacheable = Boolean(runners[runner]?.cache);
+  const infoPromise = fetchPackageInfo(packageName, runner, runners);
+
+  if (cacheable && !refresh) {
+    const info = await infoPromise;
+    const cached = info.version ? readDiscoveryCache(mcpCommand, info.version) : null;
+    if (cached) {
+      if (!quiet) {
+        console.log(`      Using cached discovery (${info.version}, from ${cached.cachedAt})`);
+      }
+      return {
+        mcpCommand,
+        ...pickFeatures(cached),
+        description: info.description ?? cached.description,
+        version: info.version,
+        fromCache: true,
+      };
+    }
+  }
+
+  const [result, info] = await Promise.all([
+    tryDiscoverWithRunner(packageName, serverName, runnerOptions, context),
+    infoPromise,
+  ]);
+  if (!result) {
+    return null;
+  }
+
+  if (cacheable && info.version) {
+    writeDiscoveryCache(mcpCommand, info.version, { ...result, description: info.description });
+  }
+  return { ...result, description: info.description, version: info.version, fromCache: false };
+}
+
 /**
  * Discover tools from an MCP server
- * Supports npm (npx), Python (uvx), and pip runners with auto-fallback
- * Fetches package description in parallel with discovery (zero added latency)
+ * Supports npm (npx), Python (uvx), pip, bundled and config runners, with an
+ * auto-fallback order when no runner is selected
+ * Results from registry-backed runners are cached per resolved command + package version
  * @param {string} packageName - Package name
  * @param {object} options - options
  * @param {boolean} options.quiet - suppress progress output
  * @param {boolean} options.uvx - Use uvx runner (Python)
  * @param {boolean} options.pip - Use pip runner (python -m)
+ * @param {string} options.runner - Runner name (--runner; bundled or from config)
+ * @param {object} options.runners - Runner table (default: bundled RUNNERS; see getRunners)
+ * @param {string[]} options.fallback - Runners to try in order when none is selected (default: npx, uvx)
  * @param {string} options.command - Explicit command override
- * @returns {Promise<{serverName: string, mcpCommand: string, tools: Array, runner: string, description: string|undefined}>}
+ * @param {string} options.url - Remote MCP endpoint (Streamable HTTP / SSE)
+ * @param {object} options.headers - Request headers for the remote endpoint (${VAR} expands from env)
+ * @param {object} options.env - Extra environment variables for the MCP server
+ * @param {string} options.backend - Discovery backend for stdio servers: "builtin" (default) or "mcporter"
+ * @param {boolean} options.refresh - Bypass the discovery cache (the fresh result is still cached)
+ * @param {boolean} options.debug - Write the full discovery log (all attempts with stderr) to ~/.mcp2cli/logs
+ * @returns {Promise<{serverName: string, mcpCommand: string|null, url?: string, headers?: object, tools: Array, resources: Array, resourceTemplates: Array, prompts: Array, runner: string, description: string|undefined, fromCache: boolean}>}
  */
 export async function discoverTools(packageName, options = {}) {
-  const { quiet = false, uvx, pip, command } = options;
+  const {
+    quiet = false,
+    uvx,
+    pip,
+    runner,
+    runners = RUNNERS,
+    fallback = DEFAULT_RUNNER_FALLBACK,
+    command,
+    url,
+    headers = {},
+    env = {},
+    backend = "builtin",
+    refresh = false,
+    debug = false,
+  } = options;
+
+  if (!DISCOVERY_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown discovery backend: ${backend}. Valid: ${DISCOVERY_BACKENDS.join(", ")}`);
+  }
 
   const serverName = deriveServerName(packageName);
+  const context = { quiet, env, backend, refresh, runners, attempts: [] };
 
-  if (command) {
-    const mcpCommand = command;
+  if (url) {
     if (!quiet) {
       console.log(`      Server name: ${serverName}`);
-      console.log(`      MCP command: ${mcpCommand} (custom)`);
+      console.log(`      MCP endpoint: ${url} (remote)`);
     }
 
-    const result = await tryDiscoverWithRunner(packageName, serverName, { command }, quiet);
-    if (!result) {
-      throw new Error(`Discovery failed with custom command: ${command}`);
+    let features;
+    try {
+      const lookup = { ...process.env, ...env };
+      const resolvedHeaders = Object.fromEntries(
+        Object.entries(headers).map(([key, value]) => [key, expandEnvRefs(value, lookup)])
+      );
+      features = await listRemoteFeatures(url, { headers: resolvedHeaders });
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? "request timed out" : error.message;
+      throw new Error(`Discovery failed for ${url}: ${reason}`);
     }
 
-    return { serverName, mcpCommand, tools: result.tools, runner: "custom", description: undefined };
+    return { serverName, mcpCommand: null, url, headers, ...features, runner: "http", description: undefined, fromCache: false };
+  }
+
+  try {
+    const result = await discoverStdio(packageName, serverName, { uvx, pip, runner, fallback, command }, context);
+    if (debug && context.attempts.length > 0) {
+      const logPath = writeDiscoveryLog(serverName, context.attempts);
+      if (logPath && !quiet) console.log(`      Discovery log: ${logPath}`);
+    }
+    return result;
+  } catch (error) {
+    if (debug && context.attempts.length > 0) {
+      const logPath = writeDiscoveryLog(serverName, context.attempts);
+      if (logPath) error.message += `\n  Full log: ${logPath}`;
+    }
+    throw error;
   }
+}
 
-  if (uvx) {
-    const mcpCommand = buildMcpCommand(packageName, { uvx: true });
+/**
+ * Discover a stdio server (custom command, selected runner or fallback order)
+ * Failures describe the classified cause of each attempt
+ * @param {string} packageName - Package name
+ * @param {string} serverName - Server name
+ * @param {object} options - { uvx, pip, runner, fallback, command } (see discoverTools)
+ * @param {object} context - { quiet, env, backend, refresh, runners, attempts }
+ * @returns {Promise<object>} - Discovery result (see discoverTools)
+ */
+async function discoverStdio(packageName, serverName, options, context) {
+  const { uvx, pip, runner, fallback, command } = options;
+  const { quiet, runners, attempts } = context;
+  const lastAttempt = () => attempts[attempts.length - 1];
+
+  if (command) {
+    const mcpCommand = command;
     if (!quiet) {
       console.log(`      Server name: ${serverName}`);
-      console.log(`      MCP command: ${mcpCommand}`);
+      console.log(`      MCP command: ${mcpCommand} (custom)`);
     }
 
-    const [result, description] = await Promise.all([
-      tryDiscoverWithRunner(packageName, serverName, { uvx: true }, quiet),
-      fetchPackageDescription(packageName, "uvx"),
-    ]);
+    const result = await tryDiscoverWithRunner(packageName, serverName, { command }, context);
     if (!result) {
-      throw new Error(`Discovery failed with uvx. Is the package available on PyPI?`);
+      throw new Error(`Discovery failed with custom command: ${command}\n${describeAttempt(lastAttempt())}`);
     }
 
-    return { serverName, mcpCommand, tools: result.tools, runner: "uvx", description };
+    return { serverName, mcpCommand, ...pickFeatures(result), runner: "custom", description: undefined, fromCache: false };
   }
 
-  if (pip) {
-    const mcpCommand = buildMcpCommand(packageName, { pip: true });
+  const selected = runner || (uvx ? "uvx" : pip ? "pip" : null);
+  if (selected) {
+    if (!runners[selected]) {
+      throw new Error(`Unknown runner: ${selected}. Valid: ${Object.keys(runners).join(", ")}`);
+    }
+
+    const runnerOptions = { runner: selected, runners };
+    const mcpCommand = buildMcpCommand(packageName, runnerOptions);
     if (!quiet) {
       console.log(`      Server name: ${serverName}`);
       console.log(`      MCP command: ${mcpCommand}`);
     }
 
-    const [result, description] = await Promise.all([
-      tryDiscoverWithRunner(packageName, serverName, { pip: true }, quiet),
-      fetchPackageDescription(packageName, "pip"),
-    ]);
+    const result = await discoverPackage(packageName, serverName, selected, runnerOptions, context);
     if (!result) {
-      throw new Error(`Discovery failed with pip. Is the package installed via pip?`);
+      const attempt = lastAttempt();
+      const hint = attempt.kind === "not-found"
+        ? RUNNER_HINTS[selected] || (runners[selected].registry === "npm" ? "Is the package available on npm?" : null)
+        : null;
+      throw new Error(`Discovery failed with ${selected}.${hint ? ` ${hint}` : ""}\n${describeAttempt(attempt)}`);
     }
 
-    return { serverName, mcpCommand, tools: result.tools, runner: "pip", description };
+    return { serverName, ...result, runner: selected };
   }
 
   if (!quiet) {
     console.log(`      Server name: ${serverName}`);
   }
 
-  const npxCommand = buildMcpCommand(packageName, { runner: "npx" });
-  if (!quiet) {
-    console.log(`      Trying npm: ${npxCommand}`);
-  }
+  for (const [i, name] of fallback.entries()) {
+    const runnerOptions = { runner: name, runners };
+    if (!quiet) {
+      console.log(`      Trying ${name}: ${buildMcpCommand(packageName, runnerOptions)}`);
+    }
 
-  const [npxResult, npmDescription] = await Promise.all([
-    tryDiscoverWithRunner(packageName, serverName, { runner: "npx" }, quiet),
-    fetchPackageDescription(packageName, "npx"),
-  ]);
-  if (npxResult) {
-    return { serverName, mcpCommand: npxCommand, tools: npxResult.tools, runner: "npx", description: npmDescription };
-  }
+    const result = await discoverPackage(packageName, serverName, name, runnerOptions, context);
+    if (result) {
+      if (!quiet && i > 0) {
+        console.log(`      ${name}: found ${result.tools.length} tools`);
+      }
+      return { serverName, ...result, runner: name };
+    }
 
-  if (!quiet) {
-    console.log(`      npm: not found, trying uvx...`);
+    if (!quiet && i < fallback.length - 1) {
+      console.log(`      ${name}: ${FAILURE_KINDS[lastAttempt().kind]}, trying ${fallback[i + 1]}...`);
+    }
   }
 
-  const uvxCommand = buildMcpCommand(packageName, { runner: "uvx" });
-  const [uvxResult, pypiDescription] = await Promise.all([
-    tryDiscoverWithRunner(packageName, serverName, { runner: "uvx" }, quiet),
-    fetchPackageDescription(packageName, "uvx"),
-  ]);
-  if (uvxResult) {
-    if (!quiet) {
-      console.log(`      uvx: found ${uvxResult.tools.length} tools`);
-    }
-    return { serverName, mcpCommand: uvxCommand, tools: uvxResult.tools, runner: "uvx", description: pypiDescription };
+  // A server that exists but fails to start matters more than "not found" elsewhere
+  const failures = attempts.filter((a) => a.kind && a.kind !== "not-found");
+  if (failures.length > 0) {
+    throw new Error(
+      `Package "${packageName}" could not be discovered (tried ${fallback.join(", ")}).\n` +
+      failures.map((a) => describeAttempt(a)).join("\n")
+    );
   }
 
   throw new Error(
-    `Package "${packageName}" not found on npm or PyPI.\n` +
+    `Package "${packageName}" not found (tried ${fallback.join(", ")}).\n` +
     `  For npm packages, check the package name is correct.\n` +
     `  For Python packages, try: mcp2cli ${packageName} --uvx\n` +
-    `  For pip-installed packages, try: mcp2cli ${packageName} --pip`
+    `  For pip-installed packages, try: mcp2cli ${packageName} --pip\n` +
+    `  For other runners, try: mcp2cli ${packageName} --runner <name>`
   );
 }
@@ -0,0 +1,171 @@
+/**
+ * Environment Manager
+ * Handles --env/--env-file parsing and per-tool .env files for generated wrappers
+ * Secrets live in ~/agent-tools/<name>/.env (mode 600), never in wrapper source
+ */
+
+import { existsSync, readFileSync, writeFileSync, chmodSync } from "fs";
+import { join } from "path";
+
+export const ENV_FILE = ".env";
+
+/**
+ * Parse dotenv-style content
+ * Supports comments, blank lines, `export` prefixes and quoted values
+ * @param {string} content - File content
+ * @returns {object} - Map of variable name to value
+ */
+export function parseEnvContent(content) {
+  const env = {};
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length >= 2) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\(["\\n])/g, (_, c) => (c === "n" ? "\n" : c));
+      }
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+    env[match[1]] = value;
+  }
+  return env;
+}
+
+/**
+ * Load a dotenv file
+ * @param {string} path - Path to file
+ * @returns {object} - Parsed variables (empty if the file is missing)
+ */
+export function loadEnvFile(path) {
+  if (!existsSync(path)) return {};
+  return parseEnvContent(readFileSync(path, "utf-8"));
+}
+
+/**
+ * Parse repeated --env values
+ * KEY=VALUE sets a value, bare KEY takes the value from the current environment
+ * @param {string[]} values - --env arguments
+ * @param {object} source - Environment to read bare keys from
+ * @returns {object} - Map of variable name to value
+ */
+export function parseEnvArgs(values = [], source = process.env) {
+  const env = {};
+  for (const value of values) {
+    const index = value.indexOf("=");
+    const key = index === -1 ? value : value.slice(0, index);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid env variable "${value}". Expected format: KEY=VALUE`);
+    }
+    if (index !== -1) {
+      env[key] = value.slice(index + 1);
+    } else if (source[key] !== undefined) {
+      env[key] = source[key];
+    } else {
+      throw new Error(`--env ${key}: not set in the current environment`);
+    }
+  }
+  return env;
+}
+
+/**
+ * Expand ${VAR} references using the given environment
+ * Used for header values so tokens stay out of generated files
+ * @param {string} value - Value with optional ${VAR} references
+ * @param {object} env - Environment to read from
+ * @returns {string}
+ */
+export function expandEnvRefs(value, env = process.env) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, key) => env[key] ?? "");
+}
+
+/**
+ * Expand ${VAR} references in a map of env values, reporting unset references
+ * Used for env blocks in imported configs and servers files
+ * @param {object} values - Map of variable name to value
+ * @param {object} source - Environment to read references from
+ * @returns {{env: object, missing: string[]}}
+ */
+export function resolveEnvValues(values, source = process.env) {
+  const missing = new Set();
+  const env = Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, ref) => {
+        if (source[ref] === undefined) missing.add(ref);
+        return source[ref] ?? "";
+      }),
+    ])
+  );
+  return { env, missing: [...missing] };
+}
+
+/**
+ * Move literal header values into env variables
+ * The manifest and _runtime.js then only hold ${VAR} references; the values go to the tool's .env
+ * Values that already reference ${VAR} are kept as they are
+ * @param {object} headers - Map of header name to value
+ * @returns {{headers: object, env: object}} - Headers to record, and the variables they reference
+ */
+export function extractHeaderSecrets(headers = {}) {
+  const env = {};
+  const recorded = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (/\$\{[A-Za-z_][A-Za-z0-9_]*\}/.test(value)) {
+      recorded[name] = value;
+      continue;
+    }
+    const key = `MCP2CLI_HEADER_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+    env[key] = value;
+    recorded[name] = `\${${key}}`;
+  }
+  return { headers: recorded, env };
+}
+
+/**
+ * Serialize variables to dotenv format
+ * @param {object} env - Map of variable name to value
+ * @returns {string}
+ */
+export function formatEnvContent(env) {
+  const lines = Object.entries(env).map(([key, value]) => {
+    const needsQuotes = /[\s#"'\\]/.test(value) || value === "";
+    const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return needsQuotes ? `${key}="${escaped}"` : `${key}=${value}`;
+  });
+  return `# Generated by mcp2cli - loaded by wrapper scripts, keep out of version control\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Write variables to a tool's .env file, merging with existing values
+ * @param {string} resolvedDir - Resolved tool directory
+ * @param {object} env - Variables to write
+ * @returns {string} - Path of the written file
+ */
+export function writeEnvFile(resolvedDir, env) {
+  const envPath = join(resolvedDir, ENV_FILE);
+  const merged = { ...loadEnvFile(envPath), ...env };
+  writeFileSync(envPath, formatEnvContent(merged), { encoding: "utf-8", mode: 0o600 });
+  chmodSync(envPath, 0o600);
+  return envPath;
+}
+
+/**
+ * Find required variables that are neither in the tool's .env nor the environment
+ * @param {string[]} names - Required variable names (from the manifest)
+ * @param {string} toolPath - Resolved tool directory
+ * @param {object} env - Current environment
+ * @returns {string[]} - Missing variable names
+ */
+export function getMissingEnv(names = [], toolPath, env = process.env) {
+  if (names.length === 0) return [];
+  const fileEnv = loadEnvFile(join(toolPath, ENV_FILE));
+  return names.filter((name) => !fileEnv[name] && !env[name]);
+}
@@ -0,0 +1,86 @@
+/**
+ * Tool Filter
+ * Include/exclude discovered MCP tools by glob before grouping
+ * Globs support * (any run of characters) and ? (one character)
+ */
+
+/**
+ * Convert a glob to an anchored regular expression
+ * @param {string} pattern - Glob pattern (e.g. "browser_*")
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Filter tools by include/exclude globs
+ * A tool is kept when it matches some `only` pattern (or `only` is empty)
+ * and matches no `exclude` pattern
+ * @param {Array} tools - Discovered tools
+ * @param {object} filter - Filter patterns
+ * @param {string[]} filter.only - Include globs
+ * @param {string[]} filter.exclude - Exclude globs
+ * @returns {{tools: Array, excluded: string[], unmatched: string[]}} - Kept tools, excluded tool names, patterns that matched nothing
+ */
+export function filterTools(tools, filter = {}) {
+  const only = (filter.only || []).map((p) => [p, globToRegExp(p)]);
+  const exclude = (filter.exclude || []).map((p) => [p, globToRegExp(p)]);
+  const used = new Set();
+
+  const matches = (name, patterns) => {
+    let hit = false;
+    for (const [pattern, regex] of patterns) {
+      if (regex.test(name)) {
+        used.add(pattern);
+        hit = true;
+      }
+    }
+    return hit;
+  };
+
+  const kept = [];
+  const excluded = [];
+  for (const tool of tools) {
+    const included = only.length === 0 || matches(tool.name, only);
+    const dropped = matches(tool.name, exclude);
+    if (included && !dropped) {
+      kept.push(tool);
+    } else {
+      excluded.push(tool.name);
+    }
+  }
+
+  const unmatched = [...only, ...exclude].map(([p]) => p).filter((p) => !used.has(p));
+  return { tools: kept, excluded, unmatched };
+}
+
+/**
+ * Parse repeatable/comma-separated glob flag values
+ * @param {string[]} values - Raw values ("a*,b*", "c")
+ * @returns {string[]}
+ */
+export function parseGlobList(values = []) {
+  return values.flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Read a server's filter from the "servers" section of the config file
+ * Patterns may be a glob list or a comma-separated string, like the flags
+ * @param {object} config - Loaded config
+ * @param {string} name - Tool directory name (e.g. "chrome-devtools")
+ * @returns {{only: string[], exclude: string[]}|null} - Null when the server has no filter
+ */
+export function getServerFilter(config = {}, name) {
+  const entry = config.servers?.[name];
+  if (!entry || typeof entry !== "object") {
+    return null;
+  }
+  const list = (value) => parseGlobList([value ?? []].flat().map(String));
+  const filter = { only: list(entry.only), exclude: list(entry.exclude) };
+  return filter.only.length > 0 || filter.exclude.length > 0 ? filter : null;
+}
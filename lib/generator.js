@@ -1,25 +1,45 @@
 /**
  * Wrapper Script Generator
  * Generates CLI wrapper scripts using Pi
+ * Generated scripts are checked, run with --help in a scratch directory and sent back
+ * to the agent with the errors until they pass
  */
 
-import { exec } from "child_process";
+import { exec, spawnSync } from "child_process";
 import { promisify } from "util";
-import { writeFileSync, unlinkSync } from "fs";
+import { writeFileSync, unlinkSync, mkdtempSync, rmSync } from "fs";
 import { tmpdir } from "os";
 import { join } from "path";
+import { RUNTIME_FILE, generateRuntime } from "./runtime.js";
+import { annotationTags, getDestructiveTools, safetyMarker } from "./annotations.js";
+import { normalizeSchema, isComplexSchema, schemaTypeLabel, outputView } from "./schema.js";
 
 const execAsync = promisify(exec);
 
+/**
+ * Wrapper code generators for --generator
+ * agent: AI-written wrappers (schema templates without an agent), template: schema templates
+ */
+export const GENERATOR_MODES = ["agent", "template"];
+
+/**
+ * Default number of times the agent may fix a wrapper that failed verification
+ */
+export const DEFAULT_GENERATION_RETRIES = 2;
+
+// Seconds a wrapper's --help may take during verification
+const VERIFY_TIMEOUT = 10;
+
 /**
  * Generate the wrapper generation prompt for Pi
  * @param {object} group - Group object with filename, description, mcp_tools
  * @param {Array} tools - Full tool definitions from MCP
  * @param {string} serverName - MCP server name
  * @param {string} mcpCommand - npx command for MCP server
+ * @param {object} direct - Remote server ({ url, headers, transport }), or null for the stdio command
  * @returns {string} - Prompt for Pi
  */
-function generateWrapperPrompt(group, tools, serverName, mcpCommand) {
+function generateWrapperPrompt(group, tools, serverName, mcpCommand, direct = null) {
   // Get full tool definitions for tools in this group
   const groupTools = tools.filter((t) => group.mcp_tools.includes(t.name));
 
@@ -29,18 +49,42 @@ function generateWrapperPrompt(group, tools, serverName, mcpCommand) {
         ? JSON.stringify(t.inputSchema.properties, null, 2)
         : "{}";
       const required = t.inputSchema?.required || [];
-      return `Tool: ${t.name}
+      return `Tool: ${t.name}${annotationTags(t)}
 Description: ${t.description || "No description"}
 Required params: ${required.join(", ") || "none"}
-Parameters: ${propsStr}`;
+Parameters: ${propsStr}${t.outputSchema ? `\nOutput schema (structuredContent): ${JSON.stringify(t.outputSchema)}` : ""}`;
     })
     .join("\n\n");
 
+  const views = groupTools
+    .map((t) => [t.name, outputView(t.outputSchema)])
+    .filter(([, view]) => view)
+    .map(([name, view]) => `  - ${name}: printResult(await callTool("${name}", params), ${JSON.stringify(view)})`);
+  const viewPattern = views.length > 0
+    ? `\n- Tools with an output schema pass this view to printResult (table view, --fields):\n${views.join("\n")}`
+    : "";
+
+  const destructive = getDestructiveTools(group, tools);
+  const confirmRequirement = destructive.length > 0
+    ? `
+11. Destructive tools (${destructive.join(", ")}) MUST call requireConfirm("<tool_name>", args) before parsing that action's flags
+    (it strips --confirm from args). List --confirm in --help for those actions.`
+    : "";
+
+  const selectRequirement = group.subcommands
+    ? `The first argument is a subcommand selecting the MCP tool: ${group.subcommands.map((sub) => `${sub.name} -> ${sub.mcp_tool}`).join(", ")}
+   (exact names; "${group.filename} <subcommand> --help" shows that subcommand's options, an unknown subcommand is an error listing the available ones)`
+    : "If multiple tools, use flags or positional args to select action";
+
+  const serverLine = direct?.url
+    ? `MCP Server URL: ${direct.url} (${direct.transport === "sse" ? "legacy HTTP+SSE" : "Streamable HTTP"})`
+    : `MCP Server Command: ${mcpCommand}`;
+
   return `Generate a Node.js CLI wrapper script for these MCP tools.
 
 Filename: ${group.filename}
 Purpose: ${group.description}
-MCP Server Command: ${mcpCommand}
+${serverLine}
 Server Name: ${serverName}
 
 MCP Tools to wrap:
@@ -49,39 +93,46 @@ ${toolDefs}
 Requirements:
 1. MUST start with: #!/usr/bin/env node
 2. MUST use ES modules (import, not require)
-3. MUST implement --help flag showing usage, options, and examples
+3. MUST implement --help flag showing usage, options, and examples; --help must exit 0 without calling the server
+   (the script is checked with node --check and run with --help${group.subcommands ? " and <subcommand> --help" : ""} before it is installed)
 4. MUST use manual argument parsing (for loop over process.argv, NO yargs/commander)
-5. Call MCP via execSync: npx mcporter call --stdio "${mcpCommand}" ${serverName}.<tool_name> param:value
-6. Errors to stderr with console.error(), then exit(1)
-7. Minimal token-efficient output
-8. If multiple tools, use flags or positional args to select action
+5. MUST import from "./${RUNTIME_FILE}" and call MCP ONLY through its callTool (no child processes, shell commands, fetch,
+   mcporter or MCP client code); NEVER build shell command strings from arguments
+6. Bad arguments: throw usageError("..."); run the entry point with await run(main) so errors reach stderr with the right exit code
+7. Minimal token-efficient output: print results with printResult(await callTool(...)); it prints text, saves images/files
+   and reports error results. --json, --out-dir <dir>, --fields <a,b> and --max-chars <n> are handled by run()
+   (removed before main); list them in --help. Print post-processed text with printResult(text), never console.log,
+   so output past --max-chars / MCP2CLI_MAX_OUTPUT is truncated and saved to a file
+8. ${selectRequirement}
+9. MUST NOT load .env files or re-implement runtime helpers; the runtime loads the tool's .env
+10. NEVER hardcode API keys, tokens or other secrets; they come from the tool's .env file${confirmRequirement}
 
 Key patterns:
-- Parameters are passed as: paramName:JSON.stringify(value)
+- Parameters are passed as a plain object: await callTool(tool, { paramName: value })
 - Boolean flags like --flag set variables
 - Required args should error if missing
-- Help text should show correct invocation: ${group.filename} <args>
+- Help text should show correct invocation: ${group.filename} ${group.subcommands ? "<subcommand> [options]" : "<args>"}${viewPattern}
 
 CRITICAL - Complex parameters handling:
 - For array/object params (type: "array" or "object"), MUST expose via:
-  - --<param> <json> for inline JSON
-  - --<param>-file <path> for reading JSON from file
+  - --<param> <json> for inline JSON (parseJsonParam(value, "--<param>"))
+  - --<param>-file <path> for reading JSON from file (readParamFile(path, "--<param>"))
 - NEVER skip complex parameters - they are often the most important
 - Example: --slices '[{"path":"file.ts","ranges":[{"start_line":10}]}]'
 - Example: --edits-file edits.json
 
-Example mcporter call helper:
-function callMcp(tool, params = {}) {
-  const paramStr = Object.entries(params)
-    .map(([k, v]) => \`\${k}:\${JSON.stringify(v)}\`)
-    .join(" ");
-  const cmd = \`npx mcporter call --stdio "${mcpCommand}" ${serverName}.\${tool} \${paramStr}\`;
-  try {
-    return execSync(cmd, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"] });
-  } catch (error) {
-    throw new Error(error.stderr || error.message);
-  }
-}
+Shared runtime (${RUNTIME_FILE} is installed next to the wrapper and knows how to reach the server):
+import { callTool, requireConfirm, usageError, parseJsonParam, readParamFile, printResult, run } from "./${RUNTIME_FILE}";
+- await callTool(tool, params): call an MCP tool, returns the MCP result ({ content, isError }), throws on failure
+- await callMcp(tool, params): same call, returns the text of the result (only when the text must be post-processed)
+- parseJsonParam(value, flag) / readParamFile(path, flag): JSON from a flag value / a file (usage error when invalid)
+- usageError(message): error for bad arguments (exit code 2)
+- printResult(result, view): print text blocks, save images/binary resources to files (printing the paths), --json output;
+  structuredContent is shown as a compact table/field list (view from the output schema, optional); isError results
+  go to stderr with exit code 1; output longer than --max-chars is cut to a preview with the path of the full output
+- requireConfirm(tool, args): refuse destructive tools without --confirm (or MCP2CLI_ALLOW_DESTRUCTIVE=1)
+- await run(main, { keep }): call async main(args) with the CLI arguments, print errors and exit with their code
+  (keep: ["--fields"] leaves that flag in args when a tool has a parameter of the same name)
 
 Output ONLY the complete JavaScript code, no explanations or markdown fences.`;
 }
@@ -112,7 +163,7 @@ function cleanGeneratedCode(output) {
 
 /**
  * Identify complex parameters that need special CLI handling
- * @param {object} inputSchema - Tool input schema
+ * @param {object} inputSchema - Tool input schema (normalized)
  * @returns {Array} - Array of complex param names
  */
 function getComplexParams(inputSchema) {
@@ -120,7 +171,7 @@ function getComplexParams(inputSchema) {
 
   const complex = [];
   for (const [name, schema] of Object.entries(inputSchema.properties)) {
-    if (schema.type === "array" || schema.type === "object") {
+    if (isComplexSchema(schema)) {
       complex.push(name);
     }
   }
@@ -131,9 +182,11 @@ function getComplexParams(inputSchema) {
  * Validate generated code
  * @param {string} code - Generated JavaScript code
  * @param {string} filename - Expected filename
+ * @param {string[]} destructive - Destructive MCP tools wrapped by this script
+ * @param {Array} subcommands - Required subcommands ({ name, mcp_tool }), for hierarchical groups
  * @returns {boolean}
  */
-function validateGeneratedCode(code, filename) {
+export function validateGeneratedCode(code, filename, destructive = [], subcommands = []) {
   // Check shebang
   if (!code.startsWith("#!/usr/bin/env node")) {
     throw new Error(`${filename}: Missing shebang`);
@@ -154,9 +207,31 @@ function validateGeneratedCode(code, filename) {
     throw new Error(`${filename}: Missing --help implementation`);
   }
 
-  // Check for execSync or mcporter call
-  if (!code.includes("execSync") && !code.includes("mcporter")) {
-    throw new Error(`${filename}: Missing mcporter call`);
+  // MCP calls (and the .env loader) come from the shared runtime
+  if (!new RegExp(`from\\s+["']\\./${RUNTIME_FILE.replace(".", "\\.")}["']`).test(code)) {
+    throw new Error(`${filename}: Missing import from ./${RUNTIME_FILE}`);
+  }
+  if (!code.includes("callTool(") && !code.includes("callMcp(")) {
+    throw new Error(`${filename}: Missing callTool call`);
+  }
+  // Shell strings built from arguments let quotes, $() and backticks run commands
+  const shellImport = /import\s*\{[^}]*\bexec(?:Sync)?\b[^}]*\}\s*from\s*["'](?:node:)?child_process["']/;
+  if (shellImport.test(code) || /\bexecSync\s*\(|(?<!\.)\bexec\s*\(|\bshell\s*:\s*(?:true|["'`])/.test(code)) {
+    throw new Error(`${filename}: Runs shell command strings (use the runtime's callTool; argv arrays only)`);
+  }
+  if (/\b(?:execFileSync|execFile|spawnSync|spawn|fetch)\s*\(|mcporter call/.test(code)) {
+    throw new Error(`${filename}: Calls MCP outside ./${RUNTIME_FILE}`);
+  }
+
+  // Check destructive tools are guarded
+  if (destructive.length > 0 && (!code.includes("requireConfirm(") || !code.includes("--confirm"))) {
+    throw new Error(`${filename}: Missing --confirm guard for destructive tools (${destructive.join(", ")})`);
+  }
+
+  // Check every planned subcommand is dispatched
+  const missing = subcommands.filter((sub) => !code.includes(`"${sub.name}"`) && !code.includes(`'${sub.name}'`));
+  if (missing.length > 0) {
+    throw new Error(`${filename}: Missing subcommands: ${missing.map((sub) => sub.name).join(", ")}`);
   }
 
   return true;
@@ -174,7 +249,8 @@ export function validateParameterCoverage(code, tools, filename) {
   const codeLower = code.toLowerCase();
 
   for (const tool of tools) {
-    const complexParams = getComplexParams(tool.inputSchema);
+    const inputSchema = normalizeSchema(tool.inputSchema);
+    const complexParams = getComplexParams(inputSchema);
 
     for (const param of complexParams) {
       const paramLower = param.toLowerCase();
@@ -184,7 +260,7 @@ export function validateParameterCoverage(code, tools, filename) {
       const hasFileFlag = codeLower.includes(`--${paramKebab}-file`) || codeLower.includes(`--${paramLower}-file`);
 
       if (!hasFlag && !hasFileFlag) {
-        warnings.push(`${filename}: Complex param '${param}' (${tool.inputSchema.properties[param].type}) from ${tool.name} not exposed in CLI`);
+        warnings.push(`${filename}: Complex param '${param}' (${schemaTypeLabel(inputSchema.properties[param])}) from ${tool.name} not exposed in CLI`);
       }
     }
   }
@@ -192,6 +268,83 @@ export function validateParameterCoverage(code, tools, filename) {
   return { warnings };
 }
 
+/**
+ * Shorten a child process's stderr for error reports and correction prompts
+ * @param {string} stderr - Captured stderr
+ * @returns {string}
+ */
+function stderrExcerpt(stderr) {
+  const lines = (stderr || "").trim().split("\n");
+  return lines.slice(-15).join("\n").slice(-1500);
+}
+
+/**
+ * Execute a generated wrapper in a scratch directory: `node --check`, then `--help` (and
+ * `<subcommand> --help` for each subcommand) with a minimal environment. Its _runtime.js starts
+ * a stub server that fails every call, so help must work without the server
+ * @param {string} code - Generated JavaScript code
+ * @param {string} filename - Wrapper filename
+ * @param {Array} subcommands - Subcommands ({ name, mcp_tool }) of hierarchical groups
+ * @returns {string[]} - Problems found; empty when the wrapper works
+ */
+export function verifyWrapper(code, filename, subcommands = []) {
+  const dir = mkdtempSync(join(tmpdir(), "mcp2cli-verify-"));
+  try {
+    const file = join(dir, filename);
+    writeFileSync(file, code, "utf-8");
+    writeFileSync(join(dir, "package.json"), generatePackageJson("mcp2cli-verify", "verification"), "utf-8");
+    writeFileSync(join(dir, "mcp-server.js"), 'console.error("MCP server called during --help");\nprocess.exit(1);\n', "utf-8");
+    const mcpCommand = `"${process.execPath}" "${join(dir, "mcp-server.js")}"`;
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime({ serverName: "verify", mcpCommand }), "utf-8");
+
+    const check = spawnSync(process.execPath, ["--check", file], { encoding: "utf-8", timeout: VERIFY_TIMEOUT * 1000 });
+    if (check.status !== 0) {
+      return [`node --check failed:\n${stderrExcerpt(check.stderr || check.error?.message)}`];
+    }
+
+    const problems = [];
+    const invocations = [["--help"], ...subcommands.map((sub) => [sub.name, "--help"])];
+    for (const args of invocations) {
+      const invocation = [filename.replace(/\.js$/, ""), ...args].join(" ");
+      const result = spawnSync(process.execPath, [file, ...args], {
+        cwd: dir,
+        encoding: "utf-8",
+        env: { PATH: process.env.PATH || "", HOME: dir },
+        timeout: VERIFY_TIMEOUT * 1000,
+      });
+      if (result.error?.code === "ETIMEDOUT") {
+        problems.push(`${invocation} did not exit within ${VERIFY_TIMEOUT} seconds`);
+      } else if (result.status !== 0) {
+        problems.push(`${invocation} exited with code ${result.status ?? result.signal}:\n${stderrExcerpt(result.stderr)}`);
+      } else if (result.stdout.trim() === "") {
+        problems.push(`${invocation} printed no help text`);
+      }
+    }
+    return problems;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the prompt asking the agent to fix a rejected wrapper
+ * @param {string} prompt - Original wrapper prompt
+ * @param {string} previous - Rejected code
+ * @param {string[]} errors - Validation and verification errors
+ * @returns {string}
+ */
+function generateWrapperCorrectionPrompt(prompt, previous, errors) {
+  return `${prompt}
+
+Your previous script was:
+${previous}
+
+It was rejected for these reasons:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Fix these problems and output the complete corrected JavaScript code (no markdown fences, no explanation).`;
+}
+
 /**
  * Build command for AI agent invocation
  * @param {string} tempFile - Path to prompt file
@@ -210,20 +363,13 @@ function buildAgentCommand(tempFile, agentType) {
 }
 
 /**
- * Generate a wrapper script using AI agent
- * @param {object} group - Group object
- * @param {Array} tools - Full tool definitions
- * @param {string} serverName - MCP server name
- * @param {string} mcpCommand - npx command for MCP server
- * @param {object} options - options
- * @param {boolean} options.quiet - suppress output
- * @param {string} options.agentType - "pi" or "claude"
- * @returns {Promise<string>} - Generated JavaScript code
+ * Run the AI agent on a wrapper prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} filename - Wrapper filename (for errors)
+ * @param {string} agentType - "pi", "claude", or "codex"
+ * @returns {Promise<string>} - Cleaned JavaScript code
  */
-export async function generateWrapper(group, tools, serverName, mcpCommand, options = {}) {
-  const { quiet = false, agentType = "pi" } = options;
-
-  const prompt = generateWrapperPrompt(group, tools, serverName, mcpCommand);
+async function runWrapperAgent(prompt, filename, agentType) {
   const tempFile = join(tmpdir(), `mcp2cli-wrapper-${Date.now()}.md`);
 
   const controller = new AbortController();
@@ -239,15 +385,12 @@ export async function generateWrapper(group, tools, serverName, mcpCommand, opti
       maxBuffer: 10 * 1024 * 1024,
     });
 
-    const code = cleanGeneratedCode(stdout);
-    validateGeneratedCode(code, group.filename);
-
-    return code;
+    return cleanGeneratedCode(stdout);
   } catch (error) {
     if (error.name === "AbortError") {
-      throw new Error(`${group.filename}: Generation timed out`);
+      throw new Error(`${filename}: Generation timed out`);
     }
-    throw new Error(`${group.filename}: ${error.message}`);
+    throw new Error(`${filename}: ${error.message}`);
   } finally {
     clearTimeout(timeoutId);
     try {
@@ -258,6 +401,92 @@ export async function generateWrapper(group, tools, serverName, mcpCommand, opti
   }
 }
 
+/**
+ * Generate a wrapper script using AI agent
+ * Scripts failing validation or verification (node --check, --help) go back to the agent with
+ * the errors, up to options.retries times
+ * @param {object} group - Group object
+ * @param {Array} tools - Full tool definitions
+ * @param {string} serverName - MCP server name
+ * @param {string} mcpCommand - npx command for MCP server
+ * @param {object} options - options
+ * @param {boolean} options.quiet - suppress output
+ * @param {boolean} options.verbose - log each rejected attempt and its errors
+ * @param {string} options.agentType - "pi" or "claude"
+ * @param {string} options.url - Remote MCP endpoint (wrappers call it over HTTP)
+ * @param {object} options.headers - Request headers for the remote endpoint
+ * @param {string} options.transport - Remote transport ("http" or legacy "sse")
+ * @param {number} options.retries - correction rounds after a rejected script (default: 2)
+ * @returns {Promise<string>} - Generated JavaScript code
+ */
+export async function generateWrapper(group, tools, serverName, mcpCommand, options = {}) {
+  const {
+    quiet = false,
+    verbose = false,
+    agentType = "pi",
+    url,
+    headers = {},
+    transport = "http",
+    retries = DEFAULT_GENERATION_RETRIES,
+  } = options;
+  const server = url ? { url, headers, transport } : null;
+
+  const basePrompt = generateWrapperPrompt(group, tools, serverName, mcpCommand, server);
+  const destructive = getDestructiveTools(group, tools);
+  const attempts = retries + 1;
+  let prompt = basePrompt;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const code = await runWrapperAgent(prompt, group.filename, agentType);
+
+    let errors;
+    try {
+      validateGeneratedCode(code, group.filename, destructive, group.subcommands);
+      errors = verifyWrapper(code, group.filename, group.subcommands || []);
+    } catch (error) {
+      errors = [error.message];
+    }
+    if (errors.length === 0) {
+      if (!quiet && attempt > 1) {
+        console.log(`      Verified after ${attempt - 1} correction${attempt > 2 ? "s" : ""}`);
+      }
+      return code;
+    }
+    if (attempt === attempts) {
+      throw Object.assign(
+        new Error(`${group.filename}: Rejected after ${attempts} attempt${attempts > 1 ? "s" : ""}: ${errors[0].split("\n")[0]}`),
+        { validationErrors: errors }
+      );
+    }
+
+    if (verbose) {
+      console.log(`      Wrapper attempt ${attempt}/${attempts} rejected:`);
+      for (const error of errors) {
+        console.log(`        - ${error.split("\n")[0]}`);
+      }
+      console.log("      Asking the agent for a corrected script...");
+    }
+    prompt = generateWrapperCorrectionPrompt(basePrompt, code, errors);
+  }
+}
+
+/**
+ * Read the correction-round limit for generated wrappers from config ("generationRetries")
+ * @param {object} config - Loaded config
+ * @returns {number}
+ */
+export function getGenerationRetries(config = {}) {
+  const value = config.generationRetries;
+  if (value === undefined) {
+    return DEFAULT_GENERATION_RETRIES;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    console.warn(`Warning: "generationRetries" must be a non-negative integer, using ${DEFAULT_GENERATION_RETRIES}`);
+    return DEFAULT_GENERATION_RETRIES;
+  }
+  return value;
+}
+
 /**
  * Generate package.json content
  * @param {string} name - Package name
@@ -293,7 +522,9 @@ export async function generateReadme(name, groups, tools, options = {}) {
   const { agentType = "pi" } = options;
 
   const groupSummary = groups
-    .map((g) => `- ${g.filename}: ${g.description} (wraps: ${g.mcp_tools.join(", ")})`)
+    .map((g) => `- ${g.filename}${safetyMarker(g.safety)}: ${g.description}${g.mcp_tools.length > 0 ? ` (wraps: ${g.mcp_tools.join(", ")})` : ""}${
+      g.subcommands ? `\n  Subcommands: ${g.subcommands.map((sub) => `${sub.name} (${sub.mcp_tool})`).join(", ")}` : ""
+    }${outputFields(g, tools) ? `\n  Structured output fields (--fields): ${outputFields(g, tools)}` : ""}`)
     .join("\n");
 
   const prompt = `Generate a README.md for a CLI tool package.
@@ -314,12 +545,15 @@ Requirements:
    - Usage examples
    - Available options/flags
    - Brief description
+   - Keep the (read-only) / (destructive, needs --confirm) marker in the section heading
+   - For wrappers with subcommands, one example per subcommand (<wrapper> <subcommand> [options])
+   - For wrappers with structured output fields, mention the table view and a --fields example
 6. ## Example Workflow section showing typical usage pattern
 7. ## Credits section with this EXACT content:
    ## Credits
 
-   These CLI tools are powered by [mcporter](https://github.com/steipete/mcporter),
-   which provides the core MCP-to-CLI bridge functionality.
+   These CLI tools talk to the MCP server through the shared \`_runtime.js\`,
+   mcp2cli's built-in MCP client.
 
    Generated by [mcp2cli](https://github.com/nicobailon/mcp2cli) for the Pi coding agent.
 
@@ -342,7 +576,7 @@ Output ONLY the markdown content, no explanations.`;
 
     return stdout.trim();
   } catch (error) {
-    return generateBasicReadme(name, groups);
+    return generateBasicReadme(name, groups, tools);
   } finally {
     clearTimeout(timeoutId);
     try {
@@ -353,14 +587,39 @@ Output ONLY the markdown content, no explanations.`;
   }
 }
 
+/**
+ * Format the subcommands of a hierarchical wrapper for listings, e.g. " (list|get|create)"
+ * @param {object} group - Group
+ * @returns {string}
+ */
+function subcommandList(group) {
+  return group.subcommands?.length ? ` (${group.subcommands.map((sub) => sub.name).join("|")})` : "";
+}
+
+/**
+ * List the structured output fields of a group's tools (from outputSchema), e.g. "id, title, state"
+ * @param {object} group - Group
+ * @param {Array} tools - Full tool definitions
+ * @returns {string} - Empty when no tool declares an output schema
+ */
+function outputFields(group, tools) {
+  const fields = group.mcp_tools.flatMap((name) => outputView(tools.find((t) => t.name === name)?.outputSchema)?.fields || []);
+  return [...new Set(fields)].join(", ");
+}
+
 /**
  * Generate basic README (fallback)
  * @param {string} name - Package name
  * @param {Array} groups - Tool groups
+ * @param {Array} tools - Full tool definitions (for output fields)
  * @returns {string}
  */
-export function generateBasicReadme(name, groups) {
-  const toolList = groups.map((g) => `- \`${g.filename}\`: ${g.description}`).join("\n");
+export function generateBasicReadme(name, groups, tools = []) {
+  const toolList = groups
+    .map((g) => `- \`${g.filename}\`${subcommandList(g)}${safetyMarker(g.safety)}: ${g.description}${
+      outputFields(g, tools) ? ` Fields: ${outputFields(g, tools)}.` : ""
+    }`)
+    .join("\n");
   const firstTool = groups[0]?.filename || "tool.js";
   const firstToolNoExt = firstTool.replace(/\.js$/, "");
 
@@ -400,11 +659,19 @@ node ~/agent-tools/${name}/${firstTool}  # Wrong
 ${toolList}
 
 Run any tool with \`--help\` for usage information.
+Images and binary files in results are saved to files (\`--out-dir <dir>\`, default: a temp directory) and their paths printed; \`--json\` prints the raw result.
+Long output is cut to a preview after \`--max-chars <n>\` characters (default: \`MCP2CLI_MAX_OUTPUT\`), with the full output saved to a file.${groups.some((g) => outputFields(g, tools))
+    ? "\nTools listing fields return structured results, shown as a table; pick columns with `--fields a,b` (`--json` prints the structured data)."
+    : ""}${groups.some((g) => g.subcommands)
+    ? "\nTools listed with subcommands take the subcommand first: `<tool> <subcommand> --help`."
+    : ""}${groups.some((g) => g.safety === "destructive")
+    ? "\nDestructive tools refuse to run without `--confirm` (or `MCP2CLI_ALLOW_DESTRUCTIVE=1`)."
+    : ""}
 
 ## Credits
 
-These CLI tools are powered by [mcporter](https://github.com/steipete/mcporter),
-which provides the core MCP-to-CLI bridge functionality.
+These CLI tools talk to the MCP server through the shared \`_runtime.js\`,
+mcp2cli's built-in MCP client.
 
 Generated by [mcp2cli](https://github.com/nicobailon/mcp2cli) for the Pi coding agent.
 `;
@@ -418,7 +685,9 @@ Generated by [mcp2cli](https://github.com/nicobailon/mcp2cli) for the Pi coding
  * @returns {string}
  */
 export function generateAgentsEntry(name, groups, packageDescription) {
-  const toolList = groups.map((g) => `\`${g.filename}\``).join(", ");
+  const toolList = groups
+    .map((g) => `\`${g.filename}\`${subcommandList(g)}${safetyMarker(g.safety, { readOnly: false })}`)
+    .join(", ");
   const firstTool = groups[0]?.filename || "tool.js";
   const firstToolNoExt = firstTool.replace(/\.js$/, "");
 
@@ -5,49 +5,69 @@
 
 import { exec } from "child_process";
 import { promisify } from "util";
-import { writeFileSync, unlinkSync } from "fs";
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from "fs";
 import { tmpdir } from "os";
 import { join } from "path";
+import { schemaTypeLabel } from "./schema.js";
+import { annotationTags } from "./annotations.js";
+import { extendHeuristicGrouping, extendHierarchicalGrouping, deriveSubcommands } from "./heuristic-grouping.js";
 
 const execAsync = promisify(exec);
 
+export const DEFAULT_GROUPING_RETRIES = 2;
+
+export const DEFAULT_MAX_GROUPS = 20;
+
+const SUBCOMMAND_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+const WRAPPER_FILENAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]*\.js$/;
+
 /**
- * Generate the grouping prompt for Pi
- * @param {string} serverName - MCP server name
+ * Describe tools and their parameters for a grouping prompt
  * @param {Array} tools - Array of tool objects with name, description, inputSchema
- * @returns {string} - Prompt for Pi
+ * @returns {string}
  */
-function generateGroupingPrompt(serverName, tools) {
-  const toolList = tools
+function formatToolList(tools) {
+  return tools
     .map((t) => {
       const params = t.inputSchema?.properties
         ? Object.entries(t.inputSchema.properties)
             .map(([name, schema]) => {
               const required = t.inputSchema.required?.includes(name) ? " (required)" : "";
-              return `      - ${name}: ${schema.type || "any"}${required} - ${schema.description || ""}`;
+              return `      - ${name}: ${schemaTypeLabel(schema)}${required} - ${schema.description || ""}`;
             })
             .join("\n")
         : "      (no parameters)";
 
-      return `  - ${t.name}: ${t.description || "No description"}\n    Parameters:\n${params}`;
+      return `  - ${t.name}${annotationTags(t)}: ${t.description || "No description"}\n    Parameters:\n${params}`;
     })
     .join("\n\n");
+}
 
+/**
+ * Generate the grouping prompt for Pi
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - Array of tool objects with name, description, inputSchema
+ * @param {number} maxGroups - Maximum number of wrappers
+ * @returns {string} - Prompt for Pi
+ */
+function generateGroupingPrompt(serverName, tools, maxGroups = DEFAULT_MAX_GROUPS) {
   return `You are grouping MCP tools into CLI wrapper scripts for the Pi coding agent.
 
 MCP Server: ${serverName}
 Total Tools: ${tools.length}
 
 MCP Tools:
-${toolList}
+${formatToolList(tools)}
 
 Group these tools into logical CLI commands. Guidelines:
 - Group related actions (e.g., all navigation under ${serverName}-navigate.js)
 - Create dedicated tools for high-frequency operations (e.g., snapshot gets its own tool)
 - Keep groups cohesive (max 5-6 MCP tools per wrapper, fewer for complex tools)
 - Name wrappers: ${serverName}-<action>.js (lowercase, hyphenated)
-- Maximum 20 wrapper scripts total
+- Maximum ${maxGroups} wrapper scripts total
 - Single-tool wrappers are fine for important/complex tools
+- Never mix [read-only] and [destructive] tools in one wrapper (destructive wrappers require --confirm)
 
 Output ONLY valid JSON (no markdown, no explanation):
 {
@@ -62,14 +82,127 @@ Output ONLY valid JSON (no markdown, no explanation):
 }`;
 }
 
+/**
+ * Generate the prompt placing new tools into an existing grouping
+ * @param {string} serverName - MCP server name
+ * @param {Array} groups - Existing groups (filenames must stay)
+ * @param {Array} newTools - Tools not in any group yet
+ * @param {number} maxGroups - Maximum number of wrappers, existing ones included
+ * @param {boolean} hierarchical - Whether the wrappers are categories with a subcommand per tool
+ * @returns {string}
+ */
+function generateNewToolsPrompt(serverName, groups, newTools, maxGroups = DEFAULT_MAX_GROUPS, hierarchical = false) {
+  const existing = groups
+    .map((g) => `  - ${g.filename}: ${g.description || ""}\n    MCP tools: ${g.mcp_tools.join(", ")}`)
+    .join("\n");
+
+  return `You are adding new MCP tools to existing CLI wrapper scripts for the Pi coding agent.
+
+MCP Server: ${serverName}
+
+Existing wrappers (keep these filenames and their tools):
+${existing}
+
+New MCP Tools:
+${formatToolList(newTools)}
+
+Assign every new tool to an existing wrapper or to a new wrapper. Guidelines:
+${hierarchical
+    ? `- Each wrapper is a category with one subcommand per tool; categories may hold many tools
+- Add a tool to the existing category of its resource or domain; start a new category only for a new domain
+- Name new wrappers: ${serverName}-<category>.js (lowercase, hyphenated, plural nouns, not an existing filename unless extending it)`
+    : `- Add a tool to an existing wrapper only if it clearly belongs there
+- Keep groups cohesive (max 5-6 MCP tools per wrapper)
+- Name new wrappers: ${serverName}-<action>.js (lowercase, hyphenated, not an existing filename unless extending it)`}
+- Maximum ${maxGroups} wrapper scripts total, existing ones included
+${hierarchical ? "" : "- Never mix [read-only] and [destructive] tools in one wrapper (destructive wrappers require --confirm)\n"}
+Output ONLY valid JSON (no markdown, no explanation). List only the new tools:
+{
+  "groups": [
+    {
+      "filename": "${serverName}-existing-or-new.js",
+      "description": "One-line description (for new wrappers)",
+      "mcp_tools": ["new_tool_name"],
+      "rationale": "Brief explanation"
+    }
+  ]
+}`;
+}
+
+/**
+ * Generate the first-level prompt of hierarchical grouping: categories
+ * Tools are listed by name and description only so large servers fit
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - Array of tool objects
+ * @param {number} maxGroups - Maximum number of categories
+ * @returns {string}
+ */
+function generateCategoryPrompt(serverName, tools, maxGroups) {
+  const toolList = tools
+    .map((t) => `  - ${t.name}${annotationTags(t)}: ${(t.description || "No description").split("\n")[0].slice(0, 160)}`)
+    .join("\n");
+
+  return `You are sorting MCP tools into categories. Each category becomes one CLI wrapper script with a subcommand per tool (e.g. ${serverName}-issues list|get|create).
+
+MCP Server: ${serverName}
+Total Tools: ${tools.length}
+
+MCP Tools:
+${toolList}
+
+Guidelines:
+- One category per resource or domain (issues, pull requests, repositories...)
+- Every tool belongs to exactly one category; categories may hold many tools
+- Maximum ${maxGroups} categories
+- Name wrappers: ${serverName}-<category>.js (lowercase, hyphenated, plural nouns)
+
+Output ONLY valid JSON (no markdown, no explanation):
+{
+  "groups": [
+    {
+      "filename": "${serverName}-issues.js",
+      "description": "One-line description of the category",
+      "mcp_tools": ["tool_name_1", "tool_name_2"],
+      "rationale": "Brief explanation"
+    }
+  ]
+}`;
+}
+
+/**
+ * Generate the second-level prompt of hierarchical grouping: subcommands of one category
+ * @param {object} group - Category group
+ * @param {Array} tools - Tools in the category
+ * @returns {string}
+ */
+function generateSubcommandPrompt(group, tools) {
+  return `Name the subcommands of the CLI wrapper ${group.filename} (${group.description || "no description"}).
+Each MCP tool below becomes one subcommand: ${group.filename.replace(/\.js$/, "")} <subcommand> [options]
+
+MCP Tools:
+${formatToolList(tools)}
+
+Guidelines:
+- Short lowercase verbs or verb-noun pairs (list, get, create, list-comments)
+- Don't repeat the category name; names must be unique and not "help"
+
+Output ONLY valid JSON (no markdown, no explanation):
+{
+  "subcommands": [
+    { "name": "list", "mcp_tool": "tool_name_1" }
+  ]
+}`;
+}
+
 /**
  * Parse Pi's response to extract JSON
  * @param {string} output - Pi output
+ * @param {string} key - Top-level key the JSON must contain (default: "groups")
  * @returns {object} - Parsed JSON
  */
-function parseGroupingResponse(output) {
+function parseGroupingResponse(output, key = "groups") {
   // Try to find JSON in the output
-  const jsonMatch = output.match(/\{[\s\S]*"groups"[\s\S]*\}/);
+  const jsonMatch = output.match(new RegExp(`\\{[\\s\\S]*"${key}"[\\s\\S]*\\}`));
   if (!jsonMatch) {
     throw new Error("No valid JSON found in Pi response");
   }
@@ -83,17 +216,23 @@ function parseGroupingResponse(output) {
 
 /**
  * Validate the grouping response
+ * All problems are reported at once so they can be fed back to the agent
  * @param {object} response - Parsed response
  * @param {Array} tools - Original tools array
+ * @param {object} options - Options
+ * @param {number} options.maxGroups - Maximum number of groups (default: 20)
  * @returns {object} - Validated response
  */
-function validateGrouping(response, tools) {
+export function validateGrouping(response, tools, options = {}) {
+  const { maxGroups = DEFAULT_MAX_GROUPS } = options;
   if (!response.groups || !Array.isArray(response.groups)) {
     throw new Error("Invalid grouping response: missing groups array");
   }
 
-  if (response.groups.length > 20) {
-    throw new Error(`Too many groups (${response.groups.length}), maximum is 20`);
+  const errors = [];
+  let hint = "";
+  if (response.groups.length > maxGroups) {
+    errors.push(`Too many groups (${response.groups.length}), maximum is ${maxGroups}`);
   }
 
   const toolNames = new Set(tools.map((t) => t.name));
@@ -101,13 +240,14 @@ function validateGrouping(response, tools) {
 
   for (const group of response.groups) {
     if (!group.filename || !group.mcp_tools || !Array.isArray(group.mcp_tools)) {
-      throw new Error(`Invalid group: ${JSON.stringify(group)}`);
+      errors.push(`Invalid group: ${JSON.stringify(group)}`);
+      continue;
     }
 
     // Verify all referenced tools exist
     for (const toolName of group.mcp_tools) {
       if (!toolNames.has(toolName)) {
-        throw new Error(`Unknown tool referenced: ${toolName}`);
+        errors.push(`Unknown tool referenced: ${toolName}`);
       }
       usedTools.add(toolName);
     }
@@ -120,13 +260,72 @@ function validateGrouping(response, tools) {
     if (process.env.MCP2CLI_ALLOW_UNUSED === "true") {
       console.warn(`      Warning: ${message}`);
     } else {
-      throw new Error(`${message}\n      Set MCP2CLI_ALLOW_UNUSED=true to allow unused tools, or ensure all tools are grouped.`);
+      errors.push(message);
+      hint = "\n      Set MCP2CLI_ALLOW_UNUSED=true to allow unused tools, or ensure all tools are grouped.";
     }
   }
 
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`${errors.join("\n")}${hint}`), { validationErrors: errors });
+  }
+
   return response;
 }
 
+/**
+ * Check the subcommands of a hierarchical group: one per wrapped tool, unique names
+ * @param {object} group - Group with mcp_tools and subcommands
+ * @returns {string[]} - Problems (empty when valid)
+ */
+export function findSubcommandErrors(group) {
+  if (!Array.isArray(group.subcommands)) {
+    return [`${group.filename}: missing subcommands array`];
+  }
+
+  const errors = [];
+  const names = new Set();
+  const covered = new Set();
+  for (const sub of group.subcommands) {
+    if (!sub || typeof sub.name !== "string" || !SUBCOMMAND_NAME.test(sub.name) || sub.name === "help") {
+      errors.push(`${group.filename}: invalid subcommand name ${JSON.stringify(sub?.name)}`);
+    } else if (names.has(sub.name)) {
+      errors.push(`${group.filename}: duplicate subcommand "${sub.name}"`);
+    }
+    names.add(sub?.name);
+    if (!group.mcp_tools.includes(sub?.mcp_tool)) {
+      errors.push(`${group.filename}: subcommand "${sub?.name}" maps to a tool outside this wrapper: ${sub?.mcp_tool}`);
+    } else if (covered.has(sub.mcp_tool)) {
+      errors.push(`${group.filename}: ${sub.mcp_tool} has more than one subcommand`);
+    }
+    covered.add(sub?.mcp_tool);
+  }
+
+  const missing = group.mcp_tools.filter((name) => !covered.has(name));
+  if (missing.length > 0) {
+    errors.push(`${group.filename}: no subcommand for ${missing.join(", ")}`);
+  }
+  return errors;
+}
+
+/**
+ * Build the follow-up prompt asking the agent to fix a rejected grouping
+ * @param {string} prompt - Original grouping prompt
+ * @param {string} previous - The agent's previous output (JSON if found)
+ * @param {string[]} errors - Validation errors
+ * @returns {string}
+ */
+function generateCorrectionPrompt(prompt, previous, errors) {
+  return `${prompt}
+
+Your previous response was:
+${previous}
+
+It was rejected for these reasons:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Fix these problems and output the complete corrected JSON (same format, no markdown, no explanation).`;
+}
+
 /**
  * Build command for AI agent invocation
  * @param {string} tempFile - Path to prompt file
@@ -145,18 +344,12 @@ function buildAgentCommand(tempFile, agentType) {
 }
 
 /**
- * Group tools using AI agent's non-interactive mode
- * @param {string} serverName - MCP server name
- * @param {Array} tools - Array of tool objects
- * @param {object} options - options
- * @param {boolean} options.quiet - suppress progress output
- * @param {string} options.agentType - "pi" or "claude"
- * @returns {Promise<Array>} - Array of group objects
+ * Run the AI agent on a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} agentType - "pi", "claude", or "codex"
+ * @returns {Promise<string>} - Agent stdout
  */
-export async function groupTools(serverName, tools, options = {}) {
-  const { quiet = false, agentType = "pi" } = options;
-
-  const prompt = generateGroupingPrompt(serverName, tools);
+async function runAgent(prompt, agentType) {
   const tempFile = join(tmpdir(), `mcp2cli-grouping-${Date.now()}.md`);
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 120000);
@@ -170,15 +363,7 @@ export async function groupTools(serverName, tools, options = {}) {
       signal: controller.signal,
       maxBuffer: 10 * 1024 * 1024,
     });
-
-    const response = parseGroupingResponse(stdout);
-    const validated = validateGrouping(response, tools);
-
-    if (!quiet) {
-      console.log(`      Created ${validated.groups.length} tool groups`);
-    }
-
-    return validated.groups;
+    return stdout;
   } catch (error) {
     if (error.name === "AbortError") {
       throw new Error("Grouping timed out after 2 minutes");
@@ -197,6 +382,291 @@ export async function groupTools(serverName, tools, options = {}) {
   }
 }
 
+/**
+ * Ask the agent for groups, sending rejected responses back with their errors
+ * @param {string} basePrompt - Grouping prompt
+ * @param {Function} validate - (response) => groups; throws (with validationErrors) when invalid
+ * @param {object} options - Options (verbose, agentType, retries, key)
+ * @returns {Promise<{groups: Array, corrections: number}>}
+ */
+async function requestGrouping(basePrompt, validate, options) {
+  const { verbose = false, agentType = "pi", retries = DEFAULT_GROUPING_RETRIES, key = "groups" } = options;
+  let prompt = basePrompt;
+  const attempts = retries + 1;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const stdout = await runAgent(prompt, agentType);
+
+    let errors;
+    try {
+      return { groups: validate(parseGroupingResponse(stdout, key)), corrections: attempt - 1 };
+    } catch (error) {
+      errors = error.validationErrors || [error.message];
+      if (attempt === attempts) {
+        throw new Error(`Grouping failed after ${attempts} attempt${attempts > 1 ? "s" : ""}: ${error.message}`);
+      }
+    }
+
+    if (verbose) {
+      console.log(`      Grouping attempt ${attempt}/${attempts} rejected:`);
+      for (const error of errors) {
+        console.log(`        - ${error}`);
+      }
+      console.log("      Asking the agent for a corrected plan...");
+    }
+    const previous = stdout.match(/\{[\s\S]*\}/)?.[0] || stdout.trim();
+    prompt = generateCorrectionPrompt(basePrompt, previous, errors);
+  }
+}
+
+/**
+ * Progress suffix for groupings that needed corrections
+ * @param {number} corrections - Correction rounds used
+ * @returns {string}
+ */
+function correctionSuffix(corrections) {
+  return corrections > 0 ? ` (after ${corrections} correction${corrections > 1 ? "s" : ""})` : "";
+}
+
+/**
+ * Group tools using AI agent's non-interactive mode
+ * Invalid responses are sent back to the agent with the validation errors
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - Array of tool objects
+ * @param {object} options - options
+ * @param {boolean} options.quiet - suppress progress output
+ * @param {boolean} options.verbose - log each attempt and its errors
+ * @param {string} options.agentType - "pi" or "claude"
+ * @param {number} options.retries - correction rounds after an invalid response (default: 2)
+ * @param {number} options.maxGroups - maximum number of wrappers (default: 20)
+ * @returns {Promise<Array>} - Array of group objects
+ */
+export async function groupTools(serverName, tools, options = {}) {
+  const { quiet = false, maxGroups = DEFAULT_MAX_GROUPS } = options;
+
+  const { groups, corrections } = await requestGrouping(
+    generateGroupingPrompt(serverName, tools, maxGroups),
+    (response) => validateGrouping(response, tools, { maxGroups }).groups,
+    options
+  );
+
+  if (!quiet) {
+    console.log(`      Created ${groups.length} tool groups${correctionSuffix(corrections)}`);
+  }
+  return groups;
+}
+
+/**
+ * Two-level grouping for large servers: categories first, then a subcommand per tool
+ * A category whose subcommand naming fails gets derived names
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - Array of tool objects
+ * @param {object} options - Same options as groupTools
+ * @returns {Promise<Array>} - Groups with subcommands
+ */
+export async function groupToolsHierarchical(serverName, tools, options = {}) {
+  const { quiet = false, maxGroups = DEFAULT_MAX_GROUPS } = options;
+
+  const { groups: categories, corrections } = await requestGrouping(
+    generateCategoryPrompt(serverName, tools, maxGroups),
+    (response) => validateGrouping(response, tools, { maxGroups }).groups,
+    options
+  );
+  if (!quiet) {
+    console.log(`      Created ${categories.length} categories${correctionSuffix(corrections)}`);
+  }
+
+  const groups = [];
+  for (const category of categories) {
+    const categoryTools = tools.filter((t) => category.mcp_tools.includes(t.name));
+    const validate = (response) => {
+      const group = { ...category, subcommands: response.subcommands };
+      const errors = findSubcommandErrors(group);
+      if (errors.length > 0) {
+        throw Object.assign(new Error(errors.join("\n")), { validationErrors: errors });
+      }
+      return group.subcommands.map(({ name, mcp_tool }) => ({ name, mcp_tool }));
+    };
+
+    let subcommands;
+    try {
+      ({ groups: subcommands } = await requestGrouping(generateSubcommandPrompt(category, categoryTools), validate, {
+        ...options,
+        key: "subcommands",
+      }));
+    } catch (error) {
+      console.warn(`      Warning: ${category.filename}: naming subcommands failed (${error.message}), deriving names`);
+      subcommands = deriveSubcommands(category.mcp_tools);
+    }
+    groups.push({ ...category, subcommands });
+  }
+
+  return groups;
+}
+
+/**
+ * Ask the agent where newly discovered tools belong in an existing grouping
+ * @param {string} serverName - MCP server name
+ * @param {Array} groups - Existing groups (kept as they are)
+ * @param {Array} newTools - Tools not in any group yet
+ * @param {object} options - Same options as groupTools
+ * @param {boolean} options.hierarchical - Whether the groups are categories with subcommands
+ * @returns {Promise<Array>} - Existing groups extended with the new tools, plus new groups
+ */
+export async function groupNewTools(serverName, groups, newTools, options = {}) {
+  const { quiet = false, maxGroups = DEFAULT_MAX_GROUPS, hierarchical = false } = options;
+  const existing = new Set(groups.map((g) => g.filename));
+
+  const validate = (response) => {
+    const { groups: additions } = validateGrouping(response, newTools, { maxGroups });
+    const created = additions.filter((g) => !existing.has(g.filename));
+    const errors = created
+      .filter((g) => !WRAPPER_FILENAME.test(g.filename))
+      .map((g) => `Invalid wrapper filename: ${JSON.stringify(g.filename)}`);
+    if (created.length > 0 && existing.size + created.length > maxGroups) {
+      errors.push(`Too many groups (${existing.size + created.length} with the existing wrappers), maximum is ${maxGroups}`);
+    }
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join("\n")), { validationErrors: errors });
+    }
+    return additions;
+  };
+
+  const { groups: additions, corrections } = await requestGrouping(
+    generateNewToolsPrompt(serverName, groups, newTools, maxGroups, hierarchical),
+    validate,
+    options
+  );
+
+  const result = groups.map((g) => ({ ...g, mcp_tools: [...g.mcp_tools] }));
+  for (const addition of additions) {
+    const target = result.find((g) => g.filename === addition.filename);
+    if (target) {
+      target.mcp_tools.push(...addition.mcp_tools.filter((name) => !target.mcp_tools.includes(name)));
+    } else {
+      result.push(addition);
+    }
+  }
+
+  if (!quiet) {
+    console.log(`      Placed ${newTools.length} new tool(s)${correctionSuffix(corrections)}`);
+  }
+  return result;
+}
+
+/**
+ * Read the correction-round limit from config ("groupingRetries")
+ * @param {object} config - Loaded config
+ * @returns {number}
+ */
+export function getGroupingRetries(config = {}) {
+  const value = config.groupingRetries;
+  if (value === undefined) {
+    return DEFAULT_GROUPING_RETRIES;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    console.warn(`Warning: "groupingRetries" must be a non-negative integer, using ${DEFAULT_GROUPING_RETRIES}`);
+    return DEFAULT_GROUPING_RETRIES;
+  }
+  return value;
+}
+
+/**
+ * Read the wrapper cap from config ("maxGroups")
+ * @param {object} config - Loaded config
+ * @returns {number}
+ */
+export function getMaxGroups(config = {}) {
+  const value = config.maxGroups;
+  if (value === undefined) {
+    return DEFAULT_MAX_GROUPS;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    console.warn(`Warning: "maxGroups" must be a positive integer, using ${DEFAULT_MAX_GROUPS}`);
+    return DEFAULT_MAX_GROUPS;
+  }
+  return value;
+}
+
+/**
+ * Grouping modes for --grouping
+ * agent: AI grouping (1:1 fallback without an agent), heuristic: deterministic clustering,
+ * hierarchical: category wrappers with one subcommand per tool
+ */
+export const GROUPING_MODES = ["agent", "heuristic", "hierarchical"];
+
+/**
+ * Plan/manifest form of a group (no derived fields such as safety)
+ * @param {object} group - Group
+ * @returns {object}
+ */
+export function toPlanGroup({ filename, description, mcp_tools, rationale, subcommands }) {
+  return { filename, description, mcp_tools, rationale, ...(subcommands ? { subcommands } : {}) };
+}
+
+/**
+ * Read a grouping plan written by --plan-out (possibly edited by hand)
+ * The plan goes through validateGrouping against the discovered tools
+ * Groups with "subcommands" make a two-level (hierarchical) plan
+ * @param {string} filePath - Plan file path
+ * @param {Array} tools - Discovered tools
+ * @param {object} options - Options
+ * @param {number} options.maxGroups - Maximum number of groups (default: 20)
+ * @returns {Array} - Array of group objects
+ */
+export function readGroupingPlan(filePath, tools, options = {}) {
+  if (!existsSync(filePath)) {
+    throw new Error(`Plan file not found: ${filePath}`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+
+  const { groups } = validateGrouping(plan || {}, tools, options);
+  const filenames = new Set();
+  for (const group of groups) {
+    if (typeof group.filename !== "string" || !WRAPPER_FILENAME.test(group.filename)) {
+      throw new Error(`Invalid wrapper filename in plan: ${JSON.stringify(group.filename)}`);
+    }
+    if (filenames.has(group.filename)) {
+      throw new Error(`Duplicate wrapper filename in plan: ${group.filename}`);
+    }
+    filenames.add(group.filename);
+    if (group.subcommands !== undefined) {
+      const [error] = findSubcommandErrors(group);
+      if (error) throw new Error(`Invalid plan: ${error}`);
+    }
+  }
+
+  return groups.map((group) =>
+    toPlanGroup({
+      filename: group.filename,
+      description: group.description || `Wrapper for ${group.mcp_tools.join(", ")}`,
+      mcp_tools: group.mcp_tools,
+      rationale: group.rationale || "From plan file",
+      subcommands: group.subcommands?.map(({ name, mcp_tool }) => ({ name, mcp_tool })),
+    })
+  );
+}
+
+/**
+ * Write a grouping plan for --plan
+ * @param {string} filePath - Plan file path
+ * @param {string} serverName - MCP server name
+ * @param {Array} groups - Validated groups
+ */
+export function writeGroupingPlan(filePath, serverName, groups) {
+  const plan = {
+    server: serverName,
+    groups: groups.map(toPlanGroup),
+  };
+  writeFileSync(filePath, `${JSON.stringify(plan, null, 2)}\n`, "utf-8");
+}
+
 /**
  * Fallback grouping when no AI agent (Pi/Claude) is available
  * Creates one wrapper per tool (simple but works)
@@ -212,3 +682,133 @@ export function fallbackGrouping(serverName, tools) {
     rationale: "Direct 1:1 mapping (fallback mode)",
   }));
 }
+
+/**
+ * Append groups, renaming any whose filename is already taken
+ * @param {Array} groups - Existing groups
+ * @param {Array} additions - New groups
+ * @returns {Array}
+ */
+export function appendGroups(groups, additions) {
+  const used = new Set(groups.map((g) => g.filename));
+  const result = [...groups];
+  for (const addition of additions) {
+    let filename = addition.filename;
+    for (let n = 2; used.has(filename); n++) {
+      filename = addition.filename.replace(/\.js$/, `-${n}.js`);
+    }
+    used.add(filename);
+    result.push({ ...addition, filename });
+  }
+  return result;
+}
+
+/**
+ * Match a grouping from the manifest against the discovered tools
+ * Removed tools are dropped (and groups left empty with them)
+ * @param {Array} previous - Groups recorded in the manifest
+ * @param {Array} tools - Discovered tools
+ * @returns {{groups: Array, newTools: Array, removedTools: string[]}}
+ */
+export function reconcileGroups(previous, tools) {
+  const toolNames = new Set(tools.map((t) => t.name));
+  const removedTools = [];
+  const seen = new Set();
+
+  const groups = previous
+    .filter((g) => g && typeof g.filename === "string" && WRAPPER_FILENAME.test(g.filename) && Array.isArray(g.mcp_tools))
+    .map((g) => {
+      const kept = g.mcp_tools.filter((name) => {
+        if (!toolNames.has(name)) {
+          removedTools.push(name);
+          return false;
+        }
+        if (seen.has(name)) return false;
+        seen.add(name);
+        return true;
+      });
+      const subcommands = Array.isArray(g.subcommands) ? g.subcommands.filter((sub) => kept.includes(sub?.mcp_tool)) : undefined;
+      return toPlanGroup({ filename: g.filename, description: g.description, mcp_tools: kept, rationale: g.rationale, subcommands });
+    })
+    .filter((g) => g.mcp_tools.length > 0);
+
+  return { groups, newTools: tools.filter((t) => !seen.has(t.name)), removedTools };
+}
+
+/**
+ * Keep a previous grouping stable: drop removed tools and place only the new ones
+ * @param {string} serverName - MCP server name
+ * @param {Array} previous - Groups recorded in the manifest
+ * @param {Array} tools - Discovered tools
+ * @param {object} options - Options
+ * @param {string} options.grouping - Grouping mode ("agent", "heuristic" or "hierarchical")
+ * @param {string|null} options.agentType - AI agent, or null (new tools get 1:1 wrappers, or heuristic categories)
+ * @param {number} options.maxGroups - Maximum number of wrappers, existing ones included (default: 20)
+ * @returns {Promise<{groups: Array, newTools: string[], removedTools: string[]}>}
+ */
+export async function updateGrouping(serverName, previous, tools, options = {}) {
+  const { grouping = "agent", agentType = null, quiet = false, maxGroups = DEFAULT_MAX_GROUPS } = options;
+  const { groups, newTools, removedTools } = reconcileGroups(previous, tools);
+  const summary = { newTools: newTools.map((t) => t.name), removedTools };
+  const hierarchical = grouping === "hierarchical" || groups.some((g) => g.subcommands);
+
+  if (newTools.length === 0) {
+    return { groups, ...summary };
+  }
+  // Categories have no size limit, so hierarchical groupings get their own extender
+  const extend = () => {
+    const extendGrouping = hierarchical ? extendHierarchicalGrouping : extendHeuristicGrouping;
+    return completeSubcommands(extendGrouping(serverName, groups, tools, newTools, { maxGroups }), hierarchical);
+  };
+  if (grouping === "heuristic" || (hierarchical && !agentType)) {
+    return { groups: extend(), ...summary };
+  }
+  if (agentType) {
+    try {
+      const placed = await groupNewTools(serverName, groups, newTools, { ...options, hierarchical });
+      return { groups: completeSubcommands(placed, hierarchical), ...summary };
+    } catch (error) {
+      console.error(`Error: Grouping new tools failed - ${error.message}`);
+      // A 1:1 mapping would turn every new tool into a one-tool category
+      if (hierarchical) {
+        console.error("      Falling back to heuristic categories for new tools...");
+        return { groups: extend(), ...summary };
+      }
+      console.error("      Falling back to 1:1 mapping for new tools...");
+    }
+  } else if (!quiet) {
+    console.log("      New tools get their own wrappers (fallback mode)");
+  }
+  const appended = appendGroups(groups, fallbackGrouping(serverName, newTools));
+  return { groups: completeSubcommands(appended, hierarchical), ...summary };
+}
+
+/**
+ * Give tools added to a hierarchical grouping a subcommand, keeping existing names
+ * @param {Array} groups - Groups (not mutated)
+ * @param {boolean} hierarchical - Whether groups without subcommands should get them too
+ * @returns {Array}
+ */
+function completeSubcommands(groups, hierarchical) {
+  if (!hierarchical) {
+    return groups;
+  }
+
+  return groups.map((group) => {
+    const existing = group.subcommands || [];
+    const missing = group.mcp_tools.filter((name) => !existing.some((sub) => sub.mcp_tool === name));
+    if (missing.length === 0) {
+      return group;
+    }
+
+    const taken = new Set(existing.map((sub) => sub.name));
+    const derived = deriveSubcommands(group.mcp_tools);
+    const added = missing.map((name) => {
+      let sub = derived.find((d) => d.mcp_tool === name).name;
+      if (taken.has(sub)) sub = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      taken.add(sub);
+      return { name: sub, mcp_tool: name };
+    });
+    return { ...group, subcommands: [...existing, ...added] };
+  });
+}
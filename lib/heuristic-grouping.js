@@ -0,0 +1,467 @@
+/**
+ * Heuristic Grouping
+ * Deterministic tool grouping without an AI agent: clusters tools by the noun
+ * in their names (list_issues/get_issue/create_issue -> issue), merges related
+ * nouns and tools with similar parameters, and keeps groups within the size limit
+ * Read-only and destructive tools never share a wrapper
+ */
+
+import { getToolSafety } from "./annotations.js";
+import { DEFAULT_MAX_GROUPS } from "./grouping.js";
+
+export const MAX_TOOLS_PER_GROUP = 6;
+
+const VERBS = new Set([
+  "list", "get", "read", "fetch", "search", "find", "query", "describe", "show", "view", "check", "wait",
+  "create", "add", "insert", "new", "update", "edit", "modify", "set", "patch", "put", "upsert",
+  "delete", "remove", "drop", "clear", "reset", "cancel",
+  "open", "close", "start", "stop", "run", "execute", "exec", "evaluate",
+  "navigate", "click", "fill", "select", "hover", "drag", "press", "type", "upload", "download", "take",
+  "move", "copy", "rename", "merge", "push", "write", "send", "post", "enable", "disable", "install", "uninstall",
+]);
+
+const READ_VERBS = new Set(["list", "get", "read", "fetch", "search", "find", "query", "describe", "show", "view", "check", "wait"]);
+
+const SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Split a tool name into lowercase words
+ * "list_pullRequests" -> ["list", "pull", "requests"]
+ * @param {string} name - Tool name
+ * @returns {string[]}
+ */
+export function tokenizeToolName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Naive English singular for the last word of a noun
+ * @param {string} word - Word
+ * @returns {string}
+ */
+function singular(word) {
+  if (word.length > 3 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && /(?:ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Noun key for name tokens ("pull", "requests" -> ["pull", "request"])
+ * @param {string[]} tokens - Noun tokens
+ * @returns {string[]}
+ */
+function nounOf(tokens) {
+  return [...tokens.slice(0, -1), singular(tokens[tokens.length - 1])];
+}
+
+/**
+ * Split a tool name into verb and noun
+ * "list_issues" -> { verb: "list", noun: ["issue"] }
+ * "issue_create" -> { verb: "create", noun: ["issue"] }
+ * @param {string[]} tokens - Name tokens (shared server prefix removed)
+ * @returns {{verb: string|null, noun: string[]}}
+ */
+function splitVerbNoun(tokens) {
+  let verb = null;
+  let noun = tokens;
+  if (tokens.length > 1 && VERBS.has(tokens[0])) {
+    [verb, ...noun] = tokens;
+  } else if (tokens.length > 1 && VERBS.has(tokens[tokens.length - 1])) {
+    verb = tokens[tokens.length - 1];
+    noun = tokens.slice(0, -1);
+  } else if (tokens.length === 1 && VERBS.has(tokens[0])) {
+    verb = tokens[0];
+  }
+  return { verb, noun: nounOf(noun) };
+}
+
+/**
+ * Safety class used to keep read-only and destructive tools apart
+ * @param {object} tool - MCP tool
+ * @returns {string}
+ */
+function safetyClass(tool) {
+  return getToolSafety(tool) || "neutral";
+}
+
+/**
+ * Whether two clusters may share a wrapper
+ * @param {object} a - Cluster
+ * @param {object} b - Cluster
+ * @param {object} limits - { maxPerGroup, separateSafety }
+ * @returns {boolean}
+ */
+function compatible(a, b, limits) {
+  const classes = new Set([...a.tools, ...b.tools].map(safetyClass));
+  const mixed = limits.separateSafety && classes.has("read-only") && classes.has("destructive");
+  return !mixed && a.tools.length + b.tools.length <= limits.maxPerGroup;
+}
+
+/**
+ * Parameter names of a set of tools
+ * @param {Array} tools - MCP tools
+ * @returns {Set<string>}
+ */
+function paramNames(tools) {
+  return new Set(tools.flatMap((t) => Object.keys(t.inputSchema?.properties || {})));
+}
+
+/**
+ * Overlap of two parameter sets (shared names / smaller set size)
+ * @param {Set<string>} a - Parameter names
+ * @param {Set<string>} b - Parameter names
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter((p) => b.has(p)).length;
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Merge cluster b into a, keeping tools in discovery order
+ * @param {object} a - Target cluster
+ * @param {object} b - Merged cluster
+ * @param {string} reason - Rationale fragment (optional)
+ */
+function absorb(a, b, reason) {
+  a.tools.push(...b.tools);
+  a.tools.sort((x, y) => x.index - y.index);
+  a.nouns.push(...b.nouns.filter((n) => !a.nouns.includes(n)));
+  if (reason) a.reasons.push(reason);
+}
+
+/**
+ * Split oversized or mixed-safety clusters
+ * @param {object} cluster - Cluster
+ * @param {object} limits - { maxPerGroup, separateSafety }
+ * @returns {Array<object>}
+ */
+function splitCluster(cluster, limits) {
+  const { maxPerGroup } = limits;
+  const parts = [];
+  const destructive = cluster.tools.filter((t) => safetyClass(t) === "destructive");
+  const readOnly = cluster.tools.filter((t) => safetyClass(t) === "read-only");
+  let pools;
+  if (limits.separateSafety && destructive.length > 0 && readOnly.length > 0) {
+    pools = [
+      ["", cluster.tools.filter((t) => safetyClass(t) !== "destructive")],
+      ["destructive", destructive],
+    ];
+  } else if (cluster.tools.length > maxPerGroup) {
+    const isRead = (t) => READ_VERBS.has(t.verb);
+    pools = [
+      ["read", cluster.tools.filter(isRead)],
+      ["write", cluster.tools.filter((t) => !isRead(t))],
+    ].filter(([, tools]) => tools.length > 0);
+  } else {
+    return [cluster];
+  }
+
+  for (const [suffix, tools] of pools) {
+    for (let i = 0; i < tools.length; i += maxPerGroup) {
+      const chunk = Math.floor(i / maxPerGroup);
+      parts.push({
+        ...cluster,
+        tools: tools.slice(i, i + maxPerGroup),
+        suffix: [suffix, chunk > 0 ? String(chunk + 1) : ""].filter(Boolean).join("-"),
+        reasons: [...cluster.reasons, suffix ? `split (${suffix})` : "split by size"],
+      });
+    }
+  }
+  return parts.flatMap((part) => (part.tools.length > maxPerGroup ? splitCluster(part, limits) : [part]));
+}
+
+/**
+ * Cluster tools by name and parameters
+ * @param {Array} tools - MCP tools
+ * @param {object} limits - { maxPerGroup, separateSafety }
+ * @returns {Array<object>} - Clusters ({ nouns, tools, reasons, suffix })
+ */
+function buildClusters(tools, limits) {
+  const tokenized = tools.map((tool) => ({ tool, tokens: tokenizeToolName(tool.name) }));
+
+  // Drop a prefix every tool shares ("browser_click", "browser_type" -> "click", "type")
+  const first = tokenized[0]?.tokens[0];
+  const sharedPrefix = tools.length > 1 && tokenized.every(({ tokens }) => tokens.length > 1 && tokens[0] === first);
+
+  // 1. Cluster by noun (first appearance order keeps the result stable)
+  const parsed = tokenized.map(({ tool, tokens }, index) => ({
+    tool,
+    index,
+    tokens: sharedPrefix ? tokens.slice(1) : tokens,
+    ...splitVerbNoun(sharedPrefix ? tokens.slice(1) : tokens),
+  }));
+  // Unknown verbs ("archive_record") count as verbs when the rest names a known noun
+  const known = new Set(parsed.filter((p) => p.verb).map((p) => p.noun.join("-")));
+  for (const p of parsed.filter((p) => !p.verb && p.tokens.length > 1)) {
+    const head = nounOf(p.tokens.slice(1));
+    const tail = nounOf(p.tokens.slice(0, -1));
+    if (known.has(head.join("-"))) {
+      p.verb = p.tokens[0];
+      p.noun = head;
+    } else if (known.has(tail.join("-"))) {
+      p.verb = p.tokens[p.tokens.length - 1];
+      p.noun = tail;
+    }
+  }
+
+  const byNoun = new Map();
+  for (const { tool, index, tokens, verb, noun } of parsed) {
+    const key = noun.join("-");
+    if (!byNoun.has(key)) {
+      byNoun.set(key, { nouns: [key], tools: [], reasons: [`shared noun "${key}"`] });
+    }
+    byNoun.get(key).tools.push({ ...tool, verb, index, prefix: tokens[0] });
+  }
+  let clusters = [...byNoun.values()];
+
+  // 2. Related nouns: "pull-request-review" joins "pull-request"
+  for (const cluster of [...clusters].sort((a, b) => a.nouns[0].length - b.nouns[0].length)) {
+    if (!clusters.includes(cluster)) continue;
+    for (const other of clusters) {
+      if (other !== cluster && other.nouns[0].startsWith(`${cluster.nouns[0]}-`) && compatible(cluster, other, limits)) {
+        absorb(cluster, other, `related noun "${other.nouns[0]}"`);
+        clusters = clusters.filter((c) => c !== other);
+      }
+    }
+  }
+
+  // 3. Single tools sharing a first word ("performance_start_trace", "performance_stop_trace")
+  const byPrefix = new Map();
+  for (const single of clusters.filter((c) => c.tools.length === 1)) {
+    const prefix = single.tools[0].prefix;
+    byPrefix.set(prefix, [...(byPrefix.get(prefix) || []), single]);
+  }
+  for (const [prefix, [keep, ...rest]] of byPrefix) {
+    if (rest.length === 0) continue;
+    for (const other of rest.filter((o) => compatible(keep, o, limits))) {
+      absorb(keep, other);
+      clusters = clusters.filter((c) => c !== other);
+    }
+    if (keep.tools.length > 1) {
+      keep.nouns = [prefix];
+      keep.reasons = [`shared prefix "${prefix}"`];
+    }
+  }
+
+  // 4. Single tools join the cluster with the most similar parameters
+  for (const single of clusters.filter((c) => c.tools.length === 1)) {
+    if (!clusters.includes(single) || single.tools.length !== 1) continue;
+    const params = paramNames(single.tools);
+    let best = null;
+    let bestScore = SIMILARITY_THRESHOLD;
+    for (const other of clusters) {
+      if (other === single || !compatible(other, single, limits)) continue;
+      const score = similarity(params, paramNames(other.tools));
+      if (score >= bestScore && (!best || score > bestScore)) {
+        best = other;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      // The earlier cluster keeps its place (and name)
+      const [keep, merged] = clusters.indexOf(best) < clusters.indexOf(single) ? [best, single] : [single, best];
+      absorb(keep, merged, `similar parameters (${merged.tools.map((t) => t.name).join(", ")})`);
+      clusters = clusters.filter((c) => c !== merged);
+    }
+  }
+
+  // 5. Enforce the size limit and read-only/destructive separation
+  return clusters.flatMap((cluster) => splitCluster(cluster, limits));
+}
+
+/**
+ * Turn clusters into groups with unique filenames
+ * @param {string} serverName - MCP server name
+ * @param {Array<object>} clusters - Clusters
+ * @param {string[]} taken - Filenames already in use
+ * @returns {Array} - Array of group objects
+ */
+function nameClusters(serverName, clusters, taken = []) {
+  const used = new Set(taken);
+  return clusters.map((cluster) => {
+    const names = cluster.tools.map((t) => t.name);
+    const single = cluster.tools.length === 1;
+    // "pull-request-review" adds nothing to a name that has "pull-request"
+    const nouns = cluster.nouns.filter((n, i) => !cluster.nouns.slice(0, i).some((m) => n.startsWith(`${m}-`))).slice(0, 2);
+    const base = single ? names[0].replace(/_/g, "-") : [nouns.join("-"), cluster.suffix].filter(Boolean).join("-");
+    let filename = `${serverName}-${base}.js`;
+    for (let n = 2; used.has(filename); n++) {
+      filename = `${serverName}-${base}-${n}.js`;
+    }
+    used.add(filename);
+
+    return {
+      filename,
+      description: single
+        ? cluster.tools[0].description || `Wrapper for ${names[0]}`
+        : `${nouns.join(" / ").replace(/-/g, " ")} operations: ${names.join(", ")}`,
+      mcp_tools: names,
+      rationale: `Heuristic: ${cluster.reasons.join(", ")}`,
+    };
+  });
+}
+
+/**
+ * Group tools deterministically (no AI agent)
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - MCP tools
+ * @param {object} options - Options
+ * @param {string[]} options.taken - Filenames already in use
+ * @returns {Array} - Array of group objects (filename, description, mcp_tools, rationale)
+ */
+export function heuristicGrouping(serverName, tools, options = {}) {
+  const { taken = [] } = options;
+  return nameClusters(serverName, buildClusters(tools, { maxPerGroup: MAX_TOOLS_PER_GROUP, separateSafety: true }), taken);
+}
+
+/**
+ * Place new tools into an existing grouping
+ * A new tool joins the existing wrapper holding the tools it would be grouped with
+ * (size and read-only/destructive rules permitting); the rest get new groups
+ * @param {string} serverName - MCP server name
+ * @param {Array} groups - Existing groups (filenames kept)
+ * @param {Array} tools - All discovered tools
+ * @param {Array} newTools - Tools not in any group yet
+ * @param {object} options - Options
+ * @param {number} options.maxGroups - Maximum number of wrappers, existing ones included (default: 20)
+ * @returns {Array} - Extended groups
+ */
+export function extendHeuristicGrouping(serverName, groups, tools, newTools, options = {}) {
+  const { maxGroups = DEFAULT_MAX_GROUPS } = options;
+  const byName = new Map(tools.map((t) => [t.name, t]));
+  const ideal = heuristicGrouping(serverName, tools);
+  const result = groups.map((g) => ({ ...g, mcp_tools: [...g.mcp_tools] }));
+  const leftovers = [];
+
+  for (const tool of newTools) {
+    const peers = ideal.find((g) => g.mcp_tools.includes(tool.name)).mcp_tools;
+    const target = result.find((g) => {
+      if (!g.mcp_tools.some((name) => peers.includes(name)) || g.mcp_tools.length >= MAX_TOOLS_PER_GROUP) return false;
+      const classes = new Set([...g.mcp_tools, tool.name].map((name) => safetyClass(byName.get(name))));
+      return !(classes.has("read-only") && classes.has("destructive"));
+    });
+    if (target) {
+      target.mcp_tools.push(tool.name);
+    } else {
+      leftovers.push(tool);
+    }
+  }
+
+  const added = heuristicGrouping(serverName, leftovers, { taken: result.map((g) => g.filename) });
+  if (added.length > 0 && result.length + added.length > maxGroups) {
+    throw new Error(
+      `Too many groups (${result.length + added.length} with the existing wrappers), maximum is ${maxGroups}; use --regroup or raise "maxGroups"`
+    );
+  }
+  return [...result, ...added];
+}
+
+/**
+ * Place new tools into an existing hierarchical grouping
+ * A new tool joins the category holding the tools it would be grouped with
+ * (categories have no size limit); the rest become new categories within maxGroups
+ * @param {string} serverName - MCP server name
+ * @param {Array} groups - Existing category groups (filenames kept)
+ * @param {Array} tools - All discovered tools
+ * @param {Array} newTools - Tools not in any group yet
+ * @param {object} options - Options
+ * @param {number} options.maxGroups - Maximum number of wrappers, existing ones included (default: 20)
+ * @returns {Array} - Extended groups (tools added to existing categories have no subcommand yet)
+ */
+export function extendHierarchicalGrouping(serverName, groups, tools, newTools, options = {}) {
+  const { maxGroups = DEFAULT_MAX_GROUPS } = options;
+  const ideal = hierarchicalHeuristicGrouping(serverName, tools, { maxGroups });
+  const result = groups.map((g) => ({ ...g, mcp_tools: [...g.mcp_tools] }));
+  const leftovers = [];
+
+  for (const tool of newTools) {
+    const peers = ideal.find((g) => g.mcp_tools.includes(tool.name)).mcp_tools;
+    const target = result.find((g) => g.mcp_tools.some((name) => peers.includes(name)));
+    if (target) {
+      target.mcp_tools.push(tool.name);
+    } else {
+      leftovers.push(tool);
+    }
+  }
+
+  if (leftovers.length === 0) {
+    return result;
+  }
+  // Without room for another wrapper the leftovers join the catch-all category, or the smallest one
+  const room = maxGroups - result.length;
+  if (room < 1) {
+    const target =
+      result.find((g) => g.filename === `${serverName}-other.js`) ||
+      result.reduce((smallest, g) => (g.mcp_tools.length < smallest.mcp_tools.length ? g : smallest));
+    target.mcp_tools.push(...leftovers.map((t) => t.name));
+    return result;
+  }
+  return [...result, ...hierarchicalHeuristicGrouping(serverName, leftovers, { maxGroups: room, taken: result.map((g) => g.filename) })];
+}
+
+/**
+ * Derive subcommand names for the tools of one category
+ * Words every tool shares, and the category noun where a tool has it, are dropped:
+ * list_issues, get_issue, list_issue_comments -> list, get, list-comments
+ * @param {string[]} toolNames - Tool names in the category
+ * @param {string} categoryNoun - Main noun of the category ("pull-request"), if known
+ * @returns {Array<{name: string, mcp_tool: string}>}
+ */
+export function deriveSubcommands(toolNames, categoryNoun = null) {
+  const tokenLists = toolNames.map(tokenizeToolName);
+  const shared =
+    toolNames.length > 1
+      ? new Set(tokenLists[0].map(singular).filter((t) => tokenLists.every((tokens) => tokens.map(singular).includes(t))))
+      : new Set(splitVerbNoun(tokenLists[0]).verb ? splitVerbNoun(tokenLists[0]).noun : []);
+  const nounTokens = categoryNoun ? categoryNoun.split("-") : [];
+
+  const names = tokenLists.map((tokens) => {
+    const words = tokens.map(singular);
+    const dropped = nounTokens.length > 0 && nounTokens.every((t) => words.includes(t)) ? new Set([...shared, ...nounTokens]) : shared;
+    const name = tokens.filter((t) => !dropped.has(singular(t))).join("-");
+    return name && name !== "help" ? name : tokens.join("-");
+  });
+
+  return toolNames.map((tool, i) => ({
+    name: names.indexOf(names[i]) === names.lastIndexOf(names[i]) ? names[i] : tokenLists[i].join("-"),
+    mcp_tool: tool,
+  }));
+}
+
+/**
+ * Group tools into category wrappers with one subcommand per tool (no AI agent)
+ * Categories have no size limit; past maxGroups the smallest ones share "<server>-other.js"
+ * @param {string} serverName - MCP server name
+ * @param {Array} tools - MCP tools
+ * @param {object} options - Options
+ * @param {number} options.maxGroups - Maximum number of wrappers (default: 20)
+ * @param {string[]} options.taken - Filenames already in use
+ * @returns {Array} - Groups with subcommands
+ */
+export function hierarchicalHeuristicGrouping(serverName, tools, options = {}) {
+  const { maxGroups = DEFAULT_MAX_GROUPS, taken = [] } = options;
+  let clusters = buildClusters(tools, { maxPerGroup: Infinity, separateSafety: false });
+
+  if (clusters.length > maxGroups) {
+    const ranked = [...clusters].sort((a, b) => b.tools.length - a.tools.length || a.tools[0].index - b.tools[0].index);
+    const kept = new Set(ranked.slice(0, maxGroups - 1));
+    const other = { nouns: [], tools: [], reasons: [] };
+    for (const cluster of clusters.filter((c) => !kept.has(c))) {
+      absorb(other, cluster);
+    }
+    Object.assign(other, { nouns: ["other"], reasons: [`smaller categories (${other.nouns.join(", ")})`] });
+    clusters = [...clusters.filter((c) => kept.has(c)), other];
+  }
+
+  return nameClusters(serverName, clusters, taken).map((group, i) => ({
+    ...group,
+    subcommands: deriveSubcommands(group.mcp_tools, clusters[i].nouns[0]),
+  }));
+}
@@ -0,0 +1,338 @@
+/**
+ * Remote MCP Client
+ * Minimal client for hosted MCP servers: Streamable HTTP (JSON or SSE responses),
+ * falling back to the legacy HTTP+SSE transport for servers that reject the POST
+ */
+
+import { PROTOCOL_VERSION, CLIENT_INFO, listServerFeatures } from "./mcp-client.js";
+
+/**
+ * Parse repeated --header values into a headers object
+ * "Authorization: Bearer abc" -> { Authorization: "Bearer abc" }
+ * @param {string[]} values - Header strings in Name:Value form
+ * @returns {object} - Headers object
+ */
+export function parseHeaderArgs(values = []) {
+  const headers = {};
+  for (const value of values) {
+    const index = value.indexOf(":");
+    if (index <= 0) {
+      throw new Error(`Invalid header "${value}". Expected format: Name:Value`);
+    }
+    headers[value.slice(0, index).trim()] = value.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Extract JSON-RPC messages from a text/event-stream body
+ * Non-JSON events (pings, comments) are skipped
+ * @param {string} body - Raw SSE body
+ * @returns {Array} - Parsed messages
+ */
+export function parseSseMessages(body) {
+  const messages = [];
+
+  for (const event of body.split(/\r?\n\r?\n/)) {
+    const data = event
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).replace(/^ /, ""))
+      .join("\n");
+    if (!data) continue;
+
+    try {
+      messages.push(JSON.parse(data));
+    } catch {
+      // Ignore non-JSON events
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Split one text/event-stream event into its name and data
+ * @param {string} block - Raw event text (without the blank line separator)
+ * @returns {{event: string, data: string}} - Event name ("message" when unnamed) and joined data lines
+ */
+export function parseSseEvent(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  }
+  return { event, data: data.join("\n") };
+}
+
+/**
+ * Build an error for a non-2xx response, keeping the status for fallback decisions
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>}
+ */
+async function httpError(response) {
+  const text = await response.text().catch(() => "");
+  return Object.assign(
+    new Error(`HTTP ${response.status} ${response.statusText}${text ? `: ${text.slice(0, 200)}` : ""}`),
+    { status: response.status }
+  );
+}
+
+/**
+ * Connect to a remote MCP endpoint and run the initialize handshake
+ * Tries Streamable HTTP first; a 400/404/405 answer to the initialize POST means
+ * the server only speaks the legacy HTTP+SSE transport, so the GET handshake is used instead
+ * @param {string} url - MCP endpoint URL
+ * @param {object} options - Options
+ * @param {object} options.headers - Extra request headers (auth, etc.)
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @param {boolean} options.sse - Skip Streamable HTTP and use the legacy transport
+ * @returns {Promise<{request: Function, notify: Function, close: Function, serverInfo: object, transport: string}>}
+ */
+export async function connectHttp(url, options = {}) {
+  if (options.sse) return connectSse(url, options);
+  try {
+    return await connectStreamableHttp(url, options);
+  } catch (error) {
+    if (![400, 404, 405].includes(error.status)) throw error;
+    return connectSse(url, options);
+  }
+}
+
+/**
+ * Connect to a Streamable HTTP MCP endpoint and run the initialize handshake
+ * @param {string} url - MCP endpoint URL
+ * @param {object} options - Options (headers, timeout)
+ * @returns {Promise<{request: Function, notify: Function, close: Function, serverInfo: object, transport: string}>}
+ */
+async function connectStreamableHttp(url, options = {}) {
+  const { headers = {}, timeout = 60000 } = options;
+  let sessionId = null;
+  let nextId = 1;
+
+  async function post(message) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        ...headers,
+        ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(timeout),
+    });
+
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+
+    sessionId = response.headers.get("mcp-session-id") || sessionId;
+
+    if (message.id === undefined) {
+      return null;
+    }
+
+    const body = await response.text();
+    const contentType = response.headers.get("content-type") || "";
+    const messages = contentType.includes("text/event-stream")
+      ? parseSseMessages(body)
+      : [JSON.parse(body)].flat();
+
+    const reply = messages.find((m) => m.id === message.id);
+    if (!reply) {
+      throw new Error(`No response to ${message.method} from ${url}`);
+    }
+    if (reply.error) {
+      throw new Error(`${message.method} failed: ${reply.error.message}`);
+    }
+    return reply.result;
+  }
+
+  const request = (method, params = {}) => post({ jsonrpc: "2.0", id: nextId++, method, params });
+  const notify = (method, params = {}) => post({ jsonrpc: "2.0", method, params });
+
+  const init = await request("initialize", {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO,
+  });
+  await notify("notifications/initialized");
+
+  async function close() {
+    if (!sessionId) return;
+    try {
+      await fetch(url, {
+        method: "DELETE",
+        headers: { ...headers, "Mcp-Session-Id": sessionId },
+        signal: AbortSignal.timeout(5000),
+      });
+    } catch {
+      // Servers may not support explicit session termination
+    }
+  }
+
+  return { request, notify, close, serverInfo: init?.serverInfo, capabilities: init?.capabilities || {}, transport: "http" };
+}
+
+/**
+ * Connect to a legacy HTTP+SSE MCP endpoint (protocol 2024-11-05) and run the initialize handshake
+ * GETs the event stream, waits for the `endpoint` event, then POSTs messages to that URL;
+ * replies arrive as `message` events on the stream
+ * @param {string} url - SSE endpoint URL
+ * @param {object} options - Options (headers, timeout)
+ * @returns {Promise<{request: Function, notify: Function, close: Function, serverInfo: object, transport: string}>}
+ */
+export async function connectSse(url, options = {}) {
+  const { headers = {}, timeout = 60000 } = options;
+  const controller = new AbortController();
+  const pending = new Map();
+  let nextId = 1;
+  let endpoint = null;
+  let endpointWaiter;
+  const endpointReady = new Promise((resolve, reject) => (endpointWaiter = { resolve, reject }));
+
+  // Only the handshake is time-limited here; the stream itself stays open until close()
+  const connectTimer = setTimeout(
+    () => controller.abort(Object.assign(new Error(`Connecting to ${url} timed out`), { name: "TimeoutError" })),
+    timeout
+  );
+
+  const fail = (error) => {
+    endpointWaiter.reject(error);
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  };
+
+  async function post(message) {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+    await response.text();
+  }
+
+  function handleEvent({ event, data }) {
+    if (event === "endpoint") {
+      endpoint = new URL(data, url).href;
+      endpointWaiter.resolve();
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.method) {
+      // Server-initiated request (ping, roots/list): answer so the server keeps going
+      if (message.id !== undefined) {
+        post(message.method === "ping"
+          ? { jsonrpc: "2.0", id: message.id, result: {} }
+          : { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "Method not supported" } }).catch(() => {});
+      }
+      return;
+    }
+
+    const waiter = pending.get(message.id);
+    if (!waiter) return;
+    pending.delete(message.id);
+    clearTimeout(waiter.timer);
+    if (message.error) {
+      waiter.reject(new Error(`${waiter.method} failed: ${message.error.message}`));
+    } else {
+      waiter.resolve(message.result);
+    }
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { headers: { Accept: "text/event-stream", ...headers }, signal: controller.signal });
+    if (!response.ok) {
+      throw await httpError(response);
+    }
+  } catch (error) {
+    clearTimeout(connectTimer);
+    controller.abort();
+    throw error;
+  }
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach((block) => handleEvent(parseSseEvent(block)));
+    }
+    fail(new Error(`SSE stream from ${url} closed`));
+  })().catch(fail);
+
+  function request(method, params = {}) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(Object.assign(new Error(`${method} timed out`), { name: "TimeoutError" }));
+      }, timeout);
+      pending.set(id, { method, resolve, reject, timer });
+      post({ jsonrpc: "2.0", id, method, params }).catch((error) => {
+        pending.delete(id);
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  const notify = (method, params = {}) => post({ jsonrpc: "2.0", method, params });
+
+  async function close() {
+    controller.abort();
+  }
+
+  let init;
+  try {
+    await endpointReady;
+    clearTimeout(connectTimer);
+    init = await request("initialize", {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    await notify("notifications/initialized");
+  } catch (error) {
+    clearTimeout(connectTimer);
+    await close();
+    throw error;
+  }
+
+  return { request, notify, close, serverInfo: init?.serverInfo, capabilities: init?.capabilities || {}, transport: "sse" };
+}
+
+/**
+ * List tools, resources, resource templates and prompts from a remote MCP server
+ * `transport` reports which transport answered ("http" or legacy "sse")
+ * @param {string} url - MCP endpoint URL
+ * @param {object} options - Options passed to connectHttp
+ * @returns {Promise<{tools: Array, resources: Array, resourceTemplates: Array, prompts: Array, transport: string}>}
+ */
+export async function listRemoteFeatures(url, options = {}) {
+  const client = await connectHttp(url, options);
+  try {
+    return { ...(await listServerFeatures(client)), transport: client.transport };
+  } finally {
+    await client.close();
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * MCP Config Import
+ * Reads `mcpServers` entries from existing MCP client configs
+ * (Claude Desktop claude_desktop_config.json, project .mcp.json, Cursor mcp.json)
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { joinCommand } from "./runner.js";
+import { resolveEnvValues } from "./env.js";
+
+/**
+ * Read MCP server entries from a client config file
+ * @param {string} configPath - Path to the config file
+ * @returns {Array<{name: string, command: string|null, args: string[], env: object, url: string|null, headers: object, disabled: boolean}>}
+ */
+export function readMcpConfig(configPath) {
+  if (!existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(configPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+
+  const servers = data?.mcpServers;
+  if (!servers || typeof servers !== "object" || Array.isArray(servers)) {
+    throw new Error(`No "mcpServers" object in ${configPath}`);
+  }
+
+  return Object.entries(servers).map(([name, entry]) => ({
+    name,
+    command: typeof entry?.command === "string" ? entry.command : null,
+    args: Array.isArray(entry?.args) ? entry.args.map(String) : [],
+    env: entry?.env && typeof entry.env === "object" ? entry.env : {},
+    url: typeof entry?.url === "string" ? entry.url : null,
+    headers: entry?.headers && typeof entry.headers === "object" ? entry.headers : {},
+    disabled: entry?.disabled === true,
+  }));
+}
+
+/**
+ * Pick the servers to import
+ * Without names, every enabled server is selected; named servers are imported even if disabled
+ * @param {Array} servers - Entries from readMcpConfig
+ * @param {string[]} names - Names from --select (empty for all)
+ * @returns {Array} - Selected entries in config order
+ */
+export function selectServers(servers, names = []) {
+  if (names.length === 0) {
+    return servers.filter((s) => !s.disabled);
+  }
+
+  const known = new Set(servers.map((s) => s.name));
+  const unknown = names.filter((n) => !known.has(n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown server(s): ${unknown.join(", ")}. Available: ${[...known].join(", ")}`);
+  }
+  return servers.filter((s) => names.includes(s.name));
+}
+
+/**
+ * Convert a config entry into pipeline inputs
+ * Env values may reference the current shell as ${VAR}; header values keep
+ * ${VAR} so wrappers resolve them from the tool's .env at runtime
+ * @param {object} server - Entry from readMcpConfig
+ * @param {object} source - Environment used to expand ${VAR} in env values
+ * @returns {{package: string, command: string|null, url: string|null, headers: object, env: object, missingEnv: string[]}}
+ */
+export function toConversionSpec(server, source = process.env) {
+  if (!server.command && !server.url) {
+    throw new Error(`Server "${server.name}" has neither "command" nor "url"`);
+  }
+
+  const { env, missing } = resolveEnvValues(server.env, source);
+
+  return {
+    package: server.name,
+    command: server.url ? null : joinCommand([server.command, ...server.args]),
+    url: server.url,
+    headers: Object.fromEntries(Object.entries(server.headers).map(([k, v]) => [k, String(v)])),
+    env,
+    missingEnv: missing,
+  };
+}
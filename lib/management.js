@@ -1,10 +1,12 @@
 import { readdirSync, statSync, existsSync, rmSync, readFileSync } from "fs";
 import { join } from "path";
 import { homedir } from "os";
-import { readManifest } from "./output.js";
+import { readManifest, updateManifest } from "./output.js";
 import { loadRegistry, findSectionByHeading, resolvePath, unregisterEntry, removeFromRegistry, registerToAll, resolveAllPaths, registerEntry } from "./registration.js";
-import { removeSymlinksForTool, getDefaultSymlinkDir, createSymlinksForTool } from "./symlink.js";
+import { removeSymlinksForTool, getDefaultSymlinkDir, createSymlinksForTool, isWrapperScript } from "./symlink.js";
+import { refreshRuntime, RUNTIME_VERSION } from "./runtime.js";
 import { PRESETS } from "./config.js";
+import { getMissingEnv } from "./env.js";
 
 const AGENT_TOOLS_DIR = join(homedir(), "agent-tools");
 
@@ -45,10 +47,10 @@ export function getToolInfo(name, toolPath) {
 
   let scripts = [];
   if (manifest?.files) {
-    scripts = manifest.files.filter(f => f.endsWith(".js"));
+    scripts = manifest.files.filter(isWrapperScript);
   } else {
     try {
-      scripts = readdirSync(toolPath).filter(f => f.endsWith(".js"));
+      scripts = readdirSync(toolPath).filter(isWrapperScript);
     } catch {
       scripts = [];
     }
@@ -74,6 +76,7 @@ export function getToolInfo(name, toolPath) {
     registeredIn,
     symlinks: `${symlinkCount}/${scripts.length}`,
     hasManifest: !!manifest,
+    missingEnv: getMissingEnv(manifest?.env, toolPath),
     heading
   };
 }
@@ -113,6 +116,9 @@ export function formatToolList(tools) {
     lines.push(
       `${tool.name.padEnd(18)}${String(tool.scripts).padEnd(9)}${registered.padEnd(14)}${tool.symlinks}`
     );
+    if (tool.missingEnv?.length > 0) {
+      lines.push(`  ! missing env: ${tool.missingEnv.join(", ")} (set in ~/agent-tools/${tool.name}/.env)`);
+    }
   }
 
   lines.push("");
@@ -145,7 +151,7 @@ export function removeTool(name, options = {}) {
     const symlinkDir = resolvePath(getDefaultSymlinkDir());
     const symlinks = [];
     if (existsSync(symlinkDir)) {
-      const scripts = readdirSync(toolPath).filter(f => f.endsWith(".js"));
+      const scripts = readdirSync(toolPath).filter(isWrapperScript);
       for (const script of scripts) {
         const symlinkName = script.replace(/\.js$/, "");
         const linkPath = join(symlinkDir, symlinkName);
@@ -240,13 +246,20 @@ export function generateBasicEntry(name, scripts) {
 export function refreshTool(name, options = {}) {
   const { dryRun = false, quiet = false } = options;
   const toolPath = join(AGENT_TOOLS_DIR, name);
-  const results = { symlinks: { created: 0, unchanged: 0 }, registrationAction: "none", registrationTargets: [] };
+  const results = { symlinks: { created: 0, unchanged: 0 }, registrationAction: "none", registrationTargets: [], runtime: "none" };
 
   if (!existsSync(toolPath)) {
     return { success: false, error: `Tool "${name}" not found` };
   }
 
-  const scripts = readdirSync(toolPath).filter(f => f.endsWith(".js"));
+  const scripts = readdirSync(toolPath).filter(isWrapperScript);
+
+  // Shared wrapper runtime is regenerated from the manifest (no AI calls)
+  const manifest = readManifest(toolPath);
+  results.runtime = refreshRuntime(toolPath, manifest, { dryRun });
+  if (results.runtime === "updated" && !dryRun) {
+    updateManifest(toolPath, { runtimeVersion: RUNTIME_VERSION });
+  }
 
   if (!dryRun) {
     const symlinkResults = createSymlinksForTool(toolPath, { quiet });
@@ -291,7 +304,7 @@ export function refreshTool(name, options = {}) {
     }
   }
 
-  return { success: true, ...results };
+  return { success: true, path: toolPath, ...results };
 }
 
 export function refreshAllTools(options = {}) {
@@ -0,0 +1,218 @@
+/**
+ * MCP Stdio Client
+ * Zero-dependency JSON-RPC client for stdio MCP servers (newline-delimited JSON)
+ * Used for discovery instead of shelling out to `npx mcporter list`
+ */
+
+import { spawn } from "child_process";
+import { splitCommand } from "./runner.js";
+
+export const PROTOCOL_VERSION = "2025-03-26";
+
+export const CLIENT_INFO = { name: "mcp2cli", version: "1.7.0" };
+
+const MAX_STDERR = 64 * 1024;
+
+/**
+ * Start a stdio MCP server and run the initialize handshake
+ * @param {string} command - Server command (e.g. "npx -y chrome-devtools-mcp@latest")
+ * @param {object} options - Options
+ * @param {object} options.env - Extra environment variables for the server
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @returns {Promise<{request: Function, notify: Function, close: Function, serverInfo: object, capabilities: object, stderr: Function}>}
+ */
+export async function connectStdio(command, options = {}) {
+  const { env = {}, timeout = 60000 } = options;
+  const [cmd, ...args] = splitCommand(command);
+  if (!cmd) {
+    throw new Error("Empty MCP server command");
+  }
+
+  const child = spawn(cmd, args, {
+    env: { ...process.env, ...env },
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = "";
+  let stderr = "";
+  let exited = null;
+
+  const failAll = (error) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  };
+
+  const send = (message) => {
+    if (exited) return;
+    child.stdin.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+  };
+
+  child.stdin.on("error", () => {
+    // EPIPE when the server dies; reported through the exit handler
+  });
+  // Decode as UTF-8 so multi-byte characters split across chunks stay intact
+  child.stdout.setEncoding("utf-8");
+  child.stderr.setEncoding("utf-8");
+  child.stderr.on("data", (chunk) => {
+    stderr = (stderr + chunk).slice(-MAX_STDERR);
+  });
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, index).trim();
+      buffer = buffer.slice(index + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue; // Servers sometimes log to stdout
+      }
+
+      if (message.method && message.id !== undefined) {
+        // Server-initiated request: answer ping, decline everything else
+        send(message.method === "ping"
+          ? { id: message.id, result: {} }
+          : { id: message.id, error: { code: -32601, message: "Method not supported" } });
+        continue;
+      }
+
+      const entry = pending.get(message.id);
+      if (!entry) continue;
+      pending.delete(message.id);
+      clearTimeout(entry.timer);
+      if (message.error) {
+        entry.reject(Object.assign(new Error(`${entry.method} failed: ${message.error.message}`), { rpcError: message.error }));
+      } else {
+        entry.resolve(message.result);
+      }
+    }
+  });
+
+  child.on("error", (error) => {
+    exited = { error };
+    failAll(Object.assign(new Error(`Failed to start "${cmd}": ${error.message}`), { code: error.code }));
+  });
+  child.on("close", (code, signal) => {
+    exited = { code, signal };
+    failAll(Object.assign(
+      new Error(`MCP server exited${code !== null ? ` with code ${code}` : ` on ${signal}`}`),
+      { exitCode: code, signal }
+    ));
+  });
+
+  function request(method, params = {}) {
+    if (exited) {
+      return Promise.reject(new Error("MCP server is not running"));
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(Object.assign(new Error(`${method} timed out after ${Math.round(timeout / 1000)} seconds`), { code: "ETIMEDOUT" }));
+      }, timeout);
+      pending.set(id, { resolve, reject, timer, method });
+      send({ id, method, params });
+    });
+  }
+
+  function notify(method, params = {}) {
+    send({ method, params });
+  }
+
+  async function close() {
+    if (exited) return;
+    const done = new Promise((resolve) => child.once("close", resolve));
+    child.stdin.end();
+    const killTimer = setTimeout(() => child.kill("SIGTERM"), 1000);
+    const forceTimer = setTimeout(() => child.kill("SIGKILL"), 3000);
+    await done;
+    clearTimeout(killTimer);
+    clearTimeout(forceTimer);
+  }
+
+  let init;
+  try {
+    init = await request("initialize", {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+  } catch (error) {
+    error.stderr = stderr;
+    child.kill("SIGKILL");
+    throw error;
+  }
+  notify("notifications/initialized");
+
+  return {
+    request,
+    notify,
+    close,
+    serverInfo: init?.serverInfo,
+    capabilities: init?.capabilities || {},
+    stderr: () => stderr,
+  };
+}
+
+/**
+ * Collect every page of a paginated list method
+ * @param {object} client - Connected client (stdio or HTTP)
+ * @param {string} method - List method (tools/list, resources/list, ...)
+ * @param {string} key - Result key holding the items
+ * @returns {Promise<Array>}
+ */
+export async function listAll(client, method, key) {
+  const items = [];
+  let cursor;
+  do {
+    const result = await client.request(method, cursor ? { cursor } : {});
+    items.push(...(result?.[key] || []));
+    cursor = result?.nextCursor;
+  } while (cursor);
+  return items;
+}
+
+/**
+ * List tools, resources, resource templates and prompts from a connected client
+ * Resources and prompts are only requested when the server advertises them
+ * @param {object} client - Connected client (stdio or HTTP)
+ * @returns {Promise<{tools: Array, resources: Array, resourceTemplates: Array, prompts: Array}>}
+ */
+export async function listServerFeatures(client) {
+  const { capabilities } = client;
+  const tools = await listAll(client, "tools/list", "tools");
+  const resources = capabilities.resources ? await listAll(client, "resources/list", "resources") : [];
+  const resourceTemplates = capabilities.resources
+    ? await listAll(client, "resources/templates/list", "resourceTemplates").catch(() => [])
+    : [];
+  const prompts = capabilities.prompts ? await listAll(client, "prompts/list", "prompts") : [];
+  return { tools, resources, resourceTemplates, prompts };
+}
+
+/**
+ * List all features of a stdio MCP server
+ * Errors carry the server's stderr (error.stderr) for diagnostics
+ * @param {string} command - Server command
+ * @param {object} options - Options passed to connectStdio
+ * @returns {Promise<{tools: Array, resources: Array, resourceTemplates: Array, prompts: Array, serverInfo: object, stderr: string}>}
+ */
+export async function listStdioFeatures(command, options = {}) {
+  const client = await connectStdio(command, options);
+  try {
+    const features = await listServerFeatures(client);
+    return { ...features, serverInfo: client.serverInfo, stderr: client.stderr() };
+  } catch (error) {
+    error.stderr = client.stderr();
+    throw error;
+  } finally {
+    await client.close();
+  }
+}
@@ -7,6 +7,8 @@
 import { existsSync, mkdirSync, writeFileSync, chmodSync, rmSync, readFileSync, readdirSync, unlinkSync } from "fs";
 import { join, dirname } from "path";
 import { homedir } from "os";
+import { RUNTIME_FILE, RUNTIME_VERSION, generateRuntime } from "./runtime.js";
+import { SESSION_SOCKET, SESSION_LOG } from "./session.js";
 
 const MANIFEST_FILE = ".mcp2cli-manifest.json";
 
@@ -51,19 +53,22 @@ export function readManifest(resolvedDir) {
  * Create manifest content for generated files
  * @param {string} packageName - Package name
  * @param {string[]} files - List of generated files
+ * @param {object} metadata - Extra fields to record (server transport, etc.)
  * @returns {string} - JSON manifest content
  */
-export function createManifest(packageName, files) {
+export function createManifest(packageName, files, metadata = {}) {
   return JSON.stringify({
     version: 1,
     package: packageName,
     generatedAt: new Date().toISOString(),
-    files: files.filter(f => f !== MANIFEST_FILE)
+    files: files.filter(f => f !== MANIFEST_FILE),
+    ...metadata
   }, null, 2);
 }
 
 /**
  * Get list of user-added files in directory
+ * Session socket and log are runtime state, not user files
  * @param {string} resolvedDir - Resolved output directory
  * @param {object} manifest - Existing manifest
  * @returns {string[]} - List of user-added files
@@ -72,7 +77,7 @@ export function getUserFiles(resolvedDir, manifest) {
   if (!manifest || !existsSync(resolvedDir)) return [];
 
   const allFiles = readdirSync(resolvedDir);
-  const generatedFiles = new Set([...manifest.files, MANIFEST_FILE]);
+  const generatedFiles = new Set([...manifest.files, MANIFEST_FILE, SESSION_SOCKET, SESSION_LOG]);
 
   return allFiles.filter(f => !generatedFiles.has(f));
 }
@@ -86,9 +91,11 @@ export function getUserFiles(resolvedDir, manifest) {
  * @param {boolean} options.force - Overwrite existing
  * @param {boolean} options.quiet - Suppress output
  * @param {string} options.packageName - Package name for manifest
+ * @param {object} options.metadata - Extra manifest fields
+ * @param {object} options.runtime - generateRuntime() options; installs _runtime.js for the wrappers
  */
 export function writeOutput(outputDir, files, options = {}) {
-  const { dryRun = false, force = false, quiet = false, packageName = "" } = options;
+  const { dryRun = false, force = false, quiet = false, packageName = "", metadata = {}, runtime = null } = options;
   const resolvedDir = resolvePath(outputDir);
 
   if (dryRun) {
@@ -99,8 +106,11 @@ export function writeOutput(outputDir, files, options = {}) {
       console.log(content);
       console.log("");
     }
+    if (runtime) {
+      console.log(`=== ${RUNTIME_FILE} === (shared runtime v${RUNTIME_VERSION})\n`);
+    }
 
-    console.log(`--- End of dry run (${Object.keys(files).length} files) ---`);
+    console.log(`--- End of dry run (${Object.keys(files).length + (runtime ? 1 : 0)} files) ---`);
     return;
   }
 
@@ -141,7 +151,8 @@ export function writeOutput(outputDir, files, options = {}) {
     mkdirSync(resolvedDir, { recursive: true });
   }
 
-  for (const [filename, content] of Object.entries(files)) {
+  const written = runtime ? { ...files, [RUNTIME_FILE]: generateRuntime(runtime) } : files;
+  for (const [filename, content] of Object.entries(written)) {
     const filePath = join(resolvedDir, filename);
 
     const parentDir = dirname(filePath);
@@ -151,7 +162,7 @@ export function writeOutput(outputDir, files, options = {}) {
 
     writeFileSync(filePath, content, "utf-8");
 
-    if (filename.endsWith(".js") || filename.endsWith(".sh")) {
+    if ((filename.endsWith(".js") && filename !== RUNTIME_FILE) || filename.endsWith(".sh")) {
       chmodSync(filePath, 0o755);
     }
 
@@ -160,10 +171,26 @@ export function writeOutput(outputDir, files, options = {}) {
     }
   }
 
-  const manifestContent = createManifest(packageName, Object.keys(files));
+  const manifestContent = createManifest(packageName, Object.keys(written), {
+    ...metadata,
+    ...(runtime ? { runtimeVersion: RUNTIME_VERSION } : {}),
+  });
   writeFileSync(join(resolvedDir, MANIFEST_FILE), manifestContent, "utf-8");
 }
 
+/**
+ * Merge fields into an existing manifest
+ * @param {string} resolvedDir - Resolved output directory
+ * @param {object} fields - Fields to set
+ * @returns {boolean} - Whether a manifest was updated
+ */
+export function updateManifest(resolvedDir, fields) {
+  const manifest = readManifest(resolvedDir);
+  if (!manifest) return false;
+  writeFileSync(join(resolvedDir, MANIFEST_FILE), JSON.stringify({ ...manifest, ...fields }, null, 2), "utf-8");
+  return true;
+}
+
 /**
  * Print success message with next steps
  * @param {string} outputDir - Output directory path
@@ -0,0 +1,450 @@
+/**
+ * Conversion Pipeline
+ * Runs one MCP server through discovery -> grouping -> generation -> output,
+ * then symlinks and registration. Shared by the main command and `import`.
+ */
+
+import { join } from "path";
+import { discoverTools, deriveDirName } from "./discovery.js";
+import { getGroupSafety } from "./annotations.js";
+import { writeEnvFile, loadEnvFile, extractHeaderSecrets, ENV_FILE } from "./env.js";
+import {
+  groupTools,
+  fallbackGrouping,
+  getGroupingRetries,
+  getMaxGroups,
+  groupToolsHierarchical,
+  toPlanGroup,
+  readGroupingPlan,
+  writeGroupingPlan,
+  updateGrouping,
+} from "./grouping.js";
+import { heuristicGrouping, hierarchicalHeuristicGrouping } from "./heuristic-grouping.js";
+import {
+  generateWrapper,
+  getGenerationRetries,
+  generatePackageJson,
+  generateReadme,
+  generateAgentsEntry,
+  generateBasicReadme,
+  validateParameterCoverage,
+} from "./generator.js";
+import { generateFeatureWrappers } from "./resources.js";
+import { generateTemplateWrapper } from "./template.js";
+import { writeOutput, outputExists, resolvePath, readManifest } from "./output.js";
+import { filterTools, getServerFilter } from "./filter.js";
+import { normalizeToolSchemas } from "./schema.js";
+import { getConfigPath, loadConfig, mergeWithCli } from "./config.js";
+import { getRunners, getRunnerFallback } from "./runner.js";
+import { registerToAll, resolveAllPaths, getSuccessfulPaths } from "./registration.js";
+import { createSymlinks, getDefaultSymlinkDir } from "./symlink.js";
+import { stopSession } from "./session.js";
+import { ensurePathConfigured } from "./shell-config.js";
+
+// Exit codes per spec
+export const EXIT_SUCCESS = 0;
+export const EXIT_ERROR = 1;
+export const EXIT_INVALID_ARGS = 2;
+export const EXIT_DISCOVERY_FAILED = 3;
+export const EXIT_GENERATION_FAILED = 4;
+export const EXIT_OUTPUT_FAILED = 5;
+
+/**
+ * Create an error carrying the process exit code for the failed phase
+ * @param {string} message - Error message
+ * @param {number} exitCode - Exit code
+ * @returns {Error}
+ */
+function pipelineError(message, exitCode) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+/**
+ * Convert one MCP server into CLI wrappers
+ * Throws an error with `exitCode` when a phase fails
+ * @param {object} options - Parsed CLI options (package, command, url, name, output, dryRun, force, ...)
+ * @param {object} context - Resolved inputs
+ * @param {string|null} context.agentType - AI agent for generation, or null for fallback mode
+ * @param {object} context.headers - Parsed request headers for remote servers (literal values are moved to .env)
+ * @param {object} context.env - Environment variables for the MCP server
+ * @param {object} context.metadata - Extra manifest fields (e.g. apply tracking)
+ * @returns {Promise<{outputDir: string, dirName: string, discovery: object, files: object, wrappers: Array, registeredPaths: string[], symlinkDir: string|null, shellConfigResult: object|null}>}
+ */
+export async function convertServer(options, context) {
+  const { agentType, metadata = {} } = context;
+  // Header values are recorded as ${VAR} references so tokens stay out of the manifest and runtime
+  const { headers, env: headerEnv } = extractHeaderSecrets(context.headers);
+  const env = { ...context.env, ...headerEnv };
+  const { quiet } = options;
+  const config = loadConfig();
+
+  // Derive names
+  const dirName = options.name || deriveDirName(options.package);
+  const outputDir = options.output || `~/agent-tools/${dirName}`;
+
+  if (!quiet) {
+    console.log(`      Output: ${outputDir}`);
+  }
+
+  // Check if output exists
+  if (outputExists(outputDir) && !options.force && !options.dryRun) {
+    throw pipelineError(
+      `Output directory exists: ${outputDir}\nUse --force to overwrite or --dry-run to preview.`,
+      EXIT_OUTPUT_FAILED
+    );
+  }
+
+  // A --force run keeps what earlier runs saved: discovery gets the tool's .env,
+  // and the manifest keeps listing those variables when --env is not repeated
+  const savedEnv = options.force ? loadEnvFile(join(resolvePath(outputDir), ENV_FILE)) : {};
+  const previousEnvNames = options.force ? readManifest(resolvePath(outputDir))?.env || [] : [];
+  const envNames = [...new Set([...previousEnvNames, ...Object.keys(env)])];
+
+  // Phase 1: Discovery
+  if (!quiet) console.log("\n[2/6] Discovering MCP tools...");
+
+  let discovery;
+  try {
+    const runners = getRunners(config);
+    discovery = await discoverTools(options.package, {
+      quiet,
+      uvx: options.uvx,
+      pip: options.pip,
+      runner: options.runner,
+      runners,
+      fallback: getRunnerFallback(config, runners),
+      command: options.command,
+      url: options.url,
+      headers,
+      env: { ...savedEnv, ...env },
+      backend: options.backend,
+      refresh: options.refreshDiscovery,
+      debug: options.debugDiscovery,
+    });
+    if (!quiet) {
+      const extras = [
+        discovery.resources.length > 0
+          ? `${discovery.resources.length} resource${discovery.resources.length > 1 ? "s" : ""}`
+          : null,
+        discovery.resourceTemplates.length > 0
+          ? `${discovery.resourceTemplates.length} resource template${discovery.resourceTemplates.length > 1 ? "s" : ""}`
+          : null,
+        discovery.prompts.length > 0 ? `${discovery.prompts.length} prompt${discovery.prompts.length > 1 ? "s" : ""}` : null,
+        discovery.tools.some((t) => t.outputSchema)
+          ? `${discovery.tools.filter((t) => t.outputSchema).length} with output schemas`
+          : null,
+      ].filter(Boolean);
+      console.log(`      Found ${discovery.tools.length} tools${extras.length ? `, ${extras.join(", ")}` : ""} (via ${discovery.runner}${discovery.fromCache ? ", cached" : ""})`);
+    }
+  } catch (error) {
+    throw pipelineError(`Discovery failed - ${error.message}`, EXIT_DISCOVERY_FAILED);
+  }
+
+  // Resolve $ref/allOf/anyOf so every later phase sees plain parameter types
+  discovery.tools = normalizeToolSchemas(discovery.tools);
+
+  // Filter tools before grouping. Without --only/--exclude the server's entry
+  // in the config file applies, then a --force run keeps the filter recorded
+  // in the existing manifest; --clear-filter skips both
+  let filter = null;
+  const configuredFilter = getServerFilter(config, dirName);
+  if (options.only || options.exclude) {
+    filter = { only: options.only || [], exclude: options.exclude || [] };
+  } else if (options.clearFilter) {
+    if (!quiet) console.log("      Tool filter cleared");
+  } else if (configuredFilter) {
+    filter = configuredFilter;
+    if (!quiet) console.log(`      Using tool filter for "${dirName}" from ${getConfigPath()}`);
+  } else if (options.force) {
+    const previous = readManifest(resolvePath(outputDir))?.filter;
+    if (previous) {
+      filter = { only: previous.only || [], exclude: previous.exclude || [] };
+      if (!quiet) console.log("      Reusing tool filter from manifest");
+    }
+  }
+
+  if (filter && (filter.only.length > 0 || filter.exclude.length > 0)) {
+    const { tools, excluded, unmatched } = filterTools(discovery.tools, filter);
+    for (const pattern of unmatched) {
+      console.warn(`      Warning: pattern "${pattern}" matched no tools`);
+    }
+    if (tools.length === 0) {
+      throw pipelineError(`No tools left after filtering (${discovery.tools.length} discovered)`, EXIT_INVALID_ARGS);
+    }
+    if (!quiet) console.log(`      Kept ${tools.length} tools, excluded ${excluded.length}`);
+    discovery.tools = tools;
+    filter.excluded = excluded;
+  } else {
+    filter = null;
+  }
+
+  // Phase 2: Grouping
+  if (!quiet) console.log("\n[3/6] Analyzing tool groupings...");
+
+  // A --force update keeps the grouping recorded in the manifest (unless --regroup)
+  const previousGroups = options.force && !options.regroup ? readManifest(resolvePath(outputDir))?.groups : null;
+  const groupingOptions = {
+    quiet,
+    verbose: options.verbose,
+    agentType,
+    grouping: options.grouping,
+    retries: options.groupingRetries ?? getGroupingRetries(config),
+    maxGroups: getMaxGroups(config),
+  };
+
+  let groups;
+  if (options.plan) {
+    try {
+      groups = readGroupingPlan(options.plan, discovery.tools, { maxGroups: groupingOptions.maxGroups });
+    } catch (error) {
+      throw pipelineError(`Invalid grouping plan - ${error.message}`, EXIT_INVALID_ARGS);
+    }
+    if (!quiet) {
+      console.log(`      Loaded ${groups.length} groups from ${options.plan}`);
+    }
+  } else if (Array.isArray(previousGroups) && previousGroups.length > 0) {
+    const update = await updateGrouping(discovery.serverName, previousGroups, discovery.tools, groupingOptions);
+    groups = update.groups;
+    if (!quiet) {
+      console.log(`      Keeping ${groups.length} groups from manifest (use --regroup to start over)`);
+      if (update.removedTools.length > 0) console.log(`      Removed tools: ${update.removedTools.join(", ")}`);
+      if (update.newTools.length > 0) console.log(`      New tools: ${update.newTools.join(", ")}`);
+    }
+  } else {
+    try {
+      if (options.grouping === "heuristic") {
+        groups = heuristicGrouping(discovery.serverName, discovery.tools);
+        if (!quiet) {
+          console.log(`      Created ${groups.length} groups (heuristic mode)`);
+        }
+      } else if (options.grouping === "hierarchical") {
+        groups = agentType
+          ? await groupToolsHierarchical(discovery.serverName, discovery.tools, groupingOptions)
+          : hierarchicalHeuristicGrouping(discovery.serverName, discovery.tools, groupingOptions);
+        if (!quiet) {
+          const count = groups.reduce((sum, g) => sum + g.subcommands.length, 0);
+          console.log(`      Created ${groups.length} category wrappers with ${count} subcommands`);
+        }
+      } else if (agentType) {
+        groups = await groupTools(discovery.serverName, discovery.tools, groupingOptions);
+      } else {
+        groups = fallbackGrouping(discovery.serverName, discovery.tools);
+        if (!quiet) {
+          console.log(`      Created ${groups.length} groups (fallback mode)`);
+        }
+      }
+    } catch (error) {
+      console.error(`Error: Grouping failed - ${error.message}`);
+      // Try fallback (a 1:1 mapping would defeat hierarchical mode, so it keeps heuristic categories)
+      if (options.grouping === "hierarchical") {
+        console.error("      Falling back to heuristic categories...");
+        groups = hierarchicalHeuristicGrouping(discovery.serverName, discovery.tools, groupingOptions);
+      } else {
+        console.error("      Falling back to 1:1 mapping...");
+        groups = fallbackGrouping(discovery.serverName, discovery.tools);
+      }
+    }
+  }
+
+  // Written even with --dry-run so the plan can be edited and passed back with --plan
+  if (options.planOut) {
+    try {
+      writeGroupingPlan(options.planOut, discovery.serverName, groups);
+    } catch (error) {
+      throw pipelineError(`Failed to write plan - ${error.message}`, EXIT_OUTPUT_FAILED);
+    }
+    if (!quiet) console.log(`      Plan written to ${options.planOut}`);
+  }
+
+  // Mark read-only/destructive wrappers for READMEs and the AGENTS entry
+  groups = groups.map((group) => ({ ...group, safety: getGroupSafety(group, discovery.tools) }));
+
+  // Phase 3: Generate wrappers
+  if (!quiet) console.log("\n[4/6] Generating wrapper scripts...");
+
+  const files = {};
+  let wrappers = groups;
+  // --generator template skips the agent for code even when one is installed
+  const useAgent = Boolean(agentType) && options.generator !== "template";
+  if (!quiet && !useAgent) console.log("      Using schema templates (no AI)");
+
+  try {
+    // Generate each wrapper
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i];
+      if (!quiet) {
+        console.log(`      [${i + 1}/${groups.length}] ${group.filename}`);
+      }
+
+      if (useAgent) {
+        try {
+          files[group.filename] = await generateWrapper(
+            group,
+            discovery.tools,
+            discovery.serverName,
+            discovery.mcpCommand,
+            {
+              quiet,
+              verbose: options.verbose,
+              agentType,
+              url: discovery.url,
+              headers: discovery.headers,
+              transport: discovery.transport,
+              retries: options.generationRetries ?? getGenerationRetries(config),
+            }
+          );
+        } catch (error) {
+          // The group still gets a working wrapper, written from the schema
+          console.warn(`      Warning: ${error.message}; using a schema template instead`);
+          files[group.filename] = generateTemplateWrapper(group, discovery.tools);
+        }
+      } else {
+        // Template: complete wrapper generated from the tools' JSON schema
+        files[group.filename] = generateTemplateWrapper(group, discovery.tools);
+      }
+    }
+
+    // Resources and prompts get deterministic wrappers (no AI needed)
+    const featureWrappers = generateFeatureWrappers(discovery).filter((w) => {
+      if (files[w.filename]) {
+        console.warn(`      Warning: ${w.filename} already generated for tools, skipping`);
+        return false;
+      }
+      return true;
+    });
+    for (const { code, ...wrapper } of featureWrappers) {
+      if (!quiet) console.log(`      + ${wrapper.filename}`);
+      files[wrapper.filename] = code;
+    }
+    wrappers = [...groups, ...featureWrappers.map(({ code, ...wrapper }) => wrapper)];
+
+    // Generate supporting files
+    if (!quiet) console.log("      Generating supporting files...");
+
+    files["package.json"] = generatePackageJson(
+      dirName,
+      `${discovery.serverName} automation`
+    );
+
+    // Generate README (uses AI agent if available)
+    if (useAgent) {
+      files["README.md"] = await generateReadme(dirName, wrappers, discovery.tools, { quiet, agentType });
+    } else {
+      files["README.md"] = generateBasicReadme(dirName, wrappers, discovery.tools);
+    }
+
+    // Validate parameter coverage
+    if (!quiet) console.log("      Validating parameter coverage...");
+    const allWarnings = [];
+    for (const group of groups) {
+      const groupTools = discovery.tools.filter((t) => group.mcp_tools.includes(t.name));
+      const { warnings } = validateParameterCoverage(files[group.filename], groupTools, group.filename);
+      allWarnings.push(...warnings);
+    }
+
+    if (allWarnings.length > 0) {
+      console.warn("\n      Parameter coverage warnings:");
+      for (const warning of allWarnings) {
+        console.warn(`        - ${warning}`);
+      }
+      if (process.env.MCP2CLI_STRICT_PARAMS === "true") {
+        throw new Error("Parameter coverage check failed. Set MCP2CLI_STRICT_PARAMS=false to allow.");
+      }
+    }
+  } catch (error) {
+    throw pipelineError(`Generation failed - ${error.message}`, EXIT_GENERATION_FAILED);
+  }
+
+  // Phase 4: Write output
+  if (!quiet) console.log("\n[5/6] Writing output files...");
+
+  // A running session still serves the old runtime; the next call starts a fresh one
+  if (options.force && !options.dryRun && (await stopSession(resolvePath(outputDir)))) {
+    if (!quiet) console.log("      Stopped running session");
+  }
+
+  try {
+    writeOutput(outputDir, files, {
+      dryRun: options.dryRun,
+      force: options.force,
+      quiet,
+      packageName: dirName,
+      runtime: {
+        serverName: discovery.serverName,
+        mcpCommand: discovery.mcpCommand,
+        direct: discovery.url ? { url: discovery.url, headers: discovery.headers, transport: discovery.transport } : null,
+        session: Boolean(options.session),
+      },
+      metadata: {
+        server: discovery.url
+          ? {
+              name: discovery.serverName,
+              transport: discovery.transport || "http",
+              url: discovery.url,
+              headers: discovery.headers,
+              ...(options.session ? { session: true } : {}),
+            }
+          : {
+              name: discovery.serverName,
+              transport: "stdio",
+              command: discovery.mcpCommand,
+              runner: discovery.runner,
+              runtime: "direct",
+              ...(options.session ? { session: true } : {}),
+            },
+        env: envNames,
+        ...(filter ? { filter } : {}),
+        groups: groups.map(toPlanGroup),
+        ...metadata,
+      },
+    });
+
+    // Secrets go to the tool's .env (not tracked in the manifest, so --force keeps it)
+    if (!options.dryRun && Object.keys(env).length > 0) {
+      const envPath = writeEnvFile(resolvePath(outputDir), env);
+      if (!quiet) console.log(`      Saved ${Object.keys(env).length} env var(s) to ${envPath}`);
+    }
+  } catch (error) {
+    throw pipelineError(`Failed to write output - ${error.message}`, EXIT_OUTPUT_FAILED);
+  }
+
+  // Remaining phases
+  let registeredPaths = [];
+  let symlinkDir = null;
+  let shellConfigResult = null;
+
+  if (!options.dryRun) {
+    const effectiveConfig = mergeWithCli(config, options);
+
+    // Phase 5.5: Create symlinks
+    if (effectiveConfig.symlink) {
+      if (!quiet) console.log("\n[5.5/6] Creating symlinks...");
+      symlinkDir = effectiveConfig.symlinkDir || getDefaultSymlinkDir();
+      createSymlinks(outputDir, files, symlinkDir, {
+        force: effectiveConfig.forceSymlink,
+        quiet,
+      });
+
+      // Auto-configure shell PATH if symlinks were created
+      if (options.shellConfig) {
+        shellConfigResult = ensurePathConfigured();
+        if (shellConfigResult.success && shellConfigResult.action === "added" && !quiet) {
+          console.log(`      Added PATH to ${shellConfigResult.configPath}`);
+        }
+      }
+    }
+
+    // Phase 6: Register
+    if (effectiveConfig.register) {
+      const paths = resolveAllPaths(effectiveConfig);
+      if (paths.length > 0) {
+        if (!quiet) console.log("\n[6/6] Registering tools...");
+        const agentsEntry = generateAgentsEntry(dirName, wrappers, discovery.description);
+        const results = registerToAll(paths, agentsEntry, dirName, { quiet });
+        registeredPaths = getSuccessfulPaths(results);
+      }
+    }
+  }
+
+  return { outputDir, dirName, discovery, files, wrappers, registeredPaths, symlinkDir, shellConfigResult };
+}
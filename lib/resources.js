@@ -0,0 +1,216 @@
+/**
+ * Resource & Prompt Wrappers
+ * Generates <server>-resource.js and <server>-prompt.js from discovered MCP
+ * resources, resource templates and prompts (deterministic, no AI needed).
+ * Requests go through the tool's _runtime.js, so refresh and sessions apply to them too
+ */
+
+import { RUNTIME_FILE } from "./runtime.js";
+
+// WRAPPER_NAME, RESOURCES, RESOURCE_TEMPLATES and PROMPTS are declared, and mcpRequest,
+// withServer and saveContent imported from the runtime, by the generated wrapper around these functions
+
+async function resourceMain(args) {
+  const [command, uri] = args;
+
+  if (!command || command === "--help" || command === "-h") {
+    console.log(`Usage: ${WRAPPER_NAME} list
+       ${WRAPPER_NAME} read <uri>
+
+Commands:
+  list          List resources exposed by the server
+  read <uri>    Print the contents of a resource (binary contents are saved to a file)
+
+Options:
+  --out-dir <dir>  Save binary resources here (default: temp directory)`);
+    if (RESOURCES.length > 0) {
+      console.log("\nResources:");
+      for (const r of RESOURCES) console.log(`  ${r.uri}${r.description ? ` - ${r.description}` : ""}`);
+    }
+    if (RESOURCE_TEMPLATES.length > 0) {
+      console.log("\nTemplates (fill in {placeholders}):");
+      for (const t of RESOURCE_TEMPLATES) console.log(`  ${t.uriTemplate}${t.description ? ` - ${t.description}` : ""}`);
+    }
+    console.log(`\nExample:\n  ${WRAPPER_NAME} read ${RESOURCES[0]?.uri || RESOURCE_TEMPLATES[0]?.uriTemplate || "<uri>"}`);
+    return;
+  }
+
+  if (command === "list") {
+    // Cursors belong to the connection that returned them, so all pages use one
+    await withServer(async (request) => {
+      let cursor;
+      do {
+        const result = await request("resources/list", cursor ? { cursor } : {});
+        for (const r of result.resources || []) {
+          console.log(`${r.uri}  ${r.name || ""}${r.description ? ` - ${r.description}` : ""}`);
+        }
+        cursor = result.nextCursor;
+      } while (cursor);
+    });
+    for (const t of RESOURCE_TEMPLATES) {
+      console.log(`${t.uriTemplate}  ${t.name || ""} (template)`);
+    }
+    return;
+  }
+
+  if (command === "read") {
+    if (!uri) throw new Error(`Missing <uri>. Usage: ${WRAPPER_NAME} read <uri>`);
+    const result = await mcpRequest("resources/read", { uri });
+    (result.contents || []).forEach((content, index) => {
+      if (content.text !== undefined) {
+        console.log(content.text);
+      } else {
+        const file = saveContent(content.blob || "", content.mimeType, index);
+        console.log(`Saved resource ${content.uri} (${content.mimeType || "unknown type"}) to ${file}`);
+      }
+    });
+    return;
+  }
+
+  throw new Error(`Unknown command: ${command}. Use: list | read <uri>`);
+}
+
+async function promptMain(args) {
+  const formatArgs = (p) => (p.arguments || []).map((a) => (a.required ? `<${a.name}>` : `[${a.name}]`)).join(" ");
+
+  if (args.length === 0 || args[0] === "--help" || args[0] === "-h") {
+    console.log(`Usage: ${WRAPPER_NAME} <name> [--arg key=value ...]
+       ${WRAPPER_NAME} list
+
+Prompts:`);
+    for (const p of PROMPTS) {
+      console.log(`  ${p.name} ${formatArgs(p)}${p.description ? ` - ${p.description}` : ""}`);
+    }
+    const example = PROMPTS[0];
+    const exampleArgs = (example?.arguments || []).map((a) => ` --arg ${a.name}=...`).join("");
+    console.log(`\nExample:\n  ${WRAPPER_NAME} ${example?.name || "<name>"}${exampleArgs}`);
+    return;
+  }
+
+  if (args[0] === "list") {
+    for (const p of PROMPTS) {
+      console.log(`${p.name} ${formatArgs(p)}${p.description ? ` - ${p.description}` : ""}`);
+    }
+    return;
+  }
+
+  const [name, ...rest] = args;
+  const promptArgs = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] !== "--arg" || !rest[i + 1]) {
+      throw new Error(`Unexpected argument: ${rest[i]}. Use --arg key=value`);
+    }
+    const pair = rest[++i];
+    const index = pair.indexOf("=");
+    if (index <= 0) throw new Error(`Invalid --arg "${pair}". Expected key=value`);
+    promptArgs[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+
+  const prompt = PROMPTS.find((p) => p.name === name);
+  const missing = (prompt?.arguments || []).filter((a) => a.required && promptArgs[a.name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s): ${missing.map((a) => `--arg ${a.name}=...`).join(" ")}`);
+  }
+
+  const result = await mcpRequest("prompts/get", { name, arguments: promptArgs });
+  for (const message of result.messages || []) {
+    const content = message.content || {};
+    const text = content.type === "text"
+      ? content.text
+      : content.type === "resource"
+        ? content.resource?.text ?? `[resource ${content.resource?.uri}]`
+        : `[${content.type}]`;
+    console.log(`[${message.role}] ${text}`);
+  }
+}
+
+/**
+ * Assemble a wrapper script around one of the main functions above
+ * @param {string} filename - Wrapper filename
+ * @param {object} constants - Constants to embed (name -> value)
+ * @param {Function} main - Entry function
+ * @returns {string} - JavaScript source
+ */
+function assembleWrapper(filename, constants, main) {
+  const declarations = Object.entries({ WRAPPER_NAME: filename.replace(/\.js$/, ""), ...constants })
+    .map(([name, value]) => `const ${name} = ${JSON.stringify(value, null, 2)};`)
+    .join("\n");
+
+  return `#!/usr/bin/env node
+import { serverRequest as mcpRequest, withServer, saveContent, run } from "./${RUNTIME_FILE}";
+
+${declarations}
+
+${main.toString()}
+
+await run(${main.name});
+`;
+}
+
+/**
+ * Generate the resource wrapper
+ * @param {string} serverName - MCP server name
+ * @param {Array} resources - Discovered resources
+ * @param {Array} resourceTemplates - Discovered resource templates
+ * @returns {string} - JavaScript source
+ */
+export function generateResourceWrapper(serverName, resources, resourceTemplates) {
+  return assembleWrapper(
+    `${serverName}-resource.js`,
+    {
+      RESOURCES: resources.map(({ uri, name, description, mimeType }) => ({ uri, name, description, mimeType })),
+      RESOURCE_TEMPLATES: resourceTemplates.map(({ uriTemplate, name, description }) => ({ uriTemplate, name, description })),
+    },
+    resourceMain
+  );
+}
+
+/**
+ * Generate the prompt wrapper
+ * @param {string} serverName - MCP server name
+ * @param {Array} prompts - Discovered prompts
+ * @returns {string} - JavaScript source
+ */
+export function generatePromptWrapper(serverName, prompts) {
+  return assembleWrapper(
+    `${serverName}-prompt.js`,
+    { PROMPTS: prompts.map(({ name, description, arguments: args }) => ({ name, description, arguments: args || [] })) },
+    promptMain
+  );
+}
+
+/**
+ * Generate wrappers for the resources and prompts a server exposes
+ * Returned entries look like groups (filename, description, mcp_tools) so they
+ * can be listed in the README and AGENTS entry alongside tool wrappers
+ * @param {object} discovery - Discovery result
+ * @returns {Array<{filename: string, description: string, mcp_tools: string[], code: string}>}
+ */
+export function generateFeatureWrappers(discovery) {
+  const { serverName, resources = [], resourceTemplates = [], prompts = [] } = discovery;
+  const wrappers = [];
+
+  if (resources.length > 0 || resourceTemplates.length > 0) {
+    const counts = [
+      resources.length > 0 ? `${resources.length} resource${resources.length === 1 ? "" : "s"}` : null,
+      resourceTemplates.length > 0 ? `${resourceTemplates.length} template${resourceTemplates.length === 1 ? "" : "s"}` : null,
+    ].filter(Boolean).join(", ");
+    wrappers.push({
+      filename: `${serverName}-resource.js`,
+      description: `List and read MCP resources (${counts}): list | read <uri>`,
+      mcp_tools: [],
+      code: generateResourceWrapper(serverName, resources, resourceTemplates),
+    });
+  }
+
+  if (prompts.length > 0) {
+    wrappers.push({
+      filename: `${serverName}-prompt.js`,
+      description: `Render MCP prompt templates (${prompts.map((p) => p.name).join(", ")}): <name> --arg k=v`,
+      mcp_tools: [],
+      code: generatePromptWrapper(serverName, prompts),
+    });
+  }
+
+  return wrappers;
+}
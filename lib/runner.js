@@ -1,6 +1,7 @@
 /**
  * Runner Module
- * Handles package runner detection and command building for npm (npx), Python (uvx), and pip
+ * Handles package runner detection and command building for npm (npx), Python (uvx), pip,
+ * bundled extras (bunx, pnpm dlx, deno, docker) and user-defined runners from config
  */
 
 /**
@@ -13,8 +14,17 @@ export function toModuleName(pkg) {
   return pkg.replace(/-/g, "_");
 }
 
+/**
+ * Named module-name transforms (config runners reference these by name)
+ */
+export const RUNNER_TRANSFORMS = {
+  module: toModuleName,
+};
+
 /**
  * Runner configurations
+ * registry: where descriptions/versions are looked up ("npm", "pypi" or null)
+ * cache: whether the registry version is what actually runs (enables the discovery cache)
  */
 export const RUNNERS = {
   npx: {
@@ -22,29 +32,161 @@ export const RUNNERS = {
     args: ["-y"],
     suffix: "@latest",
     transform: null,
+    registry: "npm",
+    cache: true,
   },
   uvx: {
     cmd: "uvx",
     args: [],
     suffix: "",
     transform: null,
+    registry: "pypi",
+    cache: true,
   },
   pip: {
     cmd: "python",
     args: ["-m"],
     suffix: "",
     transform: toModuleName,
+    registry: "pypi",
+    cache: false,
+  },
+  bunx: {
+    cmd: "bunx",
+    args: [],
+    suffix: "@latest",
+    transform: null,
+    registry: "npm",
+    cache: true,
+  },
+  pnpm: {
+    cmd: "pnpm",
+    args: ["dlx"],
+    suffix: "@latest",
+    transform: null,
+    registry: "npm",
+    cache: true,
+  },
+  deno: {
+    cmd: "deno",
+    args: ["run", "-A"],
+    prefix: "npm:",
+    suffix: "@latest",
+    transform: null,
+    registry: "npm",
+    cache: true,
+  },
+  docker: {
+    cmd: "docker",
+    args: ["run", "-i", "--rm"],
+    suffix: "",
+    transform: null,
+    registry: null,
+    cache: false,
   },
 };
 
+/**
+ * Default auto-fallback order when no runner is selected
+ */
+export const DEFAULT_RUNNER_FALLBACK = ["npx", "uvx"];
+
+/**
+ * Runner labels used for non-package sources (cannot be redefined)
+ */
+const RESERVED_RUNNER_NAMES = ["custom", "http"];
+
+/**
+ * Check a runner definition from config
+ * @param {string} name - Runner name
+ * @param {object} def - Runner definition
+ * @returns {string|null} - Problem description or null when valid
+ */
+function validateRunnerDefinition(name, def) {
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name) || RESERVED_RUNNER_NAMES.includes(name)) {
+    return "invalid runner name";
+  }
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    return "expected an object";
+  }
+  if (typeof def.cmd !== "string" || !def.cmd.trim()) {
+    return '"cmd" must be a non-empty string';
+  }
+  if (def.args !== undefined && (!Array.isArray(def.args) || def.args.some((a) => typeof a !== "string"))) {
+    return '"args" must be an array of strings';
+  }
+  for (const key of ["prefix", "suffix"]) {
+    if (def[key] !== undefined && typeof def[key] !== "string") {
+      return `"${key}" must be a string`;
+    }
+  }
+  if (def.transform != null && !RUNNER_TRANSFORMS[def.transform]) {
+    return `unknown transform "${def.transform}". Valid: ${Object.keys(RUNNER_TRANSFORMS).join(", ")}`;
+  }
+  if (def.registry != null && !["npm", "pypi"].includes(def.registry)) {
+    return '"registry" must be "npm", "pypi" or null';
+  }
+  if (def.cache !== undefined && typeof def.cache !== "boolean") {
+    return '"cache" must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Get the runner table: bundled runners plus user runners from config
+ * Config runners with the same name replace bundled ones; invalid definitions are skipped
+ * @param {object} config - Loaded config ({ runners: { <name>: { cmd, args, prefix, suffix, transform, registry, cache } } })
+ * @returns {object} - Runner table keyed by name
+ */
+export function getRunners(config = {}) {
+  const runners = { ...RUNNERS };
+
+  for (const [name, def] of Object.entries(config.runners || {})) {
+    const problem = validateRunnerDefinition(name, def);
+    if (problem) {
+      console.warn(`Warning: Ignoring runner "${name}" in config: ${problem}`);
+      continue;
+    }
+    runners[name] = {
+      cmd: def.cmd,
+      args: def.args || [],
+      prefix: def.prefix || "",
+      suffix: def.suffix || "",
+      transform: def.transform ? RUNNER_TRANSFORMS[def.transform] : null,
+      registry: def.registry || null,
+      cache: Boolean(def.registry) && def.cache !== false,
+    };
+  }
+
+  return runners;
+}
+
+/**
+ * Get the auto-fallback runner order
+ * @param {object} config - Loaded config ({ runnerFallback: ["npx", "uvx"] })
+ * @param {object} runners - Runner table (from getRunners)
+ * @returns {string[]} - Runner names to try in order
+ */
+export function getRunnerFallback(config = {}, runners = RUNNERS) {
+  const order = Array.isArray(config.runnerFallback) ? config.runnerFallback : DEFAULT_RUNNER_FALLBACK;
+  const known = order.filter((name) => {
+    if (runners[name]) return true;
+    console.warn(`Warning: Ignoring unknown runner "${name}" in runnerFallback`);
+    return false;
+  });
+  return known.length > 0 ? known : DEFAULT_RUNNER_FALLBACK;
+}
+
 /**
  * Determine runner based on options
  * @param {object} options - Options
+ * @param {string} options.runner - Runner name (--runner)
  * @param {boolean} options.uvx - Use uvx runner
  * @param {boolean} options.pip - Use pip runner (python -m)
  * @returns {string} - Runner name
  */
 export function detectRunner(options = {}) {
+  if (options.runner) return options.runner;
   if (options.uvx) return "uvx";
   if (options.pip) return "pip";
   return "npx";
@@ -57,7 +199,8 @@ export function detectRunner(options = {}) {
  * @param {string} options.command - Explicit command override (bypasses everything)
  * @param {boolean} options.uvx - Use uvx runner
  * @param {boolean} options.pip - Use pip runner (python -m)
- * @param {string} options.runner - Runner name override (internal use)
+ * @param {string} options.runner - Runner name override
+ * @param {object} options.runners - Runner table (default: bundled RUNNERS)
  * @returns {string} - Full command string
  */
 export function buildMcpCommand(packageName, options = {}) {
@@ -65,8 +208,8 @@ export function buildMcpCommand(packageName, options = {}) {
     return options.command;
   }
 
-  const runnerName = options.runner || detectRunner(options);
-  const runner = RUNNERS[runnerName];
+  const runnerName = detectRunner(options);
+  const runner = (options.runners || RUNNERS)[runnerName];
 
   if (!runner) {
     throw new Error(`Unknown runner: ${runnerName}`);
@@ -85,16 +228,79 @@ export function buildMcpCommand(packageName, options = {}) {
     }
   }
 
+  if (runner.prefix) {
+    pkg = `${runner.prefix}${pkg}`;
+  }
+
   const parts = [runner.cmd, ...runner.args, pkg];
   return parts.join(" ");
 }
 
+/**
+ * Split a command string into argv (honors single and double quotes)
+ * "docker run -i --rm 'mcp/fetch'" -> ["docker", "run", "-i", "--rm", "mcp/fetch"]
+ * @param {string} command - Command string
+ * @returns {string[]} - argv array
+ */
+export function splitCommand(command) {
+  const argv = [];
+  let current = "";
+  let quote = null;
+  let inToken = false;
+
+  for (const char of command.trim()) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) {
+        argv.push(current);
+        current = "";
+        inToken = false;
+      }
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated quote in command: ${command}`);
+  }
+  if (inToken) {
+    argv.push(current);
+  }
+  return argv;
+}
+
+/**
+ * Join argv into a command string that splitCommand() parses back
+ * ["node", "/path with space/server.js"] -> node "/path with space/server.js"
+ * @param {string[]} argv - argv array
+ * @returns {string} - Command string
+ */
+export function joinCommand(argv) {
+  return argv
+    .map((arg) => {
+      if (arg !== "" && !/[\s'"]/.test(arg)) return arg;
+      return arg.includes('"') ? `'${arg}'` : `"${arg}"`;
+    })
+    .join(" ");
+}
+
 /**
  * Get list of available runner names
+ * @param {object} runners - Runner table (default: bundled RUNNERS)
  * @returns {string[]}
  */
-export function getRunnerNames() {
-  return Object.keys(RUNNERS);
+export function getRunnerNames(runners = RUNNERS) {
+  return Object.keys(runners);
 }
 
 /**
@@ -151,76 +357,104 @@ export function extractFirstParagraph(readme) {
 }
 
 /**
- * Fetch package description from npm registry
+ * Resolve the version npx would run from npm registry metadata
+ * Handles exact pins (pkg@1.2.3) and dist-tags (pkg@latest, pkg@next)
+ * @param {string} packageName - Package name with optional version
+ * @param {object} data - npm registry document
+ * @returns {string|undefined} - Resolved version or undefined for ranges
+ */
+function resolveNpmVersion(packageName, data) {
+  const requested = packageName.slice(stripVersion(packageName).length + 1) || "latest";
+  if (data["dist-tags"]?.[requested]) {
+    return data["dist-tags"][requested];
+  }
+  return data.versions?.[requested] ? requested : undefined;
+}
+
+/**
+ * Fetch package description and version from npm registry
  * Prefers first README paragraph over short description field
  * @param {string} packageName - Package name
- * @returns {Promise<string|undefined>}
+ * @returns {Promise<{description: string|undefined, version: string|undefined}>}
  */
-async function fetchNpmDescription(packageName) {
+async function fetchNpmInfo(packageName) {
   try {
     const pkgName = stripVersion(packageName);
     const encodedName = pkgName.replace("/", "%2f");
     const response = await fetch(`https://registry.npmjs.org/${encodedName}`, {
       signal: AbortSignal.timeout(5000),
     });
-    if (!response.ok) return undefined;
+    if (!response.ok) return {};
     const data = await response.json();
+    const version = resolveNpmVersion(packageName, data);
 
     if (data.readme) {
       const paragraph = extractFirstParagraph(data.readme);
       if (paragraph && paragraph.length > 20) {
-        return paragraph;
+        return { description: paragraph, version };
       }
     }
 
-    return data.description;
+    return { description: data.description, version };
   } catch {
-    return undefined;
+    return {};
   }
 }
 
 /**
- * Fetch package description from PyPI
+ * Fetch package description and version from PyPI
  * Prefers first README paragraph over short summary field
  * @param {string} packageName - Package name
- * @returns {Promise<string|undefined>}
+ * @returns {Promise<{description: string|undefined, version: string|undefined}>}
  */
-async function fetchPyPIDescription(packageName) {
+async function fetchPyPIInfo(packageName) {
   try {
     const pkgName = stripVersion(packageName);
     const response = await fetch(`https://pypi.org/pypi/${pkgName}/json`, {
       signal: AbortSignal.timeout(5000),
     });
-    if (!response.ok) return undefined;
+    if (!response.ok) return {};
     const data = await response.json();
+    const version = data.info?.version;
 
     if (data.info?.description) {
       const paragraph = extractFirstParagraph(data.info.description);
       if (paragraph && paragraph.length > 20) {
-        return paragraph;
+        return { description: paragraph, version };
       }
     }
 
-    return data.info?.summary;
+    return { description: data.info?.summary, version };
   } catch {
-    return undefined;
+    return {};
   }
 }
 
 /**
- * Fetch package description from the appropriate registry
+ * Fetch package description and version from the runner's registry
  * @param {string} packageName - Package name
- * @param {string} runner - Runner type: "npx", "uvx", "pip", or "custom"
- * @returns {Promise<string|undefined>}
+ * @param {string} runner - Runner name ("npx", "uvx", "pip", ...) or "custom"
+ * @param {object} runners - Runner table (default: bundled RUNNERS)
+ * @returns {Promise<{description: string|undefined, version: string|undefined}>}
  */
-export async function fetchPackageDescription(packageName, runner) {
-  switch (runner) {
-    case "npx":
-      return fetchNpmDescription(packageName);
-    case "uvx":
-    case "pip":
-      return fetchPyPIDescription(packageName);
+export async function fetchPackageInfo(packageName, runner, runners = RUNNERS) {
+  switch (runners[runner]?.registry) {
+    case "npm":
+      return fetchNpmInfo(packageName);
+    case "pypi":
+      return fetchPyPIInfo(packageName);
     default:
-      return undefined;
+      return {};
   }
 }
+
+/**
+ * Fetch package description from the appropriate registry
+ * @param {string} packageName - Package name
+ * @param {string} runner - Runner name ("npx", "uvx", "pip", ...) or "custom"
+ * @param {object} runners - Runner table (default: bundled RUNNERS)
+ * @returns {Promise<string|undefined>}
+ */
+export async function fetchPackageDescription(packageName, runner, runners = RUNNERS) {
+  return (await fetchPackageInfo(packageName, runner, runners)).description;
+}
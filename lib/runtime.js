@@ -0,0 +1,358 @@
+/**
+ * Wrapper Runtime
+ * Builds the versioned _runtime.js installed next to the wrappers of each tool:
+ * MCP calls, JSON/file parameter loading, content block output, output truncation and exit codes.
+ * Wrappers import it, so `mcp2cli refresh` can update shared behavior in place
+ */
+
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { envLoader, requestHelper, confirmGuard, resultHelper } from "./snippets.js";
+import { sessionHelper, sessionEntryPoint } from "./session.js";
+
+export const RUNTIME_FILE = "_runtime.js";
+
+// Bump when the runtime API or behavior changes
+export const RUNTIME_VERSION = 11;
+
+// File extensions for saved images, audio and binary resources
+const CONTENT_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "audio/wav": "wav",
+  "audio/mpeg": "mp3",
+  "audio/ogg": "ogg",
+  "application/pdf": "pdf",
+  "application/json": "json",
+  "text/plain": "txt",
+};
+
+// readParamFileRaw and the output file helpers are imported, OUTPUT_OPTIONS and
+// CONTENT_EXTENSIONS declared, by the preamble emitted in generateRuntime();
+// mcpRequest comes from the request helper
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: EXIT_USAGE });
+}
+
+function parseJsonParam(value, flag) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw usageError(`${flag} expects JSON (or use ${flag}-file <path>)`);
+  }
+}
+
+function readParamFile(path, flag) {
+  let content;
+  try {
+    content = readParamFileRaw(path, "utf-8");
+  } catch (error) {
+    throw usageError(`Cannot read ${flag}-file ${path}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch {
+    throw usageError(`${flag}-file ${path} is not valid JSON`);
+  }
+}
+
+async function callServer(tool, params = {}) {
+  return mcpRequest("tools/call", { name: tool, arguments: params });
+}
+
+async function callMcp(tool, params = {}) {
+  return toolResultText(tool, await callTool(tool, params));
+}
+
+function saveOutputFile(data, suffix) {
+  const dir = resolveOutputPath(OUTPUT_OPTIONS.outDir || joinOutputPath(outputTmpDir(), "mcp2cli"));
+  const file = joinOutputPath(dir, `${outputBaseName(process.argv[1] || "mcp", ".js")}-${Date.now()}-${suffix}`);
+  makeOutputDir(dir, { recursive: true });
+  writeOutputFile(file, data);
+  return file;
+}
+
+function saveContent(base64, mimeType, index) {
+  const ext = CONTENT_EXTENSIONS[mimeType] || (mimeType || "").split("/")[1]?.replace(/[^a-z0-9]/gi, "") || "bin";
+  return saveOutputFile(Buffer.from(base64, "base64"), `${index}.${ext}`);
+}
+
+function maxOutputChars() {
+  if (OUTPUT_OPTIONS.maxChars !== null) return OUTPUT_OPTIONS.maxChars;
+  const limit = Number(process.env.MCP2CLI_MAX_OUTPUT);
+  return Number.isInteger(limit) && limit > 0 ? limit : 0;
+}
+
+function printOutput(text, ext = "txt") {
+  const limit = maxOutputChars();
+  if (limit === 0 || text.length <= limit) {
+    console.log(text);
+    return;
+  }
+  // Over the budget: print a preview and keep the whole output in a file
+  const file = saveOutputFile(text, `output.${ext}`);
+  console.log(`${text.slice(0, limit).replace(/\s+$/, "")}\n... [truncated: ${limit} of ${text.length} characters shown; full output saved to ${file}]`);
+}
+
+function renderContentBlock(block, index) {
+  if (block.type === "text") return block.text;
+  if (block.type === "image" || block.type === "audio") {
+    return `Saved ${block.type} (${block.mimeType || "unknown type"}) to ${saveContent(block.data, block.mimeType, index)}`;
+  }
+  if (block.type === "resource" && block.resource) {
+    const { uri, mimeType, text, blob } = block.resource;
+    if (blob !== undefined) return `Saved resource ${uri} (${mimeType || "unknown type"}) to ${saveContent(blob, mimeType, index)}`;
+    return `Resource ${uri}${mimeType ? ` (${mimeType})` : ""}:\n${text ?? ""}`;
+  }
+  if (block.type === "resource_link") {
+    return `Resource link: ${block.uri}${block.name ? ` (${block.name})` : ""}`;
+  }
+  return JSON.stringify(block);
+}
+
+function structuredRows(data, view) {
+  if (view) return view.rows;
+  // Without a view, the first non-empty list of objects is the table
+  return Object.keys(data).find(
+    (key) => Array.isArray(data[key]) && data[key].length > 0 && data[key].every((row) => row && typeof row === "object" && !Array.isArray(row))
+  ) || null;
+}
+
+function selectedFields(view, fallback) {
+  const fields = OUTPUT_OPTIONS.fields;
+  if (!fields) return fallback;
+  const unknown = view ? fields.filter((field) => !view.fields.includes(field)) : [];
+  if (unknown.length > 0) throw usageError(`Unknown field(s): ${unknown.join(", ")}. Available: ${view.fields.join(", ")}`);
+  return fields;
+}
+
+function pickFields(item, fields) {
+  return Object.fromEntries(fields.filter((field) => item?.[field] !== undefined).map((field) => [field, item[field]]));
+}
+
+function formatValue(value, maxLength = 0) {
+  const text = value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  const line = text.replace(/\s+/g, " ");
+  return maxLength > 0 && line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+function formatStructured(data, view) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return JSON.stringify(data);
+  const rowsKey = structuredRows(data, view);
+  const rows = rowsKey ? data[rowsKey] : null;
+
+  if (!Array.isArray(rows)) {
+    const keys = selectedFields(view, view?.columns || Object.keys(data));
+    return keys.map((key) => `${key}: ${formatValue(data[key])}`).join("\n");
+  }
+
+  // Scalar fields next to the rows (totals, cursors) print above the table
+  const summary = Object.entries(data)
+    .filter(([key, value]) => key !== rowsKey && (value === null || typeof value !== "object"))
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+  if (rows.length === 0) return [...summary, `(no ${rowsKey})`].join("\n");
+
+  const columns = selectedFields(view, view?.columns || Object.keys(rows[0]));
+  const table = [columns, ...rows.map((row) => columns.map((column) => formatValue(row?.[column], 60)))];
+  const widths = columns.map((_, i) => Math.max(...table.map((cells) => cells[i].length)));
+  const lines = table.map((cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd());
+  return [...summary, ...lines].join("\n");
+}
+
+function printResult(result, view = null) {
+  if (result === undefined || result === null) return;
+  if (typeof result !== "object" || !Array.isArray(result.content)) {
+    const text = typeof result === "string" ? result : JSON.stringify(result);
+    if (text.trim() !== "") printOutput(text.replace(/\s+$/, ""));
+    return;
+  }
+
+  const structured = result.isError ? undefined : result.structuredContent;
+  if (OUTPUT_OPTIONS.json) {
+    let data = structured ?? result;
+    if (structured && typeof structured === "object" && OUTPUT_OPTIONS.fields) {
+      const rowsKey = structuredRows(structured, view);
+      const fields = selectedFields(view, []);
+      data = Array.isArray(structured[rowsKey]) ? structured[rowsKey].map((row) => pickFields(row, fields)) : pickFields(structured, fields);
+    }
+    printOutput(JSON.stringify(data, null, 2), "json");
+    if (result.isError) process.exitCode = EXIT_ERROR;
+    return;
+  }
+
+  // Text blocks of structured results repeat structuredContent as JSON; the view replaces them
+  const blocks = structured !== undefined ? result.content.filter((block) => block.type !== "text") : result.content;
+  const parts = [...(structured !== undefined ? [formatStructured(structured, view)] : []), ...blocks.map(renderContentBlock)];
+  const text = parts.join("\n").replace(/\s+$/, "");
+  if (result.isError) throw new Error(text || "Tool call failed");
+  if (text !== "") printOutput(text);
+}
+
+function takeOutputOptions(args, keep = []) {
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const name = arg.split("=")[0];
+    if (keep.includes(name)) {
+      rest.push(arg);
+    } else if (arg === "--json") {
+      OUTPUT_OPTIONS.json = true;
+    } else if (name === "--out-dir" || name === "--fields" || name === "--max-chars") {
+      const value = arg === name ? args[++i] : arg.slice(name.length + 1);
+      if (!value) throw usageError(`Missing value for ${name}`);
+      if (name === "--out-dir") OUTPUT_OPTIONS.outDir = value;
+      else if (name === "--fields") OUTPUT_OPTIONS.fields = value.split(",").map((field) => field.trim()).filter(Boolean);
+      else if (/^\d+$/.test(value)) OUTPUT_OPTIONS.maxChars = Number(value);
+      else throw usageError(`--max-chars expects a number of characters (0 for no limit), got "${value}"`);
+    } else {
+      rest.push(arg);
+    }
+  }
+  return rest;
+}
+
+async function run(main, options = {}) {
+  try {
+    // Output options are the runtime's, unless the wrapper keeps them for a tool parameter of the same name
+    await main(takeOutputOptions(process.argv.slice(2), options.keep));
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(error.exitCode || EXIT_ERROR);
+  }
+}
+
+/**
+ * Generate the _runtime.js source for one tool directory
+ * @param {object} options - Options
+ * @param {string} options.serverName - MCP server name
+ * @param {string} options.mcpCommand - MCP server command (stdio)
+ * @param {object} options.direct - Server to call ({ url, headers } or { mcpCommand }); default: { mcpCommand }
+ * @param {boolean} options.session - Start the session daemon on the first call
+ * @returns {string} - JavaScript source
+ */
+export function generateRuntime({ serverName, mcpCommand, direct = null, session = false }) {
+  // Wrappers always call the server with the built-in client (not `npx mcporter call`, which only
+  // prints text), so content blocks, isError and structuredContent reach printResult.
+  // callTool and serverRequest go through the session daemon when one is running, otherwise
+  // straight to the server
+  const server = direct || { mcpCommand };
+  const sessionOptions = { mcpCommand: server.mcpCommand, remote: Boolean(server.url), autoStart: session };
+
+  return `// mcp2cli runtime v${RUNTIME_VERSION}: shared by the wrappers in this directory.
+// Generated file, updated by \`mcp2cli refresh\`; local edits are overwritten.
+
+import { readFileSync as readParamFileRaw, mkdirSync as makeOutputDir, writeFileSync as writeOutputFile } from "fs";
+import { tmpdir as outputTmpDir } from "os";
+import { join as joinOutputPath, resolve as resolveOutputPath, basename as outputBaseName } from "path";
+
+${envLoader()}
+
+${requestHelper(server)}
+
+${callServer.toString()}
+
+${sessionHelper(sessionOptions)}
+
+${confirmGuard()}
+
+export const RUNTIME_VERSION = ${RUNTIME_VERSION};
+const EXIT_OK = ${EXIT_OK};
+const EXIT_ERROR = ${EXIT_ERROR};
+const EXIT_USAGE = ${EXIT_USAGE};
+
+// Set from --json / --out-dir / --fields / --max-chars by run(); maxChars null falls back to MCP2CLI_MAX_OUTPUT
+const OUTPUT_OPTIONS = { json: false, outDir: null, fields: null, maxChars: null };
+const CONTENT_EXTENSIONS = ${JSON.stringify(CONTENT_EXTENSIONS)};
+
+${resultHelper()}
+
+${[
+  callMcp,
+  usageError,
+  parseJsonParam,
+  readParamFile,
+  saveOutputFile,
+  saveContent,
+  maxOutputChars,
+  printOutput,
+  renderContentBlock,
+  structuredRows,
+  selectedFields,
+  pickFields,
+  formatValue,
+  formatStructured,
+  printResult,
+  takeOutputOptions,
+  run,
+]
+  .map((fn) => fn.toString())
+  .join("\n\n")}
+
+export {
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_USAGE,
+  callTool,
+  callMcp,
+  serverRequest,
+  withServer,
+  saveContent,
+  requireConfirm,
+  usageError,
+  parseJsonParam,
+  readParamFile,
+  printResult,
+  run,
+};
+
+${sessionEntryPoint()}
+`;
+}
+
+/**
+ * Runtime options for a tool recorded in a manifest
+ * @param {object} server - manifest.server
+ * @returns {object|null} - generateRuntime() options, or null when the manifest predates server metadata
+ */
+export function runtimeOptionsFromManifest(server) {
+  if (!server?.name) return null;
+  if (server.transport === "http" || server.transport === "sse") {
+    const direct = { url: server.url, headers: server.headers || {}, ...(server.transport === "sse" ? { transport: "sse" } : {}) };
+    return { serverName: server.name, direct, session: Boolean(server.session) };
+  }
+  if (!server.command) return null;
+  // Tools recorded with runtime "mcporter" get the built-in client too
+  return { serverName: server.name, mcpCommand: server.command, session: Boolean(server.session) };
+}
+
+/**
+ * Rewrite a tool's _runtime.js from its manifest (no AI calls)
+ * Only tools that already have a runtime are touched (older tools keep self-contained wrappers);
+ * the caller records the new runtimeVersion in the manifest
+ * @param {string} toolPath - Tool directory
+ * @param {object} manifest - Tool manifest
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Report without writing
+ * @returns {string} - "updated", "unchanged" or "none"
+ */
+export function refreshRuntime(toolPath, manifest, options = {}) {
+  const { dryRun = false } = options;
+  const runtimePath = join(toolPath, RUNTIME_FILE);
+  const runtimeOptions = runtimeOptionsFromManifest(manifest?.server);
+  if (!existsSync(runtimePath) || !runtimeOptions) return "none";
+
+  const source = generateRuntime(runtimeOptions);
+  if (readFileSync(runtimePath, "utf-8") === source) return "unchanged";
+  if (!dryRun) {
+    writeFileSync(runtimePath, source, "utf-8");
+  }
+  return "updated";
+}
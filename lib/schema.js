@@ -0,0 +1,277 @@
+/**
+ * Schema Normalizer
+ * Resolves $ref/$defs, merges allOf and flattens anyOf/oneOf and nullable
+ * types in tool input and output schemas (pydantic, zod) so grouping, generation and
+ * coverage checks see plain { type, properties, items } shapes
+ * enum, const, default, format and descriptions are kept
+ */
+
+// Columns shown by default in structured output views (--fields selects others)
+const MAX_VIEW_COLUMNS = 8;
+
+/**
+ * Resolve a local JSON pointer ("#/$defs/Item")
+ * @param {object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {object|undefined}
+ */
+function resolvePointer(root, ref) {
+  if (ref === "#") return root;
+  if (!ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), root);
+}
+
+/**
+ * List the types a schema allows (excluding "null")
+ * @param {object} schema - Normalized schema
+ * @returns {string[]}
+ */
+function typesOf(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  return types.filter((t) => t !== "null");
+}
+
+/**
+ * Infer a missing type from the schema's shape
+ * @param {object} schema - Schema
+ * @returns {string|undefined}
+ */
+function inferType(schema) {
+  if (schema.properties) return "object";
+  if (schema.items) return "array";
+  const values = (schema.enum || []).filter((v) => v !== null);
+  if (values.length > 0) {
+    const kinds = [...new Set(values.map((v) => (Number.isInteger(v) ? "integer" : typeof v)))];
+    if (kinds.length === 1 && ["string", "number", "integer", "boolean"].includes(kinds[0])) {
+      return kinds[0];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Merge object schemas (allOf members, object union variants)
+ * @param {Array<object>} schemas - Normalized schemas
+ * @param {string} requiredMode - "union" (allOf) or "intersection" (anyOf/oneOf)
+ * @returns {object}
+ */
+function mergeObjects(schemas, requiredMode) {
+  const merged = {};
+  const properties = {};
+  let required = null;
+
+  for (const schema of schemas) {
+    for (const [key, value] of Object.entries(schema)) {
+      if (key !== "properties" && key !== "required" && !(key in merged)) {
+        merged[key] = value;
+      }
+    }
+    Object.assign(properties, schema.properties);
+    const own = schema.required || [];
+    if (required === null) {
+      required = [...own];
+    } else if (requiredMode === "union") {
+      required = [...new Set([...required, ...own])];
+    } else {
+      required = required.filter((name) => own.includes(name));
+    }
+  }
+
+  if (Object.keys(properties).length > 0) merged.properties = properties;
+  if (required?.length > 0) merged.required = required;
+  return merged;
+}
+
+/**
+ * Flatten anyOf/oneOf variants into a single schema
+ * [{type: "string"}, {type: "null"}] -> {type: "string", nullable: true}
+ * [{type: "string"}, {type: "number"}] -> {type: ["string", "number"]}
+ * @param {Array<object>} variants - Normalized variants
+ * @returns {object}
+ */
+function flattenUnion(variants) {
+  const isNull = (v) => typesOf(v).length === 0 && (v.type === "null" || (Array.isArray(v.enum) && v.enum.every((e) => e === null)));
+  const rest = variants.filter((v) => !isNull(v));
+  const nullable = rest.length < variants.length || rest.some((v) => v.nullable);
+  const withNull = (schema) => (nullable ? { ...schema, nullable: true } : schema);
+
+  if (rest.length === 0) {
+    return { type: "null" };
+  }
+  if (rest.length === 1) {
+    return withNull(rest[0]);
+  }
+
+  const types = [...new Set(rest.flatMap(typesOf))];
+  const enums = rest.every((v) => Array.isArray(v.enum)) ? [...new Set(rest.flatMap((v) => v.enum))] : null;
+  const first = (key) => rest.find((v) => v[key] !== undefined)?.[key];
+
+  let merged;
+  if (types.length === 1 && types[0] === "object") {
+    merged = mergeObjects(rest, "intersection");
+  } else {
+    merged = {};
+    for (const key of ["description", "default", "format", "items"]) {
+      if (first(key) !== undefined) merged[key] = first(key);
+    }
+  }
+  delete merged.nullable;
+  delete merged.const;
+
+  if (types.length === 1) merged.type = types[0];
+  else if (types.length > 1) merged.type = types;
+  else delete merged.type;
+  if (enums) merged.enum = enums;
+  else delete merged.enum;
+
+  return withNull(merged);
+}
+
+/**
+ * Normalize a JSON schema
+ * @param {object} schema - Schema (or sub-schema)
+ * @param {object} root - Root schema for $ref resolution (default: schema)
+ * @param {string[]} stack - References being resolved (cycle guard)
+ * @returns {object} - Normalized schema
+ */
+export function normalizeSchema(schema, root = schema, stack = []) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return {};
+  }
+
+  if (typeof schema.$ref === "string") {
+    const { $ref, ...siblings } = schema;
+    const target = stack.includes($ref) ? undefined : resolvePointer(root, $ref);
+    if (!target) {
+      // Unresolvable or recursive: keep what we know without descending further
+      return { type: "object", ...normalizeSchema(siblings, root, stack) };
+    }
+    return normalizeSchema({ ...target, ...siblings }, root, [...stack, $ref]);
+  }
+
+  let result = { ...schema };
+  delete result.$defs;
+  delete result.definitions;
+  delete result.$schema;
+
+  if (Array.isArray(result.allOf)) {
+    const { allOf, ...own } = result;
+    result = mergeObjects([own, ...allOf.map((s) => normalizeSchema(s, root, stack))], "union");
+  }
+
+  const union = result.anyOf || result.oneOf;
+  if (Array.isArray(union)) {
+    const { anyOf, oneOf, ...own } = result;
+    const flat = flattenUnion(union.map((s) => normalizeSchema(s, root, stack)));
+    result = { ...flat, ...own };
+    if (flat.nullable) result.nullable = true;
+  }
+
+  if (Array.isArray(result.type)) {
+    if (result.type.includes("null")) result.nullable = true;
+    const types = result.type.filter((t) => t !== "null");
+    result.type = types.length === 1 ? types[0] : types.length === 0 ? "null" : types;
+  }
+
+  if (result.const !== undefined && !result.enum) {
+    result.enum = [result.const];
+  }
+
+  if (result.properties && typeof result.properties === "object") {
+    result.properties = Object.fromEntries(
+      Object.entries(result.properties).map(([name, prop]) => [name, normalizeSchema(prop, root, stack)])
+    );
+  }
+  if (result.items && typeof result.items === "object" && !Array.isArray(result.items)) {
+    result.items = normalizeSchema(result.items, root, stack);
+  }
+  if (result.additionalProperties && typeof result.additionalProperties === "object") {
+    result.additionalProperties = normalizeSchema(result.additionalProperties, root, stack);
+  }
+
+  if (!result.type) {
+    const inferred = inferType(result);
+    if (inferred) result.type = inferred;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize every tool's input and output schema
+ * @param {Array} tools - Discovered tools
+ * @returns {Array} - Tools with normalized inputSchema / outputSchema
+ */
+export function normalizeToolSchemas(tools) {
+  return tools.map((tool) => ({
+    ...tool,
+    ...(tool.inputSchema ? { inputSchema: normalizeSchema(tool.inputSchema) } : {}),
+    ...(tool.outputSchema ? { outputSchema: normalizeSchema(tool.outputSchema) } : {}),
+  }));
+}
+
+/**
+ * Default view of a tool's structured output (structuredContent), derived from its outputSchema
+ * A property holding an array of objects becomes the table rows, with its scalar item fields as columns;
+ * otherwise the object's own fields are shown
+ * @param {object} outputSchema - Normalized output schema
+ * @returns {{rows: string|null, columns: string[], fields: string[]}|null} - null without object properties
+ */
+export function outputView(outputSchema) {
+  const properties = outputSchema?.properties;
+  if (!properties || Object.keys(properties).length === 0) return null;
+
+  const rows = Object.keys(properties).find(
+    (name) => typesOf(properties[name]).includes("array") && properties[name].items?.properties
+  );
+  const fieldSchemas = rows ? properties[rows].items.properties : properties;
+  const fields = Object.keys(fieldSchemas);
+  const scalar = fields.filter((name) => !isComplexSchema(fieldSchemas[name]));
+
+  return {
+    rows: rows || null,
+    columns: (rows && scalar.length > 0 ? scalar : fields).slice(0, MAX_VIEW_COLUMNS),
+    fields,
+  };
+}
+
+/**
+ * Human-readable type of a normalized schema
+ * {type: ["string", "number"], nullable: true} -> "string | number | null"
+ * {type: "array", items: {type: "string"}} -> "array<string>"
+ * @param {object} schema - Normalized schema
+ * @returns {string}
+ */
+export function schemaTypeLabel(schema = {}) {
+  const types = typesOf(schema);
+  const labels = types.map((t) => (t === "array" && schema.items?.type ? `array<${schemaTypeLabel(schema.items)}>` : t));
+  if (labels.length === 0) labels.push(schema.type === "null" ? "null" : "any");
+  if (schema.nullable && !labels.includes("null")) labels.push("null");
+  return labels.join(" | ");
+}
+
+/**
+ * Whether a normalized schema needs special CLI handling (objects, arrays)
+ * @param {object} schema - Normalized schema
+ * @returns {boolean}
+ */
+export function isComplexSchema(schema = {}) {
+  return typesOf(schema).some((t) => t === "array" || t === "object");
+}
+
+/**
+ * Help details for a parameter: allowed values, default and format
+ * @param {object} schema - Normalized schema
+ * @returns {string[]} - e.g. ["one of: eq, ne", "default: eq", "format: uri"]
+ */
+export function paramDetails(schema = {}) {
+  const details = [];
+  if (Array.isArray(schema.enum)) details.push(`one of: ${schema.enum.map((v) => (typeof v === "string" ? v : JSON.stringify(v))).join(", ")}`);
+  if (schema.default !== undefined) details.push(`default: ${typeof schema.default === "string" ? schema.default : JSON.stringify(schema.default)}`);
+  if (schema.format) details.push(`format: ${schema.format}`);
+  return details;
+}
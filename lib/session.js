@@ -0,0 +1,371 @@
+/**
+ * Server Sessions
+ * Per-tool background daemon that keeps one MCP server connection open, so stateful
+ * servers (browsers, REPLs) keep their state between wrapper calls and skip cold starts.
+ * The daemon is the tool's _runtime.js run with --session; wrappers reach it over
+ * a Unix socket in the tool directory and fall back to direct calls without it.
+ */
+
+import { createConnection as connectSessionSocket } from "net";
+import { spawn as spawnSessionProcess } from "child_process";
+import { existsSync, readFileSync, openSync as openSessionLog, closeSync as closeSessionLog } from "fs";
+import { join } from "path";
+import { PROTOCOL_VERSION } from "./mcp-client.js";
+import { RUNTIME_FILE } from "./runtime.js";
+import { splitCommand } from "./runner.js";
+
+export const SESSION_SOCKET = ".session.sock";
+export const SESSION_LOG = ".session.log";
+
+// Idle seconds before the daemon exits (MCP2CLI_SESSION_IDLE overrides)
+export const SESSION_IDLE_TIMEOUT = 600;
+
+// First runtime version that can run as a session daemon
+export const SESSION_RUNTIME_VERSION = 2;
+
+// One JSON request per connection; resolves null when no daemon is listening
+
+function sessionRequest(socketPath, message, timeout = 0) {
+  return new Promise((resolve, reject) => {
+    const socket = connectSessionSocket(socketPath);
+    let buffer = "";
+    const timer = timeout
+      ? setTimeout(() => {
+          socket.destroy();
+          reject(new Error("Session did not answer"));
+        }, timeout)
+      : null;
+
+    socket.setEncoding("utf-8");
+    socket.on("connect", () => socket.write(JSON.stringify(message) + "\n"));
+    socket.on("data", (chunk) => (buffer += chunk));
+    socket.on("end", () => {
+      clearTimeout(timer);
+      try {
+        resolve(JSON.parse(buffer));
+      } catch {
+        reject(new Error("Session closed the connection"));
+      }
+    });
+    socket.on("error", (error) => {
+      clearTimeout(timer);
+      // Missing or stale socket: no daemon running
+      if (error.code === "ENOENT" || error.code === "ECONNREFUSED") resolve(null);
+      else reject(error);
+    });
+  });
+}
+
+async function launchSession(runtimePath, socketPath, logPath, timeout = 60000) {
+  const log = openSessionLog(logPath, "w");
+  const child = spawnSessionProcess(process.execPath, [runtimePath, "--session"], {
+    detached: true,
+    stdio: ["ignore", log, log],
+  });
+  closeSessionLog(log);
+  child.unref();
+
+  let exited = false;
+  child.on("exit", () => (exited = true));
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    // Checked once more after exit: the daemon quits when another one won the race
+    const done = exited;
+    const status = await sessionRequest(socketPath, { method: "status" }, 1000).catch(() => null);
+    if (status) return status;
+    if (done) break;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  if (!exited) child.kill();
+  throw new Error(`Session failed to start (see ${logPath})`);
+}
+
+// SESSION_* constants, removeSessionFile and createSessionServer are declared by the
+// preamble emitted in sessionHelper(); mcpRequest, mcpConnect and MCP_TIMEOUT_MS come from the request helper
+
+async function openSessionServer(onExit) {
+  if (!SESSION_SERVER_ARGV) {
+    // Remote server: mcpRequest keeps its Mcp-Session-Id for the life of the daemon
+    return { request: mcpRequest, close: async () => {} };
+  }
+
+  const [cmd, ...cmdArgs] = SESSION_SERVER_ARGV;
+  const child = spawnSessionProcess(cmd, cmdArgs, { stdio: ["pipe", "pipe", "inherit"] });
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = "";
+  const send = (message) => child.stdin.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+  const failAll = (error) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+    onExit(error.message);
+  };
+
+  child.stdin.on("error", () => {});
+  child.stdout.setEncoding("utf-8");
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, index).trim();
+      buffer = buffer.slice(index + 1);
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (message.method && message.id !== undefined) {
+        send(message.method === "ping"
+          ? { id: message.id, result: {} }
+          : { id: message.id, error: { code: -32601, message: "Method not supported" } });
+        continue;
+      }
+      const entry = pending.get(message.id);
+      if (!entry) continue;
+      pending.delete(message.id);
+      clearTimeout(entry.timer);
+      message.error ? entry.reject(new Error(message.error.message)) : entry.resolve(message.result);
+    }
+  });
+  child.on("error", (error) => failAll(error));
+  child.on("exit", (code) => failAll(new Error(`MCP server exited (code ${code})`)));
+
+  // A hung request fails on its own; the server keeps running for the next call
+  const request = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        send({ method: "notifications/cancelled", params: { requestId: id, reason: "timeout" } });
+        reject(new Error(`${method} timed out after ${Math.round(MCP_TIMEOUT_MS / 1000)} seconds`));
+      }, MCP_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+      send({ id, method, params });
+    });
+
+  await request("initialize", {
+    protocolVersion: SESSION_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: "mcp2cli-session", version: "1.0.0" },
+  });
+  send({ method: "notifications/initialized" });
+  return {
+    request,
+    close: async () => {
+      child.stdin.end();
+      child.kill();
+    },
+  };
+}
+
+async function serveSession() {
+  if (await sessionRequest(SESSION_SOCKET_PATH, { method: "status" }, 1000).catch(() => null)) {
+    console.error("Session already running");
+    return;
+  }
+  removeSessionFile(SESSION_SOCKET_PATH, { force: true });
+
+  let server = null;
+  let listener = null;
+  let idleTimer = null;
+  let active = 0;
+  const idleSeconds = Number(process.env.MCP2CLI_SESSION_IDLE) || SESSION_IDLE_TIMEOUT;
+  const state = { pid: process.pid, startedAt: new Date().toISOString(), calls: 0, idleTimeout: idleSeconds };
+
+  const shutdown = async (reason) => {
+    console.error(`Session stopped (${reason})`);
+    clearTimeout(idleTimer);
+    listener?.close();
+    removeSessionFile(SESSION_SOCKET_PATH, { force: true });
+    await server?.close();
+    process.exit(0);
+  };
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    if (active === 0) idleTimer = setTimeout(() => shutdown("idle"), idleSeconds * 1000);
+  };
+
+  server = await openSessionServer((reason) => shutdown(reason));
+
+  const handle = async (message) => {
+    if (message.method === "status") return state;
+    if (message.method !== "call" && message.method !== "request") {
+      return { error: `Unknown session method: ${message.method}` };
+    }
+    active++;
+    clearTimeout(idleTimer);
+    try {
+      const result = message.method === "call"
+        ? await server.request("tools/call", { name: message.tool, arguments: message.params || {} })
+        : await server.request(message.request, message.params || {});
+      return { result };
+    } catch (error) {
+      return { error: error.message };
+    } finally {
+      active--;
+      state.calls++;
+      resetIdle();
+    }
+  };
+
+  listener = createSessionServer((socket) => {
+    let buffer = "";
+    socket.setEncoding("utf-8");
+    socket.on("error", () => {});
+    socket.on("data", async (chunk) => {
+      buffer += chunk;
+      const index = buffer.indexOf("\n");
+      if (index === -1) return;
+      socket.removeAllListeners("data");
+      let message;
+      try {
+        message = JSON.parse(buffer.slice(0, index));
+      } catch {
+        socket.end(JSON.stringify({ error: "Invalid session request" }) + "\n");
+        return;
+      }
+      if (message.method === "stop") {
+        socket.end(JSON.stringify({ stopped: true }) + "\n", () => shutdown("stopped"));
+        return;
+      }
+      socket.end(JSON.stringify(await handle(message)) + "\n");
+    });
+  });
+  listener.listen(SESSION_SOCKET_PATH, () => console.error(`Session listening on ${SESSION_SOCKET_PATH}`));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  resetIdle();
+}
+
+// callServer is the runtime's call to the server, emitted by generateRuntime()
+
+async function sessionCall(message, fallback) {
+  let reply = await sessionRequest(SESSION_SOCKET_PATH, message);
+  if (!reply && SESSION_AUTO_START) {
+    await launchSession(SESSION_RUNTIME_PATH, SESSION_SOCKET_PATH, SESSION_LOG_PATH);
+    reply = await sessionRequest(SESSION_SOCKET_PATH, message);
+  }
+  if (!reply) return fallback();
+  if (reply.error) throw new Error(reply.error);
+  return reply.result;
+}
+
+async function callTool(tool, params = {}) {
+  return sessionCall({ method: "call", tool, params }, () => callServer(tool, params));
+}
+
+async function serverRequest(method, params = {}) {
+  return sessionCall({ method: "request", request: method, params }, () => mcpRequest(method, params));
+}
+
+// Several requests on one server: through the daemon when sessions are in use,
+// otherwise on one connection opened for fn and closed after it
+
+async function withServer(fn) {
+  if (SESSION_AUTO_START || (await sessionRequest(SESSION_SOCKET_PATH, { method: "status" }, 1000).catch(() => null))) {
+    return fn(serverRequest);
+  }
+  const connection = await mcpConnect();
+  try {
+    return await fn(connection.request);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Build the session client (callTool, serverRequest and withServer routed through a running daemon) and the daemon itself
+ * Must be emitted after the runtime's callServer
+ * @param {object} options - Options
+ * @param {string} options.mcpCommand - Stdio server command (daemon keeps it running)
+ * @param {boolean} options.remote - Remote server: the daemon reuses mcpRequest
+ * @param {boolean} options.autoStart - Start the daemon on the first call
+ * @returns {string} - JavaScript source
+ */
+export function sessionHelper({ mcpCommand, remote = false, autoStart = false }) {
+  return [
+    'import { createConnection as connectSessionSocket, createServer as createSessionServer } from "net";',
+    'import { spawn as spawnSessionProcess } from "child_process";',
+    'import { openSync as openSessionLog, closeSync as closeSessionLog, rmSync as removeSessionFile, realpathSync as sessionRealPath } from "fs";',
+    'import { fileURLToPath as sessionFilePath } from "url";',
+    "",
+    `const SESSION_SOCKET_PATH = sessionFilePath(new URL(${JSON.stringify(SESSION_SOCKET)}, import.meta.url));`,
+    `const SESSION_LOG_PATH = sessionFilePath(new URL(${JSON.stringify(SESSION_LOG)}, import.meta.url));`,
+    "const SESSION_RUNTIME_PATH = sessionFilePath(import.meta.url);",
+    `const SESSION_AUTO_START = ${autoStart};`,
+    `const SESSION_IDLE_TIMEOUT = ${SESSION_IDLE_TIMEOUT};`,
+    `const SESSION_SERVER_ARGV = ${remote ? "null" : JSON.stringify(splitCommand(mcpCommand))};`,
+    `const SESSION_PROTOCOL_VERSION = ${JSON.stringify(PROTOCOL_VERSION)};`,
+    "",
+    [sessionRequest, launchSession, openSessionServer, serveSession, sessionCall, callTool, serverRequest, withServer]
+      .map((fn) => fn.toString())
+      .join("\n\n"),
+  ].join("\n");
+}
+
+/**
+ * Build the entry point that turns `node _runtime.js --session` into the daemon
+ * @returns {string} - JavaScript source
+ */
+export function sessionEntryPoint() {
+  // Resolve symlinks on both sides: the tool directory may be reached through a linked path
+  return [
+    'if (process.argv[2] === "--session" && sessionRealPath(process.argv[1]) === sessionRealPath(SESSION_RUNTIME_PATH)) {',
+    "  await run(serveSession);",
+    "}",
+  ].join("\n");
+}
+
+/**
+ * Query a tool's session daemon
+ * @param {string} toolPath - Tool directory
+ * @returns {Promise<object|null>} - { pid, startedAt, calls, idleTimeout }, or null when not running
+ */
+export async function getSessionStatus(toolPath) {
+  return sessionRequest(join(toolPath, SESSION_SOCKET), { method: "status" }, 5000);
+}
+
+/**
+ * Start a tool's session daemon (no-op when it is already running)
+ * @param {string} toolPath - Tool directory
+ * @returns {Promise<{status: object, started: boolean}>}
+ */
+export async function startSession(toolPath) {
+  const running = await getSessionStatus(toolPath);
+  if (running) return { status: running, started: false };
+
+  const runtimePath = join(toolPath, RUNTIME_FILE);
+  if (!existsSync(runtimePath)) {
+    throw new Error("Tool has no shared runtime; re-generate it with --force to use sessions");
+  }
+  const version = Number(readFileSync(runtimePath, "utf-8").match(/^\/\/ mcp2cli runtime v(\d+)/)?.[1] || 0);
+  if (version < SESSION_RUNTIME_VERSION) {
+    throw new Error(`Runtime v${version} does not support sessions; run \`mcp2cli refresh\` first`);
+  }
+
+  const status = await launchSession(runtimePath, join(toolPath, SESSION_SOCKET), join(toolPath, SESSION_LOG));
+  return { status, started: true };
+}
+
+/**
+ * Stop a tool's session daemon
+ * @param {string} toolPath - Tool directory
+ * @returns {Promise<boolean>} - Whether a running daemon was stopped
+ */
+export async function stopSession(toolPath) {
+  const socketPath = join(toolPath, SESSION_SOCKET);
+  const reply = await sessionRequest(socketPath, { method: "stop" }, 5000).catch(() => null);
+  if (!reply?.stopped) return false;
+
+  // Wait until the daemon is gone so a following start or call does not reach it
+  for (let i = 0; i < 50; i++) {
+    const status = await sessionRequest(socketPath, { method: "status" }, 1000).catch(() => "closing");
+    if (!status) break;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return true;
+}
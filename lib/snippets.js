@@ -0,0 +1,420 @@
+/**
+ * Wrapper Snippets
+ * Source fragments embedded into generated wrapper scripts.
+ * Helpers are written as real functions and serialized with toString(),
+ * so they stay syntax-checked here instead of living in escaped strings.
+ */
+
+import { PROTOCOL_VERSION } from "./mcp-client.js";
+import { parseEnvContent, expandEnvRefs } from "./env.js";
+import { splitCommand } from "./runner.js";
+
+// Per-request timeout of the generated request helpers, like the discovery client's;
+// MCP2CLI_TIMEOUT (seconds) overrides it for slow tools
+const MCP_TIMEOUT_DECLARATION = "const MCP_TIMEOUT_MS = (Number(process.env.MCP2CLI_TIMEOUT) || 60) * 1000;";
+
+// envFileExists and readEnvFile are imported by the preamble emitted in envLoader()
+
+function loadToolEnv() {
+  const envUrl = new URL(".env", import.meta.url);
+  if (!envFileExists(envUrl)) return;
+  const vars = parseEnvContent(readEnvFile(envUrl, "utf-8"));
+  for (const [key, value] of Object.entries(vars)) {
+    if (process.env[key] === undefined) process.env[key] = value;
+  }
+}
+
+// MCP_URL, MCP_HEADERS, MCP_PROTOCOL_VERSION, MCP_TIMEOUT_MS, mcpSessionId and mcpRequestId
+// are declared by the preamble emitted in httpRequestHelper()
+
+async function mcpPost(message) {
+  const response = await fetch(MCP_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      ...Object.fromEntries(Object.entries(MCP_HEADERS).map(([k, v]) => [k, expandEnvRefs(v)])),
+      ...(mcpSessionId ? { "Mcp-Session-Id": mcpSessionId } : {}),
+    },
+    body: JSON.stringify(message),
+    signal: AbortSignal.timeout(MCP_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  mcpSessionId = response.headers.get("mcp-session-id") || mcpSessionId;
+  if (message.id === undefined) return null;
+
+  const body = await response.text();
+  const messages = (response.headers.get("content-type") || "").includes("text/event-stream")
+    ? body.split(/\r?\n\r?\n/).flatMap((event) => {
+        const data = event.split(/\r?\n/).filter((l) => l.startsWith("data:")).map((l) => l.slice(5).trim()).join("\n");
+        try {
+          return data ? [JSON.parse(data)] : [];
+        } catch {
+          return [];
+        }
+      })
+    : [JSON.parse(body)].flat();
+
+  const reply = messages.find((m) => m.id === message.id);
+  if (!reply) throw new Error(`No response to ${message.method}`);
+  if (reply.error) throw new Error(reply.error.message);
+  return reply.result;
+}
+
+async function mcpRequest(method, params = {}) {
+  if (mcpRequestId === 0) {
+    await mcpPost({
+      jsonrpc: "2.0",
+      id: ++mcpRequestId,
+      method: "initialize",
+      params: { protocolVersion: MCP_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: "mcp2cli-wrapper", version: "1.0.0" } },
+    });
+    await mcpPost({ jsonrpc: "2.0", method: "notifications/initialized" });
+  }
+  return mcpPost({ jsonrpc: "2.0", id: ++mcpRequestId, method, params });
+}
+
+// MCP_URL, MCP_HEADERS, MCP_PROTOCOL_VERSION and MCP_TIMEOUT_MS are declared by the
+// preamble emitted in httpRequestHelper() for legacy HTTP+SSE servers; mcpConnect and
+// mcpRequest are the names each helper is emitted under
+
+async function mcpSseConnect() {
+  const headers = Object.fromEntries(Object.entries(MCP_HEADERS).map(([k, v]) => [k, expandEnvRefs(v)]));
+  const controller = new AbortController();
+  let timer = null;
+  // One timer per step: connecting, then each request; the stream stays open between requests
+  const arm = (what) => {
+    clearTimeout(timer);
+    timer = setTimeout(
+      () => controller.abort(new Error(`${what} timed out after ${Math.round(MCP_TIMEOUT_MS / 1000)} seconds`)),
+      MCP_TIMEOUT_MS
+    );
+  };
+  const close = () => {
+    clearTimeout(timer);
+    controller.abort();
+  };
+
+  try {
+    arm("initialize");
+    const response = await fetch(MCP_URL, { headers: { Accept: "text/event-stream", ...headers }, signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+    const nextEvent = async () => {
+      for (;;) {
+        const match = buffer.match(/\r?\n\r?\n/);
+        if (match) {
+          const lines = buffer.slice(0, match.index).split(/\r?\n/);
+          buffer = buffer.slice(match.index + match[0].length);
+          const name = lines.find((l) => l.startsWith("event:"));
+          return {
+            event: name ? name.slice(6).trim() : "message",
+            data: lines.filter((l) => l.startsWith("data:")).map((l) => l.slice(5).trim()).join("\n"),
+          };
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error("MCP server closed the SSE stream");
+        buffer += value;
+      }
+    };
+
+    let endpoint = null;
+    while (!endpoint) {
+      const { event, data } = await nextEvent();
+      if (event === "endpoint") endpoint = new URL(data, MCP_URL).href;
+    }
+
+    const post = async (message) => {
+      const reply = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ jsonrpc: "2.0", ...message }),
+        signal: controller.signal,
+      });
+      if (!reply.ok) throw new Error(`HTTP ${reply.status} ${reply.statusText}`);
+      await reply.text();
+    };
+    const receive = async (id) => {
+      for (;;) {
+        const { event, data } = await nextEvent();
+        if (event !== "message") continue;
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (message.method && message.id !== undefined) {
+          // Server-initiated request (ping, roots/list): answer so the server keeps going
+          await post(message.method === "ping"
+            ? { id: message.id, result: {} }
+            : { id: message.id, error: { code: -32601, message: "Method not supported" } });
+        } else if (message.id === id) {
+          if (message.error) throw new Error(message.error.message);
+          return message.result;
+        }
+      }
+    };
+
+    let nextId = 1;
+    const request = async (method, params = {}) => {
+      const id = nextId++;
+      arm(method);
+      try {
+        await post({ id, method, params });
+        return await receive(id);
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    await request("initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: "mcp2cli-wrapper", version: "1.0.0" },
+    });
+    await post({ method: "notifications/initialized" });
+    return { request, close };
+  } catch (error) {
+    close();
+    throw error;
+  }
+}
+
+// The Streamable HTTP helper already keeps one session (Mcp-Session-Id) for the whole process
+
+async function mcpHttpConnect() {
+  return { request: mcpRequest, close: () => {} };
+}
+
+function toolResultText(tool, result) {
+  const text = (result.content || [])
+    .map((c) => (c.type === "text" ? c.text : JSON.stringify(c)))
+    .join("\n");
+  if (result.isError) throw new Error(text || `${tool} failed`);
+  return text;
+}
+
+// spawnMcpServer, MCP_ARGV and MCP_TIMEOUT_MS are declared by the preamble emitted in stdioRequestHelper()
+
+function mcpStdioConnect() {
+  return new Promise((resolve, reject) => {
+    const [cmd, ...cmdArgs] = MCP_ARGV;
+    const child = spawnMcpServer(cmd, cmdArgs, { stdio: ["pipe", "pipe", "pipe"] });
+    const send = (message) => child.stdin.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+    const pending = new Map();
+    let nextId = 1;
+    let buffer = "";
+    let stderr = "";
+
+    const fail = (error) => {
+      for (const { reject: rejectRequest, timer } of pending.values()) {
+        clearTimeout(timer);
+        rejectRequest(error);
+      }
+      pending.clear();
+      reject(error);
+    };
+    const close = () => {
+      child.stdin.end();
+      child.kill();
+    };
+    const request = (method, params = {}) =>
+      new Promise((resolveRequest, rejectRequest) => {
+        const id = nextId++;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          const seconds = Math.round(MCP_TIMEOUT_MS / 1000);
+          rejectRequest(Object.assign(new Error(`${method} timed out after ${seconds} seconds`), { code: "ETIMEDOUT" }));
+        }, MCP_TIMEOUT_MS);
+        pending.set(id, { resolve: resolveRequest, reject: rejectRequest, timer });
+        send({ id, method, params });
+      });
+
+    // Decode as UTF-8 so multi-byte characters split across chunks stay intact
+    child.stdout.setEncoding("utf-8");
+    child.stderr.setEncoding("utf-8");
+    child.stdin.on("error", () => {});
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.stdout.on("data", (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, index).trim();
+        buffer = buffer.slice(index + 1);
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (message.method && message.id !== undefined) {
+          // Server-initiated request (ping, roots/list): answer so the server keeps going
+          send(message.method === "ping"
+            ? { id: message.id, result: {} }
+            : { id: message.id, error: { code: -32601, message: "Method not supported" } });
+          continue;
+        }
+        const entry = pending.get(message.id);
+        if (!entry) continue;
+        pending.delete(message.id);
+        clearTimeout(entry.timer);
+        message.error ? entry.reject(new Error(message.error.message)) : entry.resolve(message.result);
+      }
+    });
+    child.on("error", (error) => fail(error));
+    child.on("exit", (code) => {
+      const detail = stderr.trim().split("\n").pop();
+      fail(new Error(`MCP server exited (code ${code})${detail ? `: ${detail}` : ""}`));
+    });
+
+    request("initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: "mcp2cli-wrapper", version: "1.0.0" },
+    }).then(
+      () => {
+        send({ method: "notifications/initialized" });
+        resolve({ request, close });
+      },
+      (error) => {
+        close();
+        reject(error);
+      }
+    );
+  });
+}
+
+async function mcpOneShotRequest(method, params = {}) {
+  const connection = await mcpConnect();
+  try {
+    return await connection.request(method, params);
+  } finally {
+    connection.close();
+  }
+}
+
+// Destructive tools (annotations.destructiveHint) refuse to run unless confirmed;
+// the flag is removed from args so argument parsing never sees it
+
+function requireConfirm(tool, args) {
+  const index = args.indexOf("--confirm");
+  if (index !== -1) {
+    args.splice(index, 1);
+    return;
+  }
+  if (process.env.MCP2CLI_ALLOW_DESTRUCTIVE === "1") return;
+  console.error(`Error: ${tool} is destructive (modifies or deletes data). Re-run with --confirm or set MCP2CLI_ALLOW_DESTRUCTIVE=1.`);
+  process.exit(2);
+}
+
+/**
+ * Build the loader that reads the tool's .env (next to the real script) into process.env
+ * Existing environment variables win over .env values
+ * @returns {string} - JavaScript source
+ */
+export function envLoader() {
+  return [
+    'import { existsSync as envFileExists, readFileSync as readEnvFile } from "fs";',
+    "",
+    parseEnvContent.toString(),
+    "",
+    loadToolEnv.toString(),
+    "",
+    "loadToolEnv();",
+  ].join("\n");
+}
+
+/**
+ * Build the requireConfirm(tool, args) guard for destructive tools
+ * @returns {string} - JavaScript source
+ */
+export function confirmGuard() {
+  return requireConfirm.toString();
+}
+
+/**
+ * Build the toolResultText(tool, result) helper that turns a tools/call result into text
+ * Throws when the result is flagged isError
+ * @returns {string} - JavaScript source
+ */
+export function resultHelper() {
+  return toolResultText.toString();
+}
+
+/**
+ * Build the async mcpRequest(method, params) and mcpConnect() helpers for a remote server
+ * Streamable HTTP by default; transport "sse" opens a legacy HTTP+SSE stream per connection
+ * @param {string} url - MCP endpoint URL
+ * @param {object} headers - Request headers recorded at generation time (${VAR} expands at runtime)
+ * @param {string} transport - "http" or "sse"
+ * @returns {string} - JavaScript source
+ */
+export function httpRequestHelper(url, headers = {}, transport = "http") {
+  if (transport === "sse") {
+    return [
+      `const MCP_URL = ${JSON.stringify(url)};`,
+      `const MCP_HEADERS = ${JSON.stringify(headers)};`,
+      `const MCP_PROTOCOL_VERSION = ${JSON.stringify(PROTOCOL_VERSION)};`,
+      MCP_TIMEOUT_DECLARATION,
+      "",
+      expandEnvRefs.toString(),
+      "",
+      mcpSseConnect.toString().replace("function mcpSseConnect(", "function mcpConnect("),
+      "",
+      mcpOneShotRequest.toString().replace("function mcpOneShotRequest(", "function mcpRequest("),
+    ].join("\n");
+  }
+  return [
+    `const MCP_URL = ${JSON.stringify(url)};`,
+    `const MCP_HEADERS = ${JSON.stringify(headers)};`,
+    `const MCP_PROTOCOL_VERSION = ${JSON.stringify(PROTOCOL_VERSION)};`,
+    MCP_TIMEOUT_DECLARATION,
+    "let mcpSessionId = null;",
+    "let mcpRequestId = 0;",
+    "",
+    expandEnvRefs.toString(),
+    "",
+    mcpPost.toString(),
+    "",
+    mcpRequest.toString(),
+    "",
+    mcpHttpConnect.toString().replace("function mcpHttpConnect(", "function mcpConnect("),
+  ].join("\n");
+}
+
+/**
+ * Build the async mcpRequest(method, params) and mcpConnect() helpers for a stdio server
+ * mcpConnect spawns the server (argv array, no shell) and runs the initialize handshake;
+ * mcpRequest does that for a single request
+ * @param {string} command - MCP server command
+ * @returns {string} - JavaScript source
+ */
+export function stdioRequestHelper(command) {
+  return [
+    'import { spawn as spawnMcpServer } from "child_process";',
+    "",
+    `const MCP_ARGV = ${JSON.stringify(splitCommand(command))};`,
+    `const MCP_PROTOCOL_VERSION = ${JSON.stringify(PROTOCOL_VERSION)};`,
+    MCP_TIMEOUT_DECLARATION,
+    "",
+    mcpStdioConnect.toString().replace("function mcpStdioConnect(", "function mcpConnect("),
+    "",
+    mcpOneShotRequest.toString().replace("function mcpOneShotRequest(", "function mcpRequest("),
+  ].join("\n");
+}
+
+/**
+ * Build the mcpRequest and mcpConnect helpers for any transport
+ * @param {object} server - { url, headers, transport } for remote servers or { mcpCommand } for stdio
+ * @returns {string} - JavaScript source
+ */
+export function requestHelper(server) {
+  return server.url
+    ? httpRequestHelper(server.url, server.headers, server.transport)
+    : stdioRequestHelper(server.mcpCommand);
+}
@@ -42,6 +42,16 @@ export function ensureSymlinkDir(dir) {
   return resolvedDir;
 }
 
+/**
+ * Whether a file in a tool directory is a wrapper script to link
+ * Files starting with "_" (the shared _runtime.js) are internal
+ * @param {string} filename - Filename
+ * @returns {boolean}
+ */
+export function isWrapperScript(filename) {
+  return filename.endsWith(".js") && !filename.startsWith("_");
+}
+
 /**
  * Get symlink name (strips .js extension)
  * @param {string} filename - Original filename (e.g., "chrome-snapshot.js")
@@ -118,7 +128,7 @@ export function createSymlinks(outputDir, files, symlinkDir, options = {}) {
   const resolvedSymlinkDir = ensureSymlinkDir(symlinkDir || DEFAULT_SYMLINK_DIR);
   const results = [];
 
-  const jsFiles = Object.keys(files).filter((f) => f.endsWith(".js"));
+  const jsFiles = Object.keys(files).filter(isWrapperScript);
 
   for (const filename of jsFiles) {
     const targetPath = join(resolvedOutputDir, filename);
@@ -188,7 +198,7 @@ export function createSymlinksForTool(toolPath, options = {}) {
   const resolvedDir = resolvePath(symlinkDir);
   ensureSymlinkDir(resolvedDir);
 
-  const scripts = readdirSync(toolPath).filter(f => f.endsWith(".js"));
+  const scripts = readdirSync(toolPath).filter(isWrapperScript);
   const files = Object.fromEntries(scripts.map(s => [s, ""]));
 
   return createSymlinks(toolPath, files, resolvedDir, { force, quiet });
@@ -0,0 +1,293 @@
+/**
+ * Template Wrappers
+ * Generates complete tool wrappers from JSON schema (deterministic, no AI needed):
+ * one subcommand per tool, typed flags, enum checks, required checks,
+ * --<param>-file for arrays/objects, full --help with examples and table views
+ * of structured output (outputSchema).
+ * MCP calls, file loading, result output (--json, --out-dir, --max-chars) and exit codes come from the tool's _runtime.js
+ */
+
+import { RUNTIME_FILE } from "./runtime.js";
+import { getToolSafety } from "./annotations.js";
+import { deriveSubcommands } from "./heuristic-grouping.js";
+import { schemaTypeLabel, isComplexSchema, paramDetails, outputView } from "./schema.js";
+
+// Options handled by the runtime's run() unless a tool parameter has the same flag
+const OUTPUT_FLAGS = ["--json", "--out-dir", "--fields", "--max-chars"];
+
+// WRAPPER_NAME, DESCRIPTION, SUBCOMMANDS, COMMANDS and KEPT_FLAGS are declared by the
+// generated wrapper around these functions; the other helpers are imported from the runtime
+
+function coerceFlagValue(param, raw, flag) {
+  const types = param.types;
+  let value;
+
+  if (types.includes("array") || types.includes("object")) {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      if (!types.includes("array")) throw usageError(`${flag} expects JSON (or use ${flag}-file <path>)`);
+      // A bare value is one array item; repeat the flag for more
+      return [coerceFlagValue({ types: param.itemTypes }, raw, flag)];
+    }
+    if (types.includes("array") && !Array.isArray(value) && !types.includes("object")) value = [value];
+  } else if (types.length === 0) {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      value = raw;
+    }
+  } else {
+    for (const type of types) {
+      if (type === "integer" && /^-?\d+$/.test(raw)) value = Number(raw);
+      else if (type === "number" && raw.trim() !== "" && !Number.isNaN(Number(raw))) value = Number(raw);
+      else if (type === "boolean" && (raw === "true" || raw === "false")) value = raw === "true";
+      else if (type === "string") value = raw;
+      if (value !== undefined) break;
+    }
+    if (value === undefined) throw usageError(`${flag} expects ${types.join(" or ")}, got "${raw}"`);
+  }
+
+  if (param.enum && !param.enum.some((allowed) => JSON.stringify(allowed) === JSON.stringify(value))) {
+    throw usageError(`${flag} must be one of: ${param.enum.join(", ")} (got "${raw}")`);
+  }
+  return value;
+}
+
+function parseFlags(command, args) {
+  const params = {};
+  const findParam = (key) => command.params.find((p) => p.name === key || p.flag === `--${key}`);
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) throw usageError(`Unexpected argument: ${arg}`);
+    const eq = arg.indexOf("=");
+    const key = arg.slice(2, eq === -1 ? undefined : eq);
+    const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+
+    let param = findParam(key);
+    let fromFile = false;
+    let negated = false;
+    if (!param && key.endsWith("-file")) {
+      param = findParam(key.slice(0, -5));
+      fromFile = Boolean(param?.complex);
+      if (!fromFile) param = undefined;
+    }
+    if (!param && key.startsWith("no-")) {
+      param = findParam(key.slice(3));
+      negated = Boolean(param?.types.includes("boolean"));
+      if (!negated) param = undefined;
+    }
+
+    if (!param) {
+      // Tools declaring no parameters are free-form: pass the value through
+      if (command.params.length === 0 && inline === undefined && i + 1 < args.length) {
+        const raw = args[++i];
+        params[key] = coerceFlagValue({ types: [] }, raw, arg);
+        continue;
+      }
+      throw usageError(`Unknown option: --${key}. Run "${command.usage} --help" for options`);
+    }
+
+    if (negated) {
+      params[param.name] = false;
+      continue;
+    }
+    const isFlagOnly = param.types.length === 1 && param.types[0] === "boolean";
+    if (isFlagOnly && inline === undefined && !fromFile) {
+      params[param.name] = true;
+      continue;
+    }
+
+    const raw = inline ?? args[++i];
+    if (raw === undefined) throw usageError(`Missing value for --${key}`);
+    if (fromFile) {
+      params[param.name] = readParamFile(raw, param.flag);
+      continue;
+    }
+    const value = coerceFlagValue(param, raw, param.flag);
+    const repeated = Array.isArray(params[param.name]) && param.types.includes("array") && !raw.trim().startsWith("[");
+    params[param.name] = repeated ? [...params[param.name], ...value] : value;
+  }
+
+  const missing = command.params.filter((p) => p.required && params[p.name] === undefined);
+  if (missing.length > 0) {
+    throw usageError(`Missing required option(s): ${missing.map((p) => p.flag).join(", ")}`);
+  }
+  return params;
+}
+
+function printCommandHelp(command) {
+  const lines = [`Usage: ${command.usage} [options]`, "", command.description || command.tool, "", "Options:"];
+  for (const p of command.params) {
+    const placeholder = p.types.length === 1 && p.types[0] === "boolean" ? "" : ` <${p.label}>`;
+    const details = [...(p.required ? ["required"] : []), ...p.details];
+    lines.push(`  ${p.flag}${placeholder}${details.length > 0 ? ` (${details.join("; ")})` : ""}`);
+    if (p.description) lines.push(`      ${p.description}`);
+    if (p.complex) lines.push(`  ${p.flag}-file <path>  Read ${p.flag} as JSON from a file`);
+  }
+  if (command.destructive) lines.push("  --confirm  Required: this command modifies or deletes data");
+  const outputOptions = [
+    ["--json", command.view ? "Print the structured result as JSON" : "Print the raw MCP result as JSON"],
+    ...(command.view ? [["--fields <a,b>", `Fields to show: ${command.view.fields.join(", ")}`]] : []),
+    ["--out-dir <dir>", "Save images and binary resources here (default: temp directory)"],
+    ["--max-chars <n>", "Truncate output after n characters, saving the full output to a file (default: MCP2CLI_MAX_OUTPUT)"],
+  ].filter(([option]) => !KEPT_FLAGS.includes(option.split(" ")[0]));
+  lines.push(
+    ...outputOptions.map(([option, text]) => `  ${option}  ${text}`),
+    "  --help  Show this help message",
+    "",
+    "Examples:",
+    ...command.examples.map((e) => `  ${e}`)
+  );
+  console.log(lines.join("\n"));
+}
+
+async function templateMain(args) {
+  let command = COMMANDS[0];
+  if (SUBCOMMANDS) {
+    const name = args.shift();
+    if (!name || name === "--help" || name === "-h" || name === "help") {
+      console.log(`Usage: ${WRAPPER_NAME} <command> [options]\n\n${DESCRIPTION}\n\nCommands:`);
+      for (const c of COMMANDS) {
+        console.log(`  ${c.name.padEnd(20)} ${c.description || c.tool}${c.destructive ? " (needs --confirm)" : ""}`);
+      }
+      console.log(`\nRun "${WRAPPER_NAME} <command> --help" for the options of a command.`);
+      return;
+    }
+    command = COMMANDS.find((c) => c.name === name);
+    if (!command) {
+      throw usageError(`Unknown command "${name}". Available: ${COMMANDS.map((c) => c.name).join(", ")}`);
+    }
+  } else if (args.length === 0 && command.params.some((p) => p.required)) {
+    args.push("--help");
+  }
+
+  if (args.includes("--help") || args.includes("-h")) {
+    printCommandHelp(command);
+    return;
+  }
+
+  if (command.destructive) requireConfirm(command.tool, args);
+  const params = parseFlags(command, args);
+  printResult(await callTool(command.tool, params), command.view);
+}
+
+/**
+ * Placeholder label for a parameter in help and examples
+ * @param {object} schema - Normalized parameter schema
+ * @returns {string}
+ */
+function paramLabel(schema) {
+  if (isComplexSchema(schema)) return "json";
+  return schemaTypeLabel(schema).replace(/ \| null$/, "");
+}
+
+/**
+ * Build the example invocations of one command
+ * Required options use their first enum value or a placeholder; the first complex option also gets a -file example
+ * @param {string} usage - Command invocation ("github-issue list")
+ * @param {Array} params - Parameter specs
+ * @param {boolean} destructive - Whether --confirm is needed
+ * @returns {string[]}
+ */
+function buildExamples(usage, params, destructive) {
+  const value = (p) => {
+    if (p.enum) return String(p.enum[0]);
+    if (p.complex) return p.types.includes("array") ? "'[...]'" : "'{...}'";
+    return `<${p.label}>`;
+  };
+  const flags = (list) =>
+    list.map((p) => (p.types.length === 1 && p.types[0] === "boolean" ? p.flag : `${p.flag} ${value(p)}`));
+  const confirm = destructive ? ["--confirm"] : [];
+
+  const required = params.filter((p) => p.required);
+  const examples = [[usage, ...flags(required), ...confirm].join(" ")];
+  const complex = params.find((p) => p.complex);
+  if (complex) {
+    const rest = flags(required.filter((p) => p !== complex));
+    examples.push([usage, ...rest, `${complex.flag}-file ${complex.name}.json`, ...confirm].join(" "));
+  }
+  return examples;
+}
+
+/**
+ * Describe one tool as a command spec embedded in the wrapper
+ * @param {object} tool - Tool definition (normalized schema)
+ * @param {string} name - Subcommand name ("" for single-tool wrappers)
+ * @param {string} usage - Command invocation
+ * @returns {object}
+ */
+function buildCommand(tool, name, usage) {
+  const properties = tool.inputSchema?.properties || {};
+  const required = tool.inputSchema?.required || [];
+
+  const params = Object.entries(properties).map(([param, schema]) => {
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    return {
+      name: param,
+      flag: `--${param.replace(/_/g, "-")}`,
+      types: types.filter((t) => t !== "null"),
+      itemTypes: [schema.items?.type].flat().filter((t) => t && t !== "null"),
+      label: paramLabel(schema),
+      required: required.includes(param),
+      complex: isComplexSchema(schema),
+      ...(Array.isArray(schema.enum) ? { enum: schema.enum } : {}),
+      details: paramDetails(schema),
+      ...(schema.description ? { description: schema.description.split("\n")[0] } : {}),
+    };
+  });
+  const destructive = getToolSafety(tool) === "destructive";
+  const view = outputView(tool.outputSchema);
+
+  return {
+    name,
+    tool: tool.name,
+    usage,
+    description: (tool.description || "").split("\n")[0],
+    destructive,
+    params,
+    examples: buildExamples(usage, params, destructive),
+    ...(view ? { view } : {}),
+  };
+}
+
+/**
+ * Generate a wrapper from the tools' JSON schemas
+ * Single-tool groups take options directly; other groups get one subcommand per tool
+ * (group.subcommands when the grouping named them, derived from tool names otherwise)
+ * @param {object} group - Group object
+ * @param {Array} tools - Full tool definitions (normalized schemas)
+ * @returns {string} - JavaScript source
+ */
+export function generateTemplateWrapper(group, tools) {
+  const wrapperName = group.filename.replace(/\.js$/, "");
+  const subcommands =
+    group.subcommands || (group.mcp_tools.length > 1 ? deriveSubcommands(group.mcp_tools) : [{ name: "", mcp_tool: group.mcp_tools[0] }]);
+
+  const commands = subcommands.map(({ name, mcp_tool }) => {
+    const tool = tools.find((t) => t.name === mcp_tool) || { name: mcp_tool };
+    return buildCommand(tool, name, name ? `${wrapperName} ${name}` : wrapperName);
+  });
+
+  const declarations = Object.entries({
+    WRAPPER_NAME: wrapperName,
+    DESCRIPTION: group.description || "",
+    SUBCOMMANDS: subcommands[0].name !== "",
+    COMMANDS: commands,
+    KEPT_FLAGS: OUTPUT_FLAGS.filter((flag) => commands.some((c) => c.params.some((p) => p.flag === flag))),
+  })
+    .map(([name, value]) => `const ${name} = ${JSON.stringify(value, null, 2)};`)
+    .join("\n");
+
+  return `#!/usr/bin/env node
+
+import { callTool, requireConfirm, usageError, readParamFile, printResult, run } from "./${RUNTIME_FILE}";
+
+${declarations}
+
+${[coerceFlagValue, parseFlags, printCommandHelp, templateMain].map((fn) => fn.toString()).join("\n\n")}
+
+await run(templateMain, { keep: KEPT_FLAGS });
+`;
+}
@@ -0,0 +1,53 @@
+/**
+ * Tests for MCP tool annotation helpers
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { getToolSafety, annotationTags, getDestructiveTools, getGroupSafety, safetyMarker } from "../lib/annotations.js";
+
+const TOOLS = [
+  { name: "list_rows", annotations: { readOnlyHint: true } },
+  { name: "drop_table", annotations: { destructiveHint: true, idempotentHint: true } },
+  { name: "insert_row", annotations: { readOnlyHint: false, destructiveHint: false } },
+  { name: "plain" },
+];
+
+describe("getToolSafety", () => {
+  it("should only honor explicit hints", () => {
+    assert.deepStrictEqual(TOOLS.map(getToolSafety), ["read-only", "destructive", null, null]);
+  });
+
+  it("should let readOnlyHint win over destructiveHint", () => {
+    assert.strictEqual(getToolSafety({ annotations: { readOnlyHint: true, destructiveHint: true } }), "read-only");
+  });
+});
+
+describe("annotationTags", () => {
+  it("should tag safety and idempotency", () => {
+    assert.strictEqual(annotationTags(TOOLS[0]), " [read-only]");
+    assert.strictEqual(annotationTags(TOOLS[1]), " [destructive, idempotent]");
+    assert.strictEqual(annotationTags(TOOLS[3]), "");
+  });
+});
+
+describe("getGroupSafety", () => {
+  it("should be destructive if any wrapped tool is", () => {
+    assert.strictEqual(getGroupSafety({ mcp_tools: ["list_rows", "drop_table"] }, TOOLS), "destructive");
+    assert.deepStrictEqual(getDestructiveTools({ mcp_tools: ["list_rows", "drop_table"] }, TOOLS), ["drop_table"]);
+  });
+
+  it("should be read-only only if every wrapped tool is", () => {
+    assert.strictEqual(getGroupSafety({ mcp_tools: ["list_rows"] }, TOOLS), "read-only");
+    assert.strictEqual(getGroupSafety({ mcp_tools: ["list_rows", "plain"] }, TOOLS), null);
+  });
+});
+
+describe("safetyMarker", () => {
+  it("should format markers", () => {
+    assert.strictEqual(safetyMarker("destructive"), " (destructive, needs --confirm)");
+    assert.strictEqual(safetyMarker("read-only"), " (read-only)");
+    assert.strictEqual(safetyMarker("read-only", { readOnly: false }), "");
+    assert.strictEqual(safetyMarker(null), "");
+  });
+});
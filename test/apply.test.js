@@ -0,0 +1,136 @@
+/**
+ * Tests for declarative batch install (apply)
+ */
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { mkdirSync, writeFileSync, rmSync } from "fs";
+import { join, resolve } from "path";
+import { tmpdir } from "os";
+import { readServersFile, hashEntry, planApply, formatApplySummary } from "../lib/apply.js";
+
+describe("readServersFile", () => {
+  let testDir;
+
+  const write = (name, data) => {
+    const file = join(testDir, name);
+    writeFileSync(file, typeof data === "string" ? data : JSON.stringify(data));
+    return file;
+  };
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `mcp2cli-apply-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("should normalize list entries and derive names", () => {
+    const entries = readServersFile(write("tools.json", {
+      servers: [
+        { package: "chrome-devtools-mcp", presets: ["claude"], exclude: ["new_page"] },
+        { package: "mcp-server-fetch", runner: "uvx" },
+        { url: "https://mcp.linear.app/mcp", headers: { Authorization: "Bearer ${LINEAR_TOKEN}" } },
+        { name: "fetch", command: "docker run -i --rm mcp/fetch" },
+      ],
+    }));
+    assert.deepStrictEqual(entries.map((e) => e.name), ["chrome-devtools", "server-fetch", "linear", "fetch"]);
+    assert.deepStrictEqual(entries[0].presets, ["claude"]);
+    assert.deepStrictEqual(entries[0].exclude, ["new_page"]);
+    assert.strictEqual(entries[1].runner, "uvx");
+  });
+
+  it("should accept a map keyed by tool name", () => {
+    const entries = readServersFile(write("tools.json", { servers: { chrome: { package: "chrome-devtools-mcp" } } }));
+    assert.strictEqual(entries[0].name, "chrome");
+  });
+
+  it("should reject invalid entries", () => {
+    const cases = [
+      [{ servers: [{ package: "a", url: "https://x.dev" }] }, /exactly one/],
+      [{ servers: [{ command: "node server.js" }] }, /need a "name"/],
+      [{ servers: [{ package: "a", runner: "cargo" }] }, /unknown runner/],
+      [{ servers: [{ package: "a", flags: true }] }, /unknown key\(s\) flags/],
+      [{ servers: [{ package: "a", direct: true }] }, /unknown key\(s\) direct/],
+      [{ servers: [{ package: "a-mcp" }, { package: "mcp-a" }] }, /Duplicate tool name "a"/],
+      [{ tools: [] }, /No "servers" list/],
+    ];
+    for (const [data, pattern] of cases) {
+      assert.throws(() => readServersFile(write("bad.json", data)), pattern);
+    }
+    assert.throws(() => readServersFile(write("broken.json", "{")), /Invalid JSON/);
+    assert.throws(() => readServersFile(join(testDir, "missing.json")), /not found/);
+  });
+});
+
+describe("hashEntry", () => {
+  it("should ignore key order and change with values", () => {
+    const a = { name: "x", env: { A: "1", B: "2" } };
+    const b = { name: "x", env: { B: "2", A: "1" } };
+    assert.strictEqual(hashEntry(a), hashEntry(b));
+    assert.notStrictEqual(hashEntry(a), hashEntry({ name: "x", env: { A: "1", B: "3" } }));
+  });
+});
+
+describe("planApply", () => {
+  let toolsDir;
+  const file = join(tmpdir(), "tools.json");
+  const entries = [
+    { name: "kept", package: "kept-mcp" },
+    { name: "changed", package: "changed-mcp" },
+    { name: "fresh", package: "fresh-mcp" },
+  ];
+
+  const install = (name, apply) => {
+    mkdirSync(join(toolsDir, name), { recursive: true });
+    writeFileSync(join(toolsDir, name, ".mcp2cli-manifest.json"), JSON.stringify({ version: 1, files: [], apply }));
+  };
+
+  beforeEach(() => {
+    toolsDir = join(tmpdir(), `mcp2cli-apply-tools-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    install("kept", { file: resolve(file), hash: hashEntry(entries[0]) });
+    install("changed", { file: resolve(file), hash: "stale" });
+    install("dropped", { file: resolve(file), hash: "x" });
+    install("manual", undefined);
+    mkdirSync(join(toolsDir, "bin"), { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(toolsDir, { recursive: true, force: true });
+  });
+
+  it("should plan install, update and unchanged", () => {
+    const plan = planApply(entries, file, { toolsDir });
+    assert.deepStrictEqual(plan.map((p) => [p.name, p.action]), [
+      ["kept", "unchanged"],
+      ["changed", "update"],
+      ["fresh", "install"],
+    ]);
+  });
+
+  it("should only prune tools applied from the same file", () => {
+    const plan = planApply(entries, file, { toolsDir, prune: true });
+    assert.deepStrictEqual(plan.filter((p) => p.action === "prune").map((p) => p.name), ["dropped"]);
+  });
+
+  it("should update everything with force", () => {
+    const plan = planApply(entries, file, { toolsDir, force: true });
+    assert.strictEqual(plan[0].action, "update");
+  });
+});
+
+describe("formatApplySummary", () => {
+  it("should align columns", () => {
+    const table = formatApplySummary([
+      { name: "chrome", action: "install", status: "ok", detail: "3 wrapper scripts" },
+      { name: "x", action: "prune", status: "failed", detail: "boom" },
+    ]);
+    assert.strictEqual(table, [
+      "Server  Action   Status  Detail",
+      "chrome  install  ok      3 wrapper scripts",
+      "x       prune    failed  boom",
+    ].join("\n"));
+  });
+});
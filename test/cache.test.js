@@ -0,0 +1,64 @@
+/**
+ * Tests for discovery cache
+ */
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { writeFileSync, readdirSync, rmSync, mkdirSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { getCacheKey, readDiscoveryCache, writeDiscoveryCache, clearDiscoveryCache } from "../lib/cache.js";
+
+const COMMAND = "npx -y chrome-devtools-mcp@latest";
+const DATA = {
+  tools: [{ name: "take_snapshot", inputSchema: { type: "object" } }],
+  prompts: [{ name: "debug" }],
+  description: "Chrome DevTools for agents",
+};
+
+describe("discovery cache", () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = join(tmpdir(), `mcp2cli-cache-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it("should key on command and version", () => {
+    assert.strictEqual(getCacheKey(COMMAND, "1.0.0"), getCacheKey(COMMAND, "1.0.0"));
+    assert.notStrictEqual(getCacheKey(COMMAND, "1.0.0"), getCacheKey(COMMAND, "1.0.1"));
+    assert.notStrictEqual(getCacheKey(COMMAND, "1.0.0"), getCacheKey("uvx chrome-devtools-mcp", "1.0.0"));
+  });
+
+  it("should round-trip tool schemas and description", () => {
+    assert.strictEqual(writeDiscoveryCache(COMMAND, "1.0.0", DATA, cacheDir), true);
+    const entry = readDiscoveryCache(COMMAND, "1.0.0", cacheDir);
+    assert.deepStrictEqual(entry.tools, DATA.tools);
+    assert.deepStrictEqual(entry.prompts, DATA.prompts);
+    assert.deepStrictEqual(entry.resources, []);
+    assert.strictEqual(entry.description, DATA.description);
+    assert.ok(entry.cachedAt);
+  });
+
+  it("should miss for a new version", () => {
+    writeDiscoveryCache(COMMAND, "1.0.0", DATA, cacheDir);
+    assert.strictEqual(readDiscoveryCache(COMMAND, "1.1.0", cacheDir), null);
+  });
+
+  it("should ignore corrupt entries", () => {
+    mkdirSync(cacheDir, { recursive: true });
+    writeFileSync(join(cacheDir, `${getCacheKey(COMMAND, "1.0.0")}.json`), "{not json");
+    assert.strictEqual(readDiscoveryCache(COMMAND, "1.0.0", cacheDir), null);
+  });
+
+  it("should clear all entries", () => {
+    writeDiscoveryCache(COMMAND, "1.0.0", DATA, cacheDir);
+    writeDiscoveryCache(COMMAND, "2.0.0", DATA, cacheDir);
+    assert.strictEqual(clearDiscoveryCache(cacheDir), 2);
+    assert.deepStrictEqual(readdirSync(cacheDir), []);
+    assert.strictEqual(clearDiscoveryCache(join(cacheDir, "missing")), 0);
+  });
+});
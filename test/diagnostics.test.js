@@ -0,0 +1,102 @@
+/**
+ * Tests for discovery failure diagnostics
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  classifyFailure,
+  findEnvNames,
+  tailLines,
+  describeAttempt,
+  writeDiscoveryLog,
+} from "../lib/diagnostics.js";
+
+describe("classifyFailure", () => {
+  it("should detect timeouts", () => {
+    assert.strictEqual(classifyFailure({ message: "initialize timed out after 60 seconds", code: "ETIMEDOUT" }), "timeout");
+  });
+
+  it("should detect missing packages and commands", () => {
+    assert.strictEqual(classifyFailure({ stderr: "npm error code E404\nnpm error 404 Not Found - GET https://registry.npmjs.org/nope" }), "not-found");
+    assert.strictEqual(classifyFailure({ stderr: "  × No solution found when resolving tool dependencies:" }), "not-found");
+    assert.strictEqual(classifyFailure({ stderr: "/usr/bin/python: No module named mcp_server_nope" }), "not-found");
+    assert.strictEqual(classifyFailure({ message: 'Failed to start "bunx": spawn bunx ENOENT', code: "ENOENT" }), "not-found");
+  });
+
+  it("should detect missing credentials", () => {
+    assert.strictEqual(classifyFailure({ stderr: "Error: GITHUB_TOKEN environment variable is required", exitCode: 1 }), "auth");
+    assert.strictEqual(classifyFailure({ stderr: "KeyError: 'BRAVE_API_KEY'", exitCode: 1 }), "auth");
+    assert.strictEqual(classifyFailure({ stderr: "request failed with status 401", exitCode: 1 }), "auth");
+  });
+
+  it("should detect protocol errors", () => {
+    assert.strictEqual(classifyFailure({ message: "initialize failed: Unsupported protocol version", rpcError: true }), "protocol");
+    assert.strictEqual(classifyFailure({ message: "MCP server exited with code 0", exitCode: 0 }), "protocol");
+  });
+
+  it("should fall back to a startup crash", () => {
+    const stderr = "Traceback (most recent call last):\n  File \"server.py\", line 3\nZeroDivisionError: division by zero";
+    assert.strictEqual(classifyFailure({ stderr, exitCode: 1 }), "crashed");
+  });
+});
+
+describe("findEnvNames", () => {
+  it("should find credential-like variable names", () => {
+    assert.deepStrictEqual(findEnvNames("Missing GITHUB_TOKEN and SLACK_BOT_TOKEN (see DEBUG)"), ["GITHUB_TOKEN", "SLACK_BOT_TOKEN"]);
+  });
+
+  it("should find Python KeyError names", () => {
+    assert.deepStrictEqual(findEnvNames("KeyError: 'DATABASE'"), ["DATABASE"]);
+  });
+});
+
+describe("tailLines", () => {
+  it("should return the last non-empty lines", () => {
+    assert.deepStrictEqual(tailLines("a\n\nb\nc\n", 2), ["b", "c"]);
+  });
+});
+
+describe("describeAttempt", () => {
+  it("should include the cause, stderr tail and a hint", () => {
+    const text = describeAttempt({
+      runner: "npx",
+      command: "npx -y github-mcp@latest",
+      kind: "auth",
+      exitCode: 1,
+      stderr: "starting...\nError: GITHUB_TOKEN is required",
+    });
+    assert.match(text, /^npx: authentication or environment variable missing \(exit code 1\)/);
+    assert.match(text, /Command: npx -y github-mcp@latest/);
+    assert.match(text, / {4}Error: GITHUB_TOKEN is required/);
+    assert.match(text, /Hint: Pass GITHUB_TOKEN with --env/);
+  });
+
+  it("should show the error message when stderr is empty", () => {
+    const text = describeAttempt({ runner: "bunx", command: "bunx pkg@latest", kind: "not-found", code: "ENOENT", message: "spawn bunx ENOENT", stderr: "" });
+    assert.match(text, /spawn bunx ENOENT/);
+    assert.match(text, /"bunx" is not installed/);
+  });
+});
+
+describe("writeDiscoveryLog", () => {
+  it("should write every attempt with its full stderr", () => {
+    const dir = mkdtempSync(join(tmpdir(), "mcp2cli-logs-"));
+    try {
+      const file = writeDiscoveryLog("@scope/pkg", [
+        { runner: "npx", command: "npx -y pkg@latest", backend: "builtin", kind: "crashed", exitCode: 1, message: "MCP server exited with code 1", stderr: "line 1\nline 2" },
+        { runner: "uvx", command: "uvx pkg", backend: "builtin", stderr: "" },
+      ], dir);
+      assert.ok(file.startsWith(join(dir, "discovery-_scope_pkg-")));
+      const log = readFileSync(file, "utf-8");
+      assert.match(log, /=== npx: server crashed on startup ===/);
+      assert.match(log, /line 1\nline 2/);
+      assert.match(log, /=== uvx: ok ===/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -28,6 +28,11 @@ describe("deriveServerName", () => {
   it("should handle packages without -mcp suffix", () => {
     assert.strictEqual(deriveServerName("my-tool"), "my-tool");
   });
+
+  it("should handle docker image names", () => {
+    assert.strictEqual(deriveServerName("mcp/fetch"), "fetch");
+    assert.strictEqual(deriveServerName("ghcr.io/acme/mcp-search:1.2"), "search");
+  });
 });
 
 describe("deriveDirName", () => {
@@ -0,0 +1,140 @@
+/**
+ * Tests for env module
+ */
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { mkdirSync, writeFileSync, rmSync, statSync, readFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { execFileSync } from "child_process";
+import {
+  parseEnvContent,
+  parseEnvArgs,
+  expandEnvRefs,
+  extractHeaderSecrets,
+  formatEnvContent,
+  writeEnvFile,
+  getMissingEnv,
+} from "../lib/env.js";
+import { envLoader } from "../lib/snippets.js";
+
+describe("parseEnvContent", () => {
+  it("should parse keys, comments, export prefixes and quotes", () => {
+    const content = `# comment
+GITHUB_TOKEN=abc123
+export SLACK_TOKEN="xoxb with space"
+PG_URL='postgres://u:p@h/db'
+EMPTY=
+TRAILING=value # note
+`;
+    assert.deepStrictEqual(parseEnvContent(content), {
+      GITHUB_TOKEN: "abc123",
+      SLACK_TOKEN: "xoxb with space",
+      PG_URL: "postgres://u:p@h/db",
+      EMPTY: "",
+      TRAILING: "value",
+    });
+  });
+
+  it("should round-trip values written by formatEnvContent", () => {
+    const env = { A: "plain", B: 'has "quotes" and \\ slash', C: "two\nlines", D: "" };
+    assert.deepStrictEqual(parseEnvContent(formatEnvContent(env)), env);
+  });
+});
+
+describe("parseEnvArgs", () => {
+  it("should parse KEY=VALUE pairs", () => {
+    assert.deepStrictEqual(parseEnvArgs(["A=1", "B=x=y"], {}), { A: "1", B: "x=y" });
+  });
+
+  it("should copy bare keys from the source environment", () => {
+    assert.deepStrictEqual(parseEnvArgs(["TOKEN"], { TOKEN: "t" }), { TOKEN: "t" });
+  });
+
+  it("should throw for bare keys that are not set", () => {
+    assert.throws(() => parseEnvArgs(["MISSING"], {}), /not set/);
+  });
+
+  it("should throw for invalid names", () => {
+    assert.throws(() => parseEnvArgs(["1BAD=x"], {}), /Invalid env variable/);
+  });
+});
+
+describe("expandEnvRefs", () => {
+  it("should expand ${VAR} references", () => {
+    assert.strictEqual(expandEnvRefs("Bearer ${TOKEN}", { TOKEN: "abc" }), "Bearer abc");
+  });
+
+  it("should expand unknown references to empty string", () => {
+    assert.strictEqual(expandEnvRefs("x${NOPE}y", {}), "xy");
+  });
+});
+
+describe("extractHeaderSecrets", () => {
+  it("should move literal values to env and keep ${VAR} references", () => {
+    const result = extractHeaderSecrets({ Authorization: "Bearer abc", "X-Team-Id": "7", "X-Api-Key": "${API_KEY}" });
+    assert.deepStrictEqual(result.headers, {
+      Authorization: "${MCP2CLI_HEADER_AUTHORIZATION}",
+      "X-Team-Id": "${MCP2CLI_HEADER_X_TEAM_ID}",
+      "X-Api-Key": "${API_KEY}",
+    });
+    assert.deepStrictEqual(result.env, { MCP2CLI_HEADER_AUTHORIZATION: "Bearer abc", MCP2CLI_HEADER_X_TEAM_ID: "7" });
+  });
+});
+
+describe("writeEnvFile / getMissingEnv", () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `mcp2cli-env-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("should merge with existing values and restrict permissions", () => {
+    writeFileSync(join(testDir, ".env"), "KEEP=1\nTOKEN=old\n");
+    const envPath = writeEnvFile(testDir, { TOKEN: "new" });
+    assert.deepStrictEqual(parseEnvContent(readFileSync(envPath, "utf-8")), { KEEP: "1", TOKEN: "new" });
+    if (process.platform !== "win32") {
+      assert.strictEqual(statSync(envPath).mode & 0o777, 0o600);
+    }
+  });
+
+  it("should report variables missing from .env and environment", () => {
+    writeFileSync(join(testDir, ".env"), "A=1\n");
+    assert.deepStrictEqual(getMissingEnv(["A", "B", "C"], testDir, { B: "2" }), ["C"]);
+  });
+
+  it("should return empty list when nothing is required", () => {
+    assert.deepStrictEqual(getMissingEnv(undefined, testDir, {}), []);
+  });
+});
+
+describe("envLoader", () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `mcp2cli-envloader-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("should load the .env next to the wrapper without overriding the environment", () => {
+    const script = join(testDir, "wrapper.mjs");
+    writeFileSync(join(testDir, ".env"), "FROM_FILE=file\nOVERRIDE=file\n");
+    writeFileSync(script, `${envLoader()}\nconsole.log(process.env.FROM_FILE + "," + process.env.OVERRIDE);\n`);
+
+    const output = execFileSync(process.execPath, [script], {
+      encoding: "utf-8",
+      env: { ...process.env, OVERRIDE: "shell" },
+    });
+    assert.strictEqual(output.trim(), "file,shell");
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for tool include/exclude filter
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { globToRegExp, filterTools, parseGlobList, getServerFilter } from "../lib/filter.js";
+
+const TOOLS = ["navigate_page", "new_page", "close_page", "take_snapshot", "evaluate_script"].map((name) => ({ name }));
+
+describe("globToRegExp", () => {
+  it("should match * and ? and escape everything else", () => {
+    assert.ok(globToRegExp("*_page").test("new_page"));
+    assert.ok(globToRegExp("new_pag?").test("new_page"));
+    assert.ok(!globToRegExp("new.page").test("new_page"));
+    assert.ok(!globToRegExp("page").test("new_page"));
+  });
+});
+
+describe("filterTools", () => {
+  it("should keep everything without patterns", () => {
+    const result = filterTools(TOOLS);
+    assert.strictEqual(result.tools.length, TOOLS.length);
+    assert.deepStrictEqual(result.excluded, []);
+  });
+
+  it("should apply only then exclude", () => {
+    const result = filterTools(TOOLS, { only: ["*_page"], exclude: ["close_*"] });
+    assert.deepStrictEqual(result.tools.map((t) => t.name), ["navigate_page", "new_page"]);
+    assert.deepStrictEqual(result.excluded, ["close_page", "take_snapshot", "evaluate_script"]);
+  });
+
+  it("should report patterns that matched nothing", () => {
+    const result = filterTools(TOOLS, { exclude: ["take_*", "typo_*"] });
+    assert.deepStrictEqual(result.unmatched, ["typo_*"]);
+  });
+});
+
+describe("parseGlobList", () => {
+  it("should split comma-separated values", () => {
+    assert.deepStrictEqual(parseGlobList(["a*, b*", "c", ""]), ["a*", "b*", "c"]);
+  });
+});
+
+describe("getServerFilter", () => {
+  it("should read a server's globs from the config", () => {
+    const config = { servers: { github: { only: "list_*, get_*", exclude: ["delete_*"] } } };
+    assert.deepStrictEqual(getServerFilter(config, "github"), { only: ["list_*", "get_*"], exclude: ["delete_*"] });
+  });
+
+  it("should return null without an entry or patterns", () => {
+    assert.strictEqual(getServerFilter({}, "github"), null);
+    assert.strictEqual(getServerFilter({ servers: { github: {} } }, "github"), null);
+    assert.strictEqual(getServerFilter({ servers: { github: { only: [] } } }, "other"), null);
+  });
+});
@@ -2,12 +2,21 @@
  * Tests for generator module
  */
 
-import { describe, it } from "node:test";
+import { describe, it, before, after } from "node:test";
 import assert from "node:assert";
+import { mkdtempSync, writeFileSync, readFileSync, chmodSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
 import {
   generatePackageJson,
   generateAgentsEntry,
+  validateParameterCoverage,
+  validateGeneratedCode,
+  verifyWrapper,
+  generateWrapper,
+  getGenerationRetries,
 } from "../lib/generator.js";
+import { generateTemplateWrapper } from "../lib/template.js";
 
 describe("generatePackageJson", () => {
   it("should generate valid package.json", () => {
@@ -38,6 +47,17 @@ describe("generateAgentsEntry", () => {
     assert.ok(result.includes("Tools for My Tools operations."));
   });
 
+  it("should mark destructive wrappers", () => {
+    const groups = [
+      { filename: "db-query.js", description: "Query", safety: "read-only" },
+      { filename: "db-drop.js", description: "Drop", safety: "destructive" },
+    ];
+
+    const result = generateAgentsEntry("db", groups);
+
+    assert.ok(result.includes("**Tools:** `db-query.js`, `db-drop.js` (destructive, needs --confirm)"));
+  });
+
   it("should use package description when provided", () => {
     const groups = [{ filename: "fetch.js", description: "Fetch URL" }];
     const packageDescription = "A powerful web fetching tool.";
@@ -48,3 +68,160 @@ describe("generateAgentsEntry", () => {
     assert.ok(!result.includes("Tools for Fetch operations."));
   });
 });
+
+describe("validateGeneratedCode", () => {
+  const wrapper = (body) => `#!/usr/bin/env node
+import { callTool, printResult, run } from "./_runtime.js";
+${body}
+await run(async (args) => {
+  if (args.includes("--help")) return console.log("Usage: stub-echo --text <text>");
+  printResult(await callTool("echo", { text: args[1] }));
+});
+`;
+
+  it("should accept wrappers calling MCP through the runtime", () => {
+    assert.strictEqual(validateGeneratedCode(wrapper('const pattern = /^--/;\npattern.exec("--x");'), "stub-echo.js"), true);
+    const template = generateTemplateWrapper({ filename: "stub-echo.js", mcp_tools: ["echo"] }, [{ name: "echo" }]);
+    assert.strictEqual(validateGeneratedCode(template, "stub-echo.js"), true);
+  });
+
+  it("should reject shell command strings", () => {
+    const shellWrappers = [
+      'import { execSync } from "child_process";',
+      'import { exec } from "node:child_process";',
+      'const out = execSync(`npx mcporter call stub.echo text:"${process.argv[2]}"`);',
+      'spawnSync("npx", ["mcporter"], { shell: true });',
+    ];
+    for (const body of shellWrappers) {
+      assert.throws(() => validateGeneratedCode(wrapper(body), "stub-echo.js"), /Runs shell command strings/, body);
+    }
+  });
+
+  it("should reject MCP calls outside the runtime", () => {
+    const body = 'import { execFileSync } from "child_process";\nexecFileSync("npx", ["mcporter", "call", "stub.echo"]);';
+    assert.throws(() => validateGeneratedCode(wrapper(body), "stub-echo.js"), /Calls MCP outside/);
+  });
+});
+
+const ECHO_TOOL = {
+  name: "echo",
+  description: "Echo the given text",
+  inputSchema: { type: "object", properties: { text: { type: "string" } }, required: ["text"] },
+};
+
+describe("verifyWrapper", () => {
+  it("should pass wrappers whose help works without the server", () => {
+    const template = generateTemplateWrapper({ filename: "stub-echo.js", mcp_tools: ["echo"] }, [ECHO_TOOL]);
+    assert.deepStrictEqual(verifyWrapper(template, "stub-echo.js"), []);
+
+    const group = { filename: "stub-misc.js", mcp_tools: ["echo", "add"], subcommands: [{ name: "echo", mcp_tool: "echo" }, { name: "add", mcp_tool: "add" }] };
+    assert.deepStrictEqual(verifyWrapper(generateTemplateWrapper(group, [ECHO_TOOL]), "stub-misc.js", group.subcommands), []);
+  });
+
+  it("should report syntax errors from node --check", () => {
+    const [problem] = verifyWrapper("#!/usr/bin/env node\nconst = 1;\n", "stub-echo.js");
+    assert.match(problem, /^node --check failed:\n[\s\S]*SyntaxError/);
+  });
+
+  it("should report help that fails, prints nothing or calls the server", () => {
+    const failing = '#!/usr/bin/env node\nimport { callTool, run } from "./_runtime.js";\nawait run(async () => callTool("echo", {}));\n';
+    const [problem] = verifyWrapper(failing, "stub-echo.js");
+    assert.match(problem, /^stub-echo --help exited with code 1:\n.*MCP server called during --help/);
+
+    assert.deepStrictEqual(verifyWrapper("#!/usr/bin/env node\n", "stub-echo.js"), ["stub-echo --help printed no help text"]);
+  });
+});
+
+describe("generateWrapper (verification rounds)", () => {
+  let dir;
+  let originalPath;
+
+  // Fake pi: answers with a broken script until the prompt carries the rejection
+  const AGENT = `#!${process.execPath}
+import { appendFileSync, readFileSync } from "fs";
+const prompt = readFileSync(process.argv.find((a) => a.startsWith("@")).slice(1), "utf-8");
+appendFileSync(process.env.FAKE_AGENT_LOG, JSON.stringify(prompt) + "\\n");
+const fixed = prompt.includes("It was rejected");
+console.log(\`#!/usr/bin/env node
+import { callTool, printResult, run } from "./_runtime.js";
+await run(async (args) => {
+  if (args.includes("--help")) \${fixed ? "return console.log('Usage: stub-echo --text <text>');" : "return console.log('Usage: stub-echo'"}
+  printResult(await callTool("echo", { text: args[1] }));
+});\`);
+`;
+
+  const prompts = () =>
+    readFileSync(process.env.FAKE_AGENT_LOG, "utf-8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-agent-"));
+    writeFileSync(join(dir, "pi"), AGENT, "utf-8");
+    writeFileSync(join(dir, "package.json"), JSON.stringify({ type: "module" }));
+    chmodSync(join(dir, "pi"), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${dir}:${originalPath}`;
+  });
+
+  after(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_AGENT_LOG;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should send the verification errors back and accept the fixed script", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-1.jsonl");
+    const group = { filename: "stub-echo.js", mcp_tools: ["echo"] };
+    const code = await generateWrapper(group, [ECHO_TOOL], "stub", "node server.js", { agentType: "pi", quiet: true });
+
+    assert.match(code, /Usage: stub-echo --text <text>/);
+    const [, correction] = prompts();
+    assert.match(correction, /Your previous script was:\n#!\/usr\/bin\/env node/);
+    assert.match(correction, /- node --check failed:\n[\s\S]*SyntaxError/);
+  });
+
+  it("should give up after the configured number of retries", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-2.jsonl");
+    const group = { filename: "stub-echo.js", mcp_tools: ["echo"] };
+    await assert.rejects(
+      () => generateWrapper(group, [ECHO_TOOL], "stub", "node server.js", { agentType: "pi", quiet: true, retries: 0 }),
+      (error) => /stub-echo\.js: Rejected after 1 attempt: node --check failed:$/.test(error.message) && error.validationErrors.length === 1
+    );
+    assert.strictEqual(prompts().length, 1);
+  });
+});
+
+describe("getGenerationRetries", () => {
+  it("should read generationRetries from config", () => {
+    assert.strictEqual(getGenerationRetries({}), 2);
+    assert.strictEqual(getGenerationRetries({ generationRetries: 0 }), 0);
+  });
+});
+
+describe("validateParameterCoverage", () => {
+  const tools = [
+    {
+      name: "search",
+      inputSchema: {
+        type: "object",
+        $defs: { Filter: { type: "object", properties: { field: { type: "string" } } } },
+        properties: {
+          query: { type: "string" },
+          filters: { anyOf: [{ type: "array", items: { $ref: "#/$defs/Filter" } }, { type: "null" }] },
+        },
+      },
+    },
+  ];
+
+  it("should flag complex params hidden behind anyOf and $ref", () => {
+    const { warnings } = validateParameterCoverage("console.log('--query')", tools, "search.js");
+    assert.deepStrictEqual(warnings, ["search.js: Complex param 'filters' (array<object> | null) from search not exposed in CLI"]);
+  });
+
+  it("should accept wrappers that expose the param", () => {
+    const { warnings } = validateParameterCoverage("const help = '--filters <json>'", tools, "search.js");
+    assert.deepStrictEqual(warnings, []);
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * Tests for grouping validation, agent correction rounds and grouping plans
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { chmodSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  validateGrouping,
+  readGroupingPlan,
+  writeGroupingPlan,
+  fallbackGrouping,
+  groupTools,
+  groupNewTools,
+  reconcileGroups,
+  appendGroups,
+  updateGrouping,
+  getGroupingRetries,
+  getMaxGroups,
+  groupToolsHierarchical,
+  findSubcommandErrors,
+  DEFAULT_GROUPING_RETRIES,
+  DEFAULT_MAX_GROUPS,
+} from "../lib/grouping.js";
+
+const TOOLS = [{ name: "list_issues" }, { name: "get_issue" }, { name: "create_issue" }];
+
+describe("validateGrouping", () => {
+  it("should accept groups covering every tool", () => {
+    const response = { groups: [{ filename: "gh-issues.js", mcp_tools: ["list_issues", "get_issue", "create_issue"] }] };
+    assert.strictEqual(validateGrouping(response, TOOLS), response);
+  });
+
+  it("should reject unknown and unassigned tools", () => {
+    assert.throws(() => validateGrouping({ groups: [{ filename: "a.js", mcp_tools: ["nope"] }] }, TOOLS), /Unknown tool referenced: nope/);
+    assert.throws(() => validateGrouping({ groups: [{ filename: "a.js", mcp_tools: ["get_issue"] }] }, TOOLS), /2 MCP tools not assigned/);
+  });
+
+  it("should report every problem at once", () => {
+    assert.throws(
+      () => validateGrouping({ groups: [{ filename: "a.js", mcp_tools: ["nope", "get_issue"] }] }, TOOLS),
+      (error) => {
+        assert.deepStrictEqual(error.validationErrors, [
+          "Unknown tool referenced: nope",
+          "2 MCP tools not assigned to any group: list_issues, create_issue",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("should enforce the configured group cap", () => {
+    const response = { groups: TOOLS.map((t) => ({ filename: `${t.name}.js`, mcp_tools: [t.name] })) };
+    assert.strictEqual(validateGrouping(response, TOOLS), response);
+    assert.throws(() => validateGrouping(response, TOOLS, { maxGroups: 2 }), /Too many groups \(3\), maximum is 2/);
+  });
+});
+
+describe("findSubcommandErrors", () => {
+  const group = { filename: "gh-issues.js", mcp_tools: ["list_issues", "get_issue"] };
+
+  it("should accept one subcommand per tool", () => {
+    const subcommands = [{ name: "list", mcp_tool: "list_issues" }, { name: "get", mcp_tool: "get_issue" }];
+    assert.deepStrictEqual(findSubcommandErrors({ ...group, subcommands }), []);
+  });
+
+  it("should report bad names, duplicates, foreign and missing tools", () => {
+    const subcommands = [
+      { name: "List", mcp_tool: "list_issues" },
+      { name: "help", mcp_tool: "get_issue" },
+      { name: "get", mcp_tool: "get_issue" },
+      { name: "get", mcp_tool: "create_issue" },
+    ];
+    assert.deepStrictEqual(findSubcommandErrors({ ...group, subcommands }), [
+      'gh-issues.js: invalid subcommand name "List"',
+      'gh-issues.js: invalid subcommand name "help"',
+      "gh-issues.js: get_issue has more than one subcommand",
+      'gh-issues.js: duplicate subcommand "get"',
+      'gh-issues.js: subcommand "get" maps to a tool outside this wrapper: create_issue',
+    ]);
+    assert.deepStrictEqual(findSubcommandErrors({ ...group, subcommands: [] }), ["gh-issues.js: no subcommand for list_issues, get_issue"]);
+  });
+});
+
+describe("getMaxGroups", () => {
+  it("should default and ignore invalid values", () => {
+    assert.strictEqual(getMaxGroups({}), DEFAULT_MAX_GROUPS);
+    assert.strictEqual(getMaxGroups({ maxGroups: 40 }), 40);
+    assert.strictEqual(getMaxGroups({ maxGroups: 0 }), DEFAULT_MAX_GROUPS);
+  });
+});
+
+describe("getGroupingRetries", () => {
+  it("should default and ignore invalid values", () => {
+    assert.strictEqual(getGroupingRetries({}), DEFAULT_GROUPING_RETRIES);
+    assert.strictEqual(getGroupingRetries({ groupingRetries: 0 }), 0);
+    assert.strictEqual(getGroupingRetries({ groupingRetries: "3" }), DEFAULT_GROUPING_RETRIES);
+  });
+});
+
+describe("groupTools (correction rounds)", () => {
+  let dir;
+  let originalPath;
+
+  // Fake pi: references an unknown tool until the prompt carries validation errors
+  const AGENT = `#!${process.execPath}
+import { appendFileSync, readFileSync } from "fs";
+const prompt = readFileSync(process.argv.find((a) => a.startsWith("@")).slice(1), "utf-8");
+appendFileSync(process.env.FAKE_AGENT_LOG, JSON.stringify(prompt) + "\\n");
+if (prompt.startsWith("You are sorting MCP tools into categories")) {
+  console.log(JSON.stringify({ groups: [{ filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues", "get_issue", "create_issue"] }] }));
+  process.exit(0);
+}
+if (prompt.startsWith("Name the subcommands")) {
+  const subcommands = [{ name: "list", mcp_tool: "list_issues" }, { name: "get", mcp_tool: "get_issue" }];
+  if (prompt.includes("It was rejected")) subcommands.push({ name: "create", mcp_tool: "create_issue" });
+  console.log(JSON.stringify({ subcommands }));
+  process.exit(0);
+}
+if (prompt.startsWith("You are adding new MCP tools")) {
+  // Over the wrapper cap the correction puts everything into the existing wrapper
+  const capped = prompt.includes("It was rejected") && prompt.includes("maximum is 1");
+  console.log(JSON.stringify({ groups: capped
+    ? [{ filename: "gh-issues.js", mcp_tools: ["close_issue", "list_labels"] }]
+    : [
+        { filename: "gh-issues.js", mcp_tools: ["close_issue"] },
+        { filename: "gh-labels.js", description: "Labels", mcp_tools: ["list_labels"], rationale: "r" },
+      ] }));
+  process.exit(0);
+}
+const fixed = prompt.includes("It was rejected");
+const tools = fixed ? ["list_issues", "get_issue", "create_issue"] : ["list_issues", "get_issues"];
+console.log(JSON.stringify({ groups: [{ filename: "gh-issues.js", description: "Issues", mcp_tools: tools, rationale: "r" }] }));
+`;
+
+  const prompts = () =>
+    readFileSync(process.env.FAKE_AGENT_LOG, "utf-8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-agent-"));
+    writeFileSync(join(dir, "pi"), AGENT, "utf-8");
+    writeFileSync(join(dir, "package.json"), JSON.stringify({ type: "module" }));
+    chmodSync(join(dir, "pi"), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${dir}:${originalPath}`;
+  });
+
+  after(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_AGENT_LOG;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should send the validation errors back and accept the corrected plan", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-1.jsonl");
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (line) => logs.push(line);
+    let groups;
+    try {
+      groups = await groupTools("gh", TOOLS, { agentType: "pi", verbose: true });
+    } finally {
+      console.log = originalLog;
+    }
+
+    assert.deepStrictEqual(groups[0].mcp_tools, ["list_issues", "get_issue", "create_issue"]);
+    const [, correction] = prompts();
+    assert.match(correction, /Your previous response was:\n\{"groups"/);
+    assert.match(correction, /- Unknown tool referenced: get_issues/);
+    assert.match(correction, /- 2 MCP tools not assigned to any group: get_issue, create_issue/);
+    assert.ok(logs.includes("      Grouping attempt 1/3 rejected:"));
+    assert.ok(logs.includes("      Created 1 tool groups (after 1 correction)"));
+  });
+
+  it("should give up after the configured number of retries", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-2.jsonl");
+    await assert.rejects(
+      () => groupTools("gh", TOOLS, { agentType: "pi", quiet: true, retries: 0 }),
+      /Grouping failed after 1 attempt: Unknown tool referenced: get_issues/
+    );
+    assert.strictEqual(prompts().length, 1);
+  });
+
+  it("should only ask where new tools belong", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-3.jsonl");
+    const groups = [{ filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues", "get_issue"], rationale: "r" }];
+    const result = await groupNewTools("gh", groups, [{ name: "close_issue" }, { name: "list_labels" }], { agentType: "pi", quiet: true });
+
+    assert.deepStrictEqual(result.map((g) => [g.filename, g.mcp_tools]), [
+      ["gh-issues.js", ["list_issues", "get_issue", "close_issue"]],
+      ["gh-labels.js", ["list_labels"]],
+    ]);
+    assert.deepStrictEqual(groups[0].mcp_tools, ["list_issues", "get_issue"]);
+    assert.match(prompts()[0], /Existing wrappers \(keep these filenames and their tools\):\n  - gh-issues\.js: Issues\n    MCP tools: list_issues, get_issue/);
+  });
+
+  it("should keep new tools within the wrapper cap", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-6.jsonl");
+    const groups = [{ filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues"], rationale: "r" }];
+    const result = await groupNewTools("gh", groups, [{ name: "close_issue" }, { name: "list_labels" }], {
+      agentType: "pi",
+      quiet: true,
+      maxGroups: 1,
+    });
+
+    assert.deepStrictEqual(result.map((g) => [g.filename, g.mcp_tools]), [["gh-issues.js", ["list_issues", "close_issue", "list_labels"]]]);
+    const [first, correction] = prompts();
+    assert.match(first, /Maximum 1 wrapper scripts total, existing ones included/);
+    assert.match(correction, /- Too many groups \(2[^)]*\), maximum is 1/);
+  });
+
+  it("should ask the agent where new tools of a hierarchical grouping belong", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-7.jsonl");
+    const previous = [
+      { filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues"], subcommands: [{ name: "ls", mcp_tool: "list_issues" }] },
+    ];
+    const tools = [{ name: "list_issues" }, { name: "close_issue" }, { name: "list_labels" }];
+    const update = await updateGrouping("gh", previous, tools, { agentType: "pi", quiet: true, grouping: "hierarchical" });
+
+    assert.deepStrictEqual(update.groups.map((g) => [g.filename, g.subcommands.map((sub) => sub.name)]), [
+      ["gh-issues.js", ["ls", "close"]],
+      ["gh-labels.js", ["list"]],
+    ]);
+    assert.match(prompts()[0], /Each wrapper is a category with one subcommand per tool/);
+    assert.doesNotMatch(prompts()[0], /max 5-6 MCP tools per wrapper/);
+  });
+
+  it("should ask for categories, then for the subcommands of each", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-4.jsonl");
+    const groups = await groupToolsHierarchical("gh", TOOLS, { agentType: "pi", quiet: true, maxGroups: 5 });
+
+    assert.deepStrictEqual(groups[0].subcommands, [
+      { name: "list", mcp_tool: "list_issues" },
+      { name: "get", mcp_tool: "get_issue" },
+      { name: "create", mcp_tool: "create_issue" },
+    ]);
+    const [categories, subcommands, correction] = prompts();
+    assert.match(categories, /Maximum 5 categories/);
+    assert.match(subcommands, /^Name the subcommands of the CLI wrapper gh-issues\.js/);
+    assert.match(correction, /- gh-issues\.js: no subcommand for create_issue/);
+  });
+
+  it("should derive subcommand names when the agent keeps failing", async () => {
+    process.env.FAKE_AGENT_LOG = join(dir, "log-5.jsonl");
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    let groups;
+    try {
+      groups = await groupToolsHierarchical("gh", TOOLS, { agentType: "pi", quiet: true, retries: 0 });
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.deepStrictEqual(groups[0].subcommands.map((sub) => sub.name), ["list", "get", "create"]);
+  });
+});
+
+describe("stable groupings", () => {
+  const previous = [
+    { filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues", "delete_issue"], rationale: "r" },
+    { filename: "gh-gone.js", description: "Gone", mcp_tools: ["old_tool"], rationale: "r" },
+  ];
+  const tools = [{ name: "list_issues" }, { name: "get_issue" }, { name: "search_code", description: "Search code" }];
+
+  it("should drop removed tools and report new ones", () => {
+    const { groups, newTools, removedTools } = reconcileGroups(previous, tools);
+    assert.deepStrictEqual(groups, [{ filename: "gh-issues.js", description: "Issues", mcp_tools: ["list_issues"], rationale: "r" }]);
+    assert.deepStrictEqual(newTools.map((t) => t.name), ["get_issue", "search_code"]);
+    assert.deepStrictEqual(removedTools, ["delete_issue", "old_tool"]);
+  });
+
+  it("should ignore malformed manifest groups", () => {
+    const { groups, newTools } = reconcileGroups([null, { filename: "../x.js", mcp_tools: ["get_issue"] }, { filename: "ok.js" }], tools);
+    assert.deepStrictEqual(groups, []);
+    assert.strictEqual(newTools.length, 3);
+  });
+
+  it("should rename appended groups that clash", () => {
+    const result = appendGroups([{ filename: "gh-a.js", mcp_tools: ["x"] }], [{ filename: "gh-a.js", mcp_tools: ["y"] }]);
+    assert.deepStrictEqual(result.map((g) => g.filename), ["gh-a.js", "gh-a-2.js"]);
+  });
+
+  it("should give new tools their own wrappers without an agent", async () => {
+    const update = await updateGrouping("gh", previous, tools, { quiet: true });
+    assert.deepStrictEqual(update.groups.map((g) => [g.filename, g.mcp_tools]), [
+      ["gh-issues.js", ["list_issues"]],
+      ["gh-get-issue.js", ["get_issue"]],
+      ["gh-search-code.js", ["search_code"]],
+    ]);
+    assert.deepStrictEqual(update.newTools, ["get_issue", "search_code"]);
+  });
+
+  it("should give new tools of a hierarchical grouping a subcommand", async () => {
+    const hierarchical = [{ ...previous[0], subcommands: [{ name: "ls", mcp_tool: "list_issues" }, { name: "rm", mcp_tool: "delete_issue" }] }];
+    const update = await updateGrouping("gh", hierarchical, tools, { quiet: true, grouping: "hierarchical" });
+    assert.deepStrictEqual(update.groups.map((g) => [g.filename, g.subcommands]), [
+      ["gh-issues.js", [{ name: "ls", mcp_tool: "list_issues" }, { name: "get", mcp_tool: "get_issue" }]],
+      ["gh-search-code.js", [{ name: "search", mcp_tool: "search_code" }]],
+    ]);
+  });
+
+  it("should place new tools heuristically next to related ones", async () => {
+    const update = await updateGrouping("gh", previous, tools, { quiet: true, grouping: "heuristic" });
+    assert.deepStrictEqual(update.groups.map((g) => [g.filename, g.mcp_tools]), [
+      ["gh-issues.js", ["list_issues", "get_issue"]],
+      ["gh-search-code.js", ["search_code"]],
+    ]);
+  });
+});
+
+describe("grouping plans", () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-plan-"));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writePlan = (plan) => {
+    const file = join(dir, `plan-${Math.random().toString(36).slice(2)}.json`);
+    writeFileSync(file, typeof plan === "string" ? plan : JSON.stringify(plan));
+    return file;
+  };
+
+  it("should round-trip a written plan", () => {
+    const file = join(dir, "plan.json");
+    const groups = fallbackGrouping("gh", TOOLS).map((g) => ({ ...g, safety: null }));
+    writeGroupingPlan(file, "gh", groups);
+
+    const plan = JSON.parse(readFileSync(file, "utf-8"));
+    assert.strictEqual(plan.server, "gh");
+    assert.deepStrictEqual(Object.keys(plan.groups[0]), ["filename", "description", "mcp_tools", "rationale"]);
+    assert.deepStrictEqual(readGroupingPlan(file, TOOLS), fallbackGrouping("gh", TOOLS));
+  });
+
+  it("should keep and validate subcommands", () => {
+    const subcommands = [
+      { name: "list", mcp_tool: "list_issues" },
+      { name: "get", mcp_tool: "get_issue" },
+      { name: "create", mcp_tool: "create_issue" },
+    ];
+    const file = join(dir, "hierarchical.json");
+    writeGroupingPlan(file, "gh", [{ filename: "gh-issues.js", description: "Issues", mcp_tools: TOOLS.map((t) => t.name), rationale: "r", subcommands }]);
+    assert.deepStrictEqual(readGroupingPlan(file, TOOLS)[0].subcommands, subcommands);
+
+    const broken = writePlan({ groups: [{ filename: "gh-issues.js", mcp_tools: TOOLS.map((t) => t.name), subcommands: subcommands.slice(1) }] });
+    assert.throws(() => readGroupingPlan(broken, TOOLS), /Invalid plan: gh-issues\.js: no subcommand for list_issues/);
+  });
+
+  it("should fill in a missing description and rationale", () => {
+    const file = writePlan({ groups: [{ filename: "gh-issues.js", mcp_tools: ["list_issues", "get_issue", "create_issue"] }] });
+    assert.deepStrictEqual(readGroupingPlan(file, TOOLS), [
+      {
+        filename: "gh-issues.js",
+        description: "Wrapper for list_issues, get_issue, create_issue",
+        mcp_tools: ["list_issues", "get_issue", "create_issue"],
+        rationale: "From plan file",
+      },
+    ]);
+  });
+
+  it("should run the grouping validation against the discovered tools", () => {
+    const file = writePlan({ groups: [{ filename: "gh-issues.js", mcp_tools: ["list_issues", "get_issue"] }] });
+    assert.throws(() => readGroupingPlan(file, TOOLS), /not assigned to any group: create_issue/);
+  });
+
+  it("should reject unsafe or duplicate filenames", () => {
+    const unsafe = writePlan({ groups: [{ filename: "../evil.js", mcp_tools: ["list_issues", "get_issue", "create_issue"] }] });
+    assert.throws(() => readGroupingPlan(unsafe, TOOLS), /Invalid wrapper filename/);
+
+    const duplicate = writePlan({
+      groups: [
+        { filename: "gh.js", mcp_tools: ["list_issues"] },
+        { filename: "gh.js", mcp_tools: ["get_issue", "create_issue"] },
+      ],
+    });
+    assert.throws(() => readGroupingPlan(duplicate, TOOLS), /Duplicate wrapper filename in plan: gh\.js/);
+  });
+
+  it("should report missing files and bad JSON", () => {
+    assert.throws(() => readGroupingPlan(join(dir, "missing.json"), TOOLS), /Plan file not found/);
+    assert.throws(() => readGroupingPlan(writePlan("{"), TOOLS), /Invalid JSON/);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests for deterministic heuristic grouping
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  heuristicGrouping,
+  hierarchicalHeuristicGrouping,
+  extendHeuristicGrouping,
+  extendHierarchicalGrouping,
+  deriveSubcommands,
+  tokenizeToolName,
+  MAX_TOOLS_PER_GROUP,
+} from "../lib/heuristic-grouping.js";
+
+/**
+ * Build a tool with the given parameter names
+ * @param {string} name - Tool name
+ * @param {string[]} params - Parameter names
+ * @param {object} annotations - Tool annotations
+ * @returns {object}
+ */
+function tool(name, params = [], annotations = undefined) {
+  return {
+    name,
+    description: `${name} tool`,
+    inputSchema: { type: "object", properties: Object.fromEntries(params.map((p) => [p, { type: "string" }])) },
+    ...(annotations ? { annotations } : {}),
+  };
+}
+
+/**
+ * Map wrapper filename -> wrapped tool names
+ * @param {Array} groups - Groups
+ * @returns {object}
+ */
+function layout(groups) {
+  return Object.fromEntries(groups.map((g) => [g.filename, g.mcp_tools]));
+}
+
+describe("tokenizeToolName", () => {
+  it("should split snake, kebab and camel case", () => {
+    assert.deepStrictEqual(tokenizeToolName("list_pullRequests"), ["list", "pull", "requests"]);
+    assert.deepStrictEqual(tokenizeToolName("get-issue"), ["get", "issue"]);
+  });
+});
+
+describe("heuristicGrouping", () => {
+  it("should group verbs acting on the same noun", () => {
+    const tools = [
+      tool("list_issues", ["repo"]),
+      tool("get_issue", ["repo", "number"]),
+      tool("create_issue", ["repo", "title"]),
+      tool("list_branches", ["repo"]),
+      tool("branch_delete", ["repo", "branch"]),
+    ];
+    const groups = heuristicGrouping("github", tools);
+
+    assert.deepStrictEqual(layout(groups), {
+      "github-issue.js": ["list_issues", "get_issue", "create_issue"],
+      "github-branch.js": ["list_branches", "branch_delete"],
+    });
+    assert.match(groups[0].description, /issue operations: list_issues, get_issue, create_issue/);
+    assert.match(groups[0].rationale, /^Heuristic: shared noun "issue"/);
+  });
+
+  it("should merge related nouns", () => {
+    const groups = heuristicGrouping("github", [
+      tool("create_pull_request"),
+      tool("get_pull_request"),
+      tool("list_pull_request_reviews"),
+    ]);
+    assert.deepStrictEqual(layout(groups), {
+      "github-pull-request.js": ["create_pull_request", "get_pull_request", "list_pull_request_reviews"],
+    });
+  });
+
+  it("should attach single tools by parameter similarity", () => {
+    const groups = heuristicGrouping("chrome", [
+      tool("click", ["uid", "dblClick"]),
+      tool("hover", ["uid"]),
+      tool("evaluate_script", ["function"]),
+    ]);
+    assert.deepStrictEqual(layout(groups), {
+      "chrome-click-hover.js": ["click", "hover"],
+      "chrome-evaluate-script.js": ["evaluate_script"],
+    });
+    assert.match(groups[0].rationale, /similar parameters \(hover\)/);
+  });
+
+  it("should strip a prefix shared by every tool", () => {
+    const groups = heuristicGrouping("pw", [tool("browser_tab_list"), tool("browser_tab_close"), tool("browser_navigate")]);
+    assert.deepStrictEqual(layout(groups), {
+      "pw-tab.js": ["browser_tab_list", "browser_tab_close"],
+      "pw-browser-navigate.js": ["browser_navigate"],
+    });
+  });
+
+  it("should keep groups within the size limit", () => {
+    const verbs = ["list", "get", "search", "create", "update", "delete", "archive", "close"];
+    const tools = verbs.map((v) => tool(`${v}_record`, ["id"]));
+    const groups = heuristicGrouping("db", tools);
+
+    assert.ok(groups.every((g) => g.mcp_tools.length <= MAX_TOOLS_PER_GROUP));
+    assert.deepStrictEqual(layout(groups), {
+      "db-record-read.js": ["list_record", "get_record", "search_record"],
+      "db-record-write.js": ["create_record", "update_record", "delete_record", "archive_record", "close_record"],
+    });
+  });
+
+  it("should never mix read-only and destructive tools", () => {
+    const groups = heuristicGrouping("db", [
+      tool("list_tables", ["schema"], { readOnlyHint: true }),
+      tool("describe_table", ["schema", "table"], { readOnlyHint: true }),
+      tool("drop_table", ["schema", "table"], { destructiveHint: true }),
+      tool("truncate_table", ["schema", "table"], { destructiveHint: true }),
+    ]);
+    assert.deepStrictEqual(layout(groups), {
+      "db-table.js": ["list_tables", "describe_table"],
+      "db-table-destructive.js": ["drop_table", "truncate_table"],
+    });
+  });
+
+  it("should be deterministic and cover every tool once", () => {
+    const tools = [
+      tool("list_issues", ["repo"]),
+      tool("search_code", ["query"]),
+      tool("get_me"),
+      tool("create_issue", ["repo", "title"]),
+      tool("search_users", ["query"]),
+    ];
+    const first = heuristicGrouping("gh", tools);
+    assert.deepStrictEqual(heuristicGrouping("gh", tools), first);
+    assert.deepStrictEqual(first.flatMap((g) => g.mcp_tools).sort(), tools.map((t) => t.name).sort());
+    assert.strictEqual(new Set(first.map((g) => g.filename)).size, first.length);
+  });
+
+  it("should name single tools like the 1:1 fallback", () => {
+    const groups = heuristicGrouping("time", [tool("get_current_time", ["timezone"])]);
+    assert.deepStrictEqual(groups, [
+      {
+        filename: "time-get-current-time.js",
+        description: "get_current_time tool",
+        mcp_tools: ["get_current_time"],
+        rationale: 'Heuristic: shared noun "current-time"',
+      },
+    ]);
+  });
+});
+
+describe("deriveSubcommands", () => {
+  it("should drop the words shared by the category", () => {
+    assert.deepStrictEqual(deriveSubcommands(["list_issues", "get_issue", "list_issue_comments"]), [
+      { name: "list", mcp_tool: "list_issues" },
+      { name: "get", mcp_tool: "get_issue" },
+      { name: "list-comments", mcp_tool: "list_issue_comments" },
+    ]);
+  });
+
+  it("should drop the category noun only where a tool has it", () => {
+    const names = deriveSubcommands(["create_issue", "search_code"], "issue").map((sub) => sub.name);
+    assert.deepStrictEqual(names, ["create", "search-code"]);
+  });
+
+  it("should keep full names when shortening would clash", () => {
+    const names = deriveSubcommands(["get_issue", "get_issues", "help_issue"], "issue").map((sub) => sub.name);
+    assert.deepStrictEqual(names, ["get-issue", "get-issues", "help-issue"]);
+  });
+});
+
+describe("hierarchicalHeuristicGrouping", () => {
+  const tools = [
+    "list_issues",
+    "get_issue",
+    "create_issue",
+    "update_issue",
+    "close_issue",
+    "lock_issue",
+    "list_issue_comments",
+    "list_pull_requests",
+    "merge_pull_request",
+    "search_code",
+  ].map((name) => tool(name, [name.split("_")[1]]));
+
+  it("should build uncapped categories with subcommands", () => {
+    const groups = hierarchicalHeuristicGrouping("gh", tools);
+    const issues = groups.find((g) => g.filename === "gh-issue.js");
+
+    assert.strictEqual(issues.mcp_tools.length, 7);
+    assert.deepStrictEqual(
+      issues.subcommands.map((sub) => sub.name),
+      ["list", "get", "create", "update", "close", "lock", "list-comments"]
+    );
+    assert.deepStrictEqual(groups.flatMap((g) => g.mcp_tools).sort(), tools.map((t) => t.name).sort());
+  });
+
+  it("should merge the smallest categories past maxGroups", () => {
+    const groups = hierarchicalHeuristicGrouping("gh", tools, { maxGroups: 2 });
+    assert.deepStrictEqual(layout(groups), {
+      "gh-issue.js": ["list_issues", "get_issue", "create_issue", "update_issue", "close_issue", "lock_issue", "list_issue_comments"],
+      "gh-other.js": ["list_pull_requests", "merge_pull_request", "search_code"],
+    });
+    assert.match(groups[1].rationale, /smaller categories \(pull-request, code\)/);
+  });
+
+  it("should add new tools to categories past the flat size limit", () => {
+    const previous = [{ filename: "gh-issue.js", mcp_tools: tools.slice(0, 6).map((t) => t.name) }];
+    const groups = extendHierarchicalGrouping("gh", previous, tools, tools.slice(6));
+    assert.deepStrictEqual(layout(groups), {
+      "gh-issue.js": tools.slice(0, 7).map((t) => t.name),
+      "gh-pull-request.js": ["list_pull_requests", "merge_pull_request"],
+      "gh-search-code.js": ["search_code"],
+    });
+    assert.deepStrictEqual(groups[1].subcommands.map((sub) => sub.name), ["list", "merge"]);
+  });
+
+  it("should keep new categories within maxGroups", () => {
+    const previous = [{ filename: "gh-issue.js", mcp_tools: tools.slice(0, 6).map((t) => t.name) }];
+    const other = extendHierarchicalGrouping("gh", previous, tools, tools.slice(6), { maxGroups: 2 });
+    assert.deepStrictEqual(layout(other)["gh-other.js"], ["list_pull_requests", "merge_pull_request", "search_code"]);
+
+    const full = extendHierarchicalGrouping("gh", previous, tools, tools.slice(6), { maxGroups: 1 });
+    assert.deepStrictEqual(layout(full), { "gh-issue.js": tools.map((t) => t.name) });
+  });
+
+  it("should reject flat groupings pushed past maxGroups", () => {
+    const previous = [{ filename: "gh-issue.js", mcp_tools: tools.slice(0, 6).map((t) => t.name) }];
+    assert.throws(
+      () => extendHeuristicGrouping("gh", previous, tools, tools.slice(6), { maxGroups: 2 }),
+      /Too many groups \(4 with the existing wrappers\), maximum is 2/
+    );
+  });
+});
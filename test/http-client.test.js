@@ -0,0 +1,317 @@
+/**
+ * Tests for remote (Streamable HTTP and legacy HTTP+SSE) MCP client
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { createServer } from "http";
+import { writeFileSync, readFileSync, readdirSync, rmSync } from "fs";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { tmpdir } from "os";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { parseHeaderArgs, parseSseMessages, parseSseEvent, connectHttp, listRemoteFeatures } from "../lib/http-client.js";
+import { requestHelper } from "../lib/snippets.js";
+import { convertServer } from "../lib/pipeline.js";
+import { deriveServerNameFromUrl } from "../lib/discovery.js";
+
+const TOOLS = [
+  { name: "search", description: "Search things", inputSchema: { type: "object", properties: { q: { type: "string" } } } },
+  { name: "fetch", description: "Fetch a thing", inputSchema: { type: "object", properties: { id: { type: "string" } } } },
+];
+
+/**
+ * Start a stub Streamable HTTP MCP server
+ * tools/list is paginated (one tool per page) and answered as SSE
+ */
+function startStubServer() {
+  const seen = { headers: [], sessions: [] };
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      seen.headers.push(req.headers);
+      if (req.method === "DELETE") {
+        res.writeHead(200).end();
+        return;
+      }
+
+      const message = JSON.parse(body);
+      seen.sessions.push(req.headers["mcp-session-id"] || null);
+
+      if (req.headers.authorization !== "Bearer secret") {
+        res.writeHead(401).end("unauthorized");
+        return;
+      }
+      if (message.id === undefined) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      let result;
+      if (message.method === "initialize") {
+        result = { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: "stub", version: "1.0.0" } };
+        res.setHeader("Mcp-Session-Id", "session-1");
+      } else if (message.method === "tools/list") {
+        const index = message.params.cursor ? Number(message.params.cursor) : 0;
+        result = { tools: [TOOLS[index]], ...(index + 1 < TOOLS.length ? { nextCursor: String(index + 1) } : {}) };
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        res.end(`: ping\n\nevent: message\ndata: ${JSON.stringify({ jsonrpc: "2.0", id: message.id, result })}\n\n`);
+        return;
+      } else if (message.method === "tools/call") {
+        result = { content: [{ type: "text", text: `${message.params.name}:${JSON.stringify(message.params.arguments)}` }] };
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: message.id, error: { code: -32601, message: "Method not found" } }));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ jsonrpc: "2.0", id: message.id, result }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, seen, url: `http://127.0.0.1:${server.address().port}/mcp` });
+    });
+  });
+}
+
+/**
+ * Start a stub legacy HTTP+SSE MCP server (protocol 2024-11-05)
+ * GET /sse opens the stream and announces /messages; POST /sse is rejected with 405
+ * The server pings the client before answering tools/call
+ */
+function startLegacySseServer() {
+  const seen = { requests: [] };
+  const streams = new Map();
+  let nextStream = 1;
+
+  const server = createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    seen.requests.push(`${req.method} ${pathname}`);
+
+    if (req.headers.authorization !== "Bearer secret") {
+      res.writeHead(401).end("unauthorized");
+      return;
+    }
+    if (req.method === "GET" && pathname === "/sse") {
+      const id = String(nextStream++);
+      streams.set(id, res);
+      req.on("close", () => streams.delete(id));
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+      res.write(`event: endpoint\ndata: /messages?sessionId=${id}\n\n`);
+      return;
+    }
+    if (req.method !== "POST" || pathname !== "/messages") {
+      res.writeHead(405).end("method not allowed");
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const stream = streams.get(searchParams.get("sessionId"));
+      if (!stream) {
+        res.writeHead(404).end("unknown session");
+        return;
+      }
+      res.writeHead(202).end("Accepted");
+
+      const message = JSON.parse(body);
+      if (message.id === undefined || !message.method) return;
+      const send = (reply) => stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: "2.0", ...reply })}\n\n`);
+
+      if (message.method === "initialize") {
+        send({ id: message.id, result: { protocolVersion: "2024-11-05", capabilities: { tools: {} }, serverInfo: { name: "legacy", version: "1.0.0" } } });
+      } else if (message.method === "tools/list") {
+        send({ id: message.id, result: { tools: TOOLS } });
+      } else if (message.method === "tools/call") {
+        send({ id: "ping-1", method: "ping" });
+        send({ id: message.id, result: { content: [{ type: "text", text: `${message.params.name}:${JSON.stringify(message.params.arguments)}` }] } });
+      } else {
+        send({ id: message.id, error: { code: -32601, message: "Method not found" } });
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, seen, url: `http://127.0.0.1:${server.address().port}/sse` });
+    });
+  });
+}
+
+describe("parseHeaderArgs", () => {
+  it("should parse Name:Value pairs", () => {
+    assert.deepStrictEqual(parseHeaderArgs(["Authorization: Bearer abc", "X-Team:core"]), {
+      Authorization: "Bearer abc",
+      "X-Team": "core",
+    });
+  });
+
+  it("should keep colons inside values", () => {
+    assert.deepStrictEqual(parseHeaderArgs(["X-Url:https://example.com"]), { "X-Url": "https://example.com" });
+  });
+
+  it("should throw for malformed headers", () => {
+    assert.throws(() => parseHeaderArgs(["no-colon"]), /Invalid header/);
+  });
+});
+
+describe("parseSseMessages", () => {
+  it("should extract JSON data events and skip others", () => {
+    const body = `: comment\n\nevent: message\ndata: {"id":1}\n\ndata: not json\n\n`;
+    assert.deepStrictEqual(parseSseMessages(body), [{ id: 1 }]);
+  });
+});
+
+describe("parseSseEvent", () => {
+  it("should read the event name and join data lines", () => {
+    assert.deepStrictEqual(parseSseEvent("event: endpoint\ndata: /messages?sessionId=1"), { event: "endpoint", data: "/messages?sessionId=1" });
+    assert.deepStrictEqual(parseSseEvent("data: a\ndata: b"), { event: "message", data: "a\nb" });
+  });
+});
+
+describe("deriveServerNameFromUrl", () => {
+  it("should use the first meaningful hostname label", () => {
+    assert.strictEqual(deriveServerNameFromUrl("https://mcp.linear.app/sse"), "linear");
+    assert.strictEqual(deriveServerNameFromUrl("http://localhost:3000/mcp"), "localhost");
+  });
+
+  it("should fall back to remote for IP addresses", () => {
+    assert.strictEqual(deriveServerNameFromUrl("http://127.0.0.1:8080/mcp"), "remote");
+  });
+});
+
+describe("remote MCP client", () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer();
+  });
+
+  after(() => {
+    stub.server.close();
+  });
+
+  it("should list tools across pages with headers and session id", async () => {
+    const { tools } = await listRemoteFeatures(stub.url, { headers: { Authorization: "Bearer secret" } });
+    assert.deepStrictEqual(tools.map((t) => t.name), ["search", "fetch"]);
+    assert.strictEqual(stub.seen.sessions[0], null);
+    assert.ok(stub.seen.sessions.slice(1).every((id) => id === "session-1"));
+  });
+
+  it("should only list resources and prompts the server advertises", async () => {
+    const features = await listRemoteFeatures(stub.url, { headers: { Authorization: "Bearer secret" } });
+    assert.strictEqual(features.tools.length, 2);
+    assert.deepStrictEqual(features.resources, []);
+    assert.deepStrictEqual(features.prompts, []);
+  });
+
+  it("should call tools", async () => {
+    const client = await connectHttp(stub.url, { headers: { Authorization: "Bearer secret" } });
+    try {
+      const result = await client.request("tools/call", { name: "search", arguments: { q: "mcp" } });
+      assert.strictEqual(result.content[0].text, 'search:{"q":"mcp"}');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("should surface HTTP errors", async () => {
+    await assert.rejects(() => listRemoteFeatures(stub.url), /HTTP 401/);
+  });
+});
+
+describe("requestHelper (Streamable HTTP)", () => {
+  let stub;
+  let helperFile;
+
+  before(async () => {
+    stub = await startStubServer();
+    helperFile = join(tmpdir(), `mcp2cli-http-helper-${Date.now()}.mjs`);
+    writeFileSync(helperFile, `${requestHelper({ url: stub.url, headers: { Authorization: "Bearer secret" } })}\nexport { mcpRequest };\n`);
+  });
+
+  after(() => {
+    stub.server.close();
+    rmSync(helperFile, { force: true });
+  });
+
+  it("should call the remote server from wrapper code", async () => {
+    const { mcpRequest } = await import(pathToFileURL(helperFile).href);
+    const result = await mcpRequest("tools/call", { name: "fetch", arguments: { id: "42" } });
+    assert.strictEqual(result.content[0].text, 'fetch:{"id":"42"}');
+  });
+});
+
+describe("legacy HTTP+SSE transport", () => {
+  const headers = { Authorization: "Bearer secret" };
+  let stub;
+  let helperFile;
+  let outputDir;
+
+  before(async () => {
+    stub = await startLegacySseServer();
+    helperFile = join(tmpdir(), `mcp2cli-sse-helper-${Date.now()}.mjs`);
+    writeFileSync(helperFile, `${requestHelper({ url: stub.url, headers, transport: "sse" })}\nexport { mcpRequest };\n`);
+    outputDir = join(tmpdir(), `mcp2cli-sse-tool-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  });
+
+  after(() => {
+    stub.server.closeAllConnections();
+    stub.server.close();
+    rmSync(helperFile, { force: true });
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should fall back to the GET handshake when the POST is rejected", async () => {
+    const features = await listRemoteFeatures(stub.url, { headers });
+    assert.strictEqual(features.transport, "sse");
+    assert.deepStrictEqual(features.tools.map((t) => t.name), ["search", "fetch"]);
+    assert.deepStrictEqual(stub.seen.requests.slice(0, 3), ["POST /sse", "GET /sse", "POST /messages"]);
+  });
+
+  it("should call tools and answer server pings", async () => {
+    const client = await connectHttp(stub.url, { headers, sse: true });
+    try {
+      const result = await client.request("tools/call", { name: "search", arguments: { q: "mcp" } });
+      assert.strictEqual(result.content[0].text, 'search:{"q":"mcp"}');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("should surface HTTP errors from the stream", async () => {
+    await assert.rejects(() => listRemoteFeatures(stub.url, { sse: true }), /HTTP 401/);
+  });
+
+  it("should call the server from the generated runtime", async () => {
+    const { mcpRequest } = await import(pathToFileURL(helperFile).href);
+    const result = await mcpRequest("tools/call", { name: "fetch", arguments: { id: "42" } });
+    assert.strictEqual(result.content[0].text, 'fetch:{"id":"42"}');
+  });
+
+  it("should record the transport and keep literal header values in .env", async () => {
+    await convertServer(
+      { package: "legacy", url: stub.url, output: outputDir, quiet: true, register: false, symlink: false },
+      { agentType: null, headers }
+    );
+
+    const manifest = JSON.parse(readFileSync(join(outputDir, ".mcp2cli-manifest.json"), "utf-8"));
+    assert.strictEqual(manifest.server.transport, "sse");
+    assert.deepStrictEqual(manifest.server.headers, { Authorization: "${MCP2CLI_HEADER_AUTHORIZATION}" });
+    assert.deepStrictEqual(manifest.env, ["MCP2CLI_HEADER_AUTHORIZATION"]);
+    assert.ok(!readFileSync(join(outputDir, "_runtime.js"), "utf-8").includes("Bearer secret"));
+    assert.match(readFileSync(join(outputDir, ".env"), "utf-8"), /MCP2CLI_HEADER_AUTHORIZATION="Bearer secret"/);
+
+    const wrapper = readdirSync(outputDir).find((file) => file.endsWith("-fetch.js"));
+    // Async: the stub server lives in this process
+    const { stdout } = await promisify(execFile)(process.execPath, [join(outputDir, wrapper), "--id", "42"], { timeout: 15000 });
+    assert.strictEqual(stdout.trim(), 'fetch:{"id":"42"}');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for MCP config import
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdirSync, writeFileSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { readMcpConfig, selectServers, toConversionSpec } from "../lib/import.js";
+
+const CLAUDE_DESKTOP = {
+  mcpServers: {
+    github: {
+      command: "npx",
+      args: ["-y", "@modelcontextprotocol/server-github"],
+      env: { GITHUB_PERSONAL_ACCESS_TOKEN: "${GH_TOKEN}" },
+    },
+    files: { command: "node", args: ["/opt/mcp servers/files.js", "--root", "/tmp"] },
+    old: { command: "old-server", disabled: true },
+  },
+};
+
+const CURSOR = {
+  mcpServers: {
+    linear: { url: "https://mcp.linear.app/mcp", headers: { Authorization: "Bearer ${LINEAR_TOKEN}" } },
+  },
+};
+
+describe("readMcpConfig", () => {
+  let testDir;
+
+  before(() => {
+    testDir = join(tmpdir(), `mcp2cli-import-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+    writeFileSync(join(testDir, "claude_desktop_config.json"), JSON.stringify(CLAUDE_DESKTOP));
+    writeFileSync(join(testDir, "mcp.json"), JSON.stringify(CURSOR));
+    writeFileSync(join(testDir, "broken.json"), "{");
+    writeFileSync(join(testDir, "empty.json"), JSON.stringify({ servers: {} }));
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("should read stdio entries", () => {
+    const servers = readMcpConfig(join(testDir, "claude_desktop_config.json"));
+    assert.deepStrictEqual(servers.map((s) => s.name), ["github", "files", "old"]);
+    assert.strictEqual(servers[0].command, "npx");
+    assert.deepStrictEqual(servers[0].args, ["-y", "@modelcontextprotocol/server-github"]);
+    assert.strictEqual(servers[2].disabled, true);
+  });
+
+  it("should read remote entries", () => {
+    const [linear] = readMcpConfig(join(testDir, "mcp.json"));
+    assert.strictEqual(linear.url, "https://mcp.linear.app/mcp");
+    assert.strictEqual(linear.command, null);
+    assert.deepStrictEqual(linear.headers, { Authorization: "Bearer ${LINEAR_TOKEN}" });
+  });
+
+  it("should reject missing files, invalid JSON and configs without mcpServers", () => {
+    assert.throws(() => readMcpConfig(join(testDir, "missing.json")), /Config file not found/);
+    assert.throws(() => readMcpConfig(join(testDir, "broken.json")), /Invalid JSON/);
+    assert.throws(() => readMcpConfig(join(testDir, "empty.json")), /No "mcpServers"/);
+  });
+});
+
+describe("selectServers", () => {
+  const servers = [
+    { name: "github", disabled: false },
+    { name: "files", disabled: false },
+    { name: "old", disabled: true },
+  ];
+
+  it("should select enabled servers by default", () => {
+    assert.deepStrictEqual(selectServers(servers).map((s) => s.name), ["github", "files"]);
+  });
+
+  it("should select named servers in config order, including disabled ones", () => {
+    assert.deepStrictEqual(selectServers(servers, ["old", "github"]).map((s) => s.name), ["github", "old"]);
+  });
+
+  it("should reject unknown names", () => {
+    assert.throws(() => selectServers(servers, ["nope"]), /Unknown server\(s\): nope\. Available: github, files, old/);
+  });
+});
+
+describe("toConversionSpec", () => {
+  it("should build a quoted command and expand env references", () => {
+    const spec = toConversionSpec(
+      { name: "files", command: "node", args: ["/opt/mcp servers/files.js"], env: { TOKEN: "${GH_TOKEN}", MODE: "ro" }, url: null, headers: {} },
+      { GH_TOKEN: "abc" }
+    );
+    assert.strictEqual(spec.package, "files");
+    assert.strictEqual(spec.command, 'node "/opt/mcp servers/files.js"');
+    assert.deepStrictEqual(spec.env, { TOKEN: "abc", MODE: "ro" });
+    assert.deepStrictEqual(spec.missingEnv, []);
+  });
+
+  it("should report env references missing from the shell", () => {
+    const spec = toConversionSpec(
+      { name: "github", command: "npx", args: [], env: { TOKEN: "${GH_TOKEN}" }, url: null, headers: {} },
+      {}
+    );
+    assert.deepStrictEqual(spec.missingEnv, ["GH_TOKEN"]);
+  });
+
+  it("should keep header references for runtime expansion", () => {
+    const spec = toConversionSpec({
+      name: "linear",
+      command: null,
+      args: [],
+      env: {},
+      url: "https://mcp.linear.app/mcp",
+      headers: { Authorization: "Bearer ${LINEAR_TOKEN}" },
+    });
+    assert.strictEqual(spec.command, null);
+    assert.deepStrictEqual(spec.headers, { Authorization: "Bearer ${LINEAR_TOKEN}" });
+  });
+
+  it("should reject entries without command or url", () => {
+    assert.throws(() => toConversionSpec({ name: "x", command: null, args: [], env: {}, url: null, headers: {} }), /neither/);
+  });
+});
@@ -72,6 +72,20 @@ describe("formatToolList", () => {
     const result = formatToolList(tools);
     assert.ok(result.includes("(none)"));
   });
+
+  it("should flag tools with missing env vars", () => {
+    const tools = [
+      {
+        name: "github",
+        scripts: 3,
+        registeredIn: ["pi"],
+        symlinks: "3/3",
+        missingEnv: ["GITHUB_TOKEN"],
+      },
+    ];
+    const result = formatToolList(tools);
+    assert.ok(result.includes("missing env: GITHUB_TOKEN"));
+  });
 });
 
 describe("removeTool", () => {
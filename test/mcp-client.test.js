@@ -0,0 +1,120 @@
+/**
+ * Tests for the built-in stdio MCP client
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { fileURLToPath } from "url";
+import { connectStdio, listStdioFeatures } from "../lib/mcp-client.js";
+import { discoverTools } from "../lib/discovery.js";
+import { getRunners } from "../lib/runner.js";
+import { STUB_TOOLS, STUB_PROMPTS } from "./stub-mcp-server.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+describe("connectStdio", () => {
+  it("should run the initialize handshake", async () => {
+    const client = await connectStdio(STUB_COMMAND);
+    try {
+      assert.strictEqual(client.serverInfo.name, "stub");
+      assert.ok(client.capabilities.tools);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("should return raw tools/call results", async () => {
+    const client = await connectStdio(STUB_COMMAND);
+    try {
+      const result = await client.request("tools/call", { name: "add", arguments: { a: 2, b: 3 } });
+      assert.strictEqual(result.content[0].text, "5");
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("should reject JSON-RPC errors", async () => {
+    const client = await connectStdio(STUB_COMMAND);
+    try {
+      await assert.rejects(() => client.request("nope/missing"), /nope\/missing failed: Method not found/);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it("should fail when the server exits before initializing", async () => {
+    await assert.rejects(
+      () => connectStdio(`"${process.execPath}" -e "console.error('boom'); process.exit(3)"`),
+      (error) => error.message.includes("exited with code 3") && error.stderr.includes("boom")
+    );
+  });
+
+  it("should fail when the command does not exist", async () => {
+    await assert.rejects(() => connectStdio("mcp2cli-no-such-command-xyz"), /Failed to start/);
+  });
+});
+
+describe("listStdioFeatures", () => {
+  it("should list tools across pages plus resources and prompts", async () => {
+    const features = await listStdioFeatures(STUB_COMMAND);
+    assert.deepStrictEqual(features.tools.map((t) => t.name), STUB_TOOLS.map((t) => t.name));
+    assert.strictEqual(features.resources.length, 2);
+    assert.strictEqual(features.resourceTemplates.length, 1);
+    assert.deepStrictEqual(features.prompts, STUB_PROMPTS);
+  });
+});
+
+describe("discoverTools (builtin backend)", () => {
+  it("should discover a custom command without mcporter", async () => {
+    const discovery = await discoverTools("stub", { quiet: true, command: STUB_COMMAND });
+    assert.strictEqual(discovery.runner, "custom");
+    assert.strictEqual(discovery.mcpCommand, STUB_COMMAND);
+    assert.strictEqual(discovery.tools.length, STUB_TOOLS.length);
+  });
+
+  it("should discover through a config runner", async () => {
+    const runners = getRunners({ runners: { stub: { cmd: STUB_COMMAND } } });
+    const discovery = await discoverTools("stub", { quiet: true, runner: "stub", runners });
+    assert.strictEqual(discovery.runner, "stub");
+    assert.strictEqual(discovery.mcpCommand, `${STUB_COMMAND} stub`);
+    assert.strictEqual(discovery.tools.length, STUB_TOOLS.length);
+  });
+
+  it("should follow the configured fallback order", async () => {
+    const runners = getRunners({ runners: { broken: { cmd: "mcp2cli-no-such-command-xyz" }, stub: { cmd: STUB_COMMAND } } });
+    const discovery = await discoverTools("stub", { quiet: true, runners, fallback: ["broken", "stub"] });
+    assert.strictEqual(discovery.runner, "stub");
+  });
+
+  it("should classify a server that fails on startup", async () => {
+    const crash = `"${process.execPath}" -e "console.error('Error: GITHUB_TOKEN environment variable is required'); process.exit(1)"`;
+    await assert.rejects(
+      () => discoverTools("github", { quiet: true, command: crash }),
+      (error) =>
+        error.message.includes("authentication or environment variable missing (exit code 1)") &&
+        error.message.includes("GITHUB_TOKEN environment variable is required") &&
+        error.message.includes("Pass GITHUB_TOKEN with --env")
+    );
+  });
+
+  it("should report startup failures ahead of not-found runners", async () => {
+    const runners = getRunners({
+      runners: {
+        missing: { cmd: "mcp2cli-no-such-command-xyz" },
+        crash: { cmd: `"${process.execPath}" -e "throw new Error('boom')"` },
+      },
+    });
+    await assert.rejects(
+      () => discoverTools("stub", { quiet: true, runners, fallback: ["missing", "crash"] }),
+      (error) => /could not be discovered/.test(error.message) && /crash: server crashed on startup/.test(error.message) && !/missing:/.test(error.message)
+    );
+  });
+
+  it("should reject unknown runners", async () => {
+    await assert.rejects(() => discoverTools("stub", { quiet: true, runner: "nope" }), /Unknown runner: nope/);
+  });
+
+  it("should reject unknown backends", async () => {
+    await assert.rejects(() => discoverTools("stub", { quiet: true, command: STUB_COMMAND, backend: "nope" }), /Unknown discovery backend/);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Tests for the conversion pipeline (fallback mode, stub stdio server)
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { readFileSync, readdirSync, rmSync, writeFileSync } from "fs";
+import { spawnSync } from "child_process";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import { convertServer, EXIT_INVALID_ARGS } from "../lib/pipeline.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+describe("convertServer", () => {
+  let outputDir;
+
+  const convert = (extra) =>
+    convertServer(
+      {
+        package: "stub",
+        command: STUB_COMMAND,
+        output: outputDir,
+        quiet: true,
+        register: false,
+        symlink: false,
+        ...extra,
+      },
+      { agentType: null }
+    );
+
+  const manifest = () => JSON.parse(readFileSync(join(outputDir, ".mcp2cli-manifest.json"), "utf-8"));
+
+  before(() => {
+    outputDir = join(tmpdir(), `mcp2cli-pipeline-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  });
+
+  after(() => {
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should record the tool filter in the manifest", async () => {
+    const result = await convert({ exclude: ["add"] });
+    assert.deepStrictEqual(result.discovery.tools.map((t) => t.name), ["echo", "reset"]);
+    assert.deepStrictEqual(manifest().filter, { only: [], exclude: ["add"], excluded: ["add"] });
+  });
+
+  it("should keep the recorded filter on --force", async () => {
+    await convert({ force: true });
+    assert.ok(!readdirSync(outputDir).includes("stub-add.js"));
+    assert.deepStrictEqual(manifest().filter.excluded, ["add"]);
+  });
+
+  it("should ignore the recorded filter with clearFilter", async () => {
+    await convert({ force: true, clearFilter: true });
+    assert.ok(readdirSync(outputDir).includes("stub-add.js"));
+    assert.strictEqual(manifest().filter, undefined);
+  });
+
+  it("should let explicit flags replace the recorded filter", async () => {
+    await convert({ force: true, only: ["*"] });
+    assert.ok(readdirSync(outputDir).includes("stub-add.js"));
+  });
+
+  it("should fail when nothing is left", async () => {
+    await assert.rejects(() => convert({ force: true, exclude: ["*"] }), (error) => error.exitCode === EXIT_INVALID_ARGS);
+  });
+
+  it("should write a plan and generate from the edited plan", async () => {
+    const planFile = `${outputDir}-plan.json`;
+    try {
+      await convert({ force: true, only: ["*"], dryRun: true, planOut: planFile });
+      const plan = JSON.parse(readFileSync(planFile, "utf-8"));
+      assert.deepStrictEqual(plan.groups.map((g) => g.filename).sort(), ["stub-add.js", "stub-echo.js", "stub-reset.js"]);
+
+      plan.groups[0].filename = "stub-say.js";
+      writeFileSync(planFile, JSON.stringify(plan));
+      await convert({ force: true, plan: planFile });
+      const files = readdirSync(outputDir);
+      assert.ok(files.includes("stub-say.js"));
+      assert.ok(!files.includes("stub-echo.js"));
+    } finally {
+      rmSync(planFile, { force: true });
+    }
+  });
+
+  it("should keep the recorded groups on --force unless --regroup", async () => {
+    await convert({ force: true });
+    assert.ok(readdirSync(outputDir).includes("stub-say.js"));
+    assert.deepStrictEqual(manifest().groups.map((g) => g.filename), ["stub-say.js", "stub-reset.js", "stub-add.js"]);
+
+    await convert({ force: true, regroup: true });
+    const files = readdirSync(outputDir);
+    assert.ok(files.includes("stub-echo.js"));
+    assert.ok(!files.includes("stub-say.js"));
+  });
+
+  it("should reject a plan that doesn't match the discovered tools", async () => {
+    const planFile = `${outputDir}-bad-plan.json`;
+    writeFileSync(planFile, JSON.stringify({ groups: [{ filename: "stub-x.js", mcp_tools: ["nope"] }] }));
+    try {
+      await assert.rejects(
+        () => convert({ force: true, plan: planFile }),
+        (error) => error.exitCode === EXIT_INVALID_ARGS && /Unknown tool referenced: nope/.test(error.message)
+      );
+    } finally {
+      rmSync(planFile, { force: true });
+    }
+  });
+});
+
+describe("convertServer (env on --force)", () => {
+  let outputDir;
+
+  const convert = (extra, env) =>
+    convertServer(
+      { package: "stub", command: `${STUB_COMMAND} --require-env STUB_TOKEN`, output: outputDir, quiet: true, register: false, symlink: false, ...extra },
+      { agentType: null, env }
+    );
+
+  const manifest = () => JSON.parse(readFileSync(join(outputDir, ".mcp2cli-manifest.json"), "utf-8"));
+
+  before(() => {
+    outputDir = join(tmpdir(), `mcp2cli-env-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  });
+
+  after(() => {
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should discover with the saved .env and keep the env names without --env", async () => {
+    await convert({}, { STUB_TOKEN: "abc" });
+    assert.deepStrictEqual(manifest().env, ["STUB_TOKEN"]);
+
+    await convert({ force: true });
+    assert.deepStrictEqual(manifest().env, ["STUB_TOKEN"]);
+    assert.match(readFileSync(join(outputDir, ".env"), "utf-8"), /STUB_TOKEN=abc/);
+  });
+
+  it("should add new --env names to the recorded ones", async () => {
+    await convert({ force: true }, { OTHER: "1" });
+    assert.deepStrictEqual(manifest().env, ["STUB_TOKEN", "OTHER"]);
+  });
+});
+
+describe("convertServer (tool annotations)", () => {
+  let outputDir;
+  let result;
+
+  const runWrapper = (args, env = {}) =>
+    spawnSync(process.execPath, [join(outputDir, "stub-reset.js"), ...args], {
+      encoding: "utf-8",
+      env: { ...process.env, MCP2CLI_ALLOW_DESTRUCTIVE: "", ...env },
+      timeout: 30000,
+    });
+
+  before(async () => {
+    outputDir = join(tmpdir(), `mcp2cli-annotations-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    result = await convertServer(
+      { package: "stub", command: STUB_COMMAND, output: outputDir, quiet: true, register: false, symlink: false },
+      { agentType: null }
+    );
+  });
+
+  after(() => {
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should classify wrappers from annotations", () => {
+    const safety = Object.fromEntries(result.wrappers.filter((w) => w.mcp_tools?.length > 0).map((w) => [w.filename, w.safety]));
+    assert.deepStrictEqual(safety, { "stub-echo.js": "read-only", "stub-add.js": null, "stub-reset.js": "destructive" });
+  });
+
+  it("should mark wrappers in the README", () => {
+    const readme = readFileSync(join(outputDir, "README.md"), "utf-8");
+    assert.ok(readme.includes("`stub-echo.js` (read-only)"));
+    assert.ok(readme.includes("`stub-reset.js` (destructive, needs --confirm)"));
+  });
+
+  it("should refuse destructive tools without --confirm", () => {
+    const refused = runWrapper(["--scope", "all"]);
+    assert.strictEqual(refused.status, 2);
+    assert.match(refused.stderr, /reset is destructive/);
+
+    const confirmed = runWrapper(["--confirm"]);
+    assert.strictEqual(confirmed.status, 0, confirmed.stderr);
+    assert.match(confirmed.stdout, /reset done/);
+  });
+
+  it("should allow destructive tools with MCP2CLI_ALLOW_DESTRUCTIVE=1", () => {
+    const allowed = runWrapper(["--scope", "all"], { MCP2CLI_ALLOW_DESTRUCTIVE: "1" });
+    assert.strictEqual(allowed.status, 0, allowed.stderr);
+  });
+});
+
+describe("convertServer (hierarchical grouping)", () => {
+  let outputDir;
+  let planFile;
+
+  const runWrapper = (args) =>
+    spawnSync(process.execPath, [join(outputDir, "stub-tools.js"), ...args], {
+      encoding: "utf-8",
+      env: { ...process.env, MCP2CLI_ALLOW_DESTRUCTIVE: "" },
+      timeout: 30000,
+    });
+
+  before(async () => {
+    outputDir = join(tmpdir(), `mcp2cli-hierarchical-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    planFile = `${outputDir}-plan.json`;
+    writeFileSync(
+      planFile,
+      JSON.stringify({
+        groups: [
+          {
+            filename: "stub-tools.js",
+            description: "Stub tools",
+            mcp_tools: ["echo", "add", "reset"],
+            subcommands: [
+              { name: "say", mcp_tool: "echo" },
+              { name: "add", mcp_tool: "add" },
+              { name: "reset", mcp_tool: "reset" },
+            ],
+          },
+        ],
+      })
+    );
+    await convertServer(
+      { package: "stub", command: STUB_COMMAND, output: outputDir, quiet: true, register: false, symlink: false, plan: planFile },
+      { agentType: null }
+    );
+  });
+
+  after(() => {
+    rmSync(outputDir, { recursive: true, force: true });
+    rmSync(planFile, { force: true });
+  });
+
+  it("should dispatch subcommands to their tools", () => {
+    const echoed = runWrapper(["say", "--text", "hi"]);
+    assert.strictEqual(echoed.status, 0, echoed.stderr);
+    assert.match(echoed.stdout, /hi/);
+
+    const refused = runWrapper(["reset"]);
+    assert.strictEqual(refused.status, 2);
+    assert.match(refused.stderr, /reset is destructive/);
+  });
+
+  it("should list subcommands and reject unknown ones", () => {
+    const help = runWrapper(["--help"]);
+    assert.match(help.stdout, /Usage: stub-tools <command> \[options\]/);
+    assert.match(help.stdout, /say\s+Echo/);
+    assert.match(runWrapper(["add", "--help"]).stdout, /--a <number> \(required\)/);
+
+    const unknown = runWrapper(["nope"]);
+    assert.strictEqual(unknown.status, 2);
+    assert.match(unknown.stderr, /Unknown command "nope"\. Available: say, add, reset/);
+  });
+
+  it("should record subcommands in the manifest and README", () => {
+    const manifest = JSON.parse(readFileSync(join(outputDir, ".mcp2cli-manifest.json"), "utf-8"));
+    assert.deepStrictEqual(manifest.groups[0].subcommands.map((sub) => sub.name), ["say", "add", "reset"]);
+    assert.ok(readFileSync(join(outputDir, "README.md"), "utf-8").includes("`stub-tools.js` (say|add|reset)"));
+  });
+
+  it("should give every category wrapper subcommands without a plan", async () => {
+    const result = await convertServer(
+      {
+        package: "stub",
+        command: STUB_COMMAND,
+        output: outputDir,
+        quiet: true,
+        register: false,
+        symlink: false,
+        force: true,
+        regroup: true,
+        grouping: "hierarchical",
+        dryRun: true,
+      },
+      { agentType: null }
+    );
+    const groups = result.wrappers.filter((w) => w.mcp_tools?.length > 0);
+    assert.deepStrictEqual(groups.flatMap((g) => g.subcommands.map((sub) => sub.mcp_tool)).sort(), ["add", "echo", "reset"]);
+  });
+});
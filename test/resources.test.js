@@ -0,0 +1,140 @@
+/**
+ * Tests for resource & prompt wrappers
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdirSync, writeFileSync, readFileSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import { execFileSync } from "child_process";
+import { generateFeatureWrappers } from "../lib/resources.js";
+import { generateAgentsEntry } from "../lib/generator.js";
+import { generateRuntime, RUNTIME_FILE } from "../lib/runtime.js";
+import { splitCommand } from "../lib/runner.js";
+import { STUB_RESOURCES, STUB_RESOURCE_TEMPLATES, STUB_PROMPTS } from "./stub-mcp-server.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+function run(script, args) {
+  try {
+    return { code: 0, stdout: execFileSync(process.execPath, [script, ...args], { encoding: "utf-8", stdio: "pipe" }) };
+  } catch (error) {
+    return { code: error.status, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+describe("splitCommand", () => {
+  it("should split on whitespace", () => {
+    assert.deepStrictEqual(splitCommand("docker run -i --rm mcp/fetch"), ["docker", "run", "-i", "--rm", "mcp/fetch"]);
+  });
+
+  it("should honor quotes", () => {
+    assert.deepStrictEqual(splitCommand(`node "/path with space/server.js" --flag 'a b'`), [
+      "node",
+      "/path with space/server.js",
+      "--flag",
+      "a b",
+    ]);
+  });
+
+  it("should throw on unterminated quotes", () => {
+    assert.throws(() => splitCommand(`node "oops`), /Unterminated quote/);
+  });
+});
+
+describe("generateFeatureWrappers", () => {
+  it("should return nothing when the server has no resources or prompts", () => {
+    const wrappers = generateFeatureWrappers({ serverName: "x", mcpCommand: "x", tools: [] });
+    assert.deepStrictEqual(wrappers, []);
+  });
+
+  it("should describe wrappers like groups for README/AGENTS entries", () => {
+    const wrappers = generateFeatureWrappers({
+      serverName: "stub",
+      mcpCommand: STUB_COMMAND,
+      resources: STUB_RESOURCES,
+      resourceTemplates: STUB_RESOURCE_TEMPLATES,
+      prompts: STUB_PROMPTS,
+    });
+    assert.deepStrictEqual(wrappers.map((w) => w.filename), ["stub-resource.js", "stub-prompt.js"]);
+    assert.ok(wrappers[0].description.includes("2 resources, 1 template"));
+    assert.ok(wrappers[1].description.includes("review"));
+
+    const entry = generateAgentsEntry("stub", wrappers);
+    assert.ok(entry.includes("`stub-resource.js`"));
+    assert.ok(entry.includes("`stub-prompt.js`"));
+  });
+});
+
+describe("generated resource/prompt wrappers (stdio)", () => {
+  let testDir;
+  let resourceScript;
+  let promptScript;
+
+  before(() => {
+    testDir = join(tmpdir(), `mcp2cli-resources-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    mkdirSync(testDir, { recursive: true });
+    const wrappers = generateFeatureWrappers({
+      serverName: "stub",
+      mcpCommand: STUB_COMMAND,
+      resources: STUB_RESOURCES,
+      resourceTemplates: STUB_RESOURCE_TEMPLATES,
+      prompts: STUB_PROMPTS,
+    });
+    for (const wrapper of wrappers) {
+      writeFileSync(join(testDir, wrapper.filename), wrapper.code);
+    }
+    writeFileSync(join(testDir, RUNTIME_FILE), generateRuntime({ serverName: "stub", mcpCommand: STUB_COMMAND }));
+    resourceScript = join(testDir, "stub-resource.js");
+    promptScript = join(testDir, "stub-prompt.js");
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("should show resources and templates in --help", () => {
+    const { stdout } = run(resourceScript, ["--help"]);
+    assert.ok(stdout.includes("stub://readme"));
+    assert.ok(stdout.includes("stub://notes/{id}"));
+  });
+
+  it("should list every page of resources on one connection", () => {
+    const { code, stdout } = run(resourceScript, ["list"]);
+    assert.strictEqual(code, 0);
+    assert.ok(stdout.includes("stub://logo  logo"));
+    assert.ok(stdout.includes("stub://readme  readme - Stub readme"));
+    assert.ok(stdout.includes("stub://notes/{id}  note (template)"));
+  });
+
+  it("should read text and save binary resources to files", () => {
+    assert.strictEqual(run(resourceScript, ["read", "stub://notes/7"]).stdout.trim(), "contents of stub://notes/7");
+
+    const outDir = join(testDir, "out");
+    const { code, stdout } = run(resourceScript, ["read", "stub://logo", "--out-dir", outDir]);
+    assert.strictEqual(code, 0);
+    const file = stdout.match(/^Saved resource stub:\/\/logo \(image\/png\) to (.+\.png)$/m)?.[1];
+    assert.ok(file?.startsWith(outDir), stdout);
+    assert.strictEqual(readFileSync(file, "utf-8"), "png");
+  });
+
+  it("should error when read has no uri", () => {
+    const { code, stderr } = run(resourceScript, ["read"]);
+    assert.strictEqual(code, 1);
+    assert.ok(stderr.includes("Missing <uri>"));
+  });
+
+  it("should render prompts with --arg values", () => {
+    const { code, stdout } = run(promptScript, ["review", "--arg", "code=x = 1"]);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout.trim(), '[user] review: {"code":"x = 1"}');
+  });
+
+  it("should require required prompt arguments", () => {
+    const { code, stderr } = run(promptScript, ["review"]);
+    assert.strictEqual(code, 1);
+    assert.ok(stderr.includes("--arg code=..."));
+  });
+});
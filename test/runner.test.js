@@ -5,10 +5,15 @@ import {
   detectRunner,
   toModuleName,
   getRunnerNames,
+  getRunners,
+  getRunnerFallback,
   RUNNERS,
   stripVersion,
   extractFirstParagraph,
   fetchPackageDescription,
+  fetchPackageInfo,
+  joinCommand,
+  splitCommand,
 } from "../lib/runner.js";
 import { EXAMPLE_PACKAGES } from "./fixtures.js";
 
@@ -94,6 +99,73 @@ describe("buildMcpCommand", () => {
       /Unknown runner: invalid/
     );
   });
+
+  it("should build bundled bunx, pnpm, deno and docker commands", () => {
+    assert.strictEqual(buildMcpCommand(EXAMPLE_PACKAGES.simple, { runner: "bunx" }), "bunx chrome-devtools-mcp@latest");
+    assert.strictEqual(buildMcpCommand(EXAMPLE_PACKAGES.simple, { runner: "pnpm" }), "pnpm dlx chrome-devtools-mcp@latest");
+    assert.strictEqual(buildMcpCommand(EXAMPLE_PACKAGES.scopedWithVersion, { runner: "deno" }), "deno run -A npm:@upstash/context7-mcp@1.0.0");
+    assert.strictEqual(buildMcpCommand("mcp/fetch", { runner: "docker" }), "docker run -i --rm mcp/fetch");
+  });
+
+  it("should use runners from a custom table", () => {
+    const runners = getRunners({ runners: { ghcr: { cmd: "docker", args: ["run", "-i"], prefix: "ghcr.io/acme/" } } });
+    assert.strictEqual(buildMcpCommand("fetch", { runner: "ghcr", runners }), "docker run -i ghcr.io/acme/fetch");
+  });
+});
+
+describe("getRunners", () => {
+  it("should return bundled runners without config", () => {
+    assert.deepStrictEqual(getRunners({}), RUNNERS);
+  });
+
+  it("should add and override runners from config", () => {
+    const runners = getRunners({
+      runners: {
+        "uv-module": { cmd: "uv", args: ["run", "python", "-m"], transform: "module" },
+        docker: { cmd: "podman", args: ["run", "-i", "--rm"] },
+      },
+    });
+    assert.strictEqual(buildMcpCommand(EXAMPLE_PACKAGES.python, { runner: "uv-module", runners }), "uv run python -m mcp_server_time");
+    assert.strictEqual(runners.docker.cmd, "podman");
+    assert.strictEqual(runners["uv-module"].cache, false);
+    assert.strictEqual(runners.npx, RUNNERS.npx);
+  });
+
+  it("should only cache config runners backed by a registry", () => {
+    const runners = getRunners({
+      runners: {
+        remote: { cmd: "bunx", registry: "npm" },
+        local: { cmd: "uv", args: ["run"], registry: "pypi", cache: false },
+      },
+    });
+    assert.strictEqual(runners.remote.cache, true);
+    assert.strictEqual(runners.local.cache, false);
+  });
+
+  it("should skip invalid definitions with a warning", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const runners = getRunners({
+      runners: {
+        nocmd: { args: [] },
+        badtransform: { cmd: "x", transform: "upper" },
+        custom: { cmd: "x" },
+      },
+    });
+    assert.ok(!runners.nocmd && !runners.badtransform);
+    assert.strictEqual(runners.custom, undefined);
+    assert.strictEqual(warn.mock.callCount(), 3);
+  });
+});
+
+describe("getRunnerFallback", () => {
+  it("should default to npx then uvx", () => {
+    assert.deepStrictEqual(getRunnerFallback({}), ["npx", "uvx"]);
+  });
+
+  it("should use the configured order and drop unknown runners", (t) => {
+    t.mock.method(console, "warn", () => {});
+    assert.deepStrictEqual(getRunnerFallback({ runnerFallback: ["bunx", "nope", "uvx"] }), ["bunx", "uvx"]);
+  });
 });
 
 describe("getRunnerNames", () => {
@@ -102,6 +174,11 @@ describe("getRunnerNames", () => {
     assert.ok(names.includes("npx"));
     assert.ok(names.includes("uvx"));
     assert.ok(names.includes("pip"));
+    assert.ok(names.includes("docker"));
+  });
+
+  it("should include config runners", () => {
+    assert.ok(getRunnerNames(getRunners({ runners: { mine: { cmd: "mine" } } })).includes("mine"));
   });
 });
 
@@ -206,3 +283,21 @@ describe("fetchPackageDescription", () => {
     assert.strictEqual(result, undefined);
   });
 });
+
+describe("fetchPackageInfo", () => {
+  it("should return no version for custom runner", async () => {
+    const result = await fetchPackageInfo("anything", "custom");
+    assert.deepStrictEqual(result, {});
+  });
+});
+
+describe("joinCommand", () => {
+  it("should leave plain arguments unquoted", () => {
+    assert.strictEqual(joinCommand(["npx", "-y", "@scope/pkg@latest"]), "npx -y @scope/pkg@latest");
+  });
+
+  it("should round-trip through splitCommand", () => {
+    const argv = ["node", "/path with space/server.js", "--json", '{"a":1}', ""];
+    assert.deepStrictEqual(splitCommand(joinCommand(argv)), argv);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Tests for the shared wrapper runtime
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath, pathToFileURL } from "url";
+import { spawnSync } from "child_process";
+import {
+  generateRuntime,
+  runtimeOptionsFromManifest,
+  refreshRuntime,
+  RUNTIME_FILE,
+  RUNTIME_VERSION,
+} from "../lib/runtime.js";
+import { isWrapperScript } from "../lib/symlink.js";
+import { outputView } from "../lib/schema.js";
+import { STUB_SEARCH_OUTPUT_SCHEMA } from "./stub-mcp-server.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+const MANIFEST = {
+  server: { name: "stub", transport: "stdio", command: STUB_COMMAND, runner: "node", runtime: "direct" },
+};
+
+describe("generateRuntime", () => {
+  let dir;
+  let runtime;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-runtime-"));
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime(runtimeOptionsFromManifest(MANIFEST.server)));
+    runtime = await import(pathToFileURL(join(dir, RUNTIME_FILE)).href);
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should export its version and exit codes", () => {
+    assert.strictEqual(runtime.RUNTIME_VERSION, RUNTIME_VERSION);
+    assert.deepStrictEqual([runtime.EXIT_OK, runtime.EXIT_ERROR, runtime.EXIT_USAGE], [0, 1, 2]);
+  });
+
+  it("should call the server", async () => {
+    assert.strictEqual(await runtime.callMcp("echo", { text: "hi" }), "hi");
+  });
+
+  it("should report bad parameters as usage errors", () => {
+    assert.deepStrictEqual(runtime.parseJsonParam('{"a":1}', "--filter"), { a: 1 });
+    assert.throws(() => runtime.parseJsonParam("{oops", "--filter"), (error) => error.exitCode === 2);
+    assert.throws(() => runtime.readParamFile(join(dir, "missing.json"), "--filter"), /Cannot read --filter-file/);
+  });
+
+  it("should read JSON parameter files", () => {
+    const file = join(dir, "filter.json");
+    writeFileSync(file, '["a","b"]');
+    assert.deepStrictEqual(runtime.readParamFile(file, "--filter"), ["a", "b"]);
+  });
+
+  it("should call stdio servers with the built-in client", () => {
+    const source = generateRuntime({ serverName: "stub", mcpCommand: "node server.js" });
+    assert.match(source, /const MCP_ARGV = \["node","server\.js"\];/);
+    assert.match(source, /function mcpRequest/);
+  });
+});
+
+describe("default stdio runtime", () => {
+  let dir;
+
+  /**
+   * Call a tool through a wrapper on the runtime of a tool generated without --direct
+   * @param {string[]} args - Tool name, JSON arguments and wrapper options
+   * @param {object} env - Extra environment variables
+   * @returns {{code: number, stdout: string, stderr: string}}
+   */
+  function callDefault([tool, params = "{}", ...options], env = {}) {
+    const result = spawnSync(process.execPath, [join(dir, "stub.js"), tool, params, ...options], {
+      cwd: dir,
+      encoding: "utf-8",
+      env: { ...process.env, MCP2CLI_MAX_OUTPUT: "", ...env },
+      timeout: 30000,
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-runtime-default-"));
+    // Manifests written before wrappers called the server themselves record runtime "mcporter"
+    const server = { name: "stub", transport: "stdio", command: STUB_COMMAND, runner: "node", runtime: "mcporter" };
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime(runtimeOptionsFromManifest(server)));
+    writeFileSync(
+      join(dir, "stub.js"),
+      `import { callTool, printResult, run } from "./${RUNTIME_FILE}";\n` +
+        "await run(async ([tool, params]) => printResult(await callTool(tool, JSON.parse(params))));\n"
+    );
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should not go through mcporter", () => {
+    const source = readFileSync(join(dir, RUNTIME_FILE), "utf-8");
+    assert.doesNotMatch(source, /mcporter|execSync|execFileSync/);
+  });
+
+  it("should save images and report error results", () => {
+    const media = callDefault(["media", "{}", "--out-dir", join(dir, "out")]);
+    assert.strictEqual(media.code, 0);
+    assert.match(media.stdout, /^Saved image \(image\/png\) to .+\.png$/m);
+
+    const failed = callDefault(["missing"]);
+    assert.strictEqual(failed.code, 1);
+    assert.match(failed.stderr, /Error: Unknown tool: missing/);
+    assert.strictEqual(JSON.parse(callDefault(["missing", "{}", "--json"]).stdout).isError, true);
+  });
+
+  it("should show structuredContent as a table with --fields and --json", () => {
+    const table = callDefault(["search"]);
+    assert.strictEqual(table.code, 0);
+    assert.deepStrictEqual(table.stdout.trim().split("\n").slice(0, 2), ["total: 2", "id  title        tags"]);
+    assert.strictEqual(callDefault(["search", "{}", "--fields", "title"]).stdout, "total: 2\ntitle\nFirst note\nSecond note\n");
+    assert.deepStrictEqual(JSON.parse(callDefault(["search", "{}", "--json", "--fields=id"]).stdout), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it("should decode multi-byte characters split across chunks", () => {
+    assert.strictEqual(callDefault(["unicode"]).stdout.trim(), "héllo wörld ✓");
+  });
+
+  it("should time out when the server does not answer", () => {
+    const { code, stderr } = callDefault(["hang"], { MCP2CLI_TIMEOUT: "1" });
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Error: tools\/call timed out after 1 seconds/);
+  });
+
+  it("should pass arguments to the server without a shell", () => {
+    const text = 'say "hi" $(touch pwned) `touch pwned`; touch pwned';
+    const { code, stdout } = callDefault(["inspect", JSON.stringify({ text, tags: ["a b"] })]);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout), { text, tags: ["a b"] });
+    assert.strictEqual(readdirSync(dir).includes("pwned"), false);
+  });
+});
+
+describe("printResult (content blocks)", () => {
+  let dir;
+
+  /**
+   * Call a tool through a minimal wrapper
+   * @param {string[]} args - Tool name followed by wrapper arguments
+   * @param {object} env - Extra environment variables
+   * @returns {{code: number, stdout: string, stderr: string}}
+   */
+  function callWrapper(args, env = {}) {
+    const result = spawnSync(process.execPath, [join(dir, "stub.js"), ...args], {
+      encoding: "utf-8",
+      env: { ...process.env, MCP2CLI_MAX_OUTPUT: "", ...env },
+      timeout: 30000,
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-runtime-output-"));
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime(runtimeOptionsFromManifest(MANIFEST.server)));
+    writeFileSync(
+      join(dir, "stub.js"),
+      `import { callTool, printResult, run } from "./${RUNTIME_FILE}";\nawait run(async ([tool]) => printResult(await callTool(tool, {})));\n`
+    );
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should print text and save images and binary resources to files", () => {
+    const outDir = join(dir, "out");
+    const { code, stdout } = callWrapper(["media", "--out-dir", outDir]);
+    assert.strictEqual(code, 0);
+
+    const lines = stdout.trim().split("\n");
+    assert.strictEqual(lines[0], "Screenshot taken");
+    const image = lines[1].match(/^Saved image \(image\/png\) to (.+\.png)$/)[1];
+    assert.strictEqual(readFileSync(image, "utf-8"), "png-bytes");
+    assert.deepStrictEqual(lines.slice(2, 4), ["Resource stub://notes/1 (text/plain):", "note one"]);
+    const blob = lines[4].match(/^Saved resource stub:\/\/logo \(image\/gif\) to (.+\.gif)$/)[1];
+    assert.strictEqual(readFileSync(blob, "utf-8"), "gif-bytes");
+    assert.strictEqual(lines[5], "Resource link: stub://readme (readme)");
+    assert.strictEqual(readdirSync(outDir).length, 2);
+  });
+
+  it("should print the raw result with --json", () => {
+    const { code, stdout } = callWrapper(["media", "--json"]);
+    assert.strictEqual(code, 0);
+    const result = JSON.parse(stdout);
+    assert.strictEqual(result.content.length, 5);
+    assert.strictEqual(result.content[1].data, Buffer.from("png-bytes").toString("base64"));
+  });
+
+  it("should send error results to stderr with exit code 1", () => {
+    const failed = callWrapper(["missing"]);
+    assert.strictEqual(failed.code, 1);
+    assert.strictEqual(failed.stdout, "");
+    assert.match(failed.stderr, /Error: Unknown tool: missing/);
+
+    const json = callWrapper(["missing", "--json"]);
+    assert.strictEqual(json.code, 1);
+    assert.strictEqual(JSON.parse(json.stdout).isError, true);
+  });
+
+  it("should truncate output past --max-chars and save the full output", () => {
+    const outDir = join(dir, "long");
+    const full = callWrapper(["search"]).stdout;
+    const { code, stdout } = callWrapper(["search", "--max-chars", "12", "--out-dir", outDir]);
+    assert.strictEqual(code, 0);
+
+    const [preview, notice] = stdout.trim().split("\n... ");
+    assert.strictEqual(preview, full.slice(0, 12).trimEnd());
+    const file = notice.match(/^\[truncated: 12 of (\d+) characters shown; full output saved to (.+\.txt)\]$/);
+    assert.strictEqual(Number(file[1]), full.trimEnd().length);
+    assert.strictEqual(readFileSync(file[2], "utf-8"), full.trimEnd());
+  });
+
+  it("should take the limit from MCP2CLI_MAX_OUTPUT unless --max-chars is given", () => {
+    const outDir = join(dir, "env");
+    assert.match(callWrapper(["search", "--json", "--out-dir", outDir], { MCP2CLI_MAX_OUTPUT: "20" }).stdout, /full output saved to .+\.json\]/);
+    assert.doesNotMatch(callWrapper(["search", "--max-chars=0"], { MCP2CLI_MAX_OUTPUT: "20" }).stdout, /truncated/);
+
+    const bad = callWrapper(["search", "--max-chars", "lots"]);
+    assert.strictEqual(bad.code, 2);
+    assert.match(bad.stderr, /--max-chars expects a number of characters/);
+  });
+
+  it("should reject --out-dir without a value", () => {
+    const { code, stderr } = callWrapper(["media", "--out-dir"]);
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Missing value for --out-dir/);
+  });
+});
+
+describe("printResult (structured output)", () => {
+  let dir;
+
+  /**
+   * Call the stub's search tool through a wrapper passing the view from its output schema
+   * @param {string[]} args - Wrapper arguments
+   * @returns {{code: number, stdout: string, stderr: string}}
+   */
+  function search(args = []) {
+    const result = spawnSync(process.execPath, [join(dir, "search.js"), ...args], { encoding: "utf-8", timeout: 30000 });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-runtime-structured-"));
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime(runtimeOptionsFromManifest(MANIFEST.server)));
+    writeFileSync(
+      join(dir, "search.js"),
+      `import { callTool, printResult, run } from "./${RUNTIME_FILE}";\n` +
+        `await run(async () => printResult(await callTool("search", {}), ${JSON.stringify(outputView(STUB_SEARCH_OUTPUT_SCHEMA))}));\n`
+    );
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should print a compact table instead of the JSON text block", () => {
+    const { code, stdout } = search();
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(stdout.trim().split("\n"), ["total: 2", "id  title", "1   First note", "2   Second note"]);
+  });
+
+  it("should select columns with --fields", () => {
+    const { stdout } = search(["--fields", "title,tags"]);
+    assert.deepStrictEqual(stdout.trim().split("\n").slice(1), ["title        tags", "First note   [\"a\"]", "Second note  [\"a\",\"b\"]"]);
+  });
+
+  it("should print structuredContent with --json, narrowed by --fields", () => {
+    assert.deepStrictEqual(JSON.parse(search(["--json"]).stdout).notes[1], { id: 2, title: "Second note", tags: ["a", "b"] });
+    assert.deepStrictEqual(JSON.parse(search(["--json", "--fields=id"]).stdout), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it("should reject unknown fields as usage errors", () => {
+    const { code, stderr } = search(["--fields", "id,body"]);
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Unknown field\(s\): body\. Available: id, title, tags/);
+  });
+});
+
+describe("runtimeOptionsFromManifest", () => {
+  it("should map http servers to direct calls", () => {
+    const options = runtimeOptionsFromManifest({ name: "remote", transport: "http", url: "https://x/mcp" });
+    assert.deepStrictEqual(options, { serverName: "remote", direct: { url: "https://x/mcp", headers: {} }, session: false });
+  });
+
+  it("should call stdio servers directly whatever runtime was recorded", () => {
+    const options = runtimeOptionsFromManifest({
+      name: "stub",
+      transport: "stdio",
+      command: "node s.js",
+      runtime: "mcporter",
+      session: true,
+    });
+    assert.deepStrictEqual(options, { serverName: "stub", mcpCommand: "node s.js", session: true });
+  });
+
+  it("should return null for manifests without server metadata", () => {
+    assert.strictEqual(runtimeOptionsFromManifest(undefined), null);
+    assert.strictEqual(runtimeOptionsFromManifest({ name: "stub", transport: "stdio" }), null);
+  });
+});
+
+describe("refreshRuntime", () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-runtime-refresh-"));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should leave tools without a runtime alone", () => {
+    assert.strictEqual(refreshRuntime(dir, MANIFEST), "none");
+  });
+
+  it("should rewrite a stale runtime and then report it unchanged", () => {
+    const file = join(dir, RUNTIME_FILE);
+    writeFileSync(file, "// mcp2cli runtime v0\n");
+
+    assert.strictEqual(refreshRuntime(dir, MANIFEST, { dryRun: true }), "updated");
+    assert.strictEqual(readFileSync(file, "utf-8"), "// mcp2cli runtime v0\n");
+
+    assert.strictEqual(refreshRuntime(dir, MANIFEST), "updated");
+    assert.match(readFileSync(file, "utf-8"), new RegExp(`runtime v${RUNTIME_VERSION}:`));
+    assert.strictEqual(refreshRuntime(dir, MANIFEST), "unchanged");
+  });
+
+  it("should not treat the runtime as a wrapper script", () => {
+    assert.strictEqual(isWrapperScript(RUNTIME_FILE), false);
+    assert.strictEqual(isWrapperScript("stub-echo.js"), true);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for the schema normalizer
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  normalizeSchema,
+  normalizeToolSchemas,
+  schemaTypeLabel,
+  isComplexSchema,
+  paramDetails,
+  outputView,
+} from "../lib/schema.js";
+
+// Shape produced by pydantic for Optional fields, nested models and enums
+const PYDANTIC_SCHEMA = {
+  type: "object",
+  $defs: {
+    Filter: {
+      type: "object",
+      properties: { field: { type: "string" }, op: { $ref: "#/$defs/Op" } },
+      required: ["field"],
+    },
+    Op: { type: "string", enum: ["eq", "ne"] },
+  },
+  properties: {
+    query: { anyOf: [{ type: "string" }, { type: "null" }], default: null, description: "Search query" },
+    filters: { type: "array", items: { $ref: "#/$defs/Filter" } },
+    filter: { allOf: [{ $ref: "#/$defs/Filter" }], description: "Single filter" },
+    limit: { type: ["integer", "null"], default: 10 },
+  },
+  required: ["filters"],
+};
+
+describe("normalizeSchema", () => {
+  it("should flatten nullable unions and keep defaults", () => {
+    const { properties } = normalizeSchema(PYDANTIC_SCHEMA);
+    assert.deepStrictEqual(properties.query, { type: "string", nullable: true, default: null, description: "Search query" });
+    assert.deepStrictEqual(properties.limit, { type: "integer", nullable: true, default: 10 });
+  });
+
+  it("should resolve $ref inside items and allOf", () => {
+    const { properties } = normalizeSchema(PYDANTIC_SCHEMA);
+    assert.strictEqual(properties.filters.items.type, "object");
+    assert.deepStrictEqual(properties.filters.items.properties.op, { type: "string", enum: ["eq", "ne"] });
+    assert.strictEqual(properties.filter.type, "object");
+    assert.strictEqual(properties.filter.description, "Single filter");
+    assert.deepStrictEqual(properties.filter.required, ["field"]);
+  });
+
+  it("should drop $defs and keep required", () => {
+    const normalized = normalizeSchema(PYDANTIC_SCHEMA);
+    assert.strictEqual(normalized.$defs, undefined);
+    assert.deepStrictEqual(normalized.required, ["filters"]);
+  });
+
+  it("should turn const unions into enums", () => {
+    const normalized = normalizeSchema({ oneOf: [{ const: "fast" }, { const: "slow" }], description: "Mode" });
+    assert.deepStrictEqual(normalized, { type: "string", enum: ["fast", "slow"], description: "Mode" });
+  });
+
+  it("should keep multi-type unions and format", () => {
+    const normalized = normalizeSchema({ anyOf: [{ type: "string", format: "uri" }, { type: "number" }] });
+    assert.deepStrictEqual(normalized.type, ["string", "number"]);
+    assert.strictEqual(normalized.format, "uri");
+  });
+
+  it("should merge object variants", () => {
+    const normalized = normalizeSchema({
+      anyOf: [
+        { type: "object", properties: { id: { type: "string" }, url: { type: "string" } }, required: ["id", "url"] },
+        { type: "object", properties: { id: { type: "string" }, path: { type: "string" } }, required: ["id"] },
+      ],
+    });
+    assert.strictEqual(normalized.type, "object");
+    assert.deepStrictEqual(Object.keys(normalized.properties), ["id", "url", "path"]);
+    assert.deepStrictEqual(normalized.required, ["id"]);
+  });
+
+  it("should stop at recursive references", () => {
+    const normalized = normalizeSchema({
+      $defs: { Node: { type: "object", properties: { child: { $ref: "#/$defs/Node" } } } },
+      $ref: "#/$defs/Node",
+    });
+    assert.deepStrictEqual(normalized.properties.child, { type: "object" });
+  });
+
+  it("should leave plain schemas unchanged", () => {
+    const schema = { type: "object", properties: { url: { type: "string", description: "URL" } }, required: ["url"] };
+    assert.deepStrictEqual(normalizeSchema(schema), schema);
+  });
+});
+
+describe("normalizeToolSchemas", () => {
+  it("should normalize every tool's inputSchema", () => {
+    const [tool, bare] = normalizeToolSchemas([{ name: "search", inputSchema: PYDANTIC_SCHEMA }, { name: "ping" }]);
+    assert.strictEqual(tool.inputSchema.properties.query.type, "string");
+    assert.deepStrictEqual(bare, { name: "ping" });
+  });
+
+  it("should normalize outputSchema too", () => {
+    const [tool] = normalizeToolSchemas([{ name: "search", outputSchema: PYDANTIC_SCHEMA }]);
+    assert.strictEqual(tool.outputSchema.properties.query.type, "string");
+    assert.strictEqual(tool.inputSchema, undefined);
+  });
+});
+
+describe("outputView", () => {
+  it("should use an array of objects as rows with its scalar fields as columns", () => {
+    const view = outputView({
+      type: "object",
+      properties: {
+        total: { type: "integer" },
+        items: {
+          type: "array",
+          items: { type: "object", properties: { id: { type: "integer" }, title: { type: "string" }, labels: { type: "array" } } },
+        },
+      },
+    });
+    assert.deepStrictEqual(view, { rows: "items", columns: ["id", "title"], fields: ["id", "title", "labels"] });
+  });
+
+  it("should show the fields of plain objects", () => {
+    const view = outputView({ type: "object", properties: { id: { type: "integer" }, owner: { type: "object" } } });
+    assert.deepStrictEqual(view, { rows: null, columns: ["id", "owner"], fields: ["id", "owner"] });
+  });
+
+  it("should return null without properties", () => {
+    assert.strictEqual(outputView(undefined), null);
+    assert.strictEqual(outputView({ type: "object" }), null);
+  });
+});
+
+describe("schemaTypeLabel", () => {
+  it("should describe unions, nullables and arrays", () => {
+    assert.strictEqual(schemaTypeLabel({ type: ["string", "number"], nullable: true }), "string | number | null");
+    assert.strictEqual(schemaTypeLabel({ type: "array", items: { type: "string" } }), "array<string>");
+    assert.strictEqual(schemaTypeLabel({}), "any");
+  });
+});
+
+describe("isComplexSchema", () => {
+  it("should flag arrays and objects, including nullable ones", () => {
+    assert.ok(isComplexSchema({ type: "array" }));
+    assert.ok(isComplexSchema({ type: ["object", "string"] }));
+    assert.ok(!isComplexSchema({ type: "string", nullable: true }));
+  });
+});
+
+describe("paramDetails", () => {
+  it("should include enum, default and format", () => {
+    assert.deepStrictEqual(paramDetails({ type: "string", enum: ["eq", "ne"], default: "eq", description: "Operator" }), [
+      "one of: eq, ne",
+      "default: eq",
+    ]);
+    assert.deepStrictEqual(paramDetails({ type: "string", format: "uri" }), ["format: uri"]);
+    assert.deepStrictEqual(paramDetails({ type: "string" }), []);
+  });
+});
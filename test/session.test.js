@@ -0,0 +1,181 @@
+/**
+ * Tests for server sessions
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdtempSync, writeFileSync, existsSync, rmSync, symlinkSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import { execFileSync } from "child_process";
+import { generateRuntime, RUNTIME_FILE } from "../lib/runtime.js";
+import { startSession, stopSession, getSessionStatus, SESSION_SOCKET } from "../lib/session.js";
+import { generateFeatureWrappers } from "../lib/resources.js";
+import { STUB_RESOURCES, STUB_PROMPTS } from "./stub-mcp-server.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+const WRAPPER = `import { callMcp, printResult, run } from "./${RUNTIME_FILE}";
+await run(async (args) => printResult(await callMcp(args[0], JSON.parse(args[1] || "{}"))));
+`;
+
+/**
+ * Create a tool directory with a runtime and a minimal wrapper
+ * @param {object} options - generateRuntime() options
+ * @returns {string} - Tool directory
+ */
+function createTool(options = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "mcp2cli-session-"));
+  writeFileSync(join(dir, RUNTIME_FILE), generateRuntime({ serverName: "stub", mcpCommand: STUB_COMMAND, ...options }));
+  writeFileSync(join(dir, "stub.js"), WRAPPER);
+  return dir;
+}
+
+/**
+ * Call a tool through the wrapper
+ * @param {string} dir - Tool directory
+ * @param {string} tool - Tool name
+ * @param {object} params - Tool arguments
+ * @returns {string} - Trimmed stdout
+ */
+function call(dir, tool, params = {}) {
+  return execFileSync(process.execPath, [join(dir, "stub.js"), tool, JSON.stringify(params)], {
+    encoding: "utf-8",
+    timeout: 30000,
+  }).trim();
+}
+
+describe("sessions", () => {
+  const dirs = [];
+  let previousIdle;
+
+  before(() => {
+    previousIdle = process.env.MCP2CLI_SESSION_IDLE;
+    process.env.MCP2CLI_SESSION_IDLE = "30";
+  });
+
+  after(async () => {
+    for (const dir of dirs) {
+      await stopSession(dir);
+      rmSync(dir, { recursive: true, force: true });
+    }
+    if (previousIdle === undefined) delete process.env.MCP2CLI_SESSION_IDLE;
+    else process.env.MCP2CLI_SESSION_IDLE = previousIdle;
+  });
+
+  it("should call the server directly without a session", () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+    assert.strictEqual(call(dir, "count"), "1");
+    assert.strictEqual(call(dir, "count"), "1");
+  });
+
+  it("should keep server state between calls in a session", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+
+    const { started, status } = await startSession(dir);
+    assert.strictEqual(started, true);
+    assert.strictEqual(status.idleTimeout, 30);
+
+    assert.strictEqual(call(dir, "count"), "1");
+    assert.strictEqual(call(dir, "count"), "2");
+    assert.strictEqual(call(dir, "echo", { text: "hi" }), "hi");
+    assert.strictEqual((await getSessionStatus(dir)).calls, 3);
+    assert.strictEqual((await startSession(dir)).started, false);
+
+    assert.strictEqual(await stopSession(dir), true);
+    assert.strictEqual(await getSessionStatus(dir), null);
+    assert.strictEqual(existsSync(join(dir, SESSION_SOCKET)), false);
+    assert.strictEqual(await stopSession(dir), false);
+    assert.strictEqual(call(dir, "count"), "1");
+  });
+
+  it("should report tool errors from the session", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+    await startSession(dir);
+
+    assert.throws(() => call(dir, "missing"), /Unknown tool: missing/);
+  });
+
+  it("should start through a symlinked tool directory", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    const link = `${dir}-link`;
+    symlinkSync(dir, link);
+    dirs.push(dir);
+    try {
+      const { started } = await startSession(link);
+      assert.strictEqual(started, true);
+      assert.strictEqual(call(link, "count"), "1");
+      assert.strictEqual(call(dir, "count"), "2");
+    } finally {
+      await stopSession(dir);
+      rmSync(link, { force: true });
+    }
+  });
+
+  it("should time out hung requests and keep the server for later calls", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+    process.env.MCP2CLI_TIMEOUT = "1";
+    try {
+      await startSession(dir);
+    } finally {
+      delete process.env.MCP2CLI_TIMEOUT;
+    }
+
+    assert.strictEqual(call(dir, "count"), "1");
+    assert.throws(() => call(dir, "hang"), /tools\/call timed out after 1 seconds/);
+    assert.strictEqual(call(dir, "count"), "2");
+  });
+
+  it("should route resource and prompt requests through the session", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+    for (const wrapper of generateFeatureWrappers({ serverName: "stub", resources: STUB_RESOURCES, prompts: STUB_PROMPTS })) {
+      writeFileSync(join(dir, wrapper.filename), wrapper.code);
+    }
+    await startSession(dir);
+
+    const run = (script, args) =>
+      execFileSync(process.execPath, [join(dir, script), ...args], { encoding: "utf-8", timeout: 30000 }).trim();
+    assert.strictEqual(run("stub-resource.js", ["read", "stub://notes/7"]), "contents of stub://notes/7");
+    assert.strictEqual(run("stub-prompt.js", ["review", "--arg", "code=x"]), '[user] review: {"code":"x"}');
+    assert.strictEqual((await getSessionStatus(dir)).calls, 2);
+  });
+
+  it("should start the session on the first call when enabled", async () => {
+    // mcporter runtimes talk to the server themselves inside a session
+    const dir = createTool({ session: true });
+    dirs.push(dir);
+
+    assert.strictEqual(call(dir, "count"), "1");
+    assert.strictEqual(call(dir, "count"), "2");
+    assert.ok(await getSessionStatus(dir));
+  });
+
+  it("should exit after the idle timeout", async () => {
+    const dir = createTool({ direct: { mcpCommand: STUB_COMMAND } });
+    dirs.push(dir);
+    process.env.MCP2CLI_SESSION_IDLE = "1";
+    try {
+      await startSession(dir);
+    } finally {
+      process.env.MCP2CLI_SESSION_IDLE = "30";
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    assert.strictEqual(await getSessionStatus(dir), null);
+  });
+
+  it("should refuse runtimes without session support", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "mcp2cli-session-"));
+    dirs.push(dir);
+
+    await assert.rejects(startSession(dir), /no shared runtime/);
+    writeFileSync(join(dir, RUNTIME_FILE), "// mcp2cli runtime v1: shared by the wrappers in this directory.\n");
+    await assert.rejects(startSession(dir), /does not support sessions; run `mcp2cli refresh`/);
+  });
+});
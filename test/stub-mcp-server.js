@@ -0,0 +1,187 @@
+/**
+ * Stub stdio MCP server used by tests
+ *
+ * Run with --serve to speak newline-delimited JSON-RPC on stdin/stdout.
+ * Without --serve (e.g. when picked up by `node --test`) it does nothing.
+ * --require-env NAME makes it exit at startup when NAME is not set, like servers needing a token.
+ */
+
+import { createInterface } from "readline";
+
+export const STUB_TOOLS = [
+  {
+    name: "echo",
+    description: "Echo the given text",
+    inputSchema: { type: "object", properties: { text: { type: "string", description: "Text to echo" } }, required: ["text"] },
+    annotations: { readOnlyHint: true },
+  },
+  {
+    name: "add",
+    description: "Add two numbers",
+    inputSchema: { type: "object", properties: { a: { type: "number" }, b: { type: "number" } }, required: ["a", "b"] },
+  },
+  {
+    name: "reset",
+    description: "Delete all stored data",
+    inputSchema: { type: "object", properties: {} },
+    annotations: { destructiveHint: true, idempotentHint: true },
+  },
+];
+
+export const STUB_RESOURCES = [
+  { uri: "stub://readme", name: "readme", description: "Stub readme", mimeType: "text/plain" },
+  { uri: "stub://logo", name: "logo", mimeType: "image/png" },
+];
+
+export const STUB_RESOURCE_TEMPLATES = [
+  { uriTemplate: "stub://notes/{id}", name: "note", description: "A note by id" },
+];
+
+export const STUB_PROMPTS = [
+  { name: "review", description: "Review code", arguments: [{ name: "code", required: true }, { name: "style" }] },
+];
+
+// Output schema of the unlisted "search" tool
+export const STUB_SEARCH_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    total: { type: "integer" },
+    notes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { id: { type: "integer" }, title: { type: "string" }, tags: { type: "array", items: { type: "string" } } },
+      },
+    },
+  },
+};
+
+const STUB_NOTES = [
+  { id: 1, title: "First note", tags: ["a"] },
+  { id: 2, title: "Second note", tags: ["a", "b"] },
+];
+
+let callCount = 0;
+
+function handle(message) {
+  const { method, params = {} } = message;
+
+  switch (method) {
+    case "initialize":
+      return {
+        protocolVersion: params.protocolVersion,
+        capabilities: { tools: {}, resources: {}, prompts: {} },
+        serverInfo: { name: "stub", version: "1.0.0" },
+      };
+    case "tools/list": {
+      // One tool per page to exercise pagination
+      const index = params.cursor ? Number(params.cursor) : 0;
+      const next = index + 1 < STUB_TOOLS.length ? { nextCursor: String(index + 1) } : {};
+      return { tools: [STUB_TOOLS[index]], ...next };
+    }
+    case "tools/call":
+      if (params.name === "echo") {
+        return { content: [{ type: "text", text: params.arguments.text }] };
+      }
+      if (params.name === "reset") {
+        return { content: [{ type: "text", text: "reset done" }] };
+      }
+      if (params.name === "add") {
+        return { content: [{ type: "text", text: String(params.arguments.a + params.arguments.b) }] };
+      }
+      if (params.name === "count") {
+        // Not listed: counts calls per server process, so session tests can tell processes apart
+        callCount++;
+        return { content: [{ type: "text", text: String(callCount) }] };
+      }
+      if (params.name === "media") {
+        // Not listed: one block of each content type
+        return {
+          content: [
+            { type: "text", text: "Screenshot taken" },
+            { type: "image", mimeType: "image/png", data: Buffer.from("png-bytes").toString("base64") },
+            { type: "resource", resource: { uri: "stub://notes/1", mimeType: "text/plain", text: "note one" } },
+            { type: "resource", resource: { uri: "stub://logo", mimeType: "image/gif", blob: Buffer.from("gif-bytes").toString("base64") } },
+            { type: "resource_link", uri: "stub://readme", name: "readme" },
+          ],
+        };
+      }
+      if (params.name === "search") {
+        // Not listed: structured result matching STUB_SEARCH_OUTPUT_SCHEMA, with the usual JSON text block
+        const structuredContent = { total: STUB_NOTES.length, notes: STUB_NOTES };
+        return { content: [{ type: "text", text: JSON.stringify(structuredContent) }], structuredContent };
+      }
+      if (params.name === "unicode") {
+        // Not listed: serve() splits this reply inside a multi-byte character
+        return { content: [{ type: "text", text: "héllo wörld ✓" }] };
+      }
+      if (params.name === "inspect") {
+        // Not listed: lets wrapper tests see the arguments a call received
+        return { content: [{ type: "text", text: JSON.stringify(params.arguments) }] };
+      }
+      return { content: [{ type: "text", text: `Unknown tool: ${params.name}` }], isError: true };
+    case "resources/list": {
+      // One resource per page; cursors only work on the connection (process) that issued them
+      const [pid, page] = (params.cursor || `${process.pid}:0`).split(":");
+      if (pid !== String(process.pid)) {
+        throw Object.assign(new Error(`Invalid cursor: ${params.cursor}`), { code: -32602 });
+      }
+      const index = Number(page);
+      return {
+        resources: [STUB_RESOURCES[index]],
+        ...(index + 1 < STUB_RESOURCES.length ? { nextCursor: `${process.pid}:${index + 1}` } : {}),
+      };
+    }
+    case "resources/templates/list":
+      return { resourceTemplates: STUB_RESOURCE_TEMPLATES };
+    case "resources/read":
+      if (params.uri === "stub://logo") {
+        return { contents: [{ uri: params.uri, mimeType: "image/png", blob: Buffer.from("png").toString("base64") }] };
+      }
+      return { contents: [{ uri: params.uri, mimeType: "text/plain", text: `contents of ${params.uri}` }] };
+    case "prompts/list":
+      return { prompts: STUB_PROMPTS };
+    case "prompts/get":
+      return {
+        messages: [{ role: "user", content: { type: "text", text: `${params.name}: ${JSON.stringify(params.arguments)}` } }],
+      };
+    default:
+      throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+  }
+}
+
+function serve() {
+  const rl = createInterface({ input: process.stdin });
+  rl.on("line", (line) => {
+    if (!line.trim()) return;
+    const message = JSON.parse(line);
+    if (message.id === undefined) return;
+
+    // Not listed: "hang" never answers, for timeout tests
+    if (message.method === "tools/call" && message.params?.name === "hang") return;
+
+    let reply;
+    try {
+      reply = { jsonrpc: "2.0", id: message.id, result: handle(message) };
+    } catch (error) {
+      reply = { jsonrpc: "2.0", id: message.id, error: { code: error.code || -32603, message: error.message } };
+    }
+    const data = Buffer.from(JSON.stringify(reply) + "\n");
+    if (message.method === "tools/call" && message.params?.name === "unicode") {
+      const split = data.indexOf(Buffer.from("é")) + 1;
+      process.stdout.write(data.subarray(0, split));
+      setTimeout(() => process.stdout.write(data.subarray(split)), 50);
+      return;
+    }
+    process.stdout.write(data);
+  });
+}
+
+const requiredEnv = process.argv[process.argv.indexOf("--require-env") + 1];
+
+if (process.argv.includes("--require-env") && !process.env[requiredEnv]) {
+  process.stderr.write(`${requiredEnv} is not set\n`);
+  process.exit(1);
+} else if (process.argv.includes("--serve")) {
+  serve();
+}
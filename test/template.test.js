@@ -0,0 +1,149 @@
+/**
+ * Tests for schema-driven template wrappers
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { spawnSync } from "child_process";
+import { join } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import { generateTemplateWrapper } from "../lib/template.js";
+import { generateRuntime, RUNTIME_FILE } from "../lib/runtime.js";
+import { validateParameterCoverage } from "../lib/generator.js";
+import { STUB_SEARCH_OUTPUT_SCHEMA } from "./stub-mcp-server.js";
+
+const STUB_COMMAND = `"${process.execPath}" "${fileURLToPath(new URL("./stub-mcp-server.js", import.meta.url))}" --serve`;
+
+// "inspect" answers with the arguments it received
+const INSPECT = {
+  name: "inspect",
+  description: "Inspect arguments\nSecond line",
+  inputSchema: {
+    type: "object",
+    properties: {
+      repo: { type: "string", description: "Repository" },
+      limit: { type: "integer", default: 10 },
+      ratio: { type: "number" },
+      draft: { type: "boolean" },
+      state: { type: "string", enum: ["open", "closed"] },
+      labels: { type: "array", items: { type: "string" } },
+      filter: { type: "object" },
+      page_size: { type: "integer" },
+      since: { type: "string", format: "date-time" },
+    },
+    required: ["repo"],
+  },
+};
+
+describe("generateTemplateWrapper", () => {
+  let dir;
+
+  const generate = (group, tools) => {
+    const file = join(dir, group.filename);
+    writeFileSync(file, generateTemplateWrapper(group, tools));
+    return (args, env = {}) =>
+      spawnSync(process.execPath, [file, ...args], {
+        encoding: "utf-8",
+        env: { ...process.env, MCP2CLI_ALLOW_DESTRUCTIVE: "", ...env },
+        timeout: 30000,
+      });
+  };
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "mcp2cli-template-"));
+    writeFileSync(join(dir, RUNTIME_FILE), generateRuntime({ serverName: "stub", mcpCommand: STUB_COMMAND }));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should coerce typed flags", () => {
+    const run = generate({ filename: "stub-inspect.js", mcp_tools: ["inspect"] }, [INSPECT]);
+    const result = run(["--repo", "acme/app", "--limit", "5", "--ratio=0.5", "--draft", "--state", "open", "--page-size", "2"]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { repo: "acme/app", limit: 5, ratio: 0.5, draft: true, state: "open", page_size: 2 });
+
+    assert.deepStrictEqual(JSON.parse(run(["--repo", "r", "--no-draft"]).stdout), { repo: "r", draft: false });
+  });
+
+  it("should accept arrays and objects inline, repeated or from a file", () => {
+    const run = generate({ filename: "stub-inspect.js", mcp_tools: ["inspect"] }, [INSPECT]);
+    const filterFile = join(dir, "filter.json");
+    writeFileSync(filterFile, JSON.stringify({ author: "me" }));
+
+    const result = run(["--repo", "r", "--labels", "bug", "--labels", "ui", "--filter-file", filterFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { repo: "r", labels: ["bug", "ui"], filter: { author: "me" } });
+    assert.deepStrictEqual(JSON.parse(run(["--repo", "r", "--labels", '["a","b"]']).stdout).labels, ["a", "b"]);
+  });
+
+  it("should reject bad values, unknown options and missing required options", () => {
+    const run = generate({ filename: "stub-inspect.js", mcp_tools: ["inspect"] }, [INSPECT]);
+    const cases = [
+      [["--repo", "r", "--limit", "many"], /--limit expects integer, got "many"/],
+      [["--repo", "r", "--state", "merged"], /--state must be one of: open, closed/],
+      [["--repo", "r", "--filter", "{"], /--filter expects JSON \(or use --filter-file <path>\)/],
+      [["--repo", "r", "--nope", "1"], /Unknown option: --nope/],
+      [["--limit", "1"], /Missing required option\(s\): --repo/],
+    ];
+    for (const [args, message] of cases) {
+      const result = run(args);
+      assert.strictEqual(result.status, 2, args.join(" "));
+      assert.match(result.stderr, message);
+    }
+  });
+
+  it("should show full help with examples", () => {
+    const run = generate({ filename: "stub-inspect.js", mcp_tools: ["inspect"] }, [INSPECT]);
+    const help = run([]).stdout;
+    assert.match(help, /^Usage: stub-inspect \[options\]\n\nInspect arguments\n/);
+    assert.match(help, /--repo <string> \(required\)\n {6}Repository/);
+    assert.match(help, /--limit <integer> \(default: 10\)/);
+    assert.match(help, /--state <string> \(one of: open, closed\)/);
+    assert.match(help, /--since <string> \(format: date-time\)/);
+    assert.match(help, /--filter-file <path>/);
+    assert.match(help, /--json  Print the raw MCP result as JSON\n  --out-dir <dir>/);
+    assert.match(help, /Examples:\n  stub-inspect --repo <string>\n  stub-inspect --repo <string> --labels-file labels\.json/);
+  });
+
+  it("should give multi-tool groups one subcommand per tool", () => {
+    const tools = [
+      { name: "echo", description: "Echo", inputSchema: { type: "object", properties: { text: { type: "string" } }, required: ["text"] } },
+      { name: "reset", description: "Reset", inputSchema: { type: "object", properties: {} }, annotations: { destructiveHint: true } },
+    ];
+    const run = generate({ filename: "stub-misc.js", description: "Misc", mcp_tools: ["echo", "reset"] }, tools);
+
+    assert.match(run([]).stdout, /Commands:\n  echo {17}Echo\n  reset {16}Reset \(needs --confirm\)/);
+    assert.strictEqual(run(["echo", "--text", "hi"]).stdout.trim(), "hi");
+    assert.strictEqual(run(["reset"]).status, 2);
+    assert.strictEqual(run(["reset", "--confirm"]).stdout.trim(), "reset done");
+  });
+
+  it("should show structured results as a table with --fields", () => {
+    const search = {
+      name: "search",
+      description: "Search notes",
+      inputSchema: { type: "object", properties: { fields: { type: "string" } } },
+      outputSchema: STUB_SEARCH_OUTPUT_SCHEMA,
+    };
+    const run = generate({ filename: "stub-search.js", mcp_tools: ["search"] }, [search]);
+
+    assert.match(run(["--help"]).stdout, /--json  Print the structured result as JSON\n  --out-dir/);
+    assert.match(run([]).stdout, /^total: 2\nid  title\n1   First note\n/);
+    // --fields is the tool's own parameter here, so the table keeps its default columns
+    assert.match(run(["--fields", "tags"]).stdout, /^total: 2\nid  title\n/);
+
+    delete search.inputSchema.properties.fields;
+    const plain = generate({ filename: "stub-search.js", mcp_tools: ["search"] }, [search]);
+    assert.match(plain(["--help"]).stdout, /--fields <a,b>  Fields to show: id, title, tags/);
+    assert.strictEqual(plain(["--fields", "title"]).stdout, "total: 2\ntitle\nFirst note\nSecond note\n");
+  });
+
+  it("should expose every complex parameter", () => {
+    const code = generateTemplateWrapper({ filename: "stub-inspect.js", mcp_tools: ["inspect"] }, [INSPECT]);
+    assert.deepStrictEqual(validateParameterCoverage(code, [INSPECT], "stub-inspect.js").warnings, []);
+  });
+});